@@ -0,0 +1,222 @@
+const asyncHandler = require('express-async-handler');
+const Course = require('../models/Course');
+const Module = require('../models/Module');
+const Quiz = require('../models/Quiz');
+const Enrollment = require('../models/Enrollment');
+const policyService = require('../services/policyService');
+const quizService = require('../services/quizService');
+const adaptiveLearningService = require('../services/adaptiveLearningService');
+
+const ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  NO_ATTEMPT: 400,
+  QUIZ_EMPTY: 400,
+  MAX_ATTEMPTS_REACHED: 403,
+  RETAKE_COOLDOWN: 403,
+  NOT_FOUND: 404,
+  NOT_AVAILABLE: 404,
+  ALREADY_TESTED_OUT: 409,
+  ALREADY_COMPLETED: 409
+};
+
+// Set the response status for a pre-assessment or quiz error before rethrowing it
+const rethrow = (res, error) => {
+  if (
+    error instanceof adaptiveLearningService.AdaptiveLearningError ||
+    error instanceof quizService.QuizAttemptError
+  ) {
+    res.status(ERROR_STATUS[error.code] || 400);
+  }
+  throw error;
+};
+
+// Load the course and one of its draft modules
+const findCourseModule = async (res, courseId, moduleId) => {
+  const course = await Course.findById(courseId);
+
+  if (!course) {
+    res.status(404);
+    throw new Error('Course not found');
+  }
+
+  const module = await Module.findOne({ _id: moduleId, course: courseId });
+
+  if (!module) {
+    res.status(404);
+    throw new Error('Module not found');
+  }
+
+  return { course, module };
+};
+
+// Load the signed-in learner's enrollment
+const findEnrollment = async (res, user, courseId) => {
+  const enrollment = await Enrollment.findOne({ user: user.id, course: courseId });
+
+  if (!enrollment) {
+    res.status(400);
+    throw new Error('You are not enrolled in this course');
+  }
+
+  return enrollment;
+};
+
+// @desc    Get a module's pre-assessment: the draft settings for editors,
+//          the published one and the learner's result for learners
+// @route   GET /api/courses/:id/modules/:moduleId/pre-assessment
+// @access  Private
+const getPreAssessment = asyncHandler(async (req, res) => {
+  const { id, moduleId } = req.params;
+  const { course, module } = await findCourseModule(res, id, moduleId);
+
+  if (policyService.can(req.user, 'content:edit', course)) {
+    const hasPreAssessment = Boolean(module.preAssessment && module.preAssessment.quiz);
+
+    return res.status(200).json({
+      success: true,
+      data: hasPreAssessment
+        ? {
+          skills: module.preAssessment.skills,
+          masteryScore: module.preAssessment.masteryScore,
+          quiz: await Quiz.findById(module.preAssessment.quiz).populate('pools.questions')
+        }
+        : null
+    });
+  }
+
+  const enrollment = await findEnrollment(res, req.user, id);
+
+  try {
+    res.status(200).json({
+      success: true,
+      data: await adaptiveLearningService.getPreAssessment(enrollment, moduleId)
+    });
+  } catch (error) {
+    rethrow(res, error);
+  }
+});
+
+// @desc    Set up or update a module's pre-assessment
+// @route   PUT /api/courses/:id/modules/:moduleId/pre-assessment
+// @access  Private/Instructor
+const setPreAssessment = asyncHandler(async (req, res) => {
+  const { course, module } = await findCourseModule(res, req.params.id, req.params.moduleId);
+
+  policyService.authorizeAction(req.user, 'content:edit', course, 'Not authorized to edit this course');
+
+  try {
+    await adaptiveLearningService.setPreAssessment(course, module, req.body, req.user.id);
+  } catch (error) {
+    rethrow(res, error);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: module.preAssessment
+  });
+});
+
+// @desc    Remove a module's pre-assessment
+// @route   DELETE /api/courses/:id/modules/:moduleId/pre-assessment
+// @access  Private/Instructor
+const removePreAssessment = asyncHandler(async (req, res) => {
+  const { course, module } = await findCourseModule(res, req.params.id, req.params.moduleId);
+
+  policyService.authorizeAction(req.user, 'content:edit', course, 'Not authorized to edit this course');
+
+  await adaptiveLearningService.removePreAssessment(course, module);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Start (or resume) a module's pre-assessment
+// @route   POST /api/courses/:id/modules/:moduleId/pre-assessment/start
+// @access  Private
+const startPreAssessment = asyncHandler(async (req, res) => {
+  const enrollment = await findEnrollment(res, req.user, req.params.id);
+
+  let result;
+  try {
+    result = await adaptiveLearningService.startPreAssessment(enrollment, req.params.moduleId);
+  } catch (error) {
+    rethrow(res, error);
+  }
+
+  const { attempt, quiz } = result;
+  const attemptState = await quizService.getAttemptState(quiz, enrollment.user);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      attemptId: attempt._id,
+      attemptNumber: attempt.attemptNumber,
+      startedAt: attempt.startedAt,
+      timeLimit: quiz.timeLimit,
+      expiresAt: attempt.expiresAt || null,
+      serverTime: new Date(),
+      // Counts the attempt in progress as used
+      attemptsRemaining: attemptState.attemptsRemaining === null
+        ? null
+        : Math.max(attemptState.attemptsRemaining - 1, 0),
+      savedAnswers: attempt.savedAnswers,
+      questions: quizService.toLearnerQuestions(attempt.questions)
+    }
+  });
+});
+
+// @desc    Submit a module's pre-assessment
+// @route   POST /api/courses/:id/modules/:moduleId/pre-assessment/submit
+// @access  Private
+const submitPreAssessment = asyncHandler(async (req, res) => {
+  const { attemptId, answers } = req.body;
+
+  if (!answers || !Array.isArray(answers)) {
+    res.status(400);
+    throw new Error('Pre-assessment answers are required');
+  }
+
+  const enrollment = await findEnrollment(res, req.user, req.params.id);
+
+  let result;
+  try {
+    result = await adaptiveLearningService.submitPreAssessment(enrollment, req.params.moduleId, { attemptId, answers });
+  } catch (error) {
+    rethrow(res, error);
+  }
+
+  const { attempt, quiz } = result;
+  const attemptState = await quizService.getAttemptState(quiz, enrollment.user);
+
+  // Reload to pick up the test-out recorded when the attempt was graded
+  const updated = await Enrollment.findById(enrollment._id)
+    .select('status progressPercentage testedOutModules');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      attemptId: attempt._id,
+      score: attempt.score,
+      passed: attempt.passed,
+      testedOut: updated.testedOutModules.some(item => item.module.toString() === req.params.moduleId),
+      earnedPoints: attempt.earnedPoints,
+      totalPoints: attempt.totalPoints,
+      autoSubmitted: attempt.autoSubmitted,
+      feedback: quiz.showFeedback ? quizService.buildFeedback(attempt) : null,
+      attemptsRemaining: attemptState.attemptsRemaining,
+      nextAttemptAt: attemptState.nextAttemptAt,
+      progress: updated.progressPercentage,
+      status: updated.status
+    }
+  });
+});
+
+module.exports = {
+  getPreAssessment,
+  setPreAssessment,
+  removePreAssessment,
+  startPreAssessment,
+  submitPreAssessment
+};
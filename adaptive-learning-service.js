@@ -0,0 +1,234 @@
+/**
+ * Adaptive learning service
+ * Lets adaptive courses give each module a pre-assessment covering some of
+ * the skills the course teaches. Learners who score the mastery score test
+ * out of the module, which then counts as done towards their progress
+ */
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const courseVersionService = require('./courseVersionService');
+const quizService = require('./quizService');
+
+// Pre-assessments are a check, not practice, so one attempt unless set otherwise
+const DEFAULT_MAX_ATTEMPTS = 1;
+
+/**
+ * Error raised for pre-assessment requests that cannot be carried out
+ * @param {string} message - Error message
+ * @param {string} code - Machine readable error code
+ */
+class AdaptiveLearningError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'AdaptiveLearningError';
+    this.code = code;
+  }
+}
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Set up or update a module's pre-assessment
+ * @param {Object} course - Course document
+ * @param {Object} module - Module document
+ * @param {Object} data - skills, masteryScore and quiz (pools and/or inline questions,
+ *   timeLimit, maxAttempts, showFeedback, randomizeQuestions, shuffleOptions)
+ * @param {string} userId - Editing user
+ * @returns {Object} - Module document
+ */
+const setPreAssessment = async (course, module, data, userId) => {
+  const current = module.preAssessment && module.preAssessment.quiz ? module.preAssessment : null;
+  const skills = (data.skills || (current && current.skills) || []).map(toId);
+  const taught = new Set((course.skillsTaught || []).map(toId));
+
+  if (skills.length === 0) {
+    throw new AdaptiveLearningError('Choose the skills the pre-assessment covers', 'INVALID_REQUEST');
+  }
+
+  if (skills.some(skill => !taught.has(skill))) {
+    throw new AdaptiveLearningError('Pre-assessment skills must be skills the course teaches', 'INVALID_REQUEST');
+  }
+
+  const masteryScore = data.masteryScore ?? (current ? current.masteryScore : 80);
+
+  if (typeof masteryScore !== 'number' || masteryScore < 0 || masteryScore > 100) {
+    throw new AdaptiveLearningError('Mastery score must be a percentage between 0 and 100', 'INVALID_REQUEST');
+  }
+
+  const quizData = data.quiz || {};
+  const hasQuestions = Boolean(quizData.pools || quizData.questions);
+
+  if (!current && !hasQuestions) {
+    throw new AdaptiveLearningError('A pre-assessment needs questions', 'INVALID_REQUEST');
+  }
+
+  // The quiz's passing score is the mastery score, so a passed attempt is a test-out
+  const quizFields = {
+    title: `${module.title} pre-assessment`,
+    passingScore: masteryScore,
+    timeLimit: quizData.timeLimit,
+    maxAttempts: quizData.maxAttempts,
+    retakeCooldown: quizData.retakeCooldown,
+    showFeedback: quizData.showFeedback,
+    randomizeQuestions: quizData.randomizeQuestions,
+    shuffleOptions: quizData.shuffleOptions
+  };
+  Object.keys(quizFields).forEach(key => quizFields[key] === undefined && delete quizFields[key]);
+
+  if (hasQuestions) {
+    quizFields.pools = await quizService.buildPools(quizData, { courseId: course._id, userId });
+  }
+
+  let quiz = current && await Quiz.findById(current.quiz);
+
+  if (quiz) {
+    quiz.set(quizFields);
+    await quiz.save();
+  } else {
+    quiz = await Quiz.create({
+      maxAttempts: DEFAULT_MAX_ATTEMPTS,
+      scorePolicy: 'Best',
+      ...quizFields,
+      course: course._id,
+      module: module._id,
+      createdBy: userId
+    });
+  }
+
+  module.preAssessment = { quiz: quiz._id, skills, masteryScore };
+  await module.save();
+
+  await courseVersionService.markDraftChanged(course._id);
+
+  return module;
+};
+
+/**
+ * Remove a module's pre-assessment. The quiz stays for the attempts made on it
+ * @param {Object} course - Course document
+ * @param {Object} module - Module document
+ * @returns {Object} - Module document
+ */
+const removePreAssessment = async (course, module) => {
+  module.preAssessment = undefined;
+  await module.save();
+
+  await courseVersionService.markDraftChanged(course._id);
+
+  return module;
+};
+
+/**
+ * Find a module's pre-assessment in the version an enrollment is taking
+ * @param {Object} enrollment - Enrollment document
+ * @param {string} moduleId - Module ID
+ * @returns {Object} - { version, module, preAssessment }
+ */
+const getVersionPreAssessment = async (enrollment, moduleId) => {
+  const version = await courseVersionService.getEnrollmentVersion(enrollment);
+  const module = version && courseVersionService.findVersionModule(version, moduleId);
+
+  if (!module) {
+    throw new AdaptiveLearningError('Module not found', 'NOT_FOUND');
+  }
+
+  if (!version.adaptiveLearning || !module.preAssessment || !module.preAssessment.quizData) {
+    throw new AdaptiveLearningError('This module has no pre-assessment', 'NOT_AVAILABLE');
+  }
+
+  return { version, module, preAssessment: module.preAssessment };
+};
+
+// Where the learner stands on a module: tested out, completed, or neither
+const getModuleState = (enrollment, moduleId) => ({
+  testedOut: (enrollment.testedOutModules || []).find(item => toId(item.module) === moduleId.toString()) || null,
+  completed: enrollment.completedModules.some(item => toId(item.module) === moduleId.toString())
+});
+
+/**
+ * Get a module's pre-assessment as the learner sees it
+ * @param {Object} enrollment - Enrollment document
+ * @param {string} moduleId - Module ID
+ * @returns {Object}
+ */
+const getPreAssessment = async (enrollment, moduleId) => {
+  const { preAssessment } = await getVersionPreAssessment(enrollment, moduleId);
+  const { testedOut, completed } = getModuleState(enrollment, moduleId);
+  const attemptState = await quizService.getAttemptState(preAssessment.quizData, enrollment.user);
+
+  return {
+    ...courseVersionService.toLearnerPreAssessment(preAssessment),
+    testedOut: Boolean(testedOut),
+    testedOutOn: testedOut ? testedOut.testedOutOn : null,
+    score: testedOut ? testedOut.score : null,
+    moduleCompleted: completed,
+    attemptsRemaining: attemptState.attemptsRemaining,
+    nextAttemptAt: attemptState.nextAttemptAt
+  };
+};
+
+/**
+ * Start a pre-assessment attempt, or resume the learner's unfinished one
+ * @param {Object} enrollment - Enrollment document
+ * @param {string} moduleId - Module ID
+ * @returns {Object} - { attempt, quiz }
+ */
+const startPreAssessment = async (enrollment, moduleId) => {
+  const { preAssessment } = await getVersionPreAssessment(enrollment, moduleId);
+  const { testedOut, completed } = getModuleState(enrollment, moduleId);
+
+  if (testedOut) {
+    throw new AdaptiveLearningError('You have already tested out of this module', 'ALREADY_TESTED_OUT');
+  }
+
+  if (completed) {
+    throw new AdaptiveLearningError('You have already completed this module', 'ALREADY_COMPLETED');
+  }
+
+  const attempt = await quizService.startAttempt({
+    quiz: preAssessment.quizData,
+    userId: enrollment.user,
+    courseId: enrollment.course,
+    moduleId,
+    preAssessment: true
+  });
+
+  return { attempt, quiz: preAssessment.quizData };
+};
+
+/**
+ * Submit a pre-assessment attempt; reaching mastery tests the learner out
+ * of the module (recorded by the quiz service when the attempt is graded)
+ * @param {Object} enrollment - Enrollment document
+ * @param {string} moduleId - Module ID
+ * @param {Object} submission - attemptId and answers
+ * @returns {Object} - { attempt, quiz }
+ */
+const submitPreAssessment = async (enrollment, moduleId, { attemptId, answers }) => {
+  const { preAssessment } = await getVersionPreAssessment(enrollment, moduleId);
+  const quiz = preAssessment.quizData;
+
+  // An attempt the server already closed at its deadline returns the stored result
+  const openAttempt = await QuizAttempt.findOne(attemptId
+    ? { _id: attemptId, user: enrollment.user, quiz: quiz._id, preAssessment: true }
+    : { user: enrollment.user, quiz: quiz._id, preAssessment: true, status: 'In Progress' });
+
+  if (!openAttempt || (openAttempt.status !== 'In Progress' && !openAttempt.autoSubmitted)) {
+    throw new AdaptiveLearningError('No pre-assessment in progress, start it first', 'NO_ATTEMPT');
+  }
+
+  const attempt = openAttempt.status === 'In Progress'
+    ? await quizService.submitAttempt(openAttempt, answers)
+    : openAttempt;
+
+  return { attempt, quiz };
+};
+
+module.exports = {
+  AdaptiveLearningError,
+  setPreAssessment,
+  removePreAssessment,
+  getPreAssessment,
+  startPreAssessment,
+  submitPreAssessment
+};
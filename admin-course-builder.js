@@ -78,7 +78,9 @@ const AdminCourseBuilder = () => {
     requiredForDepartments: [],
     completionCriteria: 'All Modules',
     minimumScore: 70,
+    completionPoints: 100,
     certificateTemplate: 'default',
+    recertification: { intervalMonths: null, renewalWindowDays: 30 },
     creator: null
   });
   
@@ -128,7 +130,9 @@ const AdminCourseBuilder = () => {
         requiredForDepartments: course.requiredForDepartments || [],
         completionCriteria: course.completionCriteria || 'All Modules',
         minimumScore: course.minimumScore || 70,
+        completionPoints: course.completionPoints ?? 100,
         certificateTemplate: course.certificateTemplate || 'default',
+        recertification: course.recertification || { intervalMonths: null, renewalWindowDays: 30 },
         creator: course.creator || user?.id
       });
       
@@ -9,10 +9,44 @@ const Skill = require('../models/Skill');
 const CareerPath = require('../models/CareerPath');
 const User = require('../models/User');
 const Badge = require('../models/Badge');
+const policyService = require('../services/policyService');
+const complianceService = require('../services/complianceService');
 const { Parser } = require('json2csv');
 const fs = require('fs');
 const path = require('path');
 
+// Get the user IDs a requester may see analytics for, or null for org-wide access
+const getVisibleUserIds = (req) => {
+  if (policyService.getScope(req.user, 'analytics:view') === 'any') {
+    return null;
+  }
+  
+  return [...(req.user.teamMemberIds || []), req.user.id];
+};
+
+// Get the departments of a set of users, or null for org-wide access
+// Department-level aggregates are limited to departments the manager's reports belong to
+const getVisibleDepartments = async (userIds) => {
+  if (!userIds) return null;
+  
+  const departments = await User.distinct('department', { _id: { $in: userIds } });
+  return departments.filter(Boolean);
+};
+
+// Restrict a department query field to the visible departments
+const applyDepartmentScope = (query, field, department, visibleDepartments) => {
+  if (!visibleDepartments) {
+    if (department && department !== 'all') {
+      query[field] = department;
+    }
+    return;
+  }
+  
+  query[field] = department && department !== 'all'
+    ? (visibleDepartments.includes(department) ? department : { $in: [] })
+    : { $in: visibleDepartments };
+};
+
 // @desc    Get learning effectiveness data
 // @route   GET /api/analytics/effectiveness
 // @access  Private/Admin/Manager
@@ -22,9 +56,8 @@ const getLearningEffectiveness = asyncHandler(async (req, res) => {
   // Build query object
   const query = {};
   
-  if (department && department !== 'all') {
-    query.department = department;
-  }
+  const visibleDepartments = await getVisibleDepartments(getVisibleUserIds(req));
+  applyDepartmentScope(query, 'department', department, visibleDepartments);
   
   // Filter by date range
   if (startDate && endDate) {
@@ -122,6 +155,12 @@ const getSkillGapAnalysis = asyncHandler(async (req, res) => {
     employeeFilter.department = department;
   }
   
+  // Managers only see their direct and indirect reports
+  const visibleUserIds = getVisibleUserIds(req);
+  if (visibleUserIds) {
+    employeeFilter._id = { $in: visibleUserIds };
+  }
+  
   // Get employees
   const employees = await User.find(employeeFilter).select('_id name department role');
   
@@ -256,10 +295,14 @@ const getDepartmentCompliance = asyncHandler(async (req, res) => {
     query.name = department;
   }
   
-  // Get compliance data
-  const complianceData = await DepartmentCompliance.find(query)
-    .populate('courses.course', 'title category')
-    .sort({ complianceRate: 1 });
+  // Managers get compliance computed from their own reports' enrollments
+  const visibleUserIds = getVisibleUserIds(req);
+  
+  const complianceData = visibleUserIds
+    ? await complianceService.buildCompliance(visibleUserIds, department)
+    : await DepartmentCompliance.find(query)
+      .populate('courses.course', 'title category')
+      .sort({ complianceRate: 1 });
   
   // Format data for frontend
   const formattedData = {
@@ -272,6 +315,7 @@ const getDepartmentCompliance = asyncHandler(async (req, res) => {
         id: course.course ? course.course._id : 'unknown',
         title: course.course ? course.course.title : 'Unknown Course',
         complianceRate: course.complianceRate,
+        expiredCount: course.expiredCount || 0,
         dueDate: course.dueDate
       }))
     }))
@@ -304,10 +348,27 @@ const getCareerPathPredictions = asyncHandler(async (req, res) => {
   
   if (userId) {
     // Individual career path analysis
+    const targetUser = await User.findById(userId).select('department');
+    
+    if (!targetUser || !policyService.can(req.user, 'analytics:view', targetUser)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this user\'s data'
+      });
+    }
+    
     query.employee = userId;
-  } else if (department && department !== 'all') {
-    // Department-level analysis
-    query.department = department;
+  } else {
+    if (department && department !== 'all') {
+      // Department-level analysis
+      query.department = department;
+    }
+    
+    // Managers only see their direct and indirect reports
+    const visibleUserIds = getVisibleUserIds(req);
+    if (visibleUserIds) {
+      query.employee = { $in: visibleUserIds };
+    }
   }
   
   // Get career paths
@@ -412,12 +473,15 @@ const getMostCommonNextRole = (data) => {
 const getUserLearningMetrics = asyncHandler(async (req, res) => {
   const userId = req.params.userId;
   
-  // Check if user has permission (admin, manager, or self)
-  if (
-    req.user.role !== 'admin' &&
-    req.user.role !== 'manager' &&
-    req.user.id !== userId
-  ) {
+  const targetUser = await User.findById(userId).select('department');
+  
+  if (!targetUser) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+  
+  // Managers see their department, everyone else only themselves
+  if (!policyService.can(req.user, 'analytics:view', targetUser)) {
     return res.status(403).json({
       success: false,
       error: 'Not authorized to access this user\'s data'
@@ -806,6 +870,9 @@ const exportAnalyticsReport = asyncHandler(async (req, res) => {
   const { reportType } = req.params;
   const { format = 'csv', department } = req.query;
   
+  // Managers only export data about their direct and indirect reports
+  const visibleUserIds = getVisibleUserIds(req);
+  
   // Prepare report data based on type
   let reportData = [];
   let fields = [];
@@ -813,19 +880,19 @@ const exportAnalyticsReport = asyncHandler(async (req, res) => {
   
   switch (reportType) {
     case 'effectiveness':
-      reportData = await prepareEffectivenessReport(department);
+      reportData = await prepareEffectivenessReport(department, visibleUserIds);
       fields = ['date', 'department', 'effectivenessScore', 'engagementScore', 'totalCompletions'];
       filename = 'learning_effectiveness_report';
       break;
       
     case 'compliance':
-      reportData = await prepareComplianceReport(department);
+      reportData = await prepareComplianceReport(department, visibleUserIds);
       fields = ['department', 'complianceRate', 'employeeCount', 'requiredCourseCount'];
       filename = 'compliance_report';
       break;
       
     case 'course-completion':
-      reportData = await prepareCourseCompletionReport(req.query.courseId);
+      reportData = await prepareCourseCompletionReport(req.query.courseId, visibleUserIds);
       fields = ['userName', 'department', 'role', 'status', 'progressPercentage', 'enrollmentDate', 'completionDate'];
       filename = 'course_completion_report';
       break;
@@ -864,13 +931,12 @@ const exportAnalyticsReport = asyncHandler(async (req, res) => {
 });
 
 // Helper function to prepare effectiveness report data
-const prepareEffectivenessReport = async (department) => {
+const prepareEffectivenessReport = async (department, visibleUserIds = null) => {
   // Build query object
   const query = {};
   
-  if (department && department !== 'all') {
-    query.department = department;
-  }
+  const visibleDepartments = await getVisibleDepartments(visibleUserIds);
+  applyDepartmentScope(query, 'department', department, visibleDepartments);
   
   // Get learning effectiveness data
   const effectivenessData = await LearningEffectiveness.find(query)
@@ -890,7 +956,7 @@ const prepareEffectivenessReport = async (department) => {
 };
 
 // Helper function to prepare compliance report data
-const prepareComplianceReport = async (department) => {
+const prepareComplianceReport = async (department, visibleUserIds = null) => {
   // Build query object
   const query = {};
   
@@ -899,9 +965,11 @@ const prepareComplianceReport = async (department) => {
   }
   
   // Get compliance data
-  const complianceData = await DepartmentCompliance.find(query)
-    .populate('courses.course', 'title category')
-    .sort({ name: 1 });
+  const complianceData = visibleUserIds
+    ? await complianceService.buildCompliance(visibleUserIds, department)
+    : await DepartmentCompliance.find(query)
+      .populate('courses.course', 'title category')
+      .sort({ name: 1 });
   
   // Format data for report
   let reportData = [];
@@ -922,6 +990,7 @@ const prepareComplianceReport = async (department) => {
         course: course.course ? course.course.title : 'Unknown Course',
         courseCategory: course.course ? course.course.category : 'Unknown',
         courseComplianceRate: course.complianceRate,
+        expiredCertifications: course.expiredCount || 0,
         dueDate: course.dueDate ? course.dueDate.toISOString().split('T')[0] : 'Not set'
       });
     });
@@ -931,7 +1000,7 @@ const prepareComplianceReport = async (department) => {
 };
 
 // Helper function to prepare course completion report data
-const prepareCourseCompletionReport = async (courseId) => {
+const prepareCourseCompletionReport = async (courseId, visibleUserIds = null) => {
   if (!courseId) {
     return [];
   }
@@ -944,7 +1013,13 @@ const prepareCourseCompletionReport = async (courseId) => {
   }
   
   // Get all enrollments for this course
-  const enrollments = await Enrollment.find({ course: courseId })
+  const enrollmentQuery = { course: courseId };
+  
+  if (visibleUserIds) {
+    enrollmentQuery.user = { $in: visibleUserIds };
+  }
+  
+  const enrollments = await Enrollment.find(enrollmentQuery)
     .populate('user', 'name department role')
     .sort({ updatedAt: -1 });
   
@@ -10,27 +10,28 @@ const {
   getOverallAnalytics,
   exportAnalyticsReport
 } = require('../controllers/analyticsController');
-const { protect, authorize } = require('../config/middleware');
+const { protect, requirePermission, loadTeamScope } = require('../config/middleware');
 
-// All analytics routes are protected
+// All analytics routes are protected and limited to the manager's reports
 router.use(protect);
+router.use(loadTeamScope);
 
 // User-level analytics
-router.get('/user/:userId', authorize(['admin', 'manager', 'self']), getUserLearningMetrics);
+router.get('/user/:userId', requirePermission('analytics:view'), getUserLearningMetrics);
 
 // Course analytics
-router.get('/courses/:courseId', authorize(['admin', 'instructor']), getCourseCompletionStats);
+router.get('/courses/:courseId', requirePermission('course:report'), getCourseCompletionStats);
 
-// Department-level analytics
-router.get('/effectiveness', authorize(['admin', 'manager']), getLearningEffectiveness);
-router.get('/skill-gap', authorize(['admin', 'manager']), getSkillGapAnalysis);
-router.get('/compliance', authorize(['admin', 'manager']), getDepartmentCompliance);
-router.get('/career-path', authorize(['admin', 'manager']), getCareerPathPredictions);
+// Team and department-level analytics
+router.get('/effectiveness', requirePermission('analytics:view', 'team'), getLearningEffectiveness);
+router.get('/skill-gap', requirePermission('analytics:view', 'team'), getSkillGapAnalysis);
+router.get('/compliance', requirePermission('analytics:view', 'team'), getDepartmentCompliance);
+router.get('/career-path', requirePermission('analytics:view', 'team'), getCareerPathPredictions);
 
 // Organization-level analytics
-router.get('/overall', authorize(['admin']), getOverallAnalytics);
+router.get('/overall', requirePermission('analytics:viewOrganization'), getOverallAnalytics);
 
 // Export functionality
-router.get('/export/:reportType', authorize(['admin', 'manager']), exportAnalyticsReport);
+router.get('/export/:reportType', requirePermission('report:export', 'team'), exportAnalyticsReport);
 
 module.exports = router;
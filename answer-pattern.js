@@ -0,0 +1,130 @@
+/**
+ * Answer patterns
+ * Checks the regex answers instructors write for Short Answer and Fill in
+ * the Blank questions, and matches learner responses against them. Patterns
+ * that can backtrack catastrophically are refused when the question is
+ * saved, and matching runs under a time limit in case one slips through
+ */
+const vm = require('vm');
+
+// Longest a single match may run before the response is marked wrong
+const MATCH_TIMEOUT_MS = 50;
+
+const matchScript = new vm.Script('pattern.test(response)');
+
+/**
+ * Read the quantifier starting at a position, if any
+ * @param {string} source - Pattern
+ * @param {number} index - Position after an atom
+ * @returns {Object|null} - length, repeats (whether it can match more than
+ *   once) and variable (whether how often it matches can vary)
+ */
+const readQuantifier = (source, index) => {
+  const char = source[index];
+
+  if (char === '*' || char === '+') return { length: 1, repeats: true, variable: true };
+  if (char === '?') return { length: 1, repeats: false, variable: true };
+
+  const braces = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+  if (!braces) return null;
+
+  const min = Number(braces[1]);
+  const max = braces[2] === undefined ? min : (braces[3] === '' ? Infinity : Number(braces[3]));
+
+  return { length: braces[0].length, repeats: max > 1, variable: max !== min };
+};
+
+/**
+ * Check that a pattern compiles and cannot backtrack catastrophically: no
+ * backreferences, and no repeated group that itself holds a quantifier or
+ * alternatives, such as (a+)+ or (a|ab)*
+ * @param {string} source - Pattern
+ * @returns {string|null} - Why the pattern is refused, or null when it is safe
+ */
+const checkPattern = (source) => {
+  try {
+    new RegExp(source);
+  } catch (error) {
+    return error.message;
+  }
+
+  // Each open group records whether it holds a quantifier or alternatives
+  const groups = [{ quantified: false, alternates: false }];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+    const group = groups[groups.length - 1];
+    let atomEnd = index + 1;
+    let closed = null;
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(source[index + 1])) {
+        return 'Backreferences are not allowed';
+      }
+      atomEnd = index + 2;
+    } else if (char === '[') {
+      atomEnd = index + 1;
+      while (atomEnd < source.length && source[atomEnd] !== ']') {
+        atomEnd += source[atomEnd] === '\\' ? 2 : 1;
+      }
+      atomEnd++;
+    } else if (char === '(') {
+      // Skip the group's prefix: (, (?:, (?=, (?!, (?<=, (?<! or (?<name>
+      const prefix = /^\((\?(<[A-Za-z_$][\w$]*>|<=|<!|[:=!]))?/.exec(source.slice(index));
+      groups.push({ quantified: false, alternates: false });
+      index += prefix[0].length;
+      continue;
+    } else if (char === ')') {
+      closed = groups.pop();
+    } else if (char === '|') {
+      group.alternates = true;
+      index++;
+      continue;
+    }
+
+    const quantifier = readQuantifier(source, atomEnd);
+    const parent = groups[groups.length - 1];
+
+    if (quantifier) {
+      if (closed && quantifier.repeats && (closed.quantified || closed.alternates)) {
+        return 'Repeated groups cannot contain quantifiers or alternatives, e.g. (a+)+';
+      }
+      parent.quantified = parent.quantified || quantifier.variable;
+      atomEnd += quantifier.length;
+      if (source[atomEnd] === '?') atomEnd++;
+    }
+
+    if (closed && closed.quantified) {
+      parent.quantified = true;
+    }
+
+    index = atomEnd;
+  }
+
+  return null;
+};
+
+/**
+ * Match a whole response against a pattern, under a time limit
+ * @param {string} source - Pattern
+ * @param {string} response - Learner's response
+ * @param {boolean} caseSensitive - Whether case must match
+ * @returns {boolean} - Whether it matched; false for patterns that fail or time out
+ */
+const matchesPattern = (source, response, caseSensitive) => {
+  try {
+    const pattern = new RegExp(`^(?:${source})$`, caseSensitive ? '' : 'i');
+    return matchScript.runInNewContext({ pattern, response }, { timeout: MATCH_TIMEOUT_MS }) === true;
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      console.warn(`Answer pattern /${source}/ timed out and was treated as not matching`);
+    }
+    return false;
+  }
+};
+
+module.exports = {
+  checkPattern,
+  matchesPattern
+};
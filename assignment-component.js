@@ -23,7 +23,13 @@ import {
   DialogActions,
   IconButton,
   Tooltip,
-  Stack
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
 } from '@mui/material';
 import {
   CloudUpload,
@@ -142,6 +148,18 @@ const AssignmentComponent = ({
   const daysUntilDeadline = calculateDaysUntilDeadline();
   const isDeadlinePassed = daysUntilDeadline !== null && daysUntilDeadline < 0;
   
+  // Late policy: submissions past the deadline and grace period may be blocked
+  const latePolicy = assignmentData?.latePolicy || {};
+  const isSubmissionClosed = latePolicy.mode === 'Block' && !!assignmentData?.deadline &&
+    Date.now() > new Date(assignmentData.deadline).getTime() + (latePolicy.gracePeriodMinutes || 0) * 60000;
+  
+  // A rejected submission can be revised; a graded one only while attempts remain
+  const canSubmit = !submissionData ||
+    submissionData.status === 'Rejected' ||
+    (submissionData.status === 'Graded' &&
+      !!assignmentData?.allowResubmission &&
+      (submissionData.attempt || 1) < (assignmentData.maxAttempts || 3));
+  
   // Handle submission type change
   const handleSubmissionTypeChange = (type) => {
     setSubmissionType(type);
@@ -310,7 +328,7 @@ const AssignmentComponent = ({
     return (
       <Box sx={{ mt: 3 }}>
         {/* Submission Type Selection */}
-        {(!submissionData || submissionData.status === 'Rejected') && (
+        {canSubmit && (
           <Box sx={{ mb: 3 }}>
             <Typography variant="subtitle1" gutterBottom>
               Submission Type
@@ -358,7 +376,7 @@ const AssignmentComponent = ({
                   onChange={setTextSubmission}
                   placeholder="Enter your submission here..."
                   style={{ height: 200 }}
-                  readOnly={!!submissionData && submissionData.status !== 'Rejected'}
+                  readOnly={!canSubmit}
                 />
               </Box>
             </Box>
@@ -369,7 +387,7 @@ const AssignmentComponent = ({
               <Typography variant="subtitle1" gutterBottom>
                 File Upload
               </Typography>
-              {(!fileSubmission || (submissionData && submissionData.status === 'Rejected')) ? (
+              {(!fileSubmission || (submissionData && canSubmit)) ? (
                 <Box 
                   {...getRootProps()} 
                   sx={{ 
@@ -416,7 +434,7 @@ const AssignmentComponent = ({
                         {fileSubmission.name}
                       </Typography>
                     </Box>
-                    {(!submissionData || submissionData.status === 'Rejected') && (
+                    {canSubmit && (
                       <IconButton onClick={handleRemoveFile} size="small">
                         <Delete />
                       </IconButton>
@@ -439,7 +457,7 @@ const AssignmentComponent = ({
                 onChange={(e) => setLinkSubmission(e.target.value)}
                 placeholder="https://example.com"
                 variant="outlined"
-                disabled={!!submissionData && submissionData.status !== 'Rejected'}
+                disabled={!canSubmit}
                 helperText="Include the full URL including http:// or https://"
                 error={error?.includes('URL')}
               />
@@ -448,7 +466,7 @@ const AssignmentComponent = ({
         </Box>
         
         {/* Submit Button & Messages */}
-        {(!submissionData || submissionData.status === 'Rejected') && (
+        {canSubmit && (
           <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
             <Box>
               {error && (
@@ -464,8 +482,12 @@ const AssignmentComponent = ({
               )}
               
               {isDeadlinePassed && (
-                <Alert severity="warning" sx={{ mb: 2 }}>
-                  The deadline for this assignment has passed. Your submission may be marked as late.
+                <Alert severity={isSubmissionClosed ? 'error' : 'warning'} sx={{ mb: 2 }}>
+                  {isSubmissionClosed
+                    ? 'The deadline for this assignment has passed and late submissions are not accepted.'
+                    : latePolicy.mode === 'Penalty'
+                      ? `The deadline for this assignment has passed. Late submissions lose ${latePolicy.penaltyPerDay ?? 10}% per day late (up to ${latePolicy.maxPenalty ?? 100}%).`
+                      : 'The deadline for this assignment has passed. Your submission may be marked as late.'}
                 </Alert>
               )}
             </Box>
@@ -474,7 +496,7 @@ const AssignmentComponent = ({
               variant="contained"
               color="primary"
               onClick={handleConfirmSubmission}
-              disabled={loading || (submissionData && submissionData.status !== 'Rejected')}
+              disabled={loading || !canSubmit || isSubmissionClosed}
               startIcon={loading ? <CircularProgress size={20} /> : <Send />}
             >
               {loading ? 'Submitting...' : 'Submit Assignment'}
@@ -489,7 +511,7 @@ const AssignmentComponent = ({
   const renderSubmissionDetails = () => {
     if (!submissionData) return null;
     
-    const { status, submittedOn, submissionText, submissionFileUrl, submissionLink, score, feedback } = submissionData;
+    const { status, submittedOn, submissionText, submissionFileUrl, submissionLink, score, feedback, criteria, latePenalty } = submissionData;
     
     return (
       <Card variant="outlined" sx={{ mt: 3 }}>
@@ -599,6 +621,49 @@ const AssignmentComponent = ({
                 {score} / {assignmentData?.maxScore || 100}
               </Typography>
               
+              {latePenalty > 0 && (
+                <Typography variant="body2" color="error">
+                  Includes a late penalty of {latePenalty}%
+                </Typography>
+              )}
+              
+              {criteria && criteria.length > 0 && (
+                <Box sx={{ mt: 2 }}>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Rubric Breakdown:
+                  </Typography>
+                  <TableContainer component={Paper} variant="outlined">
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Criterion</TableCell>
+                          <TableCell>Level</TableCell>
+                          <TableCell align="right">Points</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {criteria.map((item, index) => (
+                          <TableRow key={index}>
+                            <TableCell>
+                              <Typography variant="body2">{item.title}</Typography>
+                              {item.comment && (
+                                <Typography variant="caption" color="text.secondary">
+                                  {item.comment}
+                                </Typography>
+                              )}
+                            </TableCell>
+                            <TableCell>{item.levelLabel}</TableCell>
+                            <TableCell align="right">
+                              {item.points} / {item.maxPoints}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                </Box>
+              )}
+              
               {feedback && (
                 <Box sx={{ mt: 2 }}>
                   <Typography variant="subtitle2" gutterBottom>
@@ -615,6 +680,11 @@ const AssignmentComponent = ({
           {status === 'Rejected' && (
             <Alert severity="error" sx={{ mt: 2 }}>
               Your submission was rejected. Please review the feedback and resubmit.
+              {feedback && (
+                <Typography variant="body2" sx={{ mt: 1 }}>
+                  {feedback}
+                </Typography>
+              )}
             </Alert>
           )}
         </CardContent>
@@ -747,6 +817,45 @@ const AssignmentComponent = ({
               }}
               dangerouslySetInnerHTML={{ __html: sanitizedInstructions }}
             />
+            
+            {/* Grading Rubric */}
+            {assignmentData?.rubric?.criteria?.length > 0 && (
+              <Box sx={{ mt: 3 }}>
+                <Typography variant="subtitle2" gutterBottom>
+                  Grading Rubric
+                </Typography>
+                <TableContainer component={Paper} variant="outlined">
+                  <Table size="small">
+                    <TableBody>
+                      {assignmentData.rubric.criteria.map((criterion, index) => (
+                        <TableRow key={criterion._id || index}>
+                          <TableCell sx={{ width: '35%' }}>
+                            <Typography variant="body2">{criterion.title}</Typography>
+                            {criterion.description && (
+                              <Typography variant="caption" color="text.secondary">
+                                {criterion.description}
+                              </Typography>
+                            )}
+                          </TableCell>
+                          <TableCell>
+                            <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
+                              {criterion.levels.map((level, levelIndex) => (
+                                <Chip
+                                  key={level._id || levelIndex}
+                                  label={`${level.label} (${level.points})`}
+                                  size="small"
+                                  variant="outlined"
+                                />
+                              ))}
+                            </Stack>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </Box>
+            )}
           </AccordionDetails>
         </Accordion>
         
@@ -784,7 +893,26 @@ AssignmentComponent.propTypes = {
     instructions: PropTypes.string,
     deadline: PropTypes.string,
     maxScore: PropTypes.number,
-    submissionType: PropTypes.oneOf(['Text', 'File', 'Link'])
+    submissionType: PropTypes.oneOf(['Text', 'File', 'Link']),
+    allowResubmission: PropTypes.bool,
+    maxAttempts: PropTypes.number,
+    latePolicy: PropTypes.shape({
+      mode: PropTypes.oneOf(['Accept', 'Block', 'Penalty']),
+      gracePeriodMinutes: PropTypes.number,
+      penaltyPerDay: PropTypes.number,
+      maxPenalty: PropTypes.number
+    }),
+    rubric: PropTypes.shape({
+      criteria: PropTypes.arrayOf(PropTypes.shape({
+        title: PropTypes.string,
+        description: PropTypes.string,
+        weight: PropTypes.number,
+        levels: PropTypes.arrayOf(PropTypes.shape({
+          label: PropTypes.string,
+          points: PropTypes.number
+        }))
+      }))
+    })
   }).isRequired,
   enrollmentId: PropTypes.string.isRequired,
   contentId: PropTypes.string.isRequired,
@@ -796,7 +924,18 @@ AssignmentComponent.propTypes = {
     submittedOn: PropTypes.string,
     status: PropTypes.oneOf(['Pending', 'Graded', 'Rejected']),
     score: PropTypes.number,
-    feedback: PropTypes.string
+    feedback: PropTypes.string,
+    passed: PropTypes.bool,
+    attempt: PropTypes.number,
+    isLate: PropTypes.bool,
+    latePenalty: PropTypes.number,
+    criteria: PropTypes.arrayOf(PropTypes.shape({
+      title: PropTypes.string,
+      levelLabel: PropTypes.string,
+      points: PropTypes.number,
+      maxPoints: PropTypes.number,
+      comment: PropTypes.string
+    }))
   }),
   onSubmit: PropTypes.func,
   onDownload: PropTypes.func,
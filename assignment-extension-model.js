@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A later deadline an instructor has granted one learner for an assignment
+const AssignmentExtensionSchema = new mongoose.Schema(
+  {
+    content: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Content',
+      required: true
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    deadline: {
+      type: Date,
+      required: [true, 'Please add the extended deadline']
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot be more than 500 characters']
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+AssignmentExtensionSchema.index({ content: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('AssignmentExtension', AssignmentExtensionSchema);
@@ -0,0 +1,774 @@
+/**
+ * Assignment service
+ * Stores learners' assignment submissions and grades them against the
+ * assignment's rubric, with an optional blind second grader and reconciliation
+ */
+const Content = require('../models/Content');
+const Enrollment = require('../models/Enrollment');
+const AssignmentSubmission = require('../models/AssignmentSubmission');
+const PeerReview = require('../models/PeerReview');
+const AssignmentExtension = require('../models/AssignmentExtension');
+const courseVersionService = require('./courseVersionService');
+const notificationService = require('./notificationService');
+
+const SUBMISSION_TYPES = ['Text', 'File', 'Link'];
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// The content editor offers a website URL rather than a link
+const SUBMISSION_TYPE_ALIASES = { url: 'Link' };
+
+class AssignmentError extends Error {
+  constructor(message, code = 'ASSIGNMENT_ERROR') {
+    super(message);
+    this.name = 'AssignmentError';
+    this.code = code;
+  }
+}
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const normalizeSubmissionType = (type) => {
+  const key = String(type || '').toLowerCase();
+  return SUBMISSION_TYPE_ALIASES[key] || SUBMISSION_TYPES.find(item => item.toLowerCase() === key);
+};
+
+/**
+ * Convert assignment settings from the content editor to the Content format
+ * @param {Object} data - Editor assignment (dueDate, totalPoints, lowercase type, client `id`s)
+ * @returns {Object} - Content assignment fields
+ */
+const fromEditorAssignment = (data) => {
+  const { dueDate, totalPoints, rubric, ...fields } = data;
+  const stripClientId = ({ id, ...rest }) => rest;
+
+  return {
+    ...fields,
+    deadline: dueDate || fields.deadline,
+    maxScore: Number(totalPoints) || fields.maxScore,
+    submissionType: normalizeSubmissionType(fields.submissionType) || fields.submissionType,
+    rubric: {
+      criteria: ((rubric && rubric.criteria) || []).map(criterion => ({
+        ...stripClientId(criterion),
+        levels: (criterion.levels || []).map(stripClientId)
+      }))
+    }
+  };
+};
+
+/**
+ * Get the Assignment content a learner works against: the version their
+ * enrollment is pinned to, or the draft for courses that were never published
+ * @param {Object} enrollment - Learner's enrollment (or null for graders)
+ * @param {string} moduleId - Module ID
+ * @param {string} contentId - Content ID
+ * @returns {Object|null} - Content with its assignment settings
+ */
+const getAssignmentContent = async (enrollment, moduleId, contentId) => {
+  const version = enrollment && await courseVersionService.getEnrollmentVersion(enrollment);
+  const content = version && courseVersionService.findVersionContent(version, moduleId, contentId);
+
+  if (content && content.contentType === 'Assignment' && content.assignment) {
+    return content;
+  }
+
+  return Content.findOne({
+    _id: contentId,
+    module: moduleId,
+    contentType: 'Assignment'
+  }).lean();
+};
+
+/**
+ * Get the Assignment content a submission is graded against
+ * @param {Object} submission - AssignmentSubmission
+ * @returns {Object|null} - Content with its assignment settings
+ */
+const getSubmissionContent = async (submission) => {
+  const enrollment = await Enrollment.findOne({ user: submission.user, course: submission.course });
+  return getAssignmentContent(enrollment, submission.module, submission.content);
+};
+
+/**
+ * Whether an assignment's submissions are also reviewed by peers
+ * @param {Object} content - Assignment content
+ * @returns {boolean}
+ */
+const isPeerReviewed = (content) => Boolean(
+  content.assignment.peerReview && content.assignment.peerReview.enabled
+);
+
+/**
+ * Copy a submission's state onto the learner's enrollment, where course
+ * progress and the learner dashboard read it
+ * @param {Object} submission - AssignmentSubmission
+ */
+const syncEnrollment = async (submission) => {
+  // Regrading an earlier version leaves the latest one on the enrollment
+  const newer = await AssignmentSubmission.exists({
+    content: submission.content,
+    user: submission.user,
+    version: { $gt: submission.version }
+  });
+
+  if (newer) return;
+
+  const enrollment = await Enrollment.findOne({ user: submission.user, course: submission.course });
+
+  if (!enrollment) return;
+
+  const graded = submission.status === 'Graded';
+  const summary = {
+    submission: submission._id,
+    submissionText: submission.submissionText,
+    submissionFileUrl: submission.submissionFileUrl,
+    submissionLink: submission.submissionLink,
+    submittedOn: submission.submittedOn,
+    attempt: submission.version,
+    isLate: submission.isLate,
+    latePenalty: submission.latePenalty,
+    score: graded ? submission.score : undefined,
+    feedback: graded || submission.status === 'Rejected' ? submission.feedback : undefined,
+    passed: graded ? submission.passed : undefined,
+    criteria: graded
+      ? submission.criteria.map(({ title, levelLabel, points, maxPoints, comment }) => ({
+        title, levelLabel, points, maxPoints, comment
+      }))
+      : [],
+    // Reconciliation is internal to grading
+    status: submission.status === 'Needs Reconciliation' ? 'Pending' : submission.status
+  };
+
+  const entry = enrollment.completedContent
+    .find(item => toId(item.content) === toId(submission.content));
+
+  if (entry) {
+    entry.assignmentSubmission = summary;
+  } else {
+    enrollment.completedContent.push({
+      content: submission.content,
+      completedOn: Date.now(),
+      timeSpent: 0,
+      assignmentSubmission: summary
+    });
+  }
+
+  enrollment.lastAccessedOn = Date.now();
+  await enrollment.save();
+};
+
+/**
+ * Get the deadline that applies to a learner, including any extension
+ * @param {Object} content - Assignment content
+ * @param {string} userId - Learner's user ID
+ * @returns {Object} - { deadline, extension }
+ */
+const getLearnerDeadline = async (content, userId) => {
+  const extension = await AssignmentExtension.findOne({ content: content._id, user: userId }).lean();
+
+  return {
+    deadline: extension ? extension.deadline : content.assignment.deadline,
+    extension
+  };
+};
+
+/**
+ * Work out how late a submission is under the assignment's late policy
+ * Submissions within the grace period are on time
+ * @param {Object} assignment - Content assignment settings
+ * @param {Date} deadline - Deadline that applies to the learner
+ * @param {Date} submittedOn - Submission time
+ * @returns {Object} - { isLate, daysLate, latePenalty }
+ */
+const assessLateness = (assignment, deadline, submittedOn) => {
+  const policy = assignment.latePolicy || {};
+  const lateMs = deadline
+    ? submittedOn - new Date(deadline) - (policy.gracePeriodMinutes || 0) * MINUTE_MS
+    : 0;
+
+  if (lateMs <= 0) {
+    return { isLate: false, daysLate: 0, latePenalty: 0 };
+  }
+
+  const daysLate = Math.ceil(lateMs / DAY_MS);
+  const latePenalty = policy.mode === 'Penalty'
+    ? Math.min(policy.maxPenalty ?? 100, daysLate * (policy.penaltyPerDay ?? 10))
+    : 0;
+
+  return { isLate: true, daysLate, latePenalty };
+};
+
+/**
+ * Whether a learner may submit (again) given their submissions so far:
+ * - an ungraded submission can be replaced until peer review starts
+ * - a rejected one, or one from an earlier recertification cycle, can always
+ *   be resubmitted
+ * - a graded one only if resubmission is allowed and attempts remain
+ * @param {Array} history - Learner's submissions, newest first
+ * @param {Object} assignment - Content assignment settings
+ * @returns {boolean}
+ */
+const canResubmit = (history, assignment) => {
+  const [latest] = history;
+
+  if (!latest || latest.status === 'Rejected' || latest.status === 'Archived') return true;
+
+  if (latest.status === 'Pending') {
+    return latest.grades.length === 0 && !latest.peerReviewsAssignedOn;
+  }
+
+  if (latest.status === 'Graded') {
+    const attempts = history
+      .filter(submission => submission.status !== 'Superseded' && submission.status !== 'Archived')
+      .length;
+    return Boolean(assignment.allowResubmission) && attempts < (assignment.maxAttempts || 3);
+  }
+
+  return false;
+};
+
+/**
+ * Get a learner's submissions for an assignment, newest first
+ * @param {string} contentId - Assignment content ID
+ * @param {string} userId - Learner's user ID
+ * @returns {Array} - AssignmentSubmissions
+ */
+const getHistory = (contentId, userId) => (
+  AssignmentSubmission.find({ content: contentId, user: userId }).sort({ version: -1 })
+);
+
+/**
+ * Record a learner's submission as a new version
+ * An ungraded previous version is marked Superseded; graded ones stay as history
+ * @param {Object} params - Learner, course/module, Assignment content and what was submitted
+ * @returns {Object} - AssignmentSubmission
+ */
+const submit = async ({ userId, courseId, courseVersion, moduleId, content, data, files = [] }) => {
+  const { assignment } = content;
+  const submissionType = normalizeSubmissionType(data.submissionType) || assignment.submissionType;
+
+  if (assignment.submissionType && submissionType !== assignment.submissionType) {
+    throw new AssignmentError(
+      `Submission type must be ${assignment.submissionType}`,
+      'INVALID_SUBMISSION_TYPE'
+    );
+  }
+
+  if (!data.submissionText && !data.submissionFileUrl && !data.submissionLink && files.length === 0) {
+    throw new AssignmentError('Submission is required', 'SUBMISSION_REQUIRED');
+  }
+
+  const history = await getHistory(content._id, userId);
+  const [latest] = history;
+
+  if (!canResubmit(history, assignment)) {
+    throw latest.status === 'Graded'
+      ? new AssignmentError('No resubmissions are left for this assignment', 'RESUBMISSION_NOT_ALLOWED')
+      : new AssignmentError('This assignment has already been submitted for grading', 'ALREADY_SUBMITTED');
+  }
+
+  const submittedOn = new Date();
+  const { deadline } = await getLearnerDeadline(content, userId);
+  const lateness = assessLateness(assignment, deadline, submittedOn);
+
+  if (lateness.isLate && assignment.latePolicy && assignment.latePolicy.mode === 'Block') {
+    throw new AssignmentError('The deadline for this assignment has passed', 'DEADLINE_PASSED');
+  }
+
+  let submission;
+  try {
+    submission = await AssignmentSubmission.create({
+      user: userId,
+      course: courseId,
+      module: moduleId,
+      content: content._id,
+      courseVersion,
+      version: latest ? latest.version + 1 : 1,
+      submissionType,
+      submissionText: data.submissionText,
+      submissionFileUrl: data.submissionFileUrl,
+      submissionFileName: data.submissionFileName,
+      submissionLink: data.submissionLink,
+      files,
+      ...lateness,
+      submittedOn
+    });
+  } catch (error) {
+    // The unique version index rejects a concurrent submission
+    if (error.code === 11000) {
+      throw new AssignmentError('This assignment has already been submitted for grading', 'ALREADY_SUBMITTED');
+    }
+    throw error;
+  }
+
+  if (latest && latest.status === 'Pending') {
+    latest.status = 'Superseded';
+    await latest.save();
+  }
+
+  await syncEnrollment(submission);
+
+  return submission;
+};
+
+/**
+ * Give a learner a later deadline for an assignment
+ * Their ungraded submission is re-assessed against the new deadline
+ * @param {Object} params - Assignment content, course, learner, deadline, reason and grantor
+ * @returns {Object} - AssignmentExtension
+ */
+const grantExtension = async ({ content, courseId, userId, deadline, reason, grantedBy }) => {
+  const extendedDeadline = new Date(deadline);
+
+  if (Number.isNaN(extendedDeadline.getTime())) {
+    throw new AssignmentError('A valid deadline is required', 'INVALID_DEADLINE');
+  }
+
+  if (content.assignment.deadline && extendedDeadline <= new Date(content.assignment.deadline)) {
+    throw new AssignmentError('An extension must be later than the assignment deadline', 'INVALID_DEADLINE');
+  }
+
+  const extension = await AssignmentExtension.findOneAndUpdate(
+    { content: content._id, user: userId },
+    { course: courseId, deadline: extendedDeadline, reason, grantedBy },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  const [latest] = await getHistory(content._id, userId);
+
+  if (latest && latest.status === 'Pending' && latest.grades.length === 0) {
+    latest.set(assessLateness(content.assignment, extendedDeadline, latest.submittedOn));
+    await latest.save();
+    await syncEnrollment(latest);
+  }
+
+  await notificationService.sendNotification(
+    userId,
+    'Deadline Extended',
+    `Your deadline for ${content.title} has been extended to ${extendedDeadline.toLocaleString()}`,
+    {
+      type: 'due_date_reminder',
+      metadata: {
+        contentId: content._id,
+        dueDate: extendedDeadline
+      }
+    }
+  );
+
+  return extension;
+};
+
+/**
+ * Score a grader's input against the assignment's rubric
+ * Assignments without a rubric take a single grade out of maxScore
+ * @param {Object} assignment - Content assignment settings
+ * @param {Object} input - { criteria: [{ criterion, level, comment }] } or { grade }
+ * @returns {Object} - Criterion breakdown, score out of maxScore and percentage
+ */
+const scoreRubric = (assignment, input) => {
+  const maxScore = assignment.maxScore || 100;
+  const criteria = (assignment.rubric && assignment.rubric.criteria) || [];
+
+  if (criteria.length === 0) {
+    const score = Number(input.grade);
+
+    if (input.grade === undefined || input.grade === null || !(score >= 0 && score <= maxScore)) {
+      throw new AssignmentError(`Grade must be between 0 and ${maxScore}`, 'INVALID_GRADE');
+    }
+
+    return { criteria: [], score, percentage: round((score / maxScore) * 100) };
+  }
+
+  const given = input.criteria || [];
+  const totalWeight = criteria.reduce((sum, criterion) => sum + (criterion.weight ?? 1), 0);
+  let weighted = 0;
+
+  const scored = criteria.map(criterion => {
+    const entry = given.find(item => item.criterion && toId(item.criterion) === toId(criterion));
+    const level = entry && entry.level && criterion.levels.find(item => toId(item) === toId(entry.level));
+
+    if (!level) {
+      throw new AssignmentError(`Choose a level for "${criterion.title}"`, 'INCOMPLETE_RUBRIC');
+    }
+
+    const weight = criterion.weight ?? 1;
+    const maxPoints = Math.max(...criterion.levels.map(item => item.points));
+    weighted += weight * (level.points / maxPoints);
+
+    return {
+      criterion: criterion._id,
+      title: criterion.title,
+      level: level._id,
+      levelLabel: level.label,
+      weight,
+      points: level.points,
+      maxPoints,
+      comment: entry.comment
+    };
+  });
+
+  const fraction = weighted / totalWeight;
+
+  return {
+    criteria: scored,
+    score: round(fraction * maxScore),
+    percentage: round(fraction * 100)
+  };
+};
+
+/**
+ * Average two blind grades into the final grade
+ * @param {Object} first - First grade
+ * @param {Object} second - Second grade
+ * @returns {Object}
+ */
+const averageGrades = (first, second) => ({
+  criteria: first.criteria.map(item => {
+    const other = second.criteria.find(entry => toId(entry.criterion) === toId(item.criterion));
+    const labels = [...new Set([item.levelLabel, other && other.levelLabel].filter(Boolean))];
+
+    return {
+      criterion: item.criterion,
+      title: item.title,
+      level: other && toId(other.level) !== toId(item.level) ? undefined : item.level,
+      levelLabel: labels.join(' / '),
+      weight: item.weight,
+      points: other ? round((item.points + other.points) / 2) : item.points,
+      maxPoints: item.maxPoints,
+      comment: [item.comment, other && other.comment].filter(Boolean).join('\n\n') || undefined
+    };
+  }),
+  score: round((first.score + second.score) / 2),
+  percentage: round((first.percentage + second.percentage) / 2),
+  feedback: [first.feedback, second.feedback].filter(Boolean).join('\n\n') || undefined
+});
+
+/**
+ * Make a grade the submission's final result and let the learner know
+ * A late penalty comes off the final percentage; the breakdown is left as graded
+ * @param {Object} submission - AssignmentSubmission
+ * @param {Object} content - Assignment content
+ * @param {Object} grade - Final grade
+ * @returns {Object} - AssignmentSubmission
+ */
+const finalize = async (submission, content, grade) => {
+  const passingScore = content.assignment.passingScore ?? 60;
+  const percentage = round(Math.max(0, grade.percentage - (submission.latePenalty || 0)));
+
+  submission.set({
+    peerScore: grade.peerScore,
+    criteria: grade.criteria,
+    score: round((percentage / 100) * (content.assignment.maxScore || 100)),
+    percentage,
+    feedback: grade.feedback,
+    passed: percentage >= passingScore,
+    status: 'Graded',
+    gradedOn: new Date()
+  });
+
+  await submission.save();
+  await syncEnrollment(submission);
+
+  await notificationService.sendNotification(
+    submission.user,
+    'Assignment Graded',
+    `Your submission for ${content.title} has been graded`,
+    {
+      type: 'assignment_feedback',
+      metadata: {
+        contentId: submission.content,
+        submissionId: submission._id
+      }
+    }
+  );
+
+  return submission;
+};
+
+/**
+ * Blend the instructor's grade with the average of the peer reviews
+ * @param {Object} assignment - Content assignment settings
+ * @param {Object} instructor - Settled instructor grade
+ * @param {Array} reviews - Completed peer reviews
+ * @returns {Object} - Final grade
+ */
+const combineGrades = (assignment, instructor, reviews) => {
+  if (reviews.length === 0) return instructor;
+
+  const peerWeight = (assignment.peerReview.peerWeight ?? 30) / 100;
+  const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const blend = (peerValue, instructorValue) => round(
+    (peerWeight * peerValue) + ((1 - peerWeight) * instructorValue)
+  );
+
+  const peerPercentage = average(reviews.map(review => review.percentage));
+  const percentage = blend(peerPercentage, instructor.percentage);
+
+  return {
+    criteria: instructor.criteria.map(item => {
+      const peerPoints = reviews
+        .map(review => review.criteria.find(entry => toId(entry.criterion) === toId(item.criterion)))
+        .filter(Boolean)
+        .map(entry => entry.points);
+
+      return peerPoints.length > 0
+        ? { ...item, points: blend(average(peerPoints), item.points) }
+        : item;
+    }),
+    score: round((percentage / 100) * (assignment.maxScore || 100)),
+    percentage,
+    feedback: instructor.feedback,
+    peerScore: { percentage: round(peerPercentage), reviewCount: reviews.length }
+  };
+};
+
+/**
+ * Finalize a peer-reviewed submission once the instructor has graded it and
+ * no assigned peer review is still open
+ * @param {Object} submission - AssignmentSubmission
+ * @param {Object} content - Assignment content
+ * @returns {Object} - AssignmentSubmission
+ */
+const finalizeIfReady = async (submission, content) => {
+  const { instructorGrade } = submission.toObject();
+
+  if (!instructorGrade || instructorGrade.percentage === undefined || !submission.peerReviewsAssignedOn) {
+    await submission.save();
+    return submission;
+  }
+
+  const reviews = await PeerReview.find({ submission: submission._id }).lean();
+
+  if (reviews.some(review => review.status === 'Assigned')) {
+    await submission.save();
+    return submission;
+  }
+
+  const completed = reviews.filter(review => review.status === 'Completed');
+
+  return finalize(submission, content, combineGrades(content.assignment, instructorGrade, completed));
+};
+
+/**
+ * Apply the instructor's settled grade: final straight away, or held until
+ * peer reviews are in
+ * @param {Object} submission - AssignmentSubmission
+ * @param {Object} content - Assignment content
+ * @param {Object} grade - Instructor grade
+ * @returns {Object} - AssignmentSubmission
+ */
+const settleInstructorGrade = (submission, content, grade) => {
+  submission.instructorGrade = {
+    criteria: grade.criteria,
+    score: grade.score,
+    percentage: grade.percentage,
+    feedback: grade.feedback
+  };
+
+  return isPeerReviewed(content)
+    ? finalizeIfReady(submission, content)
+    : finalize(submission, content, grade);
+};
+
+/**
+ * Record a grader's grade
+ * Without double-blind grading the grade is final (and regrading replaces it).
+ * With it, the first two graders grade blind; close grades are averaged and
+ * grades further apart than the threshold go to reconciliation
+ * @param {Object} params - Submission, Assignment content, grader and their input
+ * @returns {Object} - AssignmentSubmission
+ */
+const recordGrade = async ({ submission, content, graderId, input }) => {
+  const { assignment } = content;
+
+  if (submission.status === 'Superseded' || submission.status === 'Rejected') {
+    throw new AssignmentError(`A ${submission.status.toLowerCase()} submission cannot be graded`, 'NOT_GRADABLE');
+  }
+
+  if (submission.status === 'Needs Reconciliation') {
+    throw new AssignmentError(
+      'The two grades differ too much and need to be reconciled',
+      'NEEDS_RECONCILIATION'
+    );
+  }
+
+  const grade = {
+    grader: graderId,
+    ...scoreRubric(assignment, input),
+    feedback: input.feedback,
+    gradedOn: new Date()
+  };
+
+  if (!assignment.doubleBlind) {
+    submission.grades = [{ ...grade, role: 'Primary' }];
+    return settleInstructorGrade(submission, content, grade);
+  }
+
+  if (submission.status === 'Graded') {
+    throw new AssignmentError('Double-blind grades cannot be changed once final', 'ALREADY_GRADED');
+  }
+
+  const own = submission.grades.find(item => toId(item.grader) === toId(graderId));
+
+  if (own) {
+    own.set(grade);
+  } else if (submission.grades.length < 2) {
+    submission.grades.push({ ...grade, role: submission.grades.length === 0 ? 'Primary' : 'Second' });
+  } else {
+    throw new AssignmentError('This submission already has two grades', 'ALREADY_GRADED');
+  }
+
+  if (submission.grades.length < 2) {
+    await submission.save();
+    return submission;
+  }
+
+  const [first, second] = submission.grades;
+
+  if (Math.abs(first.percentage - second.percentage) <= (assignment.reconciliationThreshold ?? 10)) {
+    return settleInstructorGrade(submission, content, averageGrades(first, second));
+  }
+
+  submission.status = 'Needs Reconciliation';
+  await submission.save();
+
+  return submission;
+};
+
+/**
+ * Settle two blind grades that were too far apart with a final grade
+ * @param {Object} params - Submission, Assignment content, grader and their input
+ * @returns {Object} - AssignmentSubmission
+ */
+const reconcile = async ({ submission, content, graderId, input }) => {
+  if (submission.status !== 'Needs Reconciliation') {
+    throw new AssignmentError('This submission does not need reconciliation', 'RECONCILIATION_NOT_NEEDED');
+  }
+
+  const grade = {
+    grader: graderId,
+    ...scoreRubric(content.assignment, input),
+    feedback: input.feedback,
+    gradedOn: new Date()
+  };
+
+  submission.grades.push({ ...grade, role: 'Reconciliation' });
+
+  return settleInstructorGrade(submission, content, grade);
+};
+
+/**
+ * Return a submission to the learner for revision
+ * Open peer reviews of it are closed; the learner can then resubmit
+ * @param {Object} params - Submission, Assignment content and feedback
+ * @returns {Object} - AssignmentSubmission
+ */
+const reject = async ({ submission, content, feedback }) => {
+  if (submission.status === 'Superseded' || submission.status === 'Rejected') {
+    throw new AssignmentError(`This submission is already ${submission.status.toLowerCase()}`, 'NOT_GRADABLE');
+  }
+
+  if (!feedback) {
+    throw new AssignmentError('Feedback is required when returning a submission', 'FEEDBACK_REQUIRED');
+  }
+
+  submission.set({
+    status: 'Rejected',
+    feedback,
+    gradedOn: new Date()
+  });
+
+  await submission.save();
+  await PeerReview.updateMany({ submission: submission._id, status: 'Assigned' }, { status: 'Expired' });
+  await syncEnrollment(submission);
+
+  await notificationService.sendNotification(
+    submission.user,
+    'Assignment Returned',
+    `Your submission for ${content.title} was returned for revision`,
+    {
+      type: 'assignment_feedback',
+      metadata: {
+        contentId: submission.content,
+        submissionId: submission._id
+      }
+    }
+  );
+
+  return submission;
+};
+
+/**
+ * Prepare a submission for a grader
+ * While double-blind grading is open, graders only see their own grade
+ * @param {Object} submission - AssignmentSubmission
+ * @param {Object} content - Assignment content
+ * @param {string} graderId - Grader viewing the submission
+ * @returns {Object}
+ */
+const toGraderView = (submission, content, graderId) => {
+  const data = submission.toObject ? submission.toObject() : { ...submission };
+
+  if (content.assignment.doubleBlind && data.status === 'Pending') {
+    data.gradesReceived = data.grades.length;
+    data.grades = data.grades.filter(item => toId(item.grader) === toId(graderId));
+  }
+
+  return data;
+};
+
+/**
+ * Prepare a submission for the learner: grading details stay hidden and the
+ * result is shown only once it is final
+ * @param {Object} submission - AssignmentSubmission
+ * @returns {Object}
+ */
+const toLearnerView = (submission) => {
+  const { grades, ...data } = submission.toObject ? submission.toObject() : { ...submission };
+
+  delete data.instructorGrade;
+  delete data.similarity;
+
+  if (data.status !== 'Graded') {
+    delete data.peerScore;
+    delete data.criteria;
+    delete data.score;
+    delete data.percentage;
+    delete data.passed;
+  }
+
+  // Rejected submissions keep the feedback explaining what to revise
+  if (data.status !== 'Graded' && data.status !== 'Rejected') {
+    delete data.feedback;
+  }
+
+  if (data.status === 'Needs Reconciliation') {
+    data.status = 'Pending';
+  }
+
+  return data;
+};
+
+module.exports = {
+  AssignmentError,
+  fromEditorAssignment,
+  getAssignmentContent,
+  getSubmissionContent,
+  isPeerReviewed,
+  getLearnerDeadline,
+  assessLateness,
+  canResubmit,
+  getHistory,
+  submit,
+  grantExtension,
+  scoreRubric,
+  recordGrade,
+  reconcile,
+  reject,
+  finalizeIfReady,
+  toGraderView,
+  toLearnerView
+};
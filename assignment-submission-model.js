@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+
+// Score given for one rubric criterion; titles and labels are copied so the
+// breakdown still reads correctly after the rubric is edited
+const CriterionScoreSchema = new mongoose.Schema(
+  {
+    criterion: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    title: String,
+    level: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    levelLabel: String,
+    weight: Number,
+    points: Number,
+    maxPoints: Number,
+    comment: {
+      type: String,
+      maxlength: [1000, 'Comment cannot be more than 1000 characters']
+    }
+  },
+  { _id: false }
+);
+
+// A learner's submission for Assignment content and the grades given to it
+const AssignmentSubmissionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true
+    },
+    module: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Module',
+      required: true
+    },
+    content: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Content',
+      required: true
+    },
+    // Course version the learner was on, which tells cohorts apart
+    courseVersion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CourseVersion'
+    },
+    // Each resubmission is a new version; earlier ones are kept as history
+    version: {
+      type: Number,
+      default: 1
+    },
+    submissionType: {
+      type: String,
+      enum: ['Text', 'File', 'Link']
+    },
+    submissionText: String,
+    submissionFileUrl: String,
+    submissionFileName: String,
+    submissionLink: String,
+    files: [{
+      filename: String,
+      originalname: String,
+      mimetype: String,
+      size: Number,
+      path: String
+    }],
+    isLate: {
+      type: Boolean,
+      default: false
+    },
+    daysLate: {
+      type: Number,
+      default: 0
+    },
+    // Percentage points taken off the final grade under the late policy
+    latePenalty: {
+      type: Number,
+      default: 0
+    },
+    submittedOn: {
+      type: Date,
+      default: Date.now
+    },
+    status: {
+      type: String,
+      // Superseded: replaced by a newer version before it was graded
+      // Archived: from an earlier recertification cycle
+      enum: ['Pending', 'Needs Reconciliation', 'Graded', 'Rejected', 'Superseded', 'Archived'],
+      default: 'Pending'
+    },
+    // Every grade given, including both blind grades and the reconciled one
+    grades: [{
+      grader: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      role: {
+        type: String,
+        enum: ['Primary', 'Second', 'Reconciliation'],
+        default: 'Primary'
+      },
+      criteria: [CriterionScoreSchema],
+      score: Number,
+      percentage: Number,
+      feedback: String,
+      gradedOn: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Settled instructor grade, kept while peer reviews are outstanding
+    instructorGrade: {
+      criteria: [CriterionScoreSchema],
+      score: Number,
+      percentage: Number,
+      feedback: String
+    },
+    // When the submission was handed out for peer review
+    peerReviewsAssignedOn: {
+      type: Date
+    },
+    // Average of the completed peer reviews that went into the final grade
+    peerScore: {
+      percentage: Number,
+      reviewCount: Number
+    },
+    // Winnowed shingle hashes of the submission text, for similarity checks
+    fingerprint: {
+      type: [Number],
+      select: false
+    },
+    // Similarity to other learners' submissions, shown to graders only
+    similarity: {
+      score: Number,
+      checkedOn: Date,
+      matches: [{
+        submission: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'AssignmentSubmission'
+        },
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        priorCohort: Boolean,
+        score: Number,
+        passages: [{
+          text: String,
+          matchedText: String,
+          _id: false
+        }],
+        _id: false
+      }]
+    },
+    // Final result shown to the learner
+    score: {
+      type: Number
+    },
+    percentage: {
+      type: Number
+    },
+    criteria: [CriterionScoreSchema],
+    feedback: {
+      type: String
+    },
+    passed: {
+      type: Boolean
+    },
+    gradedOn: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+AssignmentSubmissionSchema.index({ content: 1, user: 1, version: 1 }, { unique: true });
+AssignmentSubmissionSchema.index({ content: 1, status: 1 });
+AssignmentSubmissionSchema.index({ content: 1, fingerprint: 1 });
+
+module.exports = mongoose.model('AssignmentSubmission', AssignmentSubmissionSchema);
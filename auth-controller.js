@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const asyncHandler = require('express-async-handler');
+const tokenService = require('../services/tokenService');
+
+// Collect client metadata stored on the session
+const getRequestMeta = (req) => ({
+  userAgent: req.headers['user-agent'],
+  ipAddress: req.ip
+});
+
+// @desc    Exchange an HRM-issued token for an LMS session
+// @route   POST /api/auth/session
+// @access  Private
+const createSession = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('role department isActive');
+
+  if (!user || user.isActive === false) {
+    res.status(401);
+    throw new Error('User account is no longer active');
+  }
+
+  const tokens = await tokenService.createSession(user, getRequestMeta(req));
+
+  res.status(201).json({
+    success: true,
+    data: tokens
+  });
+});
+
+// @desc    Rotate refresh token and issue a new access token
+// @route   POST /api/auth/refresh
+// @access  Public (requires a valid refresh token)
+const refreshAccessToken = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    res.status(400);
+    throw new Error('Refresh token is required');
+  }
+
+  try {
+    const tokens = await tokenService.rotateRefreshToken(refreshToken, getRequestMeta(req));
+
+    res.status(200).json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    if (error instanceof tokenService.SessionError) {
+      res.status(401);
+    }
+    throw error;
+  }
+});
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = asyncHandler(async (req, res) => {
+  if (req.user.sessionId) {
+    await tokenService.revokeSession(req.user.sessionId, 'Logout', req.user.id);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Log out of every session of the current user
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutEverywhere = asyncHandler(async (req, res) => {
+  const revokedCount = await tokenService.revokeAllSessions(
+    req.user.id,
+    'Logout Everywhere',
+    req.user.id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { revokedCount }
+  });
+});
+
+// @desc    Get active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await tokenService.getActiveSessions(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => ({
+      ...session,
+      isCurrent: session._id.toString() === req.user.sessionId
+    }))
+  });
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+  const revoked = mongoose.isValidObjectId(req.params.id) &&
+    await tokenService.revokeSession(req.params.id, 'Logout', req.user.id);
+
+  if (!revoked) {
+    res.status(404);
+    throw new Error('Session not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Revoke all access for a user (offboarding, role change)
+// @route   POST /api/auth/users/:userId/revoke
+// @access  Private/Admin
+const revokeUserAccess = asyncHandler(async (req, res) => {
+  const { reason = 'Admin' } = req.body;
+
+  if (!['Offboarded', 'Role Changed', 'Admin'].includes(reason)) {
+    res.status(400);
+    throw new Error('Invalid revocation reason');
+  }
+
+  if (!mongoose.isValidObjectId(req.params.userId)) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  const revokedCount = await tokenService.revokeAllSessions(
+    req.params.userId,
+    reason,
+    req.user.id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { revokedCount }
+  });
+});
+
+module.exports = {
+  createSession,
+  refreshAccessToken,
+  logout,
+  logoutEverywhere,
+  getSessions,
+  revokeSession,
+  revokeUserAccess
+};
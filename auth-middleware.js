@@ -1,5 +1,8 @@
 // Auth middleware
 const jwt = require('jsonwebtoken');
+const tokenService = require('../services/tokenService');
+const policyService = require('../services/policyService');
+const orgHierarchyService = require('../services/orgHierarchyService');
 require('dotenv').config();
 
 // Middleware for protecting routes
@@ -17,10 +20,19 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Reject tokens whose session was revoked or whose user was offboarded
+      const isActive = await tokenService.isAccessTokenActive(decoded);
+
+      if (!isActive) {
+        return res.status(401).json({ message: 'Not authorized, token revoked' });
+      }
+
       // Set user data in request
       req.user = {
         id: decoded.id,
-        role: decoded.role
+        role: decoded.role,
+        department: decoded.department,
+        sessionId: decoded.sid
       };
 
       next();
@@ -36,10 +48,9 @@ const protect = async (req, res, next) => {
 };
 
 // Role-based access control middleware
-const authorize = (roles = []) => {
-  if (typeof roles === 'string') {
-    roles = [roles];
-  }
+// Prefer requirePermission for new routes; roles can be passed as an array or as arguments
+const authorize = (...args) => {
+  const roles = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
 
   return (req, res, next) => {
     if (roles.length && !roles.includes(req.user.role)) {
@@ -51,4 +62,36 @@ const authorize = (roles = []) => {
   };
 };
 
-module.exports = { protect, authorize };
+// Permission-based access control middleware
+// Passes if the user's role grants the action at `minScope` or broader; controllers
+// then check the specific resource with policyService.authorizeAction
+const requirePermission = (action, minScope = 'own') => {
+  return (req, res, next) => {
+    if (!policyService.hasPermission(req.user, action, minScope)) {
+      return res.status(403).json({ 
+        message: 'Forbidden: you do not have the required permissions' 
+      });
+    }
+    next();
+  };
+};
+
+// Load the IDs of the user's direct and indirect reports into req.user.teamMemberIds
+// Only roles holding team-scoped permissions pay for the lookup
+const loadTeamScope = async (req, res, next) => {
+  try {
+    const hasTeamScope = policyService
+      .getRolePermissions(req.user.role)
+      .some(permission => permission.endsWith(':team'));
+
+    req.user.teamMemberIds = hasTeamScope
+      ? await orgHierarchyService.getReportIds(req.user.id)
+      : [];
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { protect, authorize, requirePermission, loadTeamScope };
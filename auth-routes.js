@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createSession,
+  refreshAccessToken,
+  logout,
+  logoutEverywhere,
+  getSessions,
+  revokeSession,
+  revokeUserAccess
+} = require('../controllers/authController');
+const { protect, requirePermission } = require('../config/middleware');
+
+// Public routes (authenticated by the refresh token itself)
+router.post('/refresh', refreshAccessToken);
+
+// Session management
+router.post('/session', protect, createSession);
+router.post('/logout', protect, logout);
+router.post('/logout-all', protect, logoutEverywhere);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+
+// Admin routes
+router.post('/users/:userId/revoke', protect, requirePermission('session:revoke'), revokeUserAccess);
+
+module.exports = router;
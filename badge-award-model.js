@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A badge a learner earned by meeting its rule. Course and learning path
+// badges are still recorded on the enrollment they were earned through
+const BadgeAwardSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    badge: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Badge',
+      required: true
+    },
+    awardedOn: {
+      type: Date,
+      default: Date.now
+    },
+    // Learning event that completed the rule
+    trigger: {
+      type: String
+    },
+    // How far the learner got on each rule when it was met
+    evidence: [{
+      metric: String,
+      achieved: Number,
+      required: Number,
+      _id: false
+    }]
+  },
+  {
+    timestamps: true
+  }
+);
+
+BadgeAwardSchema.index({ user: 1, badge: 1 }, { unique: true });
+BadgeAwardSchema.index({ badge: 1, awardedOn: -1 });
+
+module.exports = mongoose.model('BadgeAward', BadgeAwardSchema);
@@ -59,6 +59,8 @@ const BadgeSchema = new mongoose.Schema(
       type: String,
       maxlength: [1000, 'Requirements cannot be more than 1000 characters']
     },
+    // Rule the badge is awarded automatically by, validated and evaluated by
+    // the badge rule service, e.g. { metric: 'webinars_attended', count: 4 }
     requirementCriteria: {
       type: mongoose.Schema.Types.Mixed
     },
@@ -0,0 +1,583 @@
+/**
+ * Badge rule service
+ * Validates the rules in Badge.requirementCriteria, evaluates them against a
+ * learner's course completions, quiz scores, webinar attendance and streaks,
+ * and awards badges as soon as a learning event completes their rule
+ *
+ * A badge's criteria is a single rule, or several combined with `all` or `any`:
+ *   { metric: 'courses_completed', count: 3, withinDays: 30, category: 'Compliance' }
+ *   { metric: 'quizzes_scored', count: 5, minScore: 100 }
+ *   { all: [{ metric: 'webinars_attended', count: 4 }, { metric: 'streak_reached', count: 7 }] }
+ */
+const mongoose = require('mongoose');
+const Badge = require('../models/Badge');
+const BadgeAward = require('../models/BadgeAward');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const LearningStreak = require('../models/LearningStreak');
+const QuizAttempt = require('../models/QuizAttempt');
+const User = require('../models/User');
+const Webinar = require('../models/Webinar');
+const pointsService = require('./pointsService');
+const notificationService = require('./notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What each metric counts, and the options its rules accept
+const METRICS = {
+  courses_completed: { options: ['withinDays', 'category', 'courseIds'] },
+  quizzes_scored: { options: ['withinDays', 'category', 'courseIds', 'minScore'] },
+  webinars_attended: { options: ['withinDays', 'category'] },
+  // Longest streak, in the periods of the learner's goal
+  streak_reached: { options: [] }
+};
+
+// Learning events and the metrics they can move
+const EVENT_METRICS = {
+  course_completed: ['courses_completed'],
+  quiz_submitted: ['quizzes_scored'],
+  webinar_attended: ['webinars_attended'],
+  streak_updated: ['streak_reached']
+};
+
+const MAX_RULES = 5;
+const DEFAULT_MIN_SCORE = 100;
+
+/**
+ * Error raised for badge rules that cannot be used
+ * @param {string} message - Error message
+ * @param {string} code - Machine readable error code
+ */
+class BadgeRuleError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'BadgeRuleError';
+    this.code = code;
+  }
+}
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validate a single rule and return it with only the options its metric uses
+ * @param {Object} rule - Rule
+ * @returns {Object} - Normalized rule
+ */
+const validateRule = (rule) => {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new BadgeRuleError('Each rule must be an object', 'INVALID_CRITERIA');
+  }
+
+  const metric = METRICS[rule.metric];
+
+  if (!metric) {
+    throw new BadgeRuleError(`Rule metric must be one of ${Object.keys(METRICS).join(', ')}`, 'INVALID_CRITERIA');
+  }
+
+  if (!isPositiveInteger(rule.count)) {
+    throw new BadgeRuleError('Rule count must be a whole number of at least 1', 'INVALID_CRITERIA');
+  }
+
+  const unsupported = Object.keys(rule)
+    .filter(key => !['metric', 'count', ...metric.options].includes(key));
+
+  if (unsupported.length > 0) {
+    throw new BadgeRuleError(`${rule.metric} rules do not support ${unsupported.join(', ')}`, 'INVALID_CRITERIA');
+  }
+
+  const normalized = { metric: rule.metric, count: rule.count };
+
+  if (rule.withinDays !== undefined) {
+    if (!isPositiveInteger(rule.withinDays)) {
+      throw new BadgeRuleError('withinDays must be a whole number of at least 1', 'INVALID_CRITERIA');
+    }
+    normalized.withinDays = rule.withinDays;
+  }
+
+  if (rule.category !== undefined) {
+    if (typeof rule.category !== 'string' || !rule.category.trim()) {
+      throw new BadgeRuleError('category must be a category name', 'INVALID_CRITERIA');
+    }
+    normalized.category = rule.category.trim();
+  }
+
+  if (rule.courseIds !== undefined) {
+    if (!Array.isArray(rule.courseIds) || rule.courseIds.length === 0 ||
+        !rule.courseIds.every(id => mongoose.isValidObjectId(id))) {
+      throw new BadgeRuleError('courseIds must be a list of course IDs', 'INVALID_CRITERIA');
+    }
+    normalized.courseIds = rule.courseIds.map(toId);
+  }
+
+  if (rule.metric === 'quizzes_scored') {
+    const minScore = rule.minScore === undefined ? DEFAULT_MIN_SCORE : rule.minScore;
+
+    if (typeof minScore !== 'number' || minScore < 0 || minScore > 100) {
+      throw new BadgeRuleError('minScore must be a percentage between 0 and 100', 'INVALID_CRITERIA');
+    }
+    normalized.minScore = minScore;
+  }
+
+  return normalized;
+};
+
+/**
+ * Validate badge criteria, accepting the older `{ courseCount }` form
+ * @param {Object} criteria - Rule, or { all: [rules] } / { any: [rules] }
+ * @returns {Object} - Normalized criteria
+ */
+const validateCriteria = (criteria) => {
+  if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+    throw new BadgeRuleError('Badge criteria must be a rule object', 'INVALID_CRITERIA');
+  }
+
+  if (criteria.courseCount !== undefined && criteria.metric === undefined) {
+    return validateRule({ metric: 'courses_completed', count: criteria.courseCount });
+  }
+
+  const combinator = ['all', 'any'].find(key => criteria[key] !== undefined);
+
+  if (!combinator) {
+    return validateRule(criteria);
+  }
+
+  const rules = criteria[combinator];
+
+  if (Object.keys(criteria).length > 1 || !Array.isArray(rules) || rules.length === 0) {
+    throw new BadgeRuleError(`"${combinator}" must be the only key and hold a list of rules`, 'INVALID_CRITERIA');
+  }
+
+  if (rules.length > MAX_RULES) {
+    throw new BadgeRuleError(`A badge can combine at most ${MAX_RULES} rules`, 'INVALID_CRITERIA');
+  }
+
+  return { [combinator]: rules.map(validateRule) };
+};
+
+const rulesOf = (criteria) => criteria.all || criteria.any || [criteria];
+
+/**
+ * Describe a rule for learners, e.g. "Complete 3 Compliance courses within 30 days"
+ * @param {Object} rule - Normalized rule
+ * @returns {string}
+ */
+const describeRule = (rule) => {
+  const noun = (one, many) => (rule.count === 1 ? one : many);
+  const category = rule.category ? `${rule.category} ` : '';
+  const within = rule.withinDays ? ` within ${rule.withinDays} ${rule.withinDays === 1 ? 'day' : 'days'}` : '';
+
+  switch (rule.metric) {
+    case 'courses_completed':
+      return `Complete ${rule.count} ${category}${noun('course', 'courses')}${within}`;
+    case 'quizzes_scored':
+      return `Score ${rule.minScore}% or more on ${rule.count} ${category}${noun('quiz', 'quizzes')}${within}`;
+    case 'webinars_attended':
+      return `Attend ${rule.count} ${category}${noun('webinar', 'webinars')}${within}`;
+    case 'streak_reached':
+      return `Reach a learning streak of ${rule.count}`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * Describe badge criteria for learners
+ * @param {Object} criteria - Normalized criteria
+ * @returns {string}
+ */
+const describeCriteria = (criteria) => {
+  const descriptions = rulesOf(criteria)
+    .map(describeRule)
+    .map((text, index) => (index === 0 ? text : text.charAt(0).toLowerCase() + text.slice(1)));
+
+  return criteria.any ? descriptions.join(', or ') : descriptions.join(', and ');
+};
+
+/**
+ * Describe how a badge is earned, falling back to its free-text requirements
+ * @param {Object} badge - Badge
+ * @returns {string}
+ */
+const describeBadge = (badge) => {
+  try {
+    return describeCriteria(validateCriteria(badge.requirementCriteria));
+  } catch (error) {
+    return badge.requirements || '';
+  }
+};
+
+/**
+ * Get the IDs of the courses a rule is limited to, or null for every course
+ * @param {Object} rule - Normalized rule
+ * @returns {Array|null}
+ */
+const ruleCourseIds = async (rule) => {
+  if (!rule.category) {
+    return rule.courseIds || null;
+  }
+
+  const query = { category: rule.category };
+  if (rule.courseIds) {
+    query._id = { $in: rule.courseIds };
+  }
+
+  return Course.find(query).distinct('_id');
+};
+
+/**
+ * Get the events a rule counts for a user, each keyed by what it counts once
+ * (a course, quiz or webinar) and dated
+ * @param {string} userId - User ID
+ * @param {Object} rule - Normalized rule
+ * @returns {Array} - [{ key, date }]
+ */
+const collectEvents = async (userId, rule) => {
+  switch (rule.metric) {
+    case 'courses_completed': {
+      const courseIds = await ruleCourseIds(rule);
+      const query = {
+        user: userId,
+        $or: [{ status: 'Completed' }, { 'certificationHistory.0': { $exists: true } }]
+      };
+      if (courseIds) query.course = { $in: courseIds };
+
+      const enrollments = await Enrollment.find(query)
+        .select('course status certificateIssuedOn updatedAt certificationHistory')
+        .lean();
+
+      // Every completion counts, including earlier recertification cycles
+      return enrollments.flatMap(enrollment => [
+        ...(enrollment.status === 'Completed'
+          ? [{ key: toId(enrollment.course), date: enrollment.certificateIssuedOn || enrollment.updatedAt }]
+          : []),
+        ...(enrollment.certificationHistory || []).map(entry => ({
+          key: toId(enrollment.course),
+          date: entry.completedOn
+        }))
+      ]);
+    }
+
+    case 'quizzes_scored': {
+      const courseIds = await ruleCourseIds(rule);
+      const query = {
+        user: userId,
+        status: { $in: ['Submitted', 'Archived'] },
+        preAssessment: { $ne: true },
+        score: { $gte: rule.minScore }
+      };
+      if (courseIds) query.course = { $in: courseIds };
+
+      const attempts = await QuizAttempt.find(query).select('quiz submittedAt').lean();
+
+      return attempts.map(attempt => ({ key: toId(attempt.quiz), date: attempt.submittedAt }));
+    }
+
+    case 'webinars_attended': {
+      const query = { registrations: { $elemMatch: { user: userId, attended: true } } };
+      if (rule.category) query.category = rule.category;
+
+      const webinars = await Webinar.find(query).select('startDate').lean();
+
+      return webinars.map(webinar => ({ key: toId(webinar._id), date: webinar.startDate }));
+    }
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Find the most distinct keys among events that fall within any window of
+ * the given length, or overall when there is no window
+ * @param {Array} events - [{ key, date }]
+ * @param {number} withinDays - Window length in days (optional)
+ * @returns {number}
+ */
+const countInWindow = (events, withinDays) => {
+  if (!withinDays) {
+    return new Set(events.map(event => event.key)).size;
+  }
+
+  const sorted = events
+    .filter(event => event.date)
+    .map(event => ({ key: event.key, time: new Date(event.date).getTime() }))
+    .sort((a, b) => a.time - b.time);
+  const inWindow = new Map();
+  let best = 0;
+  let start = 0;
+
+  sorted.forEach(event => {
+    inWindow.set(event.key, (inWindow.get(event.key) || 0) + 1);
+
+    while (event.time - sorted[start].time >= withinDays * DAY_MS) {
+      const { key } = sorted[start];
+      const remaining = inWindow.get(key) - 1;
+      if (remaining === 0) inWindow.delete(key);
+      else inWindow.set(key, remaining);
+      start++;
+    }
+
+    best = Math.max(best, inWindow.size);
+  });
+
+  return best;
+};
+
+/**
+ * Evaluate a single rule for a user
+ * @param {string} userId - User ID
+ * @param {Object} rule - Normalized rule
+ * @returns {Object} - metric, achieved, required and met
+ */
+const evaluateRule = async (userId, rule) => {
+  let achieved;
+
+  if (rule.metric === 'streak_reached') {
+    const streak = await LearningStreak.findOne({ user: userId }).select('longest').lean();
+    achieved = streak ? streak.longest : 0;
+  } else {
+    achieved = countInWindow(await collectEvents(userId, rule), rule.withinDays);
+  }
+
+  return {
+    metric: rule.metric,
+    achieved,
+    required: rule.count,
+    met: achieved >= rule.count
+  };
+};
+
+/**
+ * Evaluate badge criteria for a user
+ * @param {string} userId - User ID
+ * @param {Object} criteria - Badge criteria (validated here)
+ * @returns {Object} - met, progress (percent) and the result of each rule
+ */
+const evaluateCriteria = async (userId, criteria) => {
+  const normalized = validateCriteria(criteria);
+  const rules = [];
+
+  for (const rule of rulesOf(normalized)) {
+    rules.push(await evaluateRule(userId, rule));
+  }
+
+  const shares = rules.map(result => Math.min(result.achieved / result.required, 1));
+  const met = normalized.any ? rules.some(result => result.met) : rules.every(result => result.met);
+  const share = normalized.any
+    ? Math.max(...shares)
+    : shares.reduce((sum, value) => sum + value, 0) / shares.length;
+
+  return {
+    met,
+    progress: met ? 100 : Math.floor(share * 100),
+    rules
+  };
+};
+
+/**
+ * Get the IDs of the badges a user already holds, by rule or through an enrollment
+ * @param {string} userId - User ID
+ * @returns {Set}
+ */
+const getHeldBadgeIds = async (userId) => {
+  const [awarded, enrolled] = await Promise.all([
+    BadgeAward.find({ user: userId }).distinct('badge'),
+    Enrollment.find({ user: userId }).distinct('badgesEarned')
+  ]);
+
+  return new Set([...awarded, ...enrolled].map(toId));
+};
+
+/**
+ * Query for active, unexpired badges whose rules use any of the metrics
+ * @param {Array} metrics - Metric names
+ * @returns {Object}
+ */
+const badgesUsingMetrics = (metrics) => {
+  const usesMetric = [
+    { 'requirementCriteria.metric': { $in: metrics } },
+    { 'requirementCriteria.all.metric': { $in: metrics } },
+    { 'requirementCriteria.any.metric': { $in: metrics } }
+  ];
+
+  if (metrics.includes('courses_completed')) {
+    usesMetric.push({ 'requirementCriteria.courseCount': { $exists: true } });
+  }
+
+  return {
+    isActive: true,
+    $and: [
+      { $or: usesMetric },
+      { $or: [{ expiresOn: null }, { expiresOn: { $gt: new Date() } }] }
+    ]
+  };
+};
+
+/**
+ * Award a badge a user met the rule of, with its points and a notification
+ * @param {string} userId - User ID
+ * @param {Object} badge - Badge
+ * @param {Object} award - trigger, evidence and notify (false when the
+ *   caller tells the user itself)
+ * @returns {Object|null} - BadgeAward, or null when the user already had it
+ */
+const awardBadge = async (userId, badge, { trigger, evidence, notify = true }) => {
+  let award;
+  try {
+    award = await BadgeAward.create({
+      user: userId,
+      badge: badge._id,
+      trigger,
+      evidence: evidence.map(({ metric, achieved, required }) => ({ metric, achieved, required }))
+    });
+  } catch (error) {
+    // Another event for the same user awarded it first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  await pointsService.awardPoints({
+    userId,
+    points: badge.points,
+    source: 'Badge',
+    sourceId: badge._id,
+    reason: `Earned the ${badge.name} badge`,
+    reference: `badge:${badge._id}:${userId}`
+  });
+
+  if (!notify) return award;
+
+  await notificationService.sendNotification(
+    userId,
+    'Badge Earned',
+    `You have earned the ${badge.name} badge!`,
+    {
+      type: 'badge_earned',
+      metadata: {
+        badgeId: badge._id,
+        badgeName: badge.name
+      }
+    }
+  );
+
+  return award;
+};
+
+/**
+ * Award the badges a learning event completed the rules of. Failures are
+ * logged rather than thrown, so they never fail the learning itself
+ * @param {string} userId - User ID
+ * @param {string} event - One of the EVENT_METRICS events
+ * @returns {Array} - BadgeAwards made
+ */
+const handleEvent = async (userId, event) => {
+  const metrics = EVENT_METRICS[event];
+  if (!userId || !metrics) return [];
+
+  const awards = [];
+
+  try {
+    const [badges, held] = await Promise.all([
+      Badge.find(badgesUsingMetrics(metrics)),
+      getHeldBadgeIds(userId)
+    ]);
+
+    for (const badge of badges) {
+      if (held.has(toId(badge._id))) continue;
+
+      try {
+        const result = await evaluateCriteria(userId, badge.requirementCriteria);
+        if (!result.met) continue;
+
+        const award = await awardBadge(userId, badge, { trigger: event, evidence: result.rules });
+        if (award) awards.push(award);
+      } catch (error) {
+        console.error(`Error evaluating badge ${badge._id} for ${event}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error(`Error awarding badges for ${event}:`, error.message);
+  }
+
+  return awards;
+};
+
+/**
+ * Work out which users would qualify for badge criteria, without awarding
+ * anything. Users are evaluated one page at a time, as each costs several queries
+ * @param {Object} criteria - Badge criteria (validated here)
+ * @param {Object} options - badgeId (to flag users who already hold it),
+ *   department, page and limit (users evaluated per page)
+ * @returns {Object} - criteria, description, evaluated, total, pagination,
+ *   qualifyingCount and qualifying users for the page
+ */
+const dryRun = async (criteria, { badgeId, department, page = 1, limit = 100 } = {}) => {
+  const normalized = validateCriteria(criteria);
+  const query = { isActive: { $ne: false } };
+
+  if (department && department !== 'all') {
+    query.department = department;
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(query)
+      .select('name email department')
+      .sort({ _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    User.countDocuments(query)
+  ]);
+  const userIds = users.map(user => user._id);
+  const holders = badgeId
+    ? new Set([
+      ...await BadgeAward.find({ badge: badgeId, user: { $in: userIds } }).distinct('user'),
+      ...await Enrollment.find({ badgesEarned: badgeId, user: { $in: userIds } }).distinct('user')
+    ].map(toId))
+    : new Set();
+
+  const qualifying = [];
+
+  for (const user of users) {
+    const result = await evaluateCriteria(user._id, normalized);
+
+    if (result.met) {
+      qualifying.push({
+        user,
+        alreadyAwarded: holders.has(toId(user._id)),
+        rules: result.rules
+      });
+    }
+  }
+
+  return {
+    criteria: normalized,
+    description: describeCriteria(normalized),
+    evaluated: users.length,
+    total,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit)
+    },
+    qualifyingCount: qualifying.length,
+    newlyQualifyingCount: qualifying.filter(item => !item.alreadyAwarded).length,
+    qualifying
+  };
+};
+
+module.exports = {
+  BadgeRuleError,
+  METRICS,
+  EVENT_METRICS,
+  validateCriteria,
+  describeCriteria,
+  describeBadge,
+  countInWindow,
+  evaluateCriteria,
+  getHeldBadgeIds,
+  awardBadge,
+  handleEvent,
+  dryRun
+};
@@ -9,6 +9,7 @@ const { createCanvas, loadImage, registerFont } = require('canvas');
 const QRCode = require('qrcode');
 const User = require('../models/User');
 const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 
@@ -205,13 +206,28 @@ const verifyCertificate = async (certificateId) => {
       return null;
     }
     
-    // In a real implementation, you would look up this certificate ID in a database
-    // For this implementation, we'll extract from the file name to verify it exists
+    // Certificates for recurring courses stop being valid when they lapse
+    const certificateUrl = `/uploads/certificates/${certificateId}.png`;
+    const enrollment = await Enrollment.findOne({
+      $or: [{ certificateUrl }, { 'certificationHistory.certificateUrl': certificateUrl }]
+    })
+      .select('certificateUrl certificationExpiresOn certificationHistory')
+      .lean();
+    
+    let expiresOn = null;
+    if (enrollment) {
+      expiresOn = enrollment.certificateUrl === certificateUrl
+        ? enrollment.certificationExpiresOn
+        : enrollment.certificationHistory.find(entry => entry.certificateUrl === certificateUrl).expiresOn;
+    }
+    
+    const verifiedAt = new Date();
     
     return {
       id: certificateId,
-      isValid: true,
-      verifiedAt: new Date()
+      isValid: !expiresOn || expiresOn > verifiedAt,
+      expiresOn: expiresOn || null,
+      verifiedAt
     };
   } catch (error) {
     console.error('Error verifying certificate:', error.message);
@@ -0,0 +1,152 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const policyService = require('../services/policyService');
+const challengeService = require('../services/challengeService');
+
+const ERROR_STATUS = {
+  INVALID_CHALLENGE: 400,
+  NOT_FOUND: 404,
+  NOT_EDITABLE: 409
+};
+
+// Set the response status for a challenge error before rethrowing it
+const rethrow = (res, error) => {
+  if (error instanceof challengeService.ChallengeError) {
+    res.status(ERROR_STATUS[error.code] || 400);
+  }
+  throw error;
+};
+
+// Challenge fields admins may set
+const CHALLENGE_FIELDS = [
+  'title',
+  'description',
+  'goal',
+  'participantType',
+  'departments',
+  'teams',
+  'startDate',
+  'endDate',
+  'reward'
+];
+
+const pickChallengeFields = (body) => CHALLENGE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+const ensureValidId = (res, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(404);
+    throw new Error('Challenge not found');
+  }
+};
+
+// @desc    Get the signed-in user's challenges, or every challenge for admins
+// @route   GET /api/gamification/challenges
+// @access  Private
+const getChallenges = asyncHandler(async (req, res) => {
+  const { all, status } = req.query;
+  let challenges;
+
+  if (all === 'true') {
+    if (!policyService.hasPermission(req.user, 'challenge:manage', 'any')) {
+      res.status(403);
+      throw new Error('Not authorized to view all challenges');
+    }
+
+    challenges = await challengeService.listChallenges({ status });
+  } else {
+    challenges = await challengeService.getChallengesForUser(req.user.id);
+  }
+
+  res.status(200).json({
+    success: true,
+    count: challenges.length,
+    data: challenges
+  });
+});
+
+// @desc    Get a challenge with its live standings
+// @route   GET /api/gamification/challenges/:id
+// @access  Private
+const getChallenge = asyncHandler(async (req, res) => {
+  ensureValidId(res, req.params.id);
+
+  const challenge = await challengeService.getChallenge(req.params.id, req.user.id);
+
+  // Challenges are only shown to the groups taking part in them
+  if (!challenge || (!challenge.myGroup && !policyService.hasPermission(req.user, 'challenge:manage', 'any'))) {
+    res.status(404);
+    throw new Error('Challenge not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: challenge
+  });
+});
+
+// @desc    Create a challenge
+// @route   POST /api/gamification/challenges
+// @access  Private/Admin
+const createChallenge = asyncHandler(async (req, res) => {
+  let challenge;
+  try {
+    challenge = await challengeService.createChallenge(pickChallengeFields(req.body), req.user.id);
+  } catch (error) {
+    rethrow(res, error);
+  }
+
+  res.status(201).json({
+    success: true,
+    data: challenge
+  });
+});
+
+// @desc    Update a challenge; once it has started only its title,
+//          description, end date and reward can change
+// @route   PUT /api/gamification/challenges/:id
+// @access  Private/Admin
+const updateChallenge = asyncHandler(async (req, res) => {
+  ensureValidId(res, req.params.id);
+
+  let challenge;
+  try {
+    challenge = await challengeService.updateChallenge(req.params.id, pickChallengeFields(req.body));
+  } catch (error) {
+    rethrow(res, error);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: challenge
+  });
+});
+
+// @desc    Cancel a challenge without rewarding anyone
+// @route   DELETE /api/gamification/challenges/:id
+// @access  Private/Admin
+const cancelChallenge = asyncHandler(async (req, res) => {
+  ensureValidId(res, req.params.id);
+
+  let challenge;
+  try {
+    challenge = await challengeService.cancelChallenge(req.params.id);
+  } catch (error) {
+    rethrow(res, error);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: challenge
+  });
+});
+
+module.exports = {
+  getChallenges,
+  getChallenge,
+  createChallenge,
+  updateChallenge,
+  cancelChallenge
+};
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// A time-boxed competition between departments or teams. Standings are
+// kept up to date as participants learn; winners are settled once it ends
+const ChallengeSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Please add a challenge title'],
+      trim: true,
+      maxlength: [100, 'Title cannot be more than 100 characters']
+    },
+    description: {
+      type: String,
+      maxlength: [1000, 'Description cannot be more than 1000 characters']
+    },
+    // What groups compete on, validated by the challenge service,
+    // e.g. { metric: 'course_completions', category: 'Compliance' }
+    goal: {
+      metric: {
+        type: String,
+        enum: ['course_completions', 'learning_hours'],
+        required: [true, 'Please specify what the challenge measures']
+      },
+      // Only count completions of courses in this category
+      category: String,
+      // Only count completions of these courses
+      courseIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+      }],
+      // Score a group has to reach to win, in completions or hours
+      target: {
+        type: Number,
+        min: [0, 'Target cannot be negative']
+      }
+    },
+    participantType: {
+      type: String,
+      enum: ['department', 'team'],
+      required: [true, 'Please specify whether departments or teams compete']
+    },
+    // Eligible departments, for department challenges
+    departments: [String],
+    // Eligible teams, for team challenges. A team is its manager and
+    // everyone reporting to them
+    teams: [{
+      manager: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      name: String,
+      _id: false
+    }],
+    startDate: {
+      type: Date,
+      required: [true, 'Please add a start date']
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'Please add an end date']
+    },
+    // Active until the end date passes, closing while winners are rewarded
+    status: {
+      type: String,
+      enum: ['active', 'closing', 'completed', 'cancelled'],
+      default: 'active'
+    },
+    // Given to each member of a winning group who contributed
+    reward: {
+      badge: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Badge'
+      },
+      points: {
+        type: Number,
+        default: 0,
+        min: [0, 'Reward points cannot be negative']
+      }
+    },
+    // Score per eligible group: a department name or a team manager's ID.
+    // Learning hours are scored in seconds
+    standings: [{
+      group: {
+        type: String,
+        required: true
+      },
+      name: String,
+      score: {
+        type: Number,
+        default: 0
+      },
+      contributors: {
+        type: Number,
+        default: 0
+      },
+      _id: false
+    }],
+    winners: [String],
+    closedAt: {
+      type: Date
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+ChallengeSchema.index({ status: 1, 'goal.metric': 1, startDate: 1 });
+ChallengeSchema.index({ status: 1, endDate: 1 });
+ChallengeSchema.index({ departments: 1, endDate: -1 });
+ChallengeSchema.index({ 'teams.manager': 1, endDate: -1 });
+
+module.exports = mongoose.model('Challenge', ChallengeSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// What one participant contributed to a challenge. A participant keeps
+// scoring for the group they first contributed for, even if they move
+const ChallengeProgressSchema = new mongoose.Schema(
+  {
+    challenge: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Challenge',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    group: {
+      type: String,
+      required: true
+    },
+    score: {
+      type: Number,
+      default: 0
+    },
+    // Set once a winner's badge and points were handed out
+    rewardedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+ChallengeProgressSchema.index({ challenge: 1, user: 1 }, { unique: true });
+ChallengeProgressSchema.index({ challenge: 1, group: 1, score: -1 });
+
+module.exports = mongoose.model('ChallengeProgress', ChallengeProgressSchema);
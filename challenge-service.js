@@ -0,0 +1,758 @@
+/**
+ * Challenge service
+ * Runs time-boxed competitions between departments or teams. Course
+ * completions and learning time are scored into a challenge's standings as
+ * they happen; once it ends, the members of the winning groups who
+ * contributed get the challenge's badge and points
+ *
+ * A challenge's goal is what groups compete on:
+ *   { metric: 'course_completions', category: 'Compliance' }
+ *   { metric: 'learning_hours', target: 100 }
+ */
+const mongoose = require('mongoose');
+const Badge = require('../models/Badge');
+const Challenge = require('../models/Challenge');
+const ChallengeProgress = require('../models/ChallengeProgress');
+const OrgHierarchy = require('../models/OrgHierarchy');
+const User = require('../models/User');
+const badgeRuleService = require('./badgeRuleService');
+const pointsService = require('./pointsService');
+const notificationService = require('./notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What each metric scores, and how many of its scored units make one unit
+// of its goal: learning time is scored in seconds and targeted in hours
+const METRICS = {
+  course_completions: { label: 'course completions', targetLabel: 'completions', unit: 1 },
+  learning_hours: { label: 'learning hours', targetLabel: 'hours', unit: 3600 }
+};
+
+const MAX_GROUPS = 50;
+
+// Ended challenges stay on participants' lists this long
+const RECENT_DAYS = 14;
+
+// Fields that can still change once a challenge has started
+const LIVE_FIELDS = ['title', 'description', 'endDate', 'reward'];
+
+/**
+ * Error raised for challenge requests that cannot be carried out
+ * @param {string} message - Error message
+ * @param {string} code - Machine readable error code
+ */
+class ChallengeError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ChallengeError';
+    this.code = code;
+  }
+}
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+const invalid = (message) => new ChallengeError(message, 'INVALID_CHALLENGE');
+
+const toDate = (value, field) => {
+  const date = new Date(value);
+
+  if (value === undefined || value === null || Number.isNaN(date.getTime())) {
+    throw invalid(`${field} must be a date`);
+  }
+
+  return date;
+};
+
+/**
+ * Validate a challenge goal
+ * @param {Object} goal - metric, and optionally category, courseIds and target
+ * @returns {Object} - Normalized goal
+ */
+const validateGoal = (goal) => {
+  if (!goal || typeof goal !== 'object' || !METRICS[goal.metric]) {
+    throw invalid(`Goal metric must be one of ${Object.keys(METRICS).join(', ')}`);
+  }
+
+  const normalized = { metric: goal.metric };
+
+  if (goal.category !== undefined && goal.category !== null && goal.category !== '') {
+    if (goal.metric !== 'course_completions' || typeof goal.category !== 'string') {
+      throw invalid('Only course completion goals can be limited to a category');
+    }
+    normalized.category = goal.category.trim();
+  }
+
+  if (Array.isArray(goal.courseIds) && goal.courseIds.length > 0) {
+    if (goal.metric !== 'course_completions' || !goal.courseIds.every(id => mongoose.isValidObjectId(id))) {
+      throw invalid('courseIds must be a list of course IDs on a course completion goal');
+    }
+    normalized.courseIds = [...new Set(goal.courseIds.map(toId))];
+  }
+
+  if (goal.target !== undefined && goal.target !== null && goal.target !== '') {
+    if (typeof goal.target !== 'number' || !(goal.target > 0)) {
+      throw invalid('Goal target must be a number above zero');
+    }
+    normalized.target = goal.target;
+  }
+
+  return normalized;
+};
+
+/**
+ * Validate the groups that compete and build their empty standings
+ * @param {Object} input - participantType, and departments or teams
+ * @returns {Object} - participantType, departments, teams and standings
+ */
+const validateGroups = async ({ participantType, departments, teams }) => {
+  if (participantType === 'department') {
+    const names = Array.isArray(departments)
+      ? [...new Set(departments.filter(name => typeof name === 'string' && name.trim()).map(name => name.trim()))]
+      : [];
+
+    if (names.length < 2 || names.length !== departments.length) {
+      throw invalid('A department challenge needs at least two distinct department names');
+    }
+    if (names.length > MAX_GROUPS) {
+      throw invalid(`A challenge can have at most ${MAX_GROUPS} departments`);
+    }
+
+    return {
+      participantType,
+      departments: names,
+      teams: [],
+      standings: names.map(name => ({ group: name, name }))
+    };
+  }
+
+  if (participantType === 'team') {
+    const entries = Array.isArray(teams)
+      ? teams.map(team => (team && typeof team === 'object' && !mongoose.isValidObjectId(team) ? team : { manager: team }))
+      : [];
+
+    if (!entries.every(team => mongoose.isValidObjectId(team.manager))) {
+      throw invalid('Each team must name its manager by user ID');
+    }
+
+    const managerIds = [...new Set(entries.map(team => toId(team.manager)))];
+
+    if (managerIds.length < 2 || managerIds.length !== entries.length) {
+      throw invalid('A team challenge needs at least two distinct teams');
+    }
+    if (managerIds.length > MAX_GROUPS) {
+      throw invalid(`A challenge can have at most ${MAX_GROUPS} teams`);
+    }
+
+    const managers = await User.find({ _id: { $in: managerIds } }).select('name').lean();
+    const nameOf = new Map(managers.map(manager => [toId(manager._id), manager.name]));
+
+    if (nameOf.size !== managerIds.length) {
+      throw invalid('Every team manager must be an existing user');
+    }
+
+    const normalized = entries.map(team => ({
+      manager: toId(team.manager),
+      name: typeof team.name === 'string' && team.name.trim()
+        ? team.name.trim()
+        : `${nameOf.get(toId(team.manager))}'s team`
+    }));
+
+    return {
+      participantType,
+      departments: [],
+      teams: normalized,
+      standings: normalized.map(team => ({ group: team.manager, name: team.name }))
+    };
+  }
+
+  throw invalid('participantType must be department or team');
+};
+
+/**
+ * Validate a challenge reward
+ * @param {Object} reward - badge and points
+ * @returns {Object} - Normalized reward
+ */
+const validateReward = async (reward) => {
+  const { badge, points = 0 } = reward || {};
+
+  if (!Number.isInteger(points) || points < 0) {
+    throw invalid('Reward points must be a whole number of at least 0');
+  }
+
+  if (badge) {
+    if (!mongoose.isValidObjectId(badge) || !await Badge.exists({ _id: badge, isActive: true })) {
+      throw invalid('Reward badge must be an active badge');
+    }
+  }
+
+  if (!badge && points === 0) {
+    throw invalid('A challenge must reward its winners with a badge, points or both');
+  }
+
+  return { badge: badge ? toId(badge) : null, points };
+};
+
+/**
+ * Create a challenge. Learning counts towards it from its start date, or
+ * from now if that has already passed
+ * @param {Object} input - title, description, goal, participantType,
+ *   departments or teams, startDate, endDate and reward
+ * @param {string} userId - Admin creating it
+ * @returns {Object} - Challenge
+ */
+const createChallenge = async (input, userId) => {
+  const startDate = toDate(input.startDate, 'startDate');
+  const endDate = toDate(input.endDate, 'endDate');
+
+  if (endDate <= startDate || endDate <= new Date()) {
+    throw invalid('endDate must be after startDate and in the future');
+  }
+
+  return Challenge.create({
+    title: input.title,
+    description: input.description,
+    goal: validateGoal(input.goal),
+    ...await validateGroups(input),
+    startDate,
+    endDate,
+    reward: await validateReward(input.reward),
+    createdBy: userId
+  });
+};
+
+/**
+ * Update a challenge. Before it starts anything can change; once it has
+ * started only its title, description, end date and reward can
+ * @param {string} challengeId - Challenge ID
+ * @param {Object} input - Fields to change
+ * @returns {Object} - Challenge
+ */
+const updateChallenge = async (challengeId, input) => {
+  const challenge = await Challenge.findById(challengeId);
+
+  if (!challenge) {
+    throw new ChallengeError('Challenge not found', 'NOT_FOUND');
+  }
+
+  if (challenge.status !== 'active' || challenge.endDate <= new Date()) {
+    throw new ChallengeError('Only challenges that have not ended can be changed', 'NOT_EDITABLE');
+  }
+
+  const started = challenge.startDate <= new Date();
+  const locked = Object.keys(input).filter(field => input[field] !== undefined && !LIVE_FIELDS.includes(field));
+
+  if (started && locked.length > 0) {
+    throw new ChallengeError(`${locked.join(', ')} cannot change once a challenge has started`, 'NOT_EDITABLE');
+  }
+
+  ['title', 'description'].forEach(field => {
+    if (input[field] !== undefined) challenge[field] = input[field];
+  });
+
+  if (input.goal !== undefined) {
+    challenge.goal = validateGoal(input.goal);
+  }
+
+  if (['participantType', 'departments', 'teams'].some(field => input[field] !== undefined)) {
+    Object.assign(challenge, await validateGroups({
+      participantType: input.participantType || challenge.participantType,
+      departments: input.departments !== undefined ? input.departments : challenge.departments,
+      teams: input.teams !== undefined ? input.teams : challenge.teams
+    }));
+  }
+
+  if (input.reward !== undefined) {
+    challenge.reward = await validateReward(input.reward);
+  }
+
+  const startDate = input.startDate !== undefined ? toDate(input.startDate, 'startDate') : challenge.startDate;
+  const endDate = input.endDate !== undefined ? toDate(input.endDate, 'endDate') : challenge.endDate;
+
+  if (endDate <= startDate || endDate <= new Date()) {
+    throw invalid('endDate must be after startDate and in the future');
+  }
+
+  challenge.startDate = startDate;
+  challenge.endDate = endDate;
+
+  return challenge.save();
+};
+
+/**
+ * Cancel a challenge that has not been settled. Nobody is rewarded
+ * @param {string} challengeId - Challenge ID
+ * @returns {Object} - Challenge
+ */
+const cancelChallenge = async (challengeId) => {
+  const challenge = await Challenge.findOneAndUpdate(
+    { _id: challengeId, status: 'active' },
+    { status: 'cancelled', closedAt: new Date() },
+    { new: true }
+  );
+
+  if (challenge) return challenge;
+
+  if (!await Challenge.exists({ _id: challengeId })) {
+    throw new ChallengeError('Challenge not found', 'NOT_FOUND');
+  }
+  throw new ChallengeError('Only challenges that have not been settled can be cancelled', 'NOT_EDITABLE');
+};
+
+/**
+ * Work out which of a challenge's groups a user competes for
+ * @param {Object} challenge - Challenge
+ * @param {Object} member - userId, department and ancestors (managers, nearest first)
+ * @returns {string|null} - Group, or null when the user is not eligible
+ */
+const groupFor = (challenge, { userId, department, ancestors = [] }) => {
+  if (challenge.participantType === 'department') {
+    return department && challenge.departments.includes(department) ? department : null;
+  }
+
+  const managers = new Set(challenge.teams.map(team => toId(team.manager)));
+
+  // The nearest eligible manager, so a user in two nested teams scores for their own
+  return [userId, ...ancestors].map(toId).find(id => managers.has(id)) || null;
+};
+
+/**
+ * Load what decides a user's groups: their department and managers
+ * @param {string} userId - User ID
+ * @returns {Object} - userId, department and ancestors
+ */
+const getMember = async (userId) => {
+  const [user, hierarchy] = await Promise.all([
+    User.findById(userId).select('department').lean(),
+    OrgHierarchy.findOne({ employee: userId }).select('ancestors').lean()
+  ]);
+
+  return {
+    userId: toId(userId),
+    department: user ? user.department : null,
+    ancestors: hierarchy ? hierarchy.ancestors : []
+  };
+};
+
+// Whether a completed course counts towards a goal
+const countsCourse = (goal, course) => {
+  if (goal.category && (!course || course.category !== goal.category)) return false;
+
+  if (goal.courseIds && goal.courseIds.length > 0) {
+    return Boolean(course) && goal.courseIds.some(id => toId(id) === toId(course._id));
+  }
+
+  return true;
+};
+
+/**
+ * Add to a user's score in a challenge and their group's standing
+ * @param {Object} challenge - Challenge
+ * @param {string} userId - User ID
+ * @param {string|null} group - Group the user is eligible for now
+ * @param {number} amount - Score to add
+ * @returns {boolean} - Whether anything was scored
+ */
+const addContribution = async (challenge, userId, group, amount) => {
+  let previous;
+
+  try {
+    previous = await ChallengeProgress.findOneAndUpdate(
+      { challenge: challenge._id, user: userId },
+      { $inc: { score: amount }, $setOnInsert: { group } },
+      { upsert: Boolean(group), new: false }
+    ).lean();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // A concurrent event created the contribution first
+    previous = await ChallengeProgress.findOneAndUpdate(
+      { challenge: challenge._id, user: userId },
+      { $inc: { score: amount } },
+      { new: false }
+    ).lean();
+  }
+
+  // Not eligible, and never contributed while they were
+  if (!previous && !group) return false;
+
+  const scoredFor = previous ? previous.group : group;
+
+  await Challenge.updateOne(
+    { _id: challenge._id, status: 'active' },
+    {
+      $inc: {
+        'standings.$[entry].score': amount,
+        ...(!previous && { 'standings.$[entry].contributors': 1 })
+      }
+    },
+    { arrayFilters: [{ 'entry.group': scoredFor }] }
+  );
+
+  return true;
+};
+
+/**
+ * Score a learning event into the live challenges it counts towards.
+ * Failures are logged rather than thrown, so they never fail the learning itself
+ * @param {string} userId - User ID
+ * @param {string} metric - course_completions or learning_hours
+ * @param {Object} event - amount (completions or seconds), at (defaults to
+ *   now) and course (the completed course)
+ * @returns {number} - Challenges scored
+ */
+const recordProgress = async (userId, metric, { amount, at = new Date(), course } = {}) => {
+  if (!userId || !METRICS[metric] || !(amount > 0)) return 0;
+
+  let scored = 0;
+
+  try {
+    const challenges = (await Challenge.find({
+      status: 'active',
+      'goal.metric': metric,
+      startDate: { $lte: at },
+      endDate: { $gt: at }
+    })
+      .select('goal participantType departments teams')
+      .lean())
+      .filter(challenge => countsCourse(challenge.goal, course));
+
+    if (challenges.length === 0) return 0;
+
+    const member = await getMember(userId);
+
+    for (const challenge of challenges) {
+      if (await addContribution(challenge, userId, groupFor(challenge, member), amount)) {
+        scored++;
+      }
+    }
+  } catch (error) {
+    console.error(`Error scoring ${metric} towards challenges:`, error.message);
+  }
+
+  return scored;
+};
+
+/**
+ * Describe a challenge goal, e.g. "Most learning hours, reaching at least 100 hours"
+ * @param {Object} goal - Goal
+ * @returns {string}
+ */
+const describeGoal = (goal) => {
+  let text = `Most ${METRICS[goal.metric].label}`;
+
+  if (goal.metric === 'course_completions' && goal.category) {
+    text = `Most completions of ${goal.category} courses`;
+  } else if (goal.metric === 'course_completions' && goal.courseIds && goal.courseIds.length > 0) {
+    text = `Most completions of ${goal.courseIds.length} selected ${goal.courseIds.length === 1 ? 'course' : 'courses'}`;
+  }
+
+  return goal.target ? `${text}, reaching at least ${goal.target} ${METRICS[goal.metric].targetLabel}` : text;
+};
+
+// A score in the goal's units: completions, or hours to one decimal place.
+// Only for display; winners are decided on the raw scores
+const scoreValue = (goal, score) => Math.round((score / METRICS[goal.metric].unit) * 10) / 10;
+
+// Whether a raw score (seconds for learning time) reaches the goal's target
+const meetsTarget = (goal, score) => !goal.target || score >= goal.target * METRICS[goal.metric].unit;
+
+/**
+ * Rank a challenge's standings, ties sharing a rank. Progress is the percent
+ * of the target reached, or of the leader's score when there is no target
+ * @param {Object} challenge - Challenge
+ * @returns {Array} - group, name, score (in goal units), contributors, rank and progress
+ */
+const rankStandings = (challenge) => {
+  const { unit } = METRICS[challenge.goal.metric];
+  const sorted = [...challenge.standings].sort((a, b) => b.score - a.score);
+  const leader = sorted.length > 0 ? sorted[0].score / unit : 0;
+  const scale = challenge.goal.target || leader;
+  let rank = 0;
+
+  return sorted.map((standing, index) => {
+    if (index === 0 || standing.score < sorted[index - 1].score) {
+      rank = index + 1;
+    }
+
+    return {
+      group: standing.group,
+      name: standing.name,
+      score: scoreValue(challenge.goal, standing.score),
+      contributors: standing.contributors || 0,
+      rank,
+      progress: scale > 0 ? Math.min(100, Math.floor((standing.score / unit / scale) * 100)) : 0
+    };
+  });
+};
+
+/**
+ * Where a challenge is: upcoming, live, closing (ended, winners not yet
+ * settled), completed or cancelled
+ * @param {Object} challenge - Challenge
+ * @param {Date} now - Current time
+ * @returns {string}
+ */
+const stateOf = (challenge, now = new Date()) => {
+  if (challenge.status !== 'active') return challenge.status;
+  if (now < challenge.startDate) return 'upcoming';
+  return now < challenge.endDate ? 'live' : 'closing';
+};
+
+/**
+ * Describe a challenge for display, with the viewer's own group and score
+ * @param {Object} challenge - Challenge
+ * @param {Object} viewer - group and contribution (ChallengeProgress)
+ * @returns {Object}
+ */
+const describeChallenge = (challenge, { group = null, contribution = null } = {}) => {
+  const standings = rankStandings(challenge);
+
+  return {
+    _id: challenge._id,
+    title: challenge.title,
+    description: challenge.description,
+    goal: challenge.goal,
+    goalDescription: describeGoal(challenge.goal),
+    participantType: challenge.participantType,
+    departments: challenge.departments,
+    teams: challenge.teams,
+    startDate: challenge.startDate,
+    endDate: challenge.endDate,
+    status: stateOf(challenge),
+    reward: challenge.reward,
+    standings,
+    winners: challenge.winners || [],
+    closedAt: challenge.closedAt || null,
+    myGroup: group,
+    myStanding: group ? standings.find(standing => standing.group === group) || null : null,
+    myContribution: contribution ? scoreValue(challenge.goal, contribution.score) : 0
+  };
+};
+
+/**
+ * List challenges for admins, newest first
+ * @param {Object} filters - status (a stored status)
+ * @returns {Array} - Described challenges
+ */
+const listChallenges = async ({ status } = {}) => {
+  const query = {};
+
+  if (status) {
+    query.status = status;
+  }
+
+  const challenges = await Challenge.find(query)
+    .sort({ startDate: -1 })
+    .populate('reward.badge', 'name imageUrl')
+    .lean();
+
+  return challenges.map(challenge => describeChallenge(challenge));
+};
+
+/**
+ * Get the challenges a user takes part in: upcoming and live ones, and
+ * ones that ended in the last RECENT_DAYS
+ * @param {string} userId - User ID
+ * @returns {Array} - Described challenges, ending soonest first
+ */
+const getChallengesForUser = async (userId) => {
+  const member = await getMember(userId);
+  const eligible = [{ participantType: 'team', 'teams.manager': { $in: [member.userId, ...member.ancestors] } }];
+
+  if (member.department) {
+    eligible.push({ participantType: 'department', departments: member.department });
+  }
+
+  const [challenges, contributions] = await Promise.all([
+    Challenge.find({
+      status: { $ne: 'cancelled' },
+      endDate: { $gte: new Date(Date.now() - RECENT_DAYS * DAY_MS) },
+      $or: eligible
+    })
+      .sort({ endDate: 1 })
+      .populate('reward.badge', 'name imageUrl')
+      .lean(),
+    ChallengeProgress.find({ user: userId }).lean()
+  ]);
+
+  const contributionTo = new Map(contributions.map(contribution => [toId(contribution.challenge), contribution]));
+
+  return challenges.map((challenge) => {
+    const contribution = contributionTo.get(toId(challenge._id)) || null;
+
+    return describeChallenge(challenge, {
+      group: contribution ? contribution.group : groupFor(challenge, member),
+      contribution
+    });
+  });
+};
+
+/**
+ * Get one challenge as a user sees it
+ * @param {string} challengeId - Challenge ID
+ * @param {string} userId - User ID
+ * @returns {Object|null} - Described challenge (myGroup is null when the
+ *   user does not take part), or null when it does not exist
+ */
+const getChallenge = async (challengeId, userId) => {
+  const [challenge, contribution, member] = await Promise.all([
+    Challenge.findById(challengeId).populate('reward.badge', 'name imageUrl').lean(),
+    ChallengeProgress.findOne({ challenge: challengeId, user: userId }).lean(),
+    getMember(userId)
+  ]);
+
+  if (!challenge) return null;
+
+  return describeChallenge(challenge, {
+    group: contribution ? contribution.group : groupFor(challenge, member),
+    contribution
+  });
+};
+
+/**
+ * Hand a winner the challenge's badge and points, then tell them. Each step
+ * is only done once, so an interrupted close can simply run again
+ * @param {Object} challenge - Challenge
+ * @param {Object} badge - Reward badge, if any
+ * @param {Object} contribution - Winner's ChallengeProgress
+ * @param {Object} standing - Their group's final standing
+ */
+const rewardWinner = async (challenge, badge, contribution, standing) => {
+  const userId = toId(contribution.user);
+
+  if (badge) {
+    await badgeRuleService.awardBadge(userId, badge, {
+      trigger: 'challenge_won',
+      evidence: [{
+        metric: challenge.goal.metric,
+        achieved: standing.score,
+        required: challenge.goal.target || standing.score
+      }],
+      notify: false
+    });
+  }
+
+  await pointsService.awardPoints({
+    userId,
+    points: challenge.reward.points,
+    source: 'Challenge',
+    sourceId: challenge._id,
+    reason: `Won the ${challenge.title} challenge`,
+    reference: `challenge:${challenge._id}:${userId}`
+  });
+
+  const marked = await ChallengeProgress.updateOne(
+    { _id: contribution._id, rewardedAt: null },
+    { rewardedAt: new Date() }
+  );
+  if (marked.modifiedCount === 0) return;
+
+  const prizes = [
+    badge ? `the ${badge.name} badge` : null,
+    challenge.reward.points > 0 ? `${challenge.reward.points} points` : null
+  ].filter(Boolean).join(' and ');
+
+  await notificationService.sendNotification(
+    userId,
+    'Challenge Won',
+    `${standing.name} won the ${challenge.title} challenge! You have earned ${prizes}.`,
+    {
+      type: 'challenge_won',
+      metadata: {
+        challengeId: challenge._id,
+        badgeId: badge ? badge._id : null,
+        points: challenge.reward.points
+      }
+    }
+  );
+};
+
+/**
+ * Settle an ended challenge: recount its standings from the contributions,
+ * pick the winning groups and reward their contributors
+ * @param {Object} challenge - Challenge in the closing status
+ * @returns {Object} - Completed challenge
+ */
+const closeChallenge = async (challenge) => {
+  const totals = await ChallengeProgress.aggregate([
+    { $match: { challenge: challenge._id, score: { $gt: 0 } } },
+    { $group: { _id: '$group', score: { $sum: '$score' }, contributors: { $sum: 1 } } }
+  ]);
+  const totalOf = new Map(totals.map(total => [total._id, total]));
+
+  challenge.standings = challenge.standings.map(standing => ({
+    group: standing.group,
+    name: standing.name,
+    score: totalOf.has(standing.group) ? totalOf.get(standing.group).score : 0,
+    contributors: totalOf.has(standing.group) ? totalOf.get(standing.group).contributors : 0
+  }));
+
+  // Every group tied for first wins, as long as it scored and met any target
+  const topScore = Math.max(0, ...challenge.standings.map(standing => standing.score));
+  const winning = topScore > 0 && meetsTarget(challenge.goal, topScore)
+    ? rankStandings(challenge).filter(standing => standing.rank === 1)
+    : [];
+
+  challenge.winners = winning.map(standing => standing.group);
+  await challenge.save();
+
+  const badge = challenge.reward.badge ? await Badge.findById(challenge.reward.badge) : null;
+  const standingOf = new Map(winning.map(standing => [standing.group, standing]));
+
+  const cursor = ChallengeProgress.find({
+    challenge: challenge._id,
+    group: { $in: challenge.winners },
+    score: { $gt: 0 }
+  }).lean().cursor();
+
+  for await (const contribution of cursor) {
+    await rewardWinner(challenge, badge, contribution, standingOf.get(contribution.group));
+  }
+
+  challenge.status = 'completed';
+  challenge.closedAt = new Date();
+
+  return challenge.save();
+};
+
+/**
+ * Close challenges whose end date has passed and reward their winners,
+ * picking up any a previous run did not finish (run on a schedule)
+ * @param {Date} now - Current time
+ * @returns {Object} - { closed }
+ */
+const processChallenges = async (now = new Date()) => {
+  await Challenge.updateMany(
+    { status: 'active', endDate: { $lte: now } },
+    { status: 'closing' }
+  );
+
+  const closing = await Challenge.find({ status: 'closing' });
+  let closed = 0;
+
+  for (const challenge of closing) {
+    try {
+      await closeChallenge(challenge);
+      closed++;
+    } catch (error) {
+      console.error(`Error closing challenge ${challenge._id}:`, error.message);
+    }
+  }
+
+  return { closed };
+};
+
+module.exports = {
+  ChallengeError,
+  METRICS,
+  createChallenge,
+  updateChallenge,
+  cancelChallenge,
+  recordProgress,
+  describeGoal,
+  listChallenges,
+  getChallengesForUser,
+  getChallenge,
+  processChallenges
+};
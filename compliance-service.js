@@ -0,0 +1,120 @@
+/**
+ * Compliance service
+ * Works out how many of their required courses each department's employees
+ * have completed. A completion of a recurring course only counts until it
+ * lapses, so expired certifications are non-compliant
+ */
+const Enrollment = require('../models/Enrollment');
+const DepartmentCompliance = require('../models/DepartmentCompliance');
+const User = require('../models/User');
+const recertificationService = require('./recertificationService');
+
+/**
+ * Build compliance data from the required enrollments of a set of users,
+ * in the same shape as DepartmentCompliance documents
+ * @param {Array|null} userIds - Users to include, or null for everyone
+ * @param {string} department - Optional department name ('all' for every department)
+ * @returns {Array} - Departments, lowest compliance first
+ */
+const buildCompliance = async (userIds, department) => {
+  const userQuery = userIds ? { _id: { $in: userIds } } : {};
+
+  if (department && department !== 'all') {
+    userQuery.department = department;
+  }
+
+  const users = await User.find(userQuery).select('department');
+  const departmentOf = {};
+
+  users.forEach(user => {
+    departmentOf[user._id.toString()] = user.department || 'Unassigned';
+  });
+
+  const enrollments = await Enrollment.find({
+    user: { $in: users.map(user => user._id) },
+    isRequired: true
+  })
+    .populate('course', 'title category')
+    .select('user course status dueDate certificationExpiresOn certificationHistory');
+
+  const departments = {};
+  const now = new Date();
+
+  users.forEach(user => {
+    const name = departmentOf[user._id.toString()];
+
+    if (!departments[name]) {
+      departments[name] = { name, employeeIds: new Set(), courses: {}, total: 0, completed: 0 };
+    }
+    departments[name].employeeIds.add(user._id.toString());
+  });
+
+  enrollments.forEach(enrollment => {
+    if (!enrollment.course) return;
+
+    const dept = departments[departmentOf[enrollment.user.toString()]];
+    const courseId = enrollment.course._id.toString();
+    const isCompliant = recertificationService.isCompliant(enrollment, now);
+
+    if (!dept.courses[courseId]) {
+      dept.courses[courseId] = { course: enrollment.course, total: 0, completed: 0, expired: 0, dueDate: null };
+    }
+
+    const courseEntry = dept.courses[courseId];
+    courseEntry.total++;
+    dept.total++;
+
+    if (isCompliant) {
+      courseEntry.completed++;
+      dept.completed++;
+    } else if (recertificationService.hasLapsed(enrollment, now)) {
+      courseEntry.expired++;
+    }
+
+    if (enrollment.dueDate && (!courseEntry.dueDate || enrollment.dueDate < courseEntry.dueDate)) {
+      courseEntry.dueDate = enrollment.dueDate;
+    }
+  });
+
+  return Object.values(departments)
+    .map(dept => ({
+      name: dept.name,
+      complianceRate: dept.total > 0 ? Math.round((dept.completed / dept.total) * 100) : 100,
+      employeeCount: dept.employeeIds.size,
+      requiredCourseCount: Object.keys(dept.courses).length,
+      courses: Object.values(dept.courses).map(course => ({
+        course: course.course,
+        complianceRate: Math.round((course.completed / course.total) * 100),
+        expiredCount: course.expired,
+        dueDate: course.dueDate
+      }))
+    }))
+    .sort((a, b) => a.complianceRate - b.complianceRate);
+};
+
+/**
+ * Recompute the stored DepartmentCompliance documents for the whole
+ * organization. Run on a schedule, after processing recertifications
+ * @returns {number} - Departments updated
+ */
+const refreshDepartmentCompliance = async () => {
+  const departments = await buildCompliance(null);
+
+  for (const dept of departments) {
+    await DepartmentCompliance.findOneAndUpdate(
+      { name: dept.name },
+      {
+        ...dept,
+        courses: dept.courses.map(course => ({ ...course, course: course.course._id }))
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  return departments.length;
+};
+
+module.exports = {
+  buildCompliance,
+  refreshDepartmentCompliance
+};
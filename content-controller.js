@@ -3,16 +3,123 @@
  * Handles content-related operations (CRUD, progress tracking, etc.)
  */
 
-const mongoose = require('mongoose');
 const Course = require('../models/Course');
 const Module = require('../models/Module');
 const Content = require('../models/Content');
 const Enrollment = require('../models/Enrollment');
+const CourseVersion = require('../models/CourseVersion');
 const Quiz = require('../models/Quiz');
-const Assignment = require('../models/Assignment');
+const QuizAttempt = require('../models/QuizAttempt');
+const AssignmentSubmission = require('../models/AssignmentSubmission');
 const { createApiError, asyncHandler } = require('../config/middleware');
+const policyService = require('../services/policyService');
+const courseVersionService = require('../services/courseVersionService');
+const quizService = require('../services/quizService');
+const assignmentService = require('../services/assignmentService');
+const peerReviewService = require('../services/peerReviewService');
+const similarityService = require('../services/similarityService');
+const scormService = require('../services/scormService');
+const xapiService = require('../services/xapiService');
+const streakService = require('../services/streakService');
+const PeerReview = require('../models/PeerReview');
+const AssignmentExtension = require('../models/AssignmentExtension');
 const { validateProgressUpdate } = require('../utils/dataValidation');
 
+/**
+ * Get a module's content as published in the version the user is taking
+ * (their enrollment's version, otherwise the current one)
+ * @param {Object} course - Course document
+ * @param {Object} user - Authenticated user
+ * @param {string} moduleId - Module ID
+ * @returns {Array|null} - Content snapshots, or null for editors who work on the draft
+ */
+const getPublishedModuleContent = async (course, user, moduleId) => {
+  if (policyService.can(user, 'content:edit', course)) {
+    return null;
+  }
+  
+  const enrollment = await Enrollment.findOne({
+    user: user._id,
+    course: course._id
+  }).select('course courseVersion');
+  
+  const version = enrollment
+    ? await courseVersionService.getEnrollmentVersion(enrollment)
+    : course.currentVersion && await CourseVersion.findById(course.currentVersion);
+  
+  // Unpublished drafts are not visible to learners
+  if (!version) {
+    return [];
+  }
+  
+  const module = courseVersionService.findVersionModule(version, moduleId);
+  
+  if (!module) {
+    throw createApiError.notFound('Module not found');
+  }
+  
+  return module.contents.map(courseVersionService.toLearnerContent);
+};
+
+/**
+ * Get the quiz definition a user takes: the published snapshot for learners
+ * (from their enrollment's version) and the draft for course editors
+ * @param {Object} course - Course document
+ * @param {Object} user - Authenticated user
+ * @param {string} moduleId - Module ID
+ * @param {string} contentId - Content ID
+ * @returns {Object} - Quiz definition
+ */
+const getQuizDefinition = async (course, user, moduleId, contentId) => {
+  if (!policyService.can(user, 'content:edit', course)) {
+    const enrollment = await Enrollment.findOne({
+      user: user._id,
+      course: course._id
+    });
+    
+    if (!enrollment) {
+      throw createApiError.badRequest('You are not enrolled in this course');
+    }
+    
+    const version = await courseVersionService.getEnrollmentVersion(enrollment);
+    const content = version && courseVersionService.findVersionContent(version, moduleId, contentId);
+    
+    if (content && content.quizData) {
+      return content.quizData;
+    }
+  }
+  
+  const content = await Content.findOne({
+    _id: contentId,
+    module: moduleId,
+    contentType: 'Quiz'
+  });
+  
+  const quiz = content && content.quiz && await Quiz.findById(content.quiz).lean();
+  
+  if (!quiz) {
+    throw createApiError.notFound('Quiz not found');
+  }
+  
+  return quiz;
+};
+
+/**
+ * Convert a quiz service error to an API error
+ * Attempt limits and cooldowns are refusals; anything else is passed through
+ * @param {Error} error - Error thrown by the quiz service
+ * @returns {Error}
+ */
+const toQuizApiError = (error) => {
+  if (!(error instanceof quizService.QuizAttemptError)) return error;
+  
+  if (error.code === 'MAX_ATTEMPTS_REACHED' || error.code === 'RETAKE_COOLDOWN') {
+    return createApiError.forbidden(error.message, error.code, error.data);
+  }
+  
+  return createApiError.badRequest(error.message, error.code, error.data);
+};
+
 /**
  * @desc    Get all content for a module
  * @route   GET /api/courses/:courseId/modules/:moduleId/content
@@ -27,19 +134,23 @@ const getModuleContent = asyncHandler(async (req, res) => {
     throw createApiError.notFound('Course not found');
   }
   
-  const module = await Module.findOne({
-    _id: moduleId,
-    course: courseId
-  });
+  // Learners get the published content, editors the draft
+  let content = await getPublishedModuleContent(course, req.user, moduleId);
   
-  if (!module) {
-    throw createApiError.notFound('Module not found');
+  if (!content) {
+    const module = await Module.findOne({
+      _id: moduleId,
+      course: courseId
+    });
+    
+    if (!module) {
+      throw createApiError.notFound('Module not found');
+    }
+    
+    content = await Content.find({
+      module: moduleId
+    }).sort({ order: 1 }).lean();
   }
-
-  // Get content items
-  const content = await Content.find({
-    module: moduleId
-  }).sort({ order: 1 });
   
   // If user is enrolled, get progress information
   let contentWithProgress = content;
@@ -57,7 +168,7 @@ const getModuleContent = asyncHandler(async (req, res) => {
           .find(cp => cp.contentId.toString() === item._id.toString());
         
         return {
-          ...item.toObject(),
+          ...item,
           progress: contentProgress ? {
             status: contentProgress.status,
             progress: contentProgress.progress,
@@ -88,29 +199,51 @@ const getModuleContent = asyncHandler(async (req, res) => {
 const getContentById = asyncHandler(async (req, res) => {
   const { courseId, moduleId, contentId } = req.params;
   
-  // Verify content exists and belongs to the specified module and course
-  const content = await Content.findOne({
-    _id: contentId,
-    module: moduleId,
-    course: courseId
-  });
-  
-  if (!content) {
-    throw createApiError.notFound('Content not found');
+  const course = await Course.findById(courseId);
+  if (!course) {
+    throw createApiError.notFound('Course not found');
   }
   
-  // Get additional content data based on type
-  let contentData = content.toObject();
+  // Learners get the published content, editors the draft
+  const publishedContent = await getPublishedModuleContent(course, req.user, moduleId);
+  let contentData;
   
-  if (content.contentType === 'quiz' && content.quiz) {
-    const quiz = await Quiz.findById(content.quiz).select('-answers');
-    if (quiz) {
-      contentData.quizData = quiz;
+  if (publishedContent) {
+    contentData = publishedContent.find(item => item._id.toString() === contentId);
+    
+    if (!contentData) {
+      throw createApiError.notFound('Content not found');
+    }
+  } else {
+    // Verify content exists and belongs to the specified module and course
+    const content = await Content.findOne({
+      _id: contentId,
+      module: moduleId,
+      course: courseId
+    });
+    
+    if (!content) {
+      throw createApiError.notFound('Content not found');
     }
-  } else if (content.contentType === 'assignment' && content.assignment) {
-    const assignment = await Assignment.findById(content.assignment);
-    if (assignment) {
-      contentData.assignmentData = assignment;
+    
+    // Get additional content data based on type
+    contentData = content.toObject();
+    
+    if (content.contentType === 'quiz' && content.quiz) {
+      const quiz = await Quiz.findById(content.quiz).select('-answers');
+      if (quiz) {
+        contentData.quizData = quiz;
+      }
+    }
+  }
+  
+  if (contentData.contentType === 'Assignment' && contentData.assignment) {
+    contentData.assignmentData = contentData.assignment;
+    
+    // Learners see their own deadline when they have an extension
+    if (publishedContent) {
+      const { deadline, extension } = await assignmentService.getLearnerDeadline(contentData, req.user._id);
+      contentData.assignmentData = { ...contentData.assignment, deadline, extended: Boolean(extension) };
     }
   }
   
@@ -137,7 +270,11 @@ const getContentById = asyncHandler(async (req, res) => {
             progress: contentProgress.progress,
             lastAccessDate: contentProgress.lastAccessDate,
             completionDate: contentProgress.completionDate,
-            timeSpent: contentProgress.timeSpent
+            timeSpent: contentProgress.timeSpent,
+            // SCORM content resumes from the runtime data it last reported
+            ...(contentData.contentType === 'SCORM' && { scorm: contentProgress.scorm }),
+            // Latest score the LTI tool posted
+            ...(contentData.contentType === 'LTI' && { lti: contentProgress.lti })
           };
         }
       }
@@ -166,9 +303,7 @@ const createContent = asyncHandler(async (req, res) => {
   }
   
   // Verify user is the course instructor or admin
-  if (course.instructor.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-    throw createApiError.forbidden('Not authorized to add content to this course');
-  }
+  policyService.authorizeAction(req.user, 'content:edit', course, 'Not authorized to add content to this course');
   
   const module = await Module.findOne({
     _id: moduleId,
@@ -196,41 +331,35 @@ const createContent = asyncHandler(async (req, res) => {
   });
   
   // Create related documents if needed (quiz, assignment)
-  if (content.contentType === 'quiz' && contentData.quiz) {
+  if (content.contentType === 'Quiz' && contentData.quiz) {
+    // Inline questions are added to the question bank
+    const pools = await quizService.buildPools(contentData.quiz, {
+      courseId,
+      userId: req.user._id
+    });
+    
     const quiz = new Quiz({
       title: content.title,
       description: content.description,
       course: courseId,
       module: moduleId,
-      questions: contentData.quiz.questions,
+      pools,
       timeLimit: contentData.quiz.timeLimit,
       passingScore: contentData.quiz.passingScore || 70,
-      attempts: contentData.quiz.attempts || 3,
+      maxAttempts: contentData.quiz.maxAttempts ?? 3,
+      retakeCooldown: contentData.quiz.retakeCooldown || 0,
+      scorePolicy: contentData.quiz.scorePolicy || 'Best',
       showFeedback: contentData.quiz.showFeedback !== false,
       randomizeQuestions: contentData.quiz.randomizeQuestions || false,
+      shuffleOptions: contentData.quiz.shuffleOptions !== false,
       createdBy: req.user._id
     });
     
     await quiz.save();
     content.quiz = quiz._id;
-  } else if (content.contentType === 'assignment' && contentData.assignment) {
-    const assignment = new Assignment({
-      title: content.title,
-      description: content.description,
-      course: courseId,
-      module: moduleId,
-      instructions: contentData.assignment.instructions,
-      dueDate: contentData.assignment.dueDate,
-      totalPoints: contentData.assignment.totalPoints || 100,
-      passingPoints: contentData.assignment.passingPoints || 60,
-      allowResubmission: contentData.assignment.allowResubmission || false,
-      maxResubmissions: contentData.assignment.maxResubmissions || 1,
-      submissionType: contentData.assignment.submissionType || 'file',
-      createdBy: req.user._id
-    });
-    
-    await assignment.save();
-    content.assignment = assignment._id;
+  } else if (content.contentType === 'Assignment' && contentData.assignment) {
+    // Assignment settings and rubric are embedded in the content
+    content.assignment = assignmentService.fromEditorAssignment(contentData.assignment);
   }
   
   await content.save();
@@ -239,6 +368,8 @@ const createContent = asyncHandler(async (req, res) => {
   module.contents.push(content._id);
   await module.save();
   
+  await courseVersionService.markDraftChanged(courseId);
+  
   res.status(201).json({
     success: true,
     data: content
@@ -260,9 +391,7 @@ const updateContent = asyncHandler(async (req, res) => {
     throw createApiError.notFound('Course not found');
   }
   
-  if (course.instructor.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-    throw createApiError.forbidden('Not authorized to update content in this course');
-  }
+  policyService.authorizeAction(req.user, 'content:edit', course, 'Not authorized to update content in this course');
   
   // Find and update content
   const content = await Content.findOne({
@@ -276,29 +405,31 @@ const updateContent = asyncHandler(async (req, res) => {
   }
   
   // Update related documents if needed
-  if (content.contentType === 'quiz' && updateData.quiz && content.quiz) {
-    await Quiz.findByIdAndUpdate(content.quiz, {
+  if (content.contentType === 'Quiz' && updateData.quiz && content.quiz) {
+    const quizUpdate = {
       title: updateData.title || content.title,
       description: updateData.description || content.description,
-      questions: updateData.quiz.questions,
       timeLimit: updateData.quiz.timeLimit,
       passingScore: updateData.quiz.passingScore,
-      attempts: updateData.quiz.attempts,
+      maxAttempts: updateData.quiz.maxAttempts,
+      retakeCooldown: updateData.quiz.retakeCooldown,
+      scorePolicy: updateData.quiz.scorePolicy,
       showFeedback: updateData.quiz.showFeedback,
-      randomizeQuestions: updateData.quiz.randomizeQuestions
-    });
-  } else if (content.contentType === 'assignment' && updateData.assignment && content.assignment) {
-    await Assignment.findByIdAndUpdate(content.assignment, {
-      title: updateData.title || content.title,
-      description: updateData.description || content.description,
-      instructions: updateData.assignment.instructions,
-      dueDate: updateData.assignment.dueDate,
-      totalPoints: updateData.assignment.totalPoints,
-      passingPoints: updateData.assignment.passingPoints,
-      allowResubmission: updateData.assignment.allowResubmission,
-      maxResubmissions: updateData.assignment.maxResubmissions,
-      submissionType: updateData.assignment.submissionType
-    });
+      randomizeQuestions: updateData.quiz.randomizeQuestions,
+      shuffleOptions: updateData.quiz.shuffleOptions
+    };
+    
+    // Pools are replaced only when the editor sends them
+    if (updateData.quiz.pools || updateData.quiz.questions) {
+      quizUpdate.pools = await quizService.buildPools(updateData.quiz, {
+        courseId,
+        userId: req.user._id
+      });
+    }
+    
+    await Quiz.findByIdAndUpdate(content.quiz, quizUpdate, { runValidators: true });
+  } else if (content.contentType === 'Assignment' && updateData.assignment) {
+    content.assignment = assignmentService.fromEditorAssignment(updateData.assignment);
   }
   
   // Fields to exclude from direct update
@@ -315,6 +446,8 @@ const updateContent = asyncHandler(async (req, res) => {
   Object.assign(content, updateData);
   await content.save();
   
+  await courseVersionService.markDraftChanged(courseId);
+  
   res.status(200).json({
     success: true,
     data: content
@@ -335,9 +468,7 @@ const deleteContent = asyncHandler(async (req, res) => {
     throw createApiError.notFound('Course not found');
   }
   
-  if (course.instructor.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-    throw createApiError.forbidden('Not authorized to delete content from this course');
-  }
+  policyService.authorizeAction(req.user, 'content:edit', course, 'Not authorized to delete content from this course');
   
   // Find content
   const content = await Content.findOne({
@@ -353,8 +484,6 @@ const deleteContent = asyncHandler(async (req, res) => {
   // Delete related documents if needed
   if (content.contentType === 'quiz' && content.quiz) {
     await Quiz.findByIdAndDelete(content.quiz);
-  } else if (content.contentType === 'assignment' && content.assignment) {
-    await Assignment.findByIdAndDelete(content.assignment);
   }
   
   // Remove content from module
@@ -365,6 +494,8 @@ const deleteContent = asyncHandler(async (req, res) => {
   // Delete content
   await Content.findByIdAndDelete(contentId);
   
+  await courseVersionService.markDraftChanged(courseId);
+  
   res.status(200).json({
     success: true,
     data: {}
@@ -390,9 +521,7 @@ const reorderContent = asyncHandler(async (req, res) => {
     throw createApiError.notFound('Course not found');
   }
   
-  if (course.instructor.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-    throw createApiError.forbidden('Not authorized to reorder content in this course');
-  }
+  policyService.authorizeAction(req.user, 'content:edit', course, 'Not authorized to reorder content in this course');
   
   // Verify module exists
   const module = await Module.findOne({
@@ -421,6 +550,8 @@ const reorderContent = asyncHandler(async (req, res) => {
   
   await Promise.all(updatePromises);
   
+  await courseVersionService.markDraftChanged(courseId);
+  
   // Get updated content
   const updatedContent = await Content.find({
     module: moduleId
@@ -439,7 +570,43 @@ const reorderContent = asyncHandler(async (req, res) => {
  */
 const trackContentProgress = asyncHandler(async (req, res) => {
   const { courseId, moduleId, contentId } = req.params;
-  const { progress, status, timeSpent } = req.body;
+  const { scorm } = req.body;
+  let { progress, status, timeSpent } = req.body;
+  
+  // Find enrollment
+  const enrollment = await Enrollment.findOne({
+    user: req.user._id,
+    course: courseId
+  });
+  
+  if (!enrollment) {
+    throw createApiError.badRequest('You are not enrolled in this course');
+  }
+  
+  let moduleProgress = enrollment.moduleProgress.find(
+    mp => mp.moduleId.toString() === moduleId
+  );
+  let contentProgress = moduleProgress && moduleProgress.contentProgress.find(
+    cp => cp.contentId.toString() === contentId
+  );
+  
+  const version = await courseVersionService.getEnrollmentVersion(enrollment);
+  const content = version
+    ? courseVersionService.findVersionContent(version, moduleId, contentId)
+    : await Content.findOne({ _id: contentId, module: moduleId }).lean();
+  
+  // SCORM content reports its runtime data, which decides progress and status
+  let scormResult;
+  
+  if (scorm) {
+    if (!content || content.contentType !== 'SCORM') {
+      throw createApiError.badRequest('Content is not a SCORM package');
+    }
+    
+    scormResult = scormService.applyRuntimeData(content, scorm, contentProgress);
+    ({ progress, status } = scormResult);
+    timeSpent = scormResult.sessionTime || timeSpent;
+  }
   
   // Validate progress data
   const progressData = {
@@ -458,46 +625,41 @@ const trackContentProgress = asyncHandler(async (req, res) => {
     throw createApiError.validation('Invalid progress data', errors);
   }
   
-  // Find enrollment
-  const enrollment = await Enrollment.findOne({
-    user: req.user._id,
-    course: courseId
-  });
-  
-  if (!enrollment) {
-    throw createApiError.badRequest('You are not enrolled in this course');
-  }
-  
-  // Find the module progress or create it
-  let moduleProgress = enrollment.moduleProgress.find(
-    mp => mp.moduleId.toString() === moduleId
+  // Credit no more time than has passed since progress was last reported
+  timeSpent = streakService.creditableSeconds(
+    timeSpent,
+    contentProgress ? contentProgress.lastAccessDate : enrollment.lastAccessedOn
   );
   
+  const isFirstAccess = !contentProgress;
+  const wasCompleted = Boolean(contentProgress) && contentProgress.status === 'completed';
+  const previousSuccessStatus = contentProgress && contentProgress.scorm && contentProgress.scorm.successStatus;
+  
+  // Create the module and content progress on first access
   if (!moduleProgress) {
-    moduleProgress = {
+    enrollment.moduleProgress.push({
       moduleId,
       progress: 0,
       contentProgress: []
-    };
-    enrollment.moduleProgress.push(moduleProgress);
+    });
+    moduleProgress = enrollment.moduleProgress[enrollment.moduleProgress.length - 1];
   }
   
-  // Find the content progress or create it
-  let contentProgress = moduleProgress.contentProgress.find(
-    cp => cp.contentId.toString() === contentId
-  );
-  
   if (!contentProgress) {
-    contentProgress = {
+    moduleProgress.contentProgress.push({
       contentId,
       status: 'not-started',
       progress: 0,
       timeSpent: 0
-    };
-    moduleProgress.contentProgress.push(contentProgress);
+    });
+    contentProgress = moduleProgress.contentProgress[moduleProgress.contentProgress.length - 1];
   }
   
   // Update content progress
+  if (scormResult) {
+    contentProgress.scorm = scormResult.scorm;
+  }
+  
   if (progress !== undefined) {
     contentProgress.progress = progress;
   }
@@ -526,22 +688,64 @@ const trackContentProgress = asyncHandler(async (req, res) => {
   
   moduleProgress.progress = (completedContent / totalContentCount) * 100;
   
-  // Update course progress - average of all module progress
-  const totalModuleCount = enrollment.moduleProgress.length;
-  const modulesProgressSum = enrollment.moduleProgress.reduce(
-    (sum, module) => sum + module.progress, 0
-  );
+  // Completed content counts towards the course the same way as content
+  // completed through the enrollment progress endpoint
+  if (contentProgress.status === 'completed') {
+    courseVersionService.recordContentCompletion(enrollment, version, moduleId, contentId, {
+      completedOn: contentProgress.completionDate,
+      timeSpent: contentProgress.timeSpent
+    });
+  }
   
-  enrollment.progress = modulesProgressSum / totalModuleCount;
+  // Completion (certificate, badges) is left to the enrollment progress update
+  if (version) {
+    enrollment.progressPercentage = courseVersionService.calculateProgress(enrollment, version);
+  }
   
-  // Mark course as completed if progress is 100%
-  if (enrollment.progress >= 100) {
-    enrollment.status = 'completed';
-    enrollment.completionDate = enrollment.completionDate || new Date();
+  if (enrollment.status === 'Not Started') {
+    enrollment.status = 'In Progress';
   }
   
+  enrollment.lastAccessedOn = Date.now();
+  
   await enrollment.save();
   
+  await streakService.recordActivity(req.user._id, { source: 'content', seconds: timeSpent });
+  
+  // Report the learning activity to the LRS
+  const activity = xapiService.contentActivity(courseId, moduleId, content || { _id: contentId });
+  const context = xapiService.learningContext({ courseId, moduleId, enrollment });
+  
+  if (isFirstAccess) {
+    await xapiService.recordStatement(req.user, 'launched', activity, { context });
+  } else if (contentProgress.status !== 'completed') {
+    await xapiService.recordStatement(req.user, 'progressed', activity, {
+      result: { extensions: { [xapiService.PROGRESS_EXTENSION]: Math.round(contentProgress.progress) } },
+      context
+    });
+  }
+  
+  if (contentProgress.status === 'completed' && !wasCompleted) {
+    await xapiService.recordStatement(req.user, 'completed', activity, {
+      result: { completion: true, duration: `PT${contentProgress.timeSpent}S` },
+      context
+    });
+  }
+  
+  const successStatus = scormResult && scormResult.scorm.successStatus;
+  
+  if ((successStatus === 'passed' || successStatus === 'failed') && successStatus !== previousSuccessStatus) {
+    const { raw, min, max, scaled } = scormResult.scorm.score || {};
+    const score = Object.entries({ scaled, raw, min, max })
+      .filter(([, value]) => typeof value === 'number')
+      .reduce((result, [key, value]) => ({ ...result, [key]: value }), {});
+    
+    await xapiService.recordStatement(req.user, successStatus, activity, {
+      result: { success: successStatus === 'passed', ...(Object.keys(score).length > 0 && { score }) },
+      context
+    });
+  }
+  
   res.status(200).json({
     success: true,
     data: {
@@ -550,375 +754,587 @@ const trackContentProgress = asyncHandler(async (req, res) => {
         moduleId: moduleProgress.moduleId,
         progress: moduleProgress.progress
       },
-      courseProgress: enrollment.progress
+      courseProgress: enrollment.progressPercentage
     }
   });
 });
 
 /**
- * @desc    Submit quiz attempt
- * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/quiz/submit
+ * @desc    Start a quiz attempt (or resume the unfinished one)
+ * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/quiz/start
  * @access  Private
  */
-const submitQuizAttempt = asyncHandler(async (req, res) => {
+const startQuizAttempt = asyncHandler(async (req, res) => {
+  const { courseId, moduleId, contentId } = req.params;
+  
+  const course = await Course.findById(courseId);
+  if (!course) {
+    throw createApiError.notFound('Course not found');
+  }
+  
+  const quiz = await getQuizDefinition(course, req.user, moduleId, contentId);
+  
+  let attempt;
+  try {
+    attempt = await quizService.startAttempt({
+      quiz,
+      userId: req.user._id,
+      courseId,
+      moduleId,
+      contentId
+    });
+  } catch (error) {
+    throw toQuizApiError(error);
+  }
+  
+  const attemptState = await quizService.getAttemptState(quiz, req.user._id);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      attemptId: attempt._id,
+      attemptNumber: attempt.attemptNumber,
+      startedAt: attempt.startedAt,
+      timeLimit: quiz.timeLimit,
+      // Clients count down from the server's clock, not their own
+      expiresAt: attempt.expiresAt || null,
+      serverTime: new Date(),
+      // Counts the attempt in progress as used
+      attemptsRemaining: attemptState.attemptsRemaining === null
+        ? null
+        : Math.max(attemptState.attemptsRemaining - 1, 0),
+      savedAnswers: attempt.savedAnswers,
+      questions: quizService.toLearnerQuestions(attempt.questions)
+    }
+  });
+});
+
+/**
+ * @desc    Save answers on the quiz attempt in progress
+ * @route   PUT /api/courses/:courseId/modules/:moduleId/content/:contentId/quiz/answers
+ * @access  Private
+ */
+const saveQuizAnswers = asyncHandler(async (req, res) => {
   const { courseId, moduleId, contentId } = req.params;
-  const { answers } = req.body;
+  const { attemptId, answers } = req.body;
   
   if (!answers || !Array.isArray(answers)) {
     throw createApiError.badRequest('Quiz answers are required');
   }
   
-  // Find content and verify it's a quiz
-  const content = await Content.findOne({
-    _id: contentId,
-    module: moduleId,
-    course: courseId,
-    contentType: 'quiz'
+  const course = await Course.findById(courseId);
+  if (!course) {
+    throw createApiError.notFound('Course not found');
+  }
+  
+  const quiz = await getQuizDefinition(course, req.user, moduleId, contentId);
+  
+  const attempt = await QuizAttempt.findOne({
+    ...(attemptId ? { _id: attemptId } : {}),
+    user: req.user._id,
+    quiz: quiz._id,
+    status: 'In Progress'
   });
   
-  if (!content || !content.quiz) {
-    throw createApiError.notFound('Quiz not found');
+  if (!attempt) {
+    throw createApiError.badRequest('No quiz attempt in progress, start the quiz first');
   }
   
-  // Get the quiz with answers for grading
-  const quiz = await Quiz.findById(content.quiz);
-  if (!quiz) {
-    throw createApiError.notFound('Quiz data not found');
+  try {
+    await quizService.saveAnswers(attempt, answers);
+  } catch (error) {
+    throw toQuizApiError(error);
   }
   
-  // Grade quiz
-  let totalPoints = 0;
-  let earnedPoints = 0;
-  const gradedAnswers = [];
-  
-  quiz.questions.forEach(question => {
-    const userAnswer = answers.find(a => a.questionId.toString() === question._id.toString());
-    totalPoints += question.points;
-    
-    let isCorrect = false;
-    let earnedQuestionPoints = 0;
-    
-    if (userAnswer) {
-      if (question.type === 'multiple-choice' || question.type === 'true-false') {
-        // For multiple choice, check if selected options match correct options
-        isCorrect = userAnswer.selectedOptions &&
-          userAnswer.selectedOptions.length > 0 &&
-          question.options.every(option => {
-            const isOptionSelected = userAnswer.selectedOptions.includes(option._id.toString());
-            return option.isCorrect === isOptionSelected;
-          });
-      } else if (question.type === 'short-answer') {
-        // For short answer, do case-insensitive comparison
-        isCorrect = userAnswer.answer &&
-          userAnswer.answer.toLowerCase() === question.correctAnswer.toLowerCase();
-      }
-      
-      if (isCorrect) {
-        earnedQuestionPoints = question.points;
-        earnedPoints += earnedQuestionPoints;
-      }
-      
-      gradedAnswers.push({
-        questionId: question._id,
-        userAnswer: userAnswer.selectedOptions || userAnswer.answer,
-        isCorrect,
-        earnedPoints: earnedQuestionPoints,
-        totalPoints: question.points
-      });
+  res.status(200).json({
+    success: true,
+    data: {
+      attemptId: attempt._id,
+      expiresAt: attempt.expiresAt || null,
+      serverTime: new Date()
     }
   });
+});
+
+/**
+ * @desc    Submit quiz attempt
+ * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/quiz/submit
+ * @access  Private
+ */
+const submitQuizAttempt = asyncHandler(async (req, res) => {
+  const { courseId, moduleId, contentId } = req.params;
+  const { attemptId, answers } = req.body;
+  
+  if (!answers || !Array.isArray(answers)) {
+    throw createApiError.badRequest('Quiz answers are required');
+  }
   
-  // Calculate percentage score
-  const score = totalPoints > 0 ? (earnedPoints / totalPoints) * 100 : 0;
-  const passed = score >= quiz.passingScore;
+  const course = await Course.findById(courseId);
+  if (!course) {
+    throw createApiError.notFound('Course not found');
+  }
   
-  // Record quiz attempt
-  const attempt = {
-    user: req.user._id,
-    quiz: quiz._id,
-    content: contentId,
-    score,
-    earnedPoints,
-    totalPoints,
-    answers: gradedAnswers,
-    passed,
-    timeSpent: req.body.timeSpent || 0,
-    attemptedAt: new Date()
-  };
+  const quiz = await getQuizDefinition(course, req.user, moduleId, contentId);
   
-  // Add the attempt to the quiz
-  quiz.attempts.push(attempt);
-  await quiz.save();
+  // Grade against the questions served for this attempt. An attempt the
+  // server already closed at its deadline returns the stored result
+  const openAttempt = await QuizAttempt.findOne(attemptId
+    ? { _id: attemptId, user: req.user._id, quiz: quiz._id }
+    : { user: req.user._id, quiz: quiz._id, status: 'In Progress' });
+  
+  if (!openAttempt || (openAttempt.status !== 'In Progress' && !openAttempt.autoSubmitted)) {
+    throw createApiError.badRequest('No quiz attempt in progress, start the quiz first');
+  }
+  
+  const attempt = openAttempt.status === 'In Progress'
+    ? await quizService.submitAttempt(openAttempt, answers)
+    : openAttempt;
+  
+  const { score, passed, earnedPoints, totalPoints, autoSubmitted } = attempt;
   
   // Update enrollment progress if passed
   if (passed) {
+    Object.assign(req.body, { progress: 100, status: 'completed' });
     await trackContentProgress(req, res);
   } else {
+    const attemptState = await quizService.getAttemptState(quiz, req.user._id);
+    
     res.status(200).json({
       success: true,
       data: {
+        attemptId: attempt._id,
         score,
         passed,
         earnedPoints,
         totalPoints,
-        feedback: quiz.showFeedback ? gradedAnswers : null,
-        attemptsRemaining: quiz.attempts - (quiz.attempts.filter(a => 
-          a.user.toString() === req.user._id.toString()
-        ).length)
+        autoSubmitted,
+        feedback: quiz.showFeedback ? quizService.buildFeedback(attempt) : null,
+        attemptsRemaining: attemptState.attemptsRemaining,
+        nextAttemptAt: attemptState.nextAttemptAt
       }
     });
   }
 });
 
 /**
- * @desc    Submit assignment
- * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/submit
- * @access  Private
+ * Load an Assignment content item and one of its submissions for grading
+ * @param {Object} req - Request with course, module, content and submission IDs
+ * @returns {Object} - { content, submission }
  */
-const submitAssignment = asyncHandler(async (req, res) => {
-  const { courseId, moduleId, contentId } = req.params;
-  const { submission, submissionType } = req.body;
+const getGradingContext = async (req) => {
+  const { courseId, moduleId, contentId, submissionId } = req.params;
+  
+  const course = await Course.findById(courseId);
+  if (!course) {
+    throw createApiError.notFound('Course not found');
+  }
+  
+  policyService.authorizeAction(req.user, 'assignment:grade', course, 'Not authorized to grade assignments in this course');
+  
+  const submission = await AssignmentSubmission.findOne({
+    _id: submissionId,
+    content: contentId
+  });
   
   if (!submission) {
-    throw createApiError.badRequest('Submission is required');
+    throw createApiError.notFound('Submission not found');
   }
   
-  // Find content and verify it's an assignment
-  const content = await Content.findOne({
-    _id: contentId,
-    module: moduleId,
-    course: courseId,
-    contentType: 'assignment'
+  // Grade against the version the learner submitted to
+  const enrollment = await Enrollment.findOne({
+    user: submission.user,
+    course: courseId
   });
   
+  const content = await assignmentService.getAssignmentContent(enrollment, moduleId, contentId);
+  
   if (!content || !content.assignment) {
     throw createApiError.notFound('Assignment not found');
   }
   
-  // Get the assignment
-  const assignment = await Assignment.findById(content.assignment);
-  if (!assignment) {
-    throw createApiError.notFound('Assignment data not found');
+  return { content, submission };
+};
+
+/**
+ * Convert an assignment service error to an API error
+ * @param {Error} error - Error thrown by the assignment service
+ * @returns {Error}
+ */
+const toAssignmentApiError = (error) => {
+  if (!(error instanceof assignmentService.AssignmentError)) return error;
+  
+  if ([
+    'ALREADY_SUBMITTED',
+    'ALREADY_GRADED',
+    'NEEDS_RECONCILIATION',
+    'NOT_GRADABLE',
+    'REVIEW_CLOSED'
+  ].includes(error.code)) {
+    return createApiError.conflict(error.message, error.code);
   }
   
-  // Check if submission type is allowed
-  if (submissionType && assignment.submissionType !== submissionType) {
-    throw createApiError.badRequest(`Submission type must be ${assignment.submissionType}`);
+  if (['NOT_REVIEWER', 'DEADLINE_PASSED', 'RESUBMISSION_NOT_ALLOWED'].includes(error.code)) {
+    return createApiError.forbidden(error.message, error.code);
   }
   
-  // Check due date if set
-  if (assignment.dueDate && new Date() > new Date(assignment.dueDate)) {
-    // Allow late submission but mark it as late
-    req.body.isLate = true;
-  }
+  return createApiError.badRequest(error.message, error.code);
+};
+
+/**
+ * @desc    Submit assignment
+ * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/submit
+ * @access  Private
+ */
+const submitAssignment = asyncHandler(async (req, res) => {
+  const { courseId, moduleId, contentId } = req.params;
+  const { submission, submissionType } = req.body;
   
-  // Create submission record
-  const submissionRecord = {
+  const enrollment = await Enrollment.findOne({
     user: req.user._id,
-    content: contentId,
-    assignment: assignment._id,
-    submissionType: submissionType || assignment.submissionType,
-    submission,
-    isLate: req.body.isLate || false,
-    submittedAt: new Date(),
-    status: 'submitted'
-  };
+    course: courseId
+  });
   
-  // Add files if provided
-  if (req.files && req.files.length > 0) {
-    submissionRecord.files = req.files.map(file => ({
-      filename: file.filename,
-      originalname: file.originalname,
-      mimetype: file.mimetype,
-      size: file.size,
-      path: file.path
-    }));
+  if (!enrollment) {
+    throw createApiError.badRequest('You are not enrolled in this course');
   }
   
-  // Add submission to assignment
-  assignment.submissions.push(submissionRecord);
-  await assignment.save();
+  const content = await assignmentService.getAssignmentContent(enrollment, moduleId, contentId);
   
-  // Update progress to "in-progress" since assignment needs grading
-  req.body.status = 'in-progress';
-  req.body.progress = 50; // Set to 50% until graded
+  if (!content || !content.assignment) {
+    throw createApiError.notFound('Assignment not found');
+  }
   
-  await trackContentProgress(req, res);
+  const type = submissionType || content.assignment.submissionType;
+  const files = (req.files || []).map(file => ({
+    filename: file.filename,
+    originalname: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size,
+    path: file.path
+  }));
+  
+  let result;
+  try {
+    result = await assignmentService.submit({
+      userId: req.user._id,
+      courseId,
+      courseVersion: enrollment.courseVersion,
+      moduleId,
+      content,
+      files,
+      data: {
+        submissionType: type,
+        submissionText: /^link$/i.test(type) ? undefined : submission,
+        submissionLink: /^link$/i.test(type) ? submission : undefined,
+        submissionFileUrl: files.length > 0 ? `/uploads/${files[0].filename}` : undefined,
+        submissionFileName: files.length > 0 ? files[0].originalname : undefined
+      }
+    });
+  } catch (error) {
+    throw toAssignmentApiError(error);
+  }
+  
+  res.status(201).json({
+    success: true,
+    data: assignmentService.toLearnerView(result)
+  });
 });
 
 /**
- * @desc    Grade assignment submission
+ * @desc    Grade assignment submission against the rubric
  * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/:submissionId/grade
  * @access  Private/Instructor
  */
 const gradeAssignment = asyncHandler(async (req, res) => {
-  const { courseId, moduleId, contentId, submissionId } = req.params;
-  const { grade, feedback } = req.body;
+  const { content, submission } = await getGradingContext(req);
+  
+  let result;
+  try {
+    result = await assignmentService.recordGrade({
+      submission,
+      content,
+      graderId: req.user._id,
+      input: req.body
+    });
+  } catch (error) {
+    throw toAssignmentApiError(error);
+  }
   
-  if (grade === undefined || grade === null) {
-    throw createApiError.badRequest('Grade is required');
+  res.status(200).json({
+    success: true,
+    data: assignmentService.toGraderView(result, content, req.user._id)
+  });
+});
+
+/**
+ * @desc    Settle two double-blind grades that are too far apart
+ * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/:submissionId/reconcile
+ * @access  Private/Instructor
+ */
+const reconcileAssignmentGrade = asyncHandler(async (req, res) => {
+  const { content, submission } = await getGradingContext(req);
+  
+  let result;
+  try {
+    result = await assignmentService.reconcile({
+      submission,
+      content,
+      graderId: req.user._id,
+      input: req.body
+    });
+  } catch (error) {
+    throw toAssignmentApiError(error);
   }
   
-  // Verify course ownership
+  res.status(200).json({
+    success: true,
+    data: assignmentService.toGraderView(result, content, req.user._id)
+  });
+});
+
+/**
+ * @desc    Get quiz results
+ * @route   GET /api/courses/:courseId/modules/:moduleId/content/:contentId/quiz/results
+ * @access  Private
+ */
+const getQuizResults = asyncHandler(async (req, res) => {
+  const { courseId, moduleId, contentId } = req.params;
+  
   const course = await Course.findById(courseId);
   if (!course) {
     throw createApiError.notFound('Course not found');
   }
   
-  if (course.instructor.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-    throw createApiError.forbidden('Not authorized to grade assignments in this course');
-  }
+  const quiz = await getQuizDefinition(course, req.user, moduleId, contentId);
   
-  // Find content and verify it's an assignment
-  const content = await Content.findOne({
-    _id: contentId,
-    module: moduleId,
-    course: courseId,
-    contentType: 'assignment'
-  });
+  // Close an attempt left to run out before counting
+  await quizService.expireAttempts({ user: req.user._id, quiz: quiz._id });
   
-  if (!content || !content.assignment) {
-    throw createApiError.notFound('Assignment not found');
-  }
+  // Submitted attempts for the current user, newest first
+  const userAttempts = await QuizAttempt.find({
+    user: req.user._id,
+    quiz: quiz._id,
+    status: 'Submitted'
+  })
+    .select('attemptNumber score passed earnedPoints totalPoints timeSpent autoSubmitted startedAt submittedAt')
+    .sort({ submittedAt: -1 })
+    .lean();
   
-  // Get the assignment
-  const assignment = await Assignment.findById(content.assignment);
-  if (!assignment) {
-    throw createApiError.notFound('Assignment data not found');
-  }
+  const inProgress = await QuizAttempt.findOne({
+    user: req.user._id,
+    quiz: quiz._id,
+    status: 'In Progress'
+  })
+    .select('startedAt expiresAt')
+    .lean();
   
-  // Find the submission
-  const submissionIndex = assignment.submissions.findIndex(
-    sub => sub._id.toString() === submissionId
-  );
+  // Get best attempt
+  const bestAttempt = userAttempts.length > 0 ? 
+    userAttempts.reduce((best, current) => 
+      current.score > best.score ? current : best
+    , userAttempts[0]) : null;
   
-  if (submissionIndex === -1) {
-    throw createApiError.notFound('Submission not found');
+  const attemptState = await quizService.getAttemptState(quiz, req.user._id);
+  const scorePolicy = quiz.scorePolicy || 'Best';
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      attempts: userAttempts.length,
+      maxAttempts: attemptState.maxAttempts,
+      attemptsRemaining: attemptState.attemptsRemaining,
+      nextAttemptAt: attemptState.nextAttemptAt,
+      scorePolicy,
+      // The score that counts towards the module, under the score policy
+      score: quizService.applyScorePolicy([...userAttempts].reverse(), scorePolicy),
+      bestScore: bestAttempt ? bestAttempt.score : 0,
+      passed: bestAttempt ? bestAttempt.passed : false,
+      latestAttempt: userAttempts.length > 0 ? userAttempts[0] : null,
+      inProgress
+    }
+  });
+});
+
+/**
+ * @desc    Return a submission to the learner for revision
+ * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/:submissionId/reject
+ * @access  Private/Instructor
+ */
+const rejectAssignmentSubmission = asyncHandler(async (req, res) => {
+  const { content, submission } = await getGradingContext(req);
+  
+  let result;
+  try {
+    result = await assignmentService.reject({
+      submission,
+      content,
+      feedback: req.body.feedback
+    });
+  } catch (error) {
+    throw toAssignmentApiError(error);
   }
   
-  // Update submission
-  assignment.submissions[submissionIndex].grade = grade;
-  assignment.submissions[submissionIndex].feedback = feedback;
-  assignment.submissions[submissionIndex].gradedBy = req.user._id;
-  assignment.submissions[submissionIndex].gradedAt = new Date();
-  assignment.submissions[submissionIndex].status = 'graded';
+  res.status(200).json({
+    success: true,
+    data: assignmentService.toGraderView(result, content, req.user._id)
+  });
+});
+
+/**
+ * @desc    Get a submission's similarity report with matching passages
+ * @route   GET /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/:submissionId/similarity
+ * @access  Private/Instructor
+ */
+const getSubmissionSimilarity = asyncHandler(async (req, res) => {
+  const { submission } = await getGradingContext(req);
   
-  // Calculate percentage score
-  const score = (grade / assignment.totalPoints) * 100;
-  const passed = score >= (assignment.passingPoints / assignment.totalPoints) * 100;
-  assignment.submissions[submissionIndex].passed = passed;
+  await submission.populate({
+    path: 'similarity.matches.user',
+    select: 'firstName lastName email'
+  });
   
-  await assignment.save();
+  const similarity = submission.similarity && submission.similarity.checkedOn
+    ? submission.similarity
+    : null;
   
-  // Update student progress if passed
-  if (passed) {
-    // Find enrollment
-    const enrollment = await Enrollment.findOne({
-      user: assignment.submissions[submissionIndex].user,
-      course: courseId
-    });
-    
-    if (enrollment) {
-      // Find module progress
-      const moduleProgress = enrollment.moduleProgress.find(
-        mp => mp.moduleId.toString() === moduleId
-      );
-      
-      if (moduleProgress) {
-        // Find content progress
-        const contentProgress = moduleProgress.contentProgress.find(
-          cp => cp.contentId.toString() === contentId
-        );
-        
-        if (contentProgress) {
-          contentProgress.status = 'completed';
-          contentProgress.progress = 100;
-          contentProgress.completionDate = new Date();
-          
-          // Update module progress
-          const totalContentCount = moduleProgress.contentProgress.length;
-          const completedContent = moduleProgress.contentProgress.filter(
-            cp => cp.status === 'completed'
-          ).length;
-          
-          moduleProgress.progress = (completedContent / totalContentCount) * 100;
-          
-          // Update course progress
-          const totalModuleCount = enrollment.moduleProgress.length;
-          const modulesProgressSum = enrollment.moduleProgress.reduce(
-            (sum, module) => sum + module.progress, 0
-          );
-          
-          enrollment.progress = modulesProgressSum / totalModuleCount;
-          
-          // Mark course as completed if progress is 100%
-          if (enrollment.progress >= 100) {
-            enrollment.status = 'completed';
-            enrollment.completionDate = enrollment.completionDate || new Date();
-          }
-          
-          await enrollment.save();
-        }
-      }
+  res.status(200).json({
+    success: true,
+    data: {
+      checked: Boolean(similarity),
+      score: similarity ? similarity.score : null,
+      checkedOn: similarity ? similarity.checkedOn : null,
+      matches: similarity ? similarity.matches : []
     }
+  });
+});
+
+/**
+ * @desc    Run the similarity check for a submission now
+ * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/:submissionId/similarity
+ * @access  Private/Instructor
+ */
+const checkSubmissionSimilarity = asyncHandler(async (req, res) => {
+  const { submission } = await getGradingContext(req);
+  
+  if (!submission.submissionText) {
+    throw createApiError.badRequest('Only text submissions can be checked for similarity');
   }
   
+  const similarity = await similarityService.checkSubmission(submission);
+  
   res.status(200).json({
     success: true,
-    data: assignment.submissions[submissionIndex]
+    data: {
+      checked: true,
+      ...similarity
+    }
   });
 });
 
 /**
- * @desc    Get quiz results
- * @route   GET /api/courses/:courseId/modules/:moduleId/content/:contentId/quiz/results
- * @access  Private
+ * Load an Assignment content item for managing its deadline extensions
+ * @param {Object} req - Request with course, module and content IDs
+ * @returns {Object} - Assignment content (draft)
  */
-const getQuizResults = asyncHandler(async (req, res) => {
+const getExtensionContext = async (req) => {
   const { courseId, moduleId, contentId } = req.params;
   
-  // Find content and verify it's a quiz
-  const content = await Content.findOne({
-    _id: contentId,
-    module: moduleId,
-    course: courseId,
-    contentType: 'quiz'
+  const course = await Course.findById(courseId);
+  if (!course) {
+    throw createApiError.notFound('Course not found');
+  }
+  
+  policyService.authorizeAction(req.user, 'assignment:grade', course, 'Not authorized to manage extensions in this course');
+  
+  const content = await assignmentService.getAssignmentContent(null, moduleId, contentId);
+  
+  if (!content) {
+    throw createApiError.notFound('Assignment not found');
+  }
+  
+  return content;
+};
+
+/**
+ * @desc    Get deadline extensions for an assignment
+ * @route   GET /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/extensions
+ * @access  Private/Instructor
+ */
+const getAssignmentExtensions = asyncHandler(async (req, res) => {
+  const content = await getExtensionContext(req);
+  
+  const extensions = await AssignmentExtension.find({ content: content._id })
+    .populate('user', 'firstName lastName email')
+    .populate('grantedBy', 'firstName lastName')
+    .sort({ deadline: 1 });
+  
+  res.status(200).json({
+    success: true,
+    count: extensions.length,
+    data: extensions
   });
+});
+
+/**
+ * @desc    Grant (or change) a learner's deadline extension
+ * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/extensions
+ * @access  Private/Instructor
+ */
+const grantAssignmentExtension = asyncHandler(async (req, res) => {
+  const { courseId } = req.params;
+  const { userId, deadline, reason } = req.body;
   
-  if (!content || !content.quiz) {
-    throw createApiError.notFound('Quiz not found');
+  if (!userId || !deadline) {
+    throw createApiError.badRequest('User and deadline are required');
   }
   
-  // Get the quiz with attempts
-  const quiz = await Quiz.findById(content.quiz);
-  if (!quiz) {
-    throw createApiError.notFound('Quiz data not found');
+  const content = await getExtensionContext(req);
+  
+  const enrolled = await Enrollment.exists({ user: userId, course: courseId });
+  if (!enrolled) {
+    throw createApiError.badRequest('User is not enrolled in this course');
   }
   
-  // Filter attempts for the current user
-  const userAttempts = quiz.attempts.filter(
-    attempt => attempt.user.toString() === req.user._id.toString()
-  );
+  let extension;
+  try {
+    extension = await assignmentService.grantExtension({
+      content,
+      courseId,
+      userId,
+      deadline,
+      reason,
+      grantedBy: req.user._id
+    });
+  } catch (error) {
+    throw toAssignmentApiError(error);
+  }
   
-  // Get best attempt
-  const bestAttempt = userAttempts.length > 0 ? 
-    userAttempts.reduce((best, current) => 
-      current.score > best.score ? current : best
-    , userAttempts[0]) : null;
+  res.status(200).json({
+    success: true,
+    data: extension
+  });
+});
+
+/**
+ * @desc    Remove a learner's deadline extension
+ * @route   DELETE /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/extensions/:userId
+ * @access  Private/Instructor
+ */
+const revokeAssignmentExtension = asyncHandler(async (req, res) => {
+  const content = await getExtensionContext(req);
+  
+  const extension = await AssignmentExtension.findOneAndDelete({
+    content: content._id,
+    user: req.params.userId
+  });
+  
+  if (!extension) {
+    throw createApiError.notFound('Extension not found');
+  }
   
   res.status(200).json({
     success: true,
-    data: {
-      attempts: userAttempts.length,
-      maxAttempts: quiz.attempts,
-      attemptsRemaining: quiz.attempts - userAttempts.length,
-      bestScore: bestAttempt ? bestAttempt.score : 0,
-      passed: bestAttempt ? bestAttempt.passed : false,
-      latestAttempt: userAttempts.length > 0 ? 
-        userAttempts.sort((a, b) => 
-          new Date(b.attemptedAt) - new Date(a.attemptedAt)
-        )[0] : null
-    }
+    data: {}
   });
 });
 
@@ -931,65 +1347,153 @@ const getAssignmentSubmissions = asyncHandler(async (req, res) => {
   const { courseId, moduleId, contentId } = req.params;
   const isInstructor = req.query.isInstructor === 'true';
   
-  // Find content and verify it's an assignment
-  const content = await Content.findOne({
-    _id: contentId,
-    module: moduleId,
-    course: courseId,
-    contentType: 'assignment'
-  });
-  
-  if (!content || !content.assignment) {
-    throw createApiError.notFound('Assignment not found');
-  }
-  
-  // Get the assignment
-  const assignment = await Assignment.findById(content.assignment);
-  if (!assignment) {
-    throw createApiError.notFound('Assignment data not found');
+  const course = await Course.findById(courseId);
+  if (!course) {
+    throw createApiError.notFound('Course not found');
   }
   
   // If instructor, return all submissions
   if (isInstructor) {
-    // Verify the user is the course instructor or admin
-    const course = await Course.findById(courseId);
-    if (!course) {
-      throw createApiError.notFound('Course not found');
+    policyService.authorizeAction(req.user, 'assignment:grade', course, 'Not authorized to view all submissions');
+    
+    const content = await assignmentService.getAssignmentContent(null, moduleId, contentId);
+    
+    if (!content) {
+      throw createApiError.notFound('Assignment not found');
     }
     
-    if (course.instructor.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      throw createApiError.forbidden('Not authorized to view all submissions');
+    // Versions replaced before grading are only listed with the full history
+    const filter = { content: contentId };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    } else if (req.query.history !== 'true') {
+      filter.status = { $ne: 'Superseded' };
     }
     
-    // Return all submissions with user info
-    const submissions = await Promise.all(assignment.submissions.map(async (sub) => {
-      const user = await mongoose.model('User').findById(sub.user).select('firstName lastName email');
-      return {
-        ...sub.toObject(),
-        user
-      };
-    }));
+    const submissions = await AssignmentSubmission.find(filter)
+      .populate('user', 'firstName lastName email')
+      .sort({ submittedOn: 1 });
     
     res.status(200).json({
       success: true,
       count: submissions.length,
-      data: submissions
+      data: submissions.map(submission => (
+        assignmentService.toGraderView(submission, content, req.user._id)
+      ))
     });
   } else {
-    // Return only the current user's submissions
-    const userSubmissions = assignment.submissions.filter(
-      sub => sub.user.toString() === req.user._id.toString()
-    );
+    // Return only the current user's submissions, newest version first
+    const enrollment = await Enrollment.findOne({
+      user: req.user._id,
+      course: courseId
+    });
+    
+    const content = await assignmentService.getAssignmentContent(enrollment, moduleId, contentId);
+    
+    if (!content) {
+      throw createApiError.notFound('Assignment not found');
+    }
+    
+    const userSubmissions = await assignmentService.getHistory(contentId, req.user._id);
+    const { deadline, extension } = await assignmentService.getLearnerDeadline(content, req.user._id);
     
     res.status(200).json({
       success: true,
       count: userSubmissions.length,
-      data: userSubmissions,
-      canSubmit: assignment.allowResubmission || userSubmissions.length === 0
+      data: userSubmissions.map(assignmentService.toLearnerView),
+      canSubmit: assignmentService.canResubmit(userSubmissions, content.assignment),
+      deadline,
+      extended: Boolean(extension)
     });
   }
 });
 
+/**
+ * @desc    Get the peer reviews assigned to the current user
+ * @route   GET /api/courses/:courseId/modules/:moduleId/content/:contentId/peer-reviews
+ * @access  Private
+ */
+const getPeerReviews = asyncHandler(async (req, res) => {
+  const reviews = await peerReviewService.getReviewerQueue(req.params.contentId, req.user._id);
+  
+  res.status(200).json({
+    success: true,
+    count: reviews.length,
+    data: reviews
+  });
+});
+
+/**
+ * @desc    Submit a peer review
+ * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/peer-reviews/:reviewId
+ * @access  Private
+ */
+const submitPeerReview = asyncHandler(async (req, res) => {
+  const { contentId, reviewId } = req.params;
+  
+  const review = await PeerReview.findOne({
+    _id: reviewId,
+    content: contentId
+  });
+  
+  if (!review) {
+    throw createApiError.notFound('Peer review not found');
+  }
+  
+  let result;
+  try {
+    result = await peerReviewService.submitReview({
+      review,
+      reviewerId: req.user._id,
+      input: req.body
+    });
+  } catch (error) {
+    throw toAssignmentApiError(error);
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Get the peer reviews of a submission (anonymous for its author)
+ * @route   GET /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/:submissionId/peer-reviews
+ * @access  Private
+ */
+const getSubmissionPeerReviews = asyncHandler(async (req, res) => {
+  const { courseId, contentId, submissionId } = req.params;
+  
+  const submission = await AssignmentSubmission.findOne({
+    _id: submissionId,
+    content: contentId
+  });
+  
+  if (!submission) {
+    throw createApiError.notFound('Submission not found');
+  }
+  
+  const isAuthor = submission.user.toString() === req.user._id.toString();
+  
+  if (!isAuthor) {
+    const course = await Course.findById(courseId);
+    if (!course) {
+      throw createApiError.notFound('Course not found');
+    }
+    
+    policyService.authorizeAction(req.user, 'assignment:grade', course, 'Not authorized to view these peer reviews');
+  }
+  
+  const reviews = await peerReviewService.getSubmissionReviews(submissionId, !isAuthor);
+  
+  res.status(200).json({
+    success: true,
+    count: reviews.length,
+    data: reviews
+  });
+});
+
 /**
  * @desc    Get content comments
  * @route   GET /api/courses/:courseId/modules/:moduleId/content/:contentId/comments
@@ -1119,11 +1623,23 @@ module.exports = {
   deleteContent,
   reorderContent,
   trackContentProgress,
+  startQuizAttempt,
+  saveQuizAnswers,
   submitQuizAttempt,
   submitAssignment,
   gradeAssignment,
+  reconcileAssignmentGrade,
+  rejectAssignmentSubmission,
+  getSubmissionSimilarity,
+  checkSubmissionSimilarity,
   getQuizResults,
   getAssignmentSubmissions,
+  getAssignmentExtensions,
+  grantAssignmentExtension,
+  revokeAssignmentExtension,
+  getPeerReviews,
+  submitPeerReview,
+  getSubmissionPeerReviews,
   getContentComments,
   addContentComment
 };
@@ -25,7 +25,8 @@ import {
   Paper,
   Divider,
   Switch,
-  FormControlLabel
+  FormControlLabel,
+  Checkbox
 } from '@mui/material';
 import CloseIcon from '@mui/icons-material/Close';
 import CloudUploadIcon from '@mui/icons-material/CloudUpload';
@@ -310,6 +311,109 @@ const ContentEditorModal = ({
     });
   };
   
+  // Handle quiz question type change, setting up the fields the new type needs
+  const handleQuestionTypeChange = (questionId, type) => {
+    const newId = () => Math.random().toString(36).substring(2, 9);
+    
+    setFormData({
+      ...formData,
+      quiz: {
+        ...formData.quiz,
+        questions: formData.quiz.questions.map(q => {
+          if (q.id !== questionId) return q;
+          
+          const updated = { ...q, type };
+          
+          if (type === 'true-false') {
+            updated.options = [
+              { id: 'true', text: 'True', isCorrect: true },
+              { id: 'false', text: 'False', isCorrect: false }
+            ];
+          } else if (['multiple-choice', 'multi-select', 'ordering'].includes(type) && q.type === 'true-false') {
+            updated.options = [
+              { id: newId(), text: '', isCorrect: false },
+              { id: newId(), text: '', isCorrect: false }
+            ];
+          }
+          
+          if (type === 'matching' && !(q.pairs && q.pairs.length)) {
+            updated.pairs = [
+              { id: newId(), prompt: '', match: '' },
+              { id: newId(), prompt: '', match: '' }
+            ];
+          }
+          
+          if (type === 'fill-in-blank' && !(q.acceptedAnswers && q.acceptedAnswers.length)) {
+            updated.acceptedAnswers = [{ id: newId(), value: '', isRegex: false }];
+          }
+          
+          if (type === 'numeric') {
+            updated.tolerance = q.tolerance ?? 0;
+            updated.toleranceType = q.toleranceType || 'Absolute';
+          }
+          
+          return updated;
+        })
+      }
+    });
+  };
+  
+  // Handle add/delete/change for a question's list fields (pairs, acceptedAnswers)
+  const handleAddQuestionItem = (questionId, field, item) => {
+    setFormData({
+      ...formData,
+      quiz: {
+        ...formData.quiz,
+        questions: formData.quiz.questions.map(q => 
+          q.id === questionId 
+            ? { 
+                ...q, 
+                [field]: [
+                  ...(q[field] || []), 
+                  { id: Math.random().toString(36).substring(2, 9), ...item }
+                ] 
+              } 
+            : q
+        )
+      }
+    });
+  };
+  
+  const handleDeleteQuestionItem = (questionId, field, itemId) => {
+    setFormData({
+      ...formData,
+      quiz: {
+        ...formData.quiz,
+        questions: formData.quiz.questions.map(q => 
+          q.id === questionId 
+            ? { ...q, [field]: (q[field] || []).filter(item => item.id !== itemId) } 
+            : q
+        )
+      }
+    });
+  };
+  
+  const handleQuestionItemChange = (questionId, field, itemId, key, value) => {
+    setFormData({
+      ...formData,
+      quiz: {
+        ...formData.quiz,
+        questions: formData.quiz.questions.map(q => 
+          q.id === questionId 
+            ? { 
+                ...q, 
+                [field]: (q[field] || []).map(item => 
+                  item.id === itemId 
+                    ? { ...item, [key]: value } 
+                    : item
+                ) 
+              } 
+            : q
+        )
+      }
+    });
+  };
+  
   // Handle quiz option add
   const handleAddOption = (questionId) => {
     setFormData({
@@ -375,6 +479,17 @@ const ContentEditorModal = ({
     });
   };
   
+  // Handle quiz settings change (time limit, attempts, scoring)
+  const handleQuizSettingChange = (field, value) => {
+    setFormData({
+      ...formData,
+      quiz: {
+        ...formData.quiz,
+        [field]: value
+      }
+    });
+  };
+  
   // Handle assignment field change
   const handleAssignmentChange = (field, value) => {
     setFormData({
@@ -394,6 +509,74 @@ const ContentEditorModal = ({
     }
   };
   
+  // Handle late policy change
+  const handleLatePolicyChange = (field, value) => {
+    handleAssignmentChange('latePolicy', { ...formData.assignment.latePolicy, [field]: value });
+  };
+  
+  // Handle peer review settings change
+  const handlePeerReviewChange = (field, value) => {
+    handleAssignmentChange('peerReview', { ...formData.assignment.peerReview, [field]: value });
+  };
+  
+  // Rubric criteria are edited by position; saved ones keep their _id
+  const setRubricCriteria = (criteria) => {
+    handleAssignmentChange('rubric', { ...formData.assignment.rubric, criteria });
+  };
+  
+  const getRubricCriteria = () => formData.assignment.rubric?.criteria || [];
+  
+  const handleAddCriterion = () => {
+    setRubricCriteria([
+      ...getRubricCriteria(),
+      {
+        title: '',
+        description: '',
+        weight: 1,
+        levels: [
+          { label: 'Meets expectations', points: 2 },
+          { label: 'Partially meets', points: 1 },
+          { label: 'Not met', points: 0 }
+        ]
+      }
+    ]);
+  };
+  
+  const handleDeleteCriterion = (criterionIndex) => {
+    setRubricCriteria(getRubricCriteria().filter((criterion, index) => index !== criterionIndex));
+  };
+  
+  const handleCriterionChange = (criterionIndex, field, value) => {
+    setRubricCriteria(getRubricCriteria().map((criterion, index) => 
+      index === criterionIndex ? { ...criterion, [field]: value } : criterion
+    ));
+  };
+  
+  const handleAddLevel = (criterionIndex) => {
+    const criterion = getRubricCriteria()[criterionIndex];
+    handleCriterionChange(criterionIndex, 'levels', [...criterion.levels, { label: '', points: 0 }]);
+  };
+  
+  const handleDeleteLevel = (criterionIndex, levelIndex) => {
+    const criterion = getRubricCriteria()[criterionIndex];
+    handleCriterionChange(
+      criterionIndex,
+      'levels',
+      criterion.levels.filter((level, index) => index !== levelIndex)
+    );
+  };
+  
+  const handleLevelChange = (criterionIndex, levelIndex, field, value) => {
+    const criterion = getRubricCriteria()[criterionIndex];
+    handleCriterionChange(
+      criterionIndex,
+      'levels',
+      criterion.levels.map((level, index) => 
+        index === levelIndex ? { ...level, [field]: value } : level
+      )
+    );
+  };
+  
   // Drag and drop for reordering quiz questions
   const handleDragEnd = (result) => {
     if (!result.destination) return;
@@ -441,14 +624,14 @@ const ContentEditorModal = ({
             newErrors[`question_${index}_text`] = 'Question text is required';
           }
           
-          if (question.type === 'multiple-choice') {
+          if (['multiple-choice', 'multi-select', 'ordering'].includes(question.type)) {
             if (question.options.length < 2) {
               newErrors[`question_${index}_options`] = 'At least two options are required';
             }
             
             // Check if at least one option is marked as correct
             const hasCorrectOption = question.options.some(option => option.isCorrect);
-            if (!hasCorrectOption) {
+            if (question.type !== 'ordering' && !hasCorrectOption) {
               newErrors[`question_${index}_correct`] = 'At least one option must be marked as correct';
             }
             
@@ -459,6 +642,42 @@ const ContentEditorModal = ({
               }
             });
           }
+          
+          if (question.type === 'matching') {
+            const pairs = question.pairs || [];
+            
+            if (pairs.length < 2) {
+              newErrors[`question_${index}_pairs`] = 'At least two pairs are required';
+            } else if (pairs.some(pair => !validateRequired(pair.prompt) || !validateRequired(pair.match))) {
+              newErrors[`question_${index}_pairs`] = 'Every pair needs a prompt and a match';
+            }
+          }
+          
+          if (question.type === 'fill-in-blank') {
+            const answers = (question.acceptedAnswers || []).filter(answer => validateRequired(answer.value));
+            
+            if (answers.length === 0) {
+              newErrors[`question_${index}_answers`] = 'At least one accepted answer is required';
+            }
+            
+            answers.filter(answer => answer.isRegex).forEach(answer => {
+              try {
+                new RegExp(answer.value);
+              } catch (err) {
+                newErrors[`question_${index}_answers`] = `Invalid pattern "${answer.value}"`;
+              }
+            });
+          }
+          
+          if (question.type === 'numeric') {
+            if (question.numericAnswer === undefined || question.numericAnswer === '' || isNaN(Number(question.numericAnswer))) {
+              newErrors[`question_${index}_numeric`] = 'A numeric answer is required';
+            }
+            
+            if (Number(question.tolerance) < 0) {
+              newErrors[`question_${index}_numeric`] = 'Tolerance cannot be negative';
+            }
+          }
         });
       }
     }
@@ -475,6 +694,18 @@ const ContentEditorModal = ({
       if (!formData.assignment.totalPoints || formData.assignment.totalPoints <= 0) {
         newErrors['assignment.totalPoints'] = 'Total points must be greater than 0';
       }
+      
+      (formData.assignment.rubric?.criteria || []).forEach((criterion, index) => {
+        if (!validateRequired(criterion.title)) {
+          newErrors[`criterion_${index}_title`] = 'Criterion title is required';
+        }
+        
+        if (criterion.levels.length === 0 || criterion.levels.some(level => !validateRequired(level.label))) {
+          newErrors[`criterion_${index}_levels`] = 'Every level needs a label';
+        } else if (!criterion.levels.some(level => Number(level.points) > 0)) {
+          newErrors[`criterion_${index}_levels`] = 'At least one level must be worth more than 0 points';
+        }
+      });
     }
     
     setErrors(newErrors);
@@ -1089,6 +1320,64 @@ const ContentEditorModal = ({
               {/* Questions Tab (for Quiz) */}
               {activeTab === 3 && formData.contentType === 'quiz' && (
                 <Box sx={{ mt: 2 }}>
+                  <Grid container spacing={2} sx={{ mb: 3 }}>
+                    <Grid item xs={12} sm={6} md={3}>
+                      <TextField
+                        label="Time Limit (minutes)"
+                        type="number"
+                        value={formData.quiz.timeLimit ?? ''}
+                        onChange={(e) => handleQuizSettingChange('timeLimit', e.target.value)}
+                        fullWidth
+                        helperText="Leave empty for no limit"
+                        InputProps={{
+                          inputProps: { min: 0 }
+                        }}
+                      />
+                    </Grid>
+                    
+                    <Grid item xs={12} sm={6} md={3}>
+                      <TextField
+                        label="Max Attempts"
+                        type="number"
+                        value={formData.quiz.maxAttempts ?? 3}
+                        onChange={(e) => handleQuizSettingChange('maxAttempts', e.target.value)}
+                        fullWidth
+                        helperText="0 for unlimited"
+                        InputProps={{
+                          inputProps: { min: 0 }
+                        }}
+                      />
+                    </Grid>
+                    
+                    <Grid item xs={12} sm={6} md={3}>
+                      <TextField
+                        label="Retake Cooldown (minutes)"
+                        type="number"
+                        value={formData.quiz.retakeCooldown ?? 0}
+                        onChange={(e) => handleQuizSettingChange('retakeCooldown', e.target.value)}
+                        fullWidth
+                        InputProps={{
+                          inputProps: { min: 0 }
+                        }}
+                      />
+                    </Grid>
+                    
+                    <Grid item xs={12} sm={6} md={3}>
+                      <FormControl fullWidth>
+                        <InputLabel>Score Counted</InputLabel>
+                        <Select
+                          value={formData.quiz.scorePolicy || 'Best'}
+                          onChange={(e) => handleQuizSettingChange('scorePolicy', e.target.value)}
+                          label="Score Counted"
+                        >
+                          <MenuItem value="Best">Best attempt</MenuItem>
+                          <MenuItem value="Last">Last attempt</MenuItem>
+                          <MenuItem value="Average">Average of attempts</MenuItem>
+                        </Select>
+                      </FormControl>
+                    </Grid>
+                  </Grid>
+                  
                   <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
                     <Typography variant="subtitle1">
                       Quiz Questions ({formData.quiz.questions.length})
@@ -1173,12 +1462,17 @@ const ContentEditorModal = ({
                                           <InputLabel>Question Type</InputLabel>
                                           <Select
                                             value={question.type}
-                                            onChange={(e) => handleQuestionChange(question.id, 'type', e.target.value)}
+                                            onChange={(e) => handleQuestionTypeChange(question.id, e.target.value)}
                                             label="Question Type"
                                           >
                                             <MenuItem value="multiple-choice">Multiple Choice</MenuItem>
+                                            <MenuItem value="multi-select">Multiple Select</MenuItem>
                                             <MenuItem value="true-false">True/False</MenuItem>
                                             <MenuItem value="short-answer">Short Answer</MenuItem>
+                                            <MenuItem value="fill-in-blank">Fill in the Blank</MenuItem>
+                                            <MenuItem value="numeric">Numeric</MenuItem>
+                                            <MenuItem value="matching">Matching</MenuItem>
+                                            <MenuItem value="ordering">Ordering</MenuItem>
                                           </Select>
                                         </FormControl>
                                       </Grid>
@@ -1196,12 +1490,18 @@ const ContentEditorModal = ({
                                         />
                                       </Grid>
                                       
-                                      {(question.type === 'multiple-choice' || question.type === 'true-false') && (
+                                      {['multiple-choice', 'multi-select', 'true-false', 'ordering'].includes(question.type) && (
                                         <Grid item xs={12}>
                                           <Typography variant="subtitle2" gutterBottom>
-                                            Answer Options
+                                            {question.type === 'ordering' ? 'Items in Correct Order' : 'Answer Options'}
                                           </Typography>
                                           
+                                          {question.type === 'ordering' && (
+                                            <FormHelperText sx={{ mb: 1 }}>
+                                              Students see these items shuffled and put them back in this order.
+                                            </FormHelperText>
+                                          )}
+                                          
                                           {errors[`question_${index}_options`] && (
                                             <FormHelperText error sx={{ mb: 1 }}>
                                               {errors[`question_${index}_options`]}
@@ -1243,25 +1543,27 @@ const ContentEditorModal = ({
                                             <>
                                               {question.options.map((option, optionIndex) => (
                                                 <Box key={option.id} sx={{ mb: 1, display: 'flex', alignItems: 'center' }}>
-                                                  <FormControlLabel
-                                                    control={
-                                                      <Checkbox
-                                                        checked={option.isCorrect}
-                                                        onChange={(e) => handleOptionChange(
-                                                          question.id,
-                                                          option.id,
-                                                          'isCorrect',
-                                                          e.target.checked
-                                                        )}
-                                                        color="primary"
-                                                      />
-                                                    }
-                                                    label=""
-                                                    sx={{ mr: 0 }}
-                                                  />
+                                                  {question.type !== 'ordering' && (
+                                                    <FormControlLabel
+                                                      control={
+                                                        <Checkbox
+                                                          checked={option.isCorrect}
+                                                          onChange={(e) => handleOptionChange(
+                                                            question.id,
+                                                            option.id,
+                                                            'isCorrect',
+                                                            e.target.checked
+                                                          )}
+                                                          color="primary"
+                                                        />
+                                                      }
+                                                      label=""
+                                                      sx={{ mr: 0 }}
+                                                    />
+                                                  )}
                                                   
                                                   <TextField
-                                                    label={`Option ${optionIndex + 1}`}
+                                                    label={question.type === 'ordering' ? `Item ${optionIndex + 1}` : `Option ${optionIndex + 1}`}
                                                     value={option.text}
                                                     onChange={(e) => handleOptionChange(
                                                       question.id,
@@ -1313,7 +1615,217 @@ const ContentEditorModal = ({
                                             fullWidth
                                           />
                                           <FormHelperText>
-                                            Enter the expected answer. Student responses will be checked for exact matches.
+                                            Enter the expected answer. Responses are matched ignoring case and extra spaces.
+                                          </FormHelperText>
+                                        </Grid>
+                                      )}
+                                      
+                                      {question.type === 'fill-in-blank' && (
+                                        <Grid item xs={12}>
+                                          <Typography variant="subtitle2" gutterBottom>
+                                            Accepted Answers
+                                          </Typography>
+                                          
+                                          {errors[`question_${index}_answers`] && (
+                                            <FormHelperText error sx={{ mb: 1 }}>
+                                              {errors[`question_${index}_answers`]}
+                                            </FormHelperText>
+                                          )}
+                                          
+                                          {(question.acceptedAnswers || []).map((answer, answerIndex) => (
+                                            <Box key={answer.id} sx={{ mb: 1, display: 'flex', alignItems: 'center' }}>
+                                              <TextField
+                                                label={answer.isRegex ? `Pattern ${answerIndex + 1}` : `Answer ${answerIndex + 1}`}
+                                                value={answer.value}
+                                                onChange={(e) => handleQuestionItemChange(
+                                                  question.id,
+                                                  'acceptedAnswers',
+                                                  answer.id,
+                                                  'value',
+                                                  e.target.value
+                                                )}
+                                                fullWidth
+                                                sx={{ flexGrow: 1 }}
+                                              />
+                                              
+                                              <FormControlLabel
+                                                control={
+                                                  <Switch
+                                                    checked={!!answer.isRegex}
+                                                    onChange={(e) => handleQuestionItemChange(
+                                                      question.id,
+                                                      'acceptedAnswers',
+                                                      answer.id,
+                                                      'isRegex',
+                                                      e.target.checked
+                                                    )}
+                                                  />
+                                                }
+                                                label="Regex"
+                                                sx={{ ml: 1 }}
+                                              />
+                                              
+                                              <IconButton
+                                                color="error"
+                                                onClick={() => handleDeleteQuestionItem(question.id, 'acceptedAnswers', answer.id)}
+                                                disabled={(question.acceptedAnswers || []).length <= 1}
+                                                size="small"
+                                              >
+                                                <DeleteIcon />
+                                              </IconButton>
+                                            </Box>
+                                          ))}
+                                          
+                                          <Button
+                                            startIcon={<AddIcon />}
+                                            onClick={() => handleAddQuestionItem(question.id, 'acceptedAnswers', { value: '', isRegex: false })}
+                                            size="small"
+                                            sx={{ mt: 1 }}
+                                          >
+                                            Add Answer
+                                          </Button>
+                                          
+                                          <FormControlLabel
+                                            control={
+                                              <Switch
+                                                checked={!!question.caseSensitive}
+                                                onChange={(e) => handleQuestionChange(question.id, 'caseSensitive', e.target.checked)}
+                                              />
+                                            }
+                                            label="Case sensitive"
+                                            sx={{ ml: 2, mt: 1 }}
+                                          />
+                                          <FormHelperText>
+                                            Any answer in the list is accepted. Patterns must match the whole response.
+                                          </FormHelperText>
+                                        </Grid>
+                                      )}
+                                      
+                                      {question.type === 'numeric' && (
+                                        <>
+                                          <Grid item xs={12} sm={4}>
+                                            <TextField
+                                              label="Correct Answer"
+                                              type="number"
+                                              value={question.numericAnswer ?? ''}
+                                              onChange={(e) => handleQuestionChange(question.id, 'numericAnswer', e.target.value)}
+                                              fullWidth
+                                              error={!!errors[`question_${index}_numeric`]}
+                                              helperText={errors[`question_${index}_numeric`]}
+                                            />
+                                          </Grid>
+                                          
+                                          <Grid item xs={12} sm={4}>
+                                            <TextField
+                                              label="Tolerance"
+                                              type="number"
+                                              value={question.tolerance ?? 0}
+                                              onChange={(e) => handleQuestionChange(question.id, 'tolerance', e.target.value)}
+                                              fullWidth
+                                              InputProps={{
+                                                inputProps: { min: 0, step: 'any' }
+                                              }}
+                                            />
+                                          </Grid>
+                                          
+                                          <Grid item xs={12} sm={4}>
+                                            <FormControl fullWidth>
+                                              <InputLabel>Tolerance Type</InputLabel>
+                                              <Select
+                                                value={question.toleranceType || 'Absolute'}
+                                                onChange={(e) => handleQuestionChange(question.id, 'toleranceType', e.target.value)}
+                                                label="Tolerance Type"
+                                              >
+                                                <MenuItem value="Absolute">± value</MenuItem>
+                                                <MenuItem value="Percent">± percent</MenuItem>
+                                              </Select>
+                                            </FormControl>
+                                          </Grid>
+                                        </>
+                                      )}
+                                      
+                                      {question.type === 'matching' && (
+                                        <Grid item xs={12}>
+                                          <Typography variant="subtitle2" gutterBottom>
+                                            Pairs
+                                          </Typography>
+                                          
+                                          {errors[`question_${index}_pairs`] && (
+                                            <FormHelperText error sx={{ mb: 1 }}>
+                                              {errors[`question_${index}_pairs`]}
+                                            </FormHelperText>
+                                          )}
+                                          
+                                          {(question.pairs || []).map((pair, pairIndex) => (
+                                            <Box key={pair.id} sx={{ mb: 1, display: 'flex', alignItems: 'center' }}>
+                                              <TextField
+                                                label={`Prompt ${pairIndex + 1}`}
+                                                value={pair.prompt}
+                                                onChange={(e) => handleQuestionItemChange(
+                                                  question.id,
+                                                  'pairs',
+                                                  pair.id,
+                                                  'prompt',
+                                                  e.target.value
+                                                )}
+                                                fullWidth
+                                                sx={{ mr: 1 }}
+                                              />
+                                              
+                                              <TextField
+                                                label={`Match ${pairIndex + 1}`}
+                                                value={pair.match}
+                                                onChange={(e) => handleQuestionItemChange(
+                                                  question.id,
+                                                  'pairs',
+                                                  pair.id,
+                                                  'match',
+                                                  e.target.value
+                                                )}
+                                                fullWidth
+                                              />
+                                              
+                                              <IconButton
+                                                color="error"
+                                                onClick={() => handleDeleteQuestionItem(question.id, 'pairs', pair.id)}
+                                                disabled={(question.pairs || []).length <= 2}
+                                                size="small"
+                                                sx={{ ml: 1 }}
+                                              >
+                                                <DeleteIcon />
+                                              </IconButton>
+                                            </Box>
+                                          ))}
+                                          
+                                          <Button
+                                            startIcon={<AddIcon />}
+                                            onClick={() => handleAddQuestionItem(question.id, 'pairs', { prompt: '', match: '' })}
+                                            size="small"
+                                            sx={{ mt: 1 }}
+                                          >
+                                            Add Pair
+                                          </Button>
+                                          <FormHelperText>
+                                            Students match each prompt to one of the matches, shown shuffled.
+                                          </FormHelperText>
+                                        </Grid>
+                                      )}
+                                      
+                                      {['multi-select', 'matching', 'ordering'].includes(question.type) && (
+                                        <Grid item xs={12}>
+                                          <FormControlLabel
+                                            control={
+                                              <Switch
+                                                checked={question.partialCredit !== false}
+                                                onChange={(e) => handleQuestionChange(question.id, 'partialCredit', e.target.checked)}
+                                              />
+                                            }
+                                            label="Award partial credit"
+                                          />
+                                          <FormHelperText>
+                                            {question.type === 'multi-select'
+                                              ? 'Points are shared across the correct options; each wrong selection cancels out a correct one.'
+                                              : `Points are shared across ${question.type === 'matching' ? 'pairs' : 'items'} placed correctly.`}
                                           </FormHelperText>
                                         </Grid>
                                       )}
@@ -1448,6 +1960,281 @@ const ContentEditorModal = ({
                       </Grid>
                     )}
                     
+                    <Grid item xs={12} sm={4}>
+                      <FormControl fullWidth>
+                        <InputLabel>Late Submissions</InputLabel>
+                        <Select
+                          value={formData.assignment.latePolicy?.mode || 'Accept'}
+                          onChange={(e) => handleLatePolicyChange('mode', e.target.value)}
+                          label="Late Submissions"
+                        >
+                          <MenuItem value="Accept">Accept and mark late</MenuItem>
+                          <MenuItem value="Penalty">Accept with penalty</MenuItem>
+                          <MenuItem value="Block">Do not accept</MenuItem>
+                        </Select>
+                      </FormControl>
+                    </Grid>
+                    
+                    <Grid item xs={12} sm={4}>
+                      <TextField
+                        label="Grace Period (minutes)"
+                        type="number"
+                        value={formData.assignment.latePolicy?.gracePeriodMinutes ?? 0}
+                        onChange={(e) => handleLatePolicyChange('gracePeriodMinutes', Number(e.target.value))}
+                        fullWidth
+                        InputProps={{
+                          inputProps: { min: 0 }
+                        }}
+                      />
+                    </Grid>
+                    
+                    {formData.assignment.latePolicy?.mode === 'Penalty' && (
+                      <>
+                        <Grid item xs={6} sm={2}>
+                          <TextField
+                            label="Penalty per day (%)"
+                            type="number"
+                            value={formData.assignment.latePolicy.penaltyPerDay ?? 10}
+                            onChange={(e) => handleLatePolicyChange('penaltyPerDay', Number(e.target.value))}
+                            fullWidth
+                            InputProps={{
+                              inputProps: { min: 0, max: 100 }
+                            }}
+                          />
+                        </Grid>
+                        <Grid item xs={6} sm={2}>
+                          <TextField
+                            label="Max penalty (%)"
+                            type="number"
+                            value={formData.assignment.latePolicy.maxPenalty ?? 100}
+                            onChange={(e) => handleLatePolicyChange('maxPenalty', Number(e.target.value))}
+                            fullWidth
+                            InputProps={{
+                              inputProps: { min: 0, max: 100 }
+                            }}
+                          />
+                        </Grid>
+                      </>
+                    )}
+                    
+                    <Grid item xs={12} sm={4}>
+                      <TextField
+                        label="Passing Score (%)"
+                        type="number"
+                        value={formData.assignment.passingScore ?? 60}
+                        onChange={(e) => handleAssignmentChange('passingScore', Number(e.target.value))}
+                        fullWidth
+                        InputProps={{
+                          inputProps: { min: 0, max: 100 }
+                        }}
+                      />
+                    </Grid>
+                    
+                    <Grid item xs={12} sm={4}>
+                      <FormControlLabel
+                        control={
+                          <Switch
+                            checked={formData.assignment.doubleBlind || false}
+                            onChange={(e) => handleAssignmentChange('doubleBlind', e.target.checked)}
+                          />
+                        }
+                        label="Double-blind grading"
+                      />
+                    </Grid>
+                    
+                    {formData.assignment.doubleBlind && (
+                      <Grid item xs={12} sm={4}>
+                        <TextField
+                          label="Reconcile when grades differ by (%)"
+                          type="number"
+                          value={formData.assignment.reconciliationThreshold ?? 10}
+                          onChange={(e) => handleAssignmentChange('reconciliationThreshold', Number(e.target.value))}
+                          fullWidth
+                          InputProps={{
+                            inputProps: { min: 0, max: 100 }
+                          }}
+                        />
+                      </Grid>
+                    )}
+                    
+                    <Grid item xs={12}>
+                      <FormControlLabel
+                        control={
+                          <Switch
+                            checked={formData.assignment.peerReview?.enabled || false}
+                            onChange={(e) => handlePeerReviewChange('enabled', e.target.checked)}
+                          />
+                        }
+                        label="Peer review after the due date"
+                      />
+                    </Grid>
+                    
+                    {formData.assignment.peerReview?.enabled && (
+                      <>
+                        <Grid item xs={6} sm={3}>
+                          <TextField
+                            label="Reviewers per submission"
+                            type="number"
+                            value={formData.assignment.peerReview.reviewersPerSubmission ?? 3}
+                            onChange={(e) => handlePeerReviewChange('reviewersPerSubmission', Number(e.target.value))}
+                            fullWidth
+                            InputProps={{
+                              inputProps: { min: 1 }
+                            }}
+                          />
+                        </Grid>
+                        <Grid item xs={6} sm={3}>
+                          <TextField
+                            label="Days to review"
+                            type="number"
+                            value={formData.assignment.peerReview.reviewWindowDays ?? 7}
+                            onChange={(e) => handlePeerReviewChange('reviewWindowDays', Number(e.target.value))}
+                            fullWidth
+                            InputProps={{
+                              inputProps: { min: 1 }
+                            }}
+                          />
+                        </Grid>
+                        <Grid item xs={6} sm={3}>
+                          <TextField
+                            label="Peer share of grade (%)"
+                            type="number"
+                            value={formData.assignment.peerReview.peerWeight ?? 30}
+                            onChange={(e) => handlePeerReviewChange('peerWeight', Number(e.target.value))}
+                            fullWidth
+                            InputProps={{
+                              inputProps: { min: 0, max: 100 }
+                            }}
+                          />
+                        </Grid>
+                        <Grid item xs={6} sm={3}>
+                          <TextField
+                            label="Points per review"
+                            type="number"
+                            value={formData.assignment.peerReview.reviewerPoints ?? 10}
+                            onChange={(e) => handlePeerReviewChange('reviewerPoints', Number(e.target.value))}
+                            fullWidth
+                            InputProps={{
+                              inputProps: { min: 0 }
+                            }}
+                          />
+                        </Grid>
+                      </>
+                    )}
+                    
+                    <Grid item xs={12}>
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                        <Typography variant="subtitle1">
+                          Grading Rubric
+                        </Typography>
+                        <Button
+                          startIcon={<AddIcon />}
+                          onClick={handleAddCriterion}
+                          size="small"
+                        >
+                          Add Criterion
+                        </Button>
+                      </Box>
+                      
+                      {(formData.assignment.rubric?.criteria || []).length === 0 && (
+                        <Typography variant="body2" color="textSecondary">
+                          Without a rubric, graders enter a single grade out of the total points.
+                        </Typography>
+                      )}
+                      
+                      {(formData.assignment.rubric?.criteria || []).map((criterion, criterionIndex) => (
+                        <Paper key={criterion._id || criterionIndex} variant="outlined" sx={{ p: 2, mb: 2 }}>
+                          <Grid container spacing={2}>
+                            <Grid item xs={12} sm={7}>
+                              <TextField
+                                label="Criterion"
+                                value={criterion.title}
+                                onChange={(e) => handleCriterionChange(criterionIndex, 'title', e.target.value)}
+                                fullWidth
+                                size="small"
+                                error={!!errors[`criterion_${criterionIndex}_title`]}
+                                helperText={errors[`criterion_${criterionIndex}_title`]}
+                              />
+                            </Grid>
+                            <Grid item xs={8} sm={3}>
+                              <TextField
+                                label="Weight"
+                                type="number"
+                                value={criterion.weight ?? 1}
+                                onChange={(e) => handleCriterionChange(criterionIndex, 'weight', Number(e.target.value))}
+                                fullWidth
+                                size="small"
+                                InputProps={{
+                                  inputProps: { min: 0, step: 0.5 }
+                                }}
+                              />
+                            </Grid>
+                            <Grid item xs={4} sm={2} sx={{ textAlign: 'right' }}>
+                              <IconButton onClick={() => handleDeleteCriterion(criterionIndex)}>
+                                <DeleteIcon />
+                              </IconButton>
+                            </Grid>
+                            <Grid item xs={12}>
+                              <TextField
+                                label="Description"
+                                value={criterion.description || ''}
+                                onChange={(e) => handleCriterionChange(criterionIndex, 'description', e.target.value)}
+                                fullWidth
+                                size="small"
+                              />
+                            </Grid>
+                            
+                            {criterion.levels.map((level, levelIndex) => (
+                              <React.Fragment key={level._id || levelIndex}>
+                                <Grid item xs={7}>
+                                  <TextField
+                                    label="Level"
+                                    value={level.label}
+                                    onChange={(e) => handleLevelChange(criterionIndex, levelIndex, 'label', e.target.value)}
+                                    fullWidth
+                                    size="small"
+                                  />
+                                </Grid>
+                                <Grid item xs={3}>
+                                  <TextField
+                                    label="Points"
+                                    type="number"
+                                    value={level.points}
+                                    onChange={(e) => handleLevelChange(criterionIndex, levelIndex, 'points', Number(e.target.value))}
+                                    fullWidth
+                                    size="small"
+                                    InputProps={{
+                                      inputProps: { min: 0 }
+                                    }}
+                                  />
+                                </Grid>
+                                <Grid item xs={2} sx={{ textAlign: 'right' }}>
+                                  <IconButton
+                                    size="small"
+                                    onClick={() => handleDeleteLevel(criterionIndex, levelIndex)}
+                                    disabled={criterion.levels.length <= 1}
+                                  >
+                                    <CloseIcon fontSize="small" />
+                                  </IconButton>
+                                </Grid>
+                              </React.Fragment>
+                            ))}
+                            
+                            <Grid item xs={12}>
+                              {errors[`criterion_${criterionIndex}_levels`] && (
+                                <FormHelperText error>
+                                  {errors[`criterion_${criterionIndex}_levels`]}
+                                </FormHelperText>
+                              )}
+                              <Button size="small" onClick={() => handleAddLevel(criterionIndex)}>
+                                Add Level
+                              </Button>
+                            </Grid>
+                          </Grid>
+                        </Paper>
+                      ))}
+                    </Grid>
+                    
                     <Grid item xs={12}>
                       <Typography variant="subtitle2" gutterBottom>
                         Assignment Resources
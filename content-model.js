@@ -24,7 +24,7 @@ const ContentSchema = new mongoose.Schema(
     contentType: {
       type: String,
       required: true,
-      enum: ['Video', 'Document', 'Presentation', 'Quiz', 'Assignment', 'Link']
+      enum: ['Video', 'Document', 'Presentation', 'Quiz', 'Assignment', 'Link', 'SCORM', 'LTI']
     },
     // For Video content
     videoUrl: {
@@ -80,6 +80,200 @@ const ContentSchema = new mongoose.Schema(
         required: function() {
           return this.contentType === 'Assignment';
         }
+      },
+      // Percentage of maxScore needed to pass
+      passingScore: {
+        type: Number,
+        default: 60,
+        min: 0,
+        max: 100
+      },
+      // Graders score each criterion at one of its levels; criteria count
+      // towards maxScore in proportion to their weights
+      rubric: {
+        criteria: [{
+          title: {
+            type: String,
+            required: [true, 'Please add a criterion title'],
+            trim: true
+          },
+          description: String,
+          weight: {
+            type: Number,
+            default: 1,
+            min: 0
+          },
+          levels: [{
+            label: {
+              type: String,
+              required: [true, 'Please add a level label'],
+              trim: true
+            },
+            description: String,
+            points: {
+              type: Number,
+              required: true,
+              min: 0
+            }
+          }]
+        }]
+      },
+      // Two graders mark each submission without seeing each other's grades
+      doubleBlind: {
+        type: Boolean,
+        default: false
+      },
+      // Largest gap between the two graders' percentages that is averaged
+      // rather than sent to reconciliation
+      reconciliationThreshold: {
+        type: Number,
+        default: 10,
+        min: 0
+      },
+      // How submissions after the deadline (plus the grace period) are handled:
+      // accepted as late, blocked, or accepted with a penalty per day late
+      latePolicy: {
+        mode: {
+          type: String,
+          enum: ['Accept', 'Block', 'Penalty'],
+          default: 'Accept'
+        },
+        gracePeriodMinutes: {
+          type: Number,
+          default: 0,
+          min: 0
+        },
+        // Percentage points off the grade for each started day late
+        penaltyPerDay: {
+          type: Number,
+          default: 10,
+          min: 0,
+          max: 100
+        },
+        maxPenalty: {
+          type: Number,
+          default: 100,
+          min: 0,
+          max: 100
+        }
+      },
+      // Learners may submit again after grading, up to maxAttempts versions
+      allowResubmission: {
+        type: Boolean,
+        default: false
+      },
+      maxAttempts: {
+        type: Number,
+        default: 3,
+        min: 1
+      },
+      // After the deadline each submission goes to anonymous peers, whose
+      // average counts towards the final grade alongside the instructor's
+      peerReview: {
+        enabled: {
+          type: Boolean,
+          default: false
+        },
+        reviewersPerSubmission: {
+          type: Number,
+          default: 3,
+          min: 1
+        },
+        // Days reviewers have to complete their reviews once assigned
+        reviewWindowDays: {
+          type: Number,
+          default: 7,
+          min: 1
+        },
+        // Percentage of the final grade taken from the peer average
+        peerWeight: {
+          type: Number,
+          default: 30,
+          min: 0,
+          max: 100
+        },
+        // Points a reviewer earns for each completed review
+        reviewerPoints: {
+          type: Number,
+          default: 10,
+          min: 0
+        }
+      }
+    },
+    // For Quiz content: the quiz definition questions are drawn from
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz'
+    },
+    // For SCORM content: one launchable item of an imported package
+    scorm: {
+      version: {
+        type: String,
+        enum: ['1.2', '2004'],
+        required: function() {
+          return this.contentType === 'SCORM';
+        }
+      },
+      // Directory the package was unpacked to under /uploads/scorm
+      packageId: String,
+      // Item identifier in the package manifest
+      identifier: String,
+      scormType: {
+        type: String,
+        enum: ['sco', 'asset']
+      },
+      launchUrl: {
+        type: String,
+        required: function() {
+          return this.contentType === 'SCORM';
+        }
+      },
+      // Percentage score the package's own assessment needs to pass
+      masteryScore: {
+        type: Number,
+        min: 0,
+        max: 100
+      },
+      // Initialization data the package reads from the runtime
+      launchData: String
+    },
+    // For LTI content: a resource link launched in an external LTI 1.3 tool
+    lti: {
+      tool: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LtiTool',
+        required: function() {
+          return this.contentType === 'LTI';
+        }
+      },
+      // Target link URI, the tool's launch URL when not set
+      url: String,
+      custom: {
+        type: Map,
+        of: String
+      },
+      // Where the tool opens the resource
+      presentation: {
+        type: String,
+        enum: ['iframe', 'window'],
+        default: 'iframe'
+      },
+      // Gradable resources get a line item the tool posts scores to
+      lineItem: {
+        label: String,
+        scoreMaximum: {
+          type: Number,
+          min: 0
+        },
+        resourceId: String,
+        tag: String
+      },
+      // Percentage of scoreMaximum needed to complete the content
+      passingScore: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
       }
     },
     // For external link content
@@ -104,4 +298,25 @@ const ContentSchema = new mongoose.Schema(
   }
 );
 
+// Rubrics need levels to score against and a weight to count with
+ContentSchema.pre('validate', function(next) {
+  const criteria = (this.assignment && this.assignment.rubric && this.assignment.rubric.criteria) || [];
+
+  if (criteria.length > 0) {
+    if (criteria.some(criterion => (criterion.levels || []).length === 0)) {
+      this.invalidate('assignment.rubric', 'Every rubric criterion needs at least one level');
+    }
+
+    if (criteria.some(criterion => Math.max(...(criterion.levels || []).map(level => level.points)) <= 0)) {
+      this.invalidate('assignment.rubric', 'Every rubric criterion needs a level worth more than 0 points');
+    }
+
+    if (criteria.reduce((sum, criterion) => sum + (criterion.weight || 0), 0) <= 0) {
+      this.invalidate('assignment.rubric', 'Rubric criteria weights must add up to more than 0');
+    }
+  }
+
+  next();
+});
+
 module.exports = mongoose.model('Content', ContentSchema);
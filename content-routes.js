@@ -6,7 +6,7 @@
 const express = require('express');
 const router = express.Router({ mergeParams: true });
 const contentController = require('../controllers/contentController');
-const { protect, authorize } = require('../config/middleware');
+const { protect, requirePermission } = require('../config/middleware');
 const { uploadContent } = require('../utils/fileUpload');
 
 // Base route is /api/courses/:courseId/modules/:moduleId/content
@@ -33,7 +33,7 @@ router.get('/:contentId', protect, contentController.getContentById);
 router.post(
   '/',
   protect,
-  authorize('instructor', 'admin'),
+  requirePermission('content:edit'),
   contentController.createContent
 );
 
@@ -45,7 +45,7 @@ router.post(
 router.put(
   '/:contentId',
   protect,
-  authorize('instructor', 'admin'),
+  requirePermission('content:edit'),
   contentController.updateContent
 );
 
@@ -57,7 +57,7 @@ router.put(
 router.delete(
   '/:contentId',
   protect,
-  authorize('instructor', 'admin'),
+  requirePermission('content:edit'),
   contentController.deleteContent
 );
 
@@ -69,7 +69,7 @@ router.delete(
 router.put(
   '/reorder',
   protect,
-  authorize('instructor', 'admin'),
+  requirePermission('content:edit'),
   contentController.reorderContent
 );
 
@@ -84,6 +84,28 @@ router.post(
   contentController.trackContentProgress
 );
 
+/**
+ * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/quiz/start
+ * @desc    Start (or resume) a quiz attempt
+ * @access  Private
+ */
+router.post(
+  '/:contentId/quiz/start',
+  protect,
+  contentController.startQuizAttempt
+);
+
+/**
+ * @route   PUT /api/courses/:courseId/modules/:moduleId/content/:contentId/quiz/answers
+ * @desc    Save answers on the attempt in progress
+ * @access  Private
+ */
+router.put(
+  '/:contentId/quiz/answers',
+  protect,
+  contentController.saveQuizAnswers
+);
+
 /**
  * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/quiz/submit
  * @desc    Submit quiz attempt
@@ -137,10 +159,127 @@ router.get(
 router.post(
   '/:contentId/assignment/:submissionId/grade',
   protect,
-  authorize('instructor', 'admin'),
+  requirePermission('assignment:grade'),
   contentController.gradeAssignment
 );
 
+/**
+ * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/:submissionId/reject
+ * @desc    Return a submission to the learner for revision
+ * @access  Private/Instructor
+ */
+router.post(
+  '/:contentId/assignment/:submissionId/reject',
+  protect,
+  requirePermission('assignment:grade'),
+  contentController.rejectAssignmentSubmission
+);
+
+/**
+ * @route   GET /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/:submissionId/similarity
+ * @desc    Get a submission's similarity report
+ * @access  Private/Instructor
+ */
+router.get(
+  '/:contentId/assignment/:submissionId/similarity',
+  protect,
+  requirePermission('assignment:grade'),
+  contentController.getSubmissionSimilarity
+);
+
+/**
+ * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/:submissionId/similarity
+ * @desc    Run the similarity check for a submission now
+ * @access  Private/Instructor
+ */
+router.post(
+  '/:contentId/assignment/:submissionId/similarity',
+  protect,
+  requirePermission('assignment:grade'),
+  contentController.checkSubmissionSimilarity
+);
+
+/**
+ * @route   GET /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/extensions
+ * @desc    Get deadline extensions for an assignment
+ * @access  Private/Instructor
+ */
+router.get(
+  '/:contentId/assignment/extensions',
+  protect,
+  requirePermission('assignment:grade'),
+  contentController.getAssignmentExtensions
+);
+
+/**
+ * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/extensions
+ * @desc    Grant a learner a deadline extension
+ * @access  Private/Instructor
+ */
+router.post(
+  '/:contentId/assignment/extensions',
+  protect,
+  requirePermission('assignment:grade'),
+  contentController.grantAssignmentExtension
+);
+
+/**
+ * @route   DELETE /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/extensions/:userId
+ * @desc    Remove a learner's deadline extension
+ * @access  Private/Instructor
+ */
+router.delete(
+  '/:contentId/assignment/extensions/:userId',
+  protect,
+  requirePermission('assignment:grade'),
+  contentController.revokeAssignmentExtension
+);
+
+/**
+ * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/:submissionId/reconcile
+ * @desc    Reconcile double-blind grades that are too far apart
+ * @access  Private/Instructor
+ */
+router.post(
+  '/:contentId/assignment/:submissionId/reconcile',
+  protect,
+  requirePermission('assignment:grade'),
+  contentController.reconcileAssignmentGrade
+);
+
+/**
+ * @route   GET /api/courses/:courseId/modules/:moduleId/content/:contentId/assignment/:submissionId/peer-reviews
+ * @desc    Get the peer reviews of a submission
+ * @access  Private
+ */
+router.get(
+  '/:contentId/assignment/:submissionId/peer-reviews',
+  protect,
+  contentController.getSubmissionPeerReviews
+);
+
+/**
+ * @route   GET /api/courses/:courseId/modules/:moduleId/content/:contentId/peer-reviews
+ * @desc    Get the peer reviews assigned to the current user
+ * @access  Private
+ */
+router.get(
+  '/:contentId/peer-reviews',
+  protect,
+  contentController.getPeerReviews
+);
+
+/**
+ * @route   POST /api/courses/:courseId/modules/:moduleId/content/:contentId/peer-reviews/:reviewId
+ * @desc    Submit a peer review
+ * @access  Private
+ */
+router.post(
+  '/:contentId/peer-reviews/:reviewId',
+  protect,
+  contentController.submitPeerReview
+);
+
 /**
  * @route   GET /api/courses/:courseId/modules/:moduleId/content/:contentId/comments
  * @desc    Get content comments
@@ -171,7 +310,7 @@ router.post(
 router.post(
   '/:contentId/upload',
   protect,
-  authorize('instructor', 'admin'),
+  requirePermission('content:edit'),
   uploadContent.array('files', 5),
   (req, res) => {
     // File URLs will be available in req.files
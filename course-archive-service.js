@@ -0,0 +1,1001 @@
+/**
+ * Course archive service
+ * Exports a course draft as a portable archive (a JSON manifest plus the media
+ * it uses) and imports archives on any instance, giving every document a new
+ * ID and reporting conflicts with what the instance already has before
+ * anything is written
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Module = require('../models/Module');
+const Content = require('../models/Content');
+const Quiz = require('../models/Quiz');
+const Question = require('../models/Question');
+const Badge = require('../models/Badge');
+const LtiTool = require('../models/LtiTool');
+const Skill = require('../models/Skill');
+const policyService = require('./policyService');
+const quizService = require('./quizService');
+const courseVersionService = require('./courseVersionService');
+const zipArchive = require('../utils/zipArchive');
+
+const ARCHIVE_FORMAT = 'lms-hrm-course';
+const FORMAT_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+const MEDIA_DIR = 'media';
+
+// Uploaded files live here and are served from /uploads
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+const UPLOADS_URL = '/uploads';
+
+// Identifies this instance in the archives it exports
+const INSTANCE = process.env.BASE_URL || 'http://localhost:5000';
+
+// Limits on the archives this instance builds and accepts
+const MAX_ARCHIVE_FILES = 10000;
+const MAX_ARCHIVE_SIZE = 1024 * 1024 * 1024;
+
+const CONFLICT_STRATEGIES = ['fail', 'rename', 'replace'];
+
+// Fields copied between instances; everything else is instance bookkeeping
+const COURSE_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'level',
+  'thumbnail',
+  'duration',
+  'requiredForRoles',
+  'requiredForDepartments',
+  'completionCriteria',
+  'minimumScore',
+  'completionPoints',
+  'certificateTemplate',
+  'adaptiveLearning',
+  'recertification'
+];
+const MODULE_FIELDS = ['title', 'description', 'order', 'duration', 'quizRequired', 'quiz'];
+const QUIZ_FIELDS = [
+  'title',
+  'description',
+  'randomizeQuestions',
+  'shuffleOptions',
+  'timeLimit',
+  'passingScore',
+  'maxAttempts',
+  'retakeCooldown',
+  'scorePolicy',
+  'showFeedback'
+];
+const BADGE_FIELDS = [
+  'name',
+  'description',
+  'imageUrl',
+  'badgeType',
+  'rarity',
+  'points',
+  'requirements',
+  'requirementCriteria',
+  'isLimited',
+  'expiresOn',
+  'isActive'
+];
+const DOCUMENT_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Error raised for archives that cannot be exported or imported
+ * @param {string} message - Error message
+ * @param {string} code - Machine readable error code
+ * @param {Object} report - Import report, for conflicts
+ */
+class CourseArchiveError extends Error {
+  constructor(message, code = 'INVALID_ARCHIVE', report = null) {
+    super(message);
+    this.name = 'CourseArchiveError';
+    this.code = code;
+    this.report = report;
+  }
+}
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+const pick = (source, fields) => fields.reduce((result, field) => {
+  if (source[field] !== undefined) result[field] = source[field];
+  return result;
+}, {});
+
+const omit = (source, fields) => {
+  const result = { ...source };
+  fields.forEach(field => delete result[field]);
+  return result;
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Hash a file on disk, or null when it does not exist
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+
+  fs.createReadStream(filePath)
+    .on('error', error => (error.code === 'ENOENT' || error.code === 'EISDIR' ? resolve(null) : reject(error)))
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+// List the files under a directory as paths relative to it
+const listFiles = async (directory, prefix = '') => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path.join(directory, entry.name), relative));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files;
+};
+
+// Path of an uploaded file relative to the uploads directory, or null
+const toUploadPath = (url) => {
+  if (typeof url !== 'string' || !url.startsWith(`${UPLOADS_URL}/`)) return null;
+
+  try {
+    return zipArchive.toArchivePath(decodeURIComponent(url.slice(UPLOADS_URL.length + 1).split(/[?#]/)[0]));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Call back with every string inside a value
+const eachString = (value, callback) => {
+  if (typeof value === 'string') {
+    callback(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => eachString(item, callback));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => eachString(item, callback));
+  }
+};
+
+// Copy a value, passing every string through the callback
+const mapStrings = (value, callback) => {
+  if (typeof value === 'string') return callback(value);
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, callback));
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = mapStrings(value[key], callback);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+const scormPackageOf = (relative) => {
+  const match = /^scorm\/([^/]+)\//.exec(relative);
+  return match ? match[1] : null;
+};
+
+const certificateTemplatePath = (name) => `certificate-templates/${name}.png`;
+
+/**
+ * Build the manifest of a course draft and list the media files it uses
+ * @param {Object} course - Course document
+ * @returns {Object} - { manifest, media: [{ path, file }] }
+ */
+const buildManifest = async (course) => {
+  const modules = await Module.find({ course: course._id }).sort({ order: 1 }).lean();
+  const contents = await Content.find({ module: { $in: modules.map(module => module._id) } })
+    .sort({ order: 1 })
+    .lean();
+
+  const preAssessments = modules
+    .map(module => module.preAssessment)
+    .filter(preAssessment => preAssessment && preAssessment.quiz);
+  const quizIds = [
+    ...contents.filter(content => content.quiz).map(content => content.quiz),
+    ...preAssessments.map(preAssessment => preAssessment.quiz)
+  ];
+  const quizzes = await Quiz.find({ _id: { $in: quizIds } }).lean();
+
+  // Pools that match the question bank by filters are fixed to the questions
+  // they match today, since the other instance's bank is different
+  const questionIds = new Set();
+  for (const quiz of quizzes) {
+    for (const pool of quiz.pools || []) {
+      if (!pool.questions || pool.questions.length === 0) {
+        const matched = await Question.find(quizService.buildPoolMatch(pool)).select('_id').lean();
+        pool.questions = matched.map(question => question._id);
+      }
+      pool.questions.forEach(id => questionIds.add(toId(id)));
+    }
+  }
+
+  const questions = await Question.find({ _id: { $in: [...questionIds] } }).lean();
+  const badges = await Badge.find({ courseId: course._id }).lean();
+
+  const toolIds = contents.filter(content => content.lti && content.lti.tool).map(content => content.lti.tool);
+  const tools = await LtiTool.find({ _id: { $in: toolIds } }).select('name launchUrl').lean();
+
+  // Skills and prerequisite courses belong to the instance; they travel by
+  // name so the importing instance can look up its own
+  const skillIds = [
+    ...(course.skillsTaught || []),
+    ...(course.prerequisites || []).map(rule => rule.skill),
+    ...questions.flatMap(question => question.skills || []),
+    ...badges.map(badge => badge.skillId),
+    ...preAssessments.flatMap(preAssessment => preAssessment.skills || [])
+  ].filter(Boolean);
+  const skills = await Skill.find({ _id: { $in: skillIds } }).select('name').lean();
+
+  const prerequisiteCourseIds = (course.prerequisites || []).map(rule => rule.course).filter(Boolean);
+  const prerequisiteCourses = await Course.find({ _id: { $in: prerequisiteCourseIds } }).select('title').lean();
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    formatVersion: FORMAT_VERSION,
+    exportedAt: new Date(),
+    source: {
+      instance: INSTANCE,
+      courseId: course._id,
+      title: course.title,
+      version: course.currentVersionNumber || 0
+    },
+    course: {
+      id: course._id,
+      ...pick(course, COURSE_FIELDS),
+      skillsTaught: course.skillsTaught || [],
+      prerequisites: (course.prerequisites || []).map(rule => pick(rule, [
+        'type',
+        'course',
+        'module',
+        'minimumScore',
+        'skill',
+        'minimumLevel'
+      ]))
+    },
+    modules: modules.map(module => ({
+      id: module._id,
+      ...pick(module, MODULE_FIELDS),
+      ...(module.preAssessment && module.preAssessment.quiz
+        ? { preAssessment: pick(module.preAssessment, ['quiz', 'skills', 'masteryScore']) }
+        : {}),
+      contents: contents
+        .filter(content => toId(content.module) === toId(module._id))
+        .map(content => ({
+          id: content._id,
+          ...omit(content, [...DOCUMENT_FIELDS, 'module', 'isPublished'])
+        }))
+    })),
+    quizzes: quizzes.map(quiz => ({
+      id: quiz._id,
+      ...pick(quiz, QUIZ_FIELDS),
+      pools: (quiz.pools || []).map(pool => pick(pool, ['name', 'count', 'questions', 'pointsPerQuestion']))
+    })),
+    questions: questions.map(question => ({
+      id: question._id,
+      ...omit(question, [...DOCUMENT_FIELDS, 'courses', 'createdBy'])
+    })),
+    badges: badges.map(badge => ({
+      id: badge._id,
+      ...pick(badge, BADGE_FIELDS),
+      skillId: badge.skillId
+    })),
+    ltiTools: tools.map(tool => ({ id: tool._id, name: tool.name, launchUrl: tool.launchUrl })),
+    skills: skills.map(skill => ({ id: skill._id, name: skill.name })),
+    prerequisiteCourses: prerequisiteCourses.map(prerequisite => ({ id: prerequisite._id, title: prerequisite.title })),
+    media: []
+  };
+
+  // Media: uploaded files the course points at, whole SCORM packages and a
+  // custom certificate template
+  const relatives = new Set();
+  eachString(manifest, value => {
+    const relative = toUploadPath(value);
+    if (relative && !scormPackageOf(relative)) relatives.add(relative);
+  });
+
+  for (const content of contents) {
+    if (content.scorm && content.scorm.packageId) {
+      const files = await listFiles(path.join(UPLOADS_DIR, 'scorm', content.scorm.packageId));
+      files.forEach(file => relatives.add(`scorm/${content.scorm.packageId}/${file}`));
+    }
+  }
+
+  if (course.certificateTemplate && course.certificateTemplate !== 'default') {
+    relatives.add(certificateTemplatePath(course.certificateTemplate));
+  }
+
+  const media = [];
+  for (const relative of [...relatives].sort()) {
+    const file = path.join(UPLOADS_DIR, relative);
+    const hash = await hashFile(file);
+
+    if (hash) {
+      const { size } = await fs.promises.stat(file);
+      manifest.media.push({ path: relative, size, sha256: hash });
+      media.push({ path: relative, file });
+    }
+  }
+
+  // IDs and dates as they appear in the archive
+  return { manifest: JSON.parse(JSON.stringify(manifest)), media };
+};
+
+/**
+ * Export a course draft
+ * @param {Object} course - Course document
+ * @param {Object} options - format: 'zip' (manifest and media) or 'json' (manifest only)
+ * @returns {Object} - { fileName, contentType, data }
+ */
+const exportCourse = async (course, { format = 'zip' } = {}) => {
+  if (!['zip', 'json'].includes(format)) {
+    throw new CourseArchiveError('Export format must be zip or json', 'INVALID_REQUEST');
+  }
+
+  const { manifest, media } = await buildManifest(course);
+  const baseName = (course.title || 'course').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'course';
+
+  if (format === 'json') {
+    return {
+      fileName: `${baseName}.json`,
+      contentType: 'application/json',
+      data: Buffer.from(JSON.stringify(manifest, null, 2))
+    };
+  }
+
+  const totalSize = manifest.media.reduce((sum, entry) => sum + entry.size, 0);
+  if (media.length + 1 > MAX_ARCHIVE_FILES || totalSize > MAX_ARCHIVE_SIZE) {
+    throw new CourseArchiveError(
+      'The course media is too large for an archive; export the manifest only (format=json) and copy the media separately',
+      'ARCHIVE_TOO_LARGE'
+    );
+  }
+
+  const files = [{ name: MANIFEST_FILE, data: JSON.stringify(manifest, null, 2) }];
+  for (const entry of media) {
+    files.push({ name: `${MEDIA_DIR}/${entry.path}`, data: await fs.promises.readFile(entry.file) });
+  }
+
+  return {
+    fileName: `${baseName}.zip`,
+    contentType: 'application/zip',
+    data: zipArchive.writeZip(files)
+  };
+};
+
+const parseManifest = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new CourseArchiveError('The course manifest is not valid JSON');
+  }
+};
+
+/**
+ * Check that a manifest is a course archive this instance can read
+ * @param {Object} manifest - Parsed manifest
+ */
+const validateManifest = (manifest) => {
+  if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+    throw new CourseArchiveError('The file is not a course archive');
+  }
+
+  if (!Number.isInteger(manifest.formatVersion) || manifest.formatVersion < 1) {
+    throw new CourseArchiveError('The course archive has no valid format version');
+  }
+
+  if (manifest.formatVersion > FORMAT_VERSION) {
+    throw new CourseArchiveError(
+      `The archive uses format version ${manifest.formatVersion}; this instance reads up to version ${FORMAT_VERSION}`,
+      'UNSUPPORTED_VERSION'
+    );
+  }
+
+  if (!manifest.course || typeof manifest.course.title !== 'string' || !Array.isArray(manifest.modules)) {
+    throw new CourseArchiveError('The course archive has no course or modules');
+  }
+
+  ['quizzes', 'questions', 'badges', 'ltiTools', 'skills', 'prerequisiteCourses', 'media'].forEach(key => {
+    if (manifest[key] === undefined) manifest[key] = [];
+    if (!Array.isArray(manifest[key])) {
+      throw new CourseArchiveError(`The course archive's ${key} are not a list`);
+    }
+  });
+};
+
+/**
+ * Read an uploaded course archive, or a manifest exported on its own
+ * @param {string} filePath - Uploaded file
+ * @returns {Object} - { manifest, files: Map of archive path to zip entry }
+ */
+const readArchive = async (filePath) => {
+  const buffer = await fs.promises.readFile(filePath);
+  const files = new Map();
+  let manifest;
+
+  // Zip archives start with a local file header ("PK")
+  if (buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    let entries;
+    try {
+      entries = zipArchive.readZip(buffer, { maxFiles: MAX_ARCHIVE_FILES, maxSize: MAX_ARCHIVE_SIZE });
+    } catch (error) {
+      if (error instanceof zipArchive.ZipError) {
+        throw new CourseArchiveError(
+          `Invalid archive: ${error.message}`,
+          error.code === 'ARCHIVE_TOO_LARGE' ? 'ARCHIVE_TOO_LARGE' : 'INVALID_ARCHIVE'
+        );
+      }
+      throw error;
+    }
+
+    entries.filter(entry => !entry.isDirectory).forEach(entry => {
+      const name = zipArchive.toArchivePath(entry.name);
+      if (!name) {
+        throw new CourseArchiveError(`Invalid archive: ${entry.name} is outside the archive`);
+      }
+      files.set(name, entry);
+    });
+
+    if (!files.has(MANIFEST_FILE)) {
+      throw new CourseArchiveError(`Invalid archive: ${MANIFEST_FILE} is missing`);
+    }
+
+    manifest = parseManifest(readEntry(files.get(MANIFEST_FILE)).toString('utf8'));
+  } else {
+    manifest = parseManifest(buffer.toString('utf8'));
+  }
+
+  validateManifest(manifest);
+
+  return { manifest, files };
+};
+
+const readEntry = (entry) => {
+  try {
+    return entry.read();
+  } catch (error) {
+    throw new CourseArchiveError(`Invalid archive: ${entry.name} cannot be read`);
+  }
+};
+
+// Title with the first free " (n)" suffix
+const uniqueTitle = async (title) => {
+  for (let n = 2; ; n++) {
+    const suffix = ` (${n})`;
+    const candidate = `${title.slice(0, 100 - suffix.length)}${suffix}`;
+    if (!(await Course.exists({ title: candidate }))) return candidate;
+  }
+};
+
+// Name for a file that would overwrite a different file with the same name
+const renamedPath = (relative, hash) => {
+  const extension = path.posix.extname(relative);
+  return `${relative.slice(0, relative.length - extension.length)}-${hash.slice(0, 8)}${extension}`;
+};
+
+/**
+ * Work out what importing a manifest would create, and what it conflicts with
+ * @param {Object} manifest - Validated manifest
+ * @param {Map} files - Archive files (empty for a manifest on its own)
+ * @param {Object} user - Importing user
+ * @param {Object} options - conflictStrategy ('fail', 'rename' or 'replace'), title
+ * override, and clone to copy a course of this instance with copies of its media
+ * @returns {Object} - Import plan
+ */
+const planImport = async (manifest, files, user, { conflictStrategy = 'fail', title, clone = false } = {}) => {
+  if (!CONFLICT_STRATEGIES.includes(conflictStrategy)) {
+    throw new CourseArchiveError(`Conflict strategy must be one of ${CONFLICT_STRATEGIES.join(', ')}`, 'INVALID_REQUEST');
+  }
+
+  const conflicts = [];
+  const addConflict = (type, message, blocking = false) => conflicts.push({ type, message, blocking });
+  const source = manifest.source || {};
+  const sameInstance = source.instance === INSTANCE;
+
+  const plan = {
+    manifest,
+    files,
+    conflicts,
+    title: title || manifest.course.title,
+    clone,
+    targetCourse: null,
+    toolMap: new Map(),
+    skillMap: new Map(),
+    courseMap: new Map(),
+    pathMap: new Map(),
+    packageMap: new Map(),
+    writes: [],
+    importBadges: policyService.hasPermission(user, 'badge:manage', 'any'),
+    existingBadges: new Map()
+  };
+
+  // The course: a course imported from the same source earlier, the source
+  // course itself, or one with the same title
+  const matches = [{ title: plan.title }];
+  if (source.instance && source.courseId) {
+    matches.unshift({ 'importedFrom.instance': source.instance, 'importedFrom.courseId': source.courseId });
+    if (sameInstance && mongoose.isValidObjectId(source.courseId)) {
+      matches.unshift({ _id: source.courseId });
+    }
+  }
+
+  let existing = null;
+  for (const match of title && conflictStrategy !== 'replace' ? [{ title }] : matches) {
+    existing = existing || await Course.findOne(match);
+  }
+
+  if (existing) {
+    if (conflictStrategy === 'replace') {
+      if (policyService.can(user, 'course:edit', existing)) {
+        plan.targetCourse = existing;
+        addConflict(
+          'COURSE_REPLACED',
+          `The draft of "${existing.title}" will be replaced; its published versions and enrollments are kept`
+        );
+      } else {
+        addConflict('COURSE_EXISTS', `You are not allowed to replace the existing course "${existing.title}"`, true);
+      }
+    } else if (conflictStrategy === 'rename') {
+      plan.title = await uniqueTitle(plan.title);
+      addConflict('COURSE_RENAMED', `"${existing.title}" already exists; the course will be imported as "${plan.title}"`);
+    } else {
+      addConflict(
+        'COURSE_EXISTS',
+        `The course "${existing.title}" already exists; import with the rename or replace strategy`,
+        true
+      );
+    }
+  }
+
+  // LTI tools are registered by an admin on each instance
+  const toolIds = new Set(manifest.ltiTools.map(tool => String(tool.id)));
+  for (const tool of manifest.ltiTools) {
+    const match = await LtiTool.findOne({ name: tool.name });
+    if (match) {
+      plan.toolMap.set(String(tool.id), match._id);
+    } else {
+      addConflict('LTI_TOOL_MISSING', `Register the LTI tool "${tool.name}" (${tool.launchUrl}) before importing`, true);
+    }
+  }
+
+  manifest.modules.forEach(module => (module.contents || []).forEach(content => {
+    if (content.contentType === 'LTI' && !toolIds.has(String(content.lti && content.lti.tool))) {
+      addConflict('LTI_TOOL_MISSING', `"${content.title}" launches an LTI tool the archive does not describe`, true);
+    }
+  }));
+
+  // Skills and prerequisite courses are matched by name
+  for (const skill of manifest.skills) {
+    const match = await Skill.findOne({ name: skill.name }).select('_id');
+    if (match) {
+      plan.skillMap.set(String(skill.id), match._id);
+    } else {
+      addConflict('SKILL_MISSING', `Skill "${skill.name}" does not exist here; references to it are dropped`);
+    }
+  }
+
+  for (const prerequisite of manifest.prerequisiteCourses) {
+    const match = (sameInstance && await Course.findById(prerequisite.id).select('_id')) ||
+      await Course.findOne({ 'importedFrom.instance': source.instance, 'importedFrom.courseId': String(prerequisite.id) }).select('_id') ||
+      await Course.findOne({ title: prerequisite.title }).select('_id');
+
+    if (match) {
+      plan.courseMap.set(String(prerequisite.id), match._id);
+    } else {
+      addConflict('PREREQUISITE_MISSING', `Prerequisite course "${prerequisite.title}" does not exist here; the rule is dropped`);
+    }
+  }
+
+  // Badges
+  if (manifest.badges.length > 0 && !plan.importBadges) {
+    addConflict('BADGES_SKIPPED', `${manifest.badges.length} badge(s) are skipped; only badge managers can import badges`);
+  }
+
+  if (plan.importBadges) {
+    for (const badge of manifest.badges) {
+      const replaced = plan.targetCourse &&
+        await Badge.findOne({ courseId: plan.targetCourse._id, name: badge.name });
+
+      if (replaced) {
+        plan.existingBadges.set(String(badge.id), replaced);
+      } else if (await Badge.exists({ name: badge.name })) {
+        addConflict('BADGE_NAME_IN_USE', `Another badge is already named "${badge.name}"; both will exist`);
+      }
+    }
+  }
+
+  // Quiz pools with nothing left to draw from would match the whole bank
+  const questionIds = new Set(manifest.questions.map(question => String(question.id)));
+  manifest.quizzes.forEach(quiz => (quiz.pools || []).forEach(pool => {
+    if (!(pool.questions || []).some(id => questionIds.has(String(id)))) {
+      addConflict('QUIZ_POOL_EMPTY', `Quiz "${quiz.title}" pool "${pool.name || 'unnamed'}" has no questions and is dropped`);
+    }
+  }));
+
+  // Media: identical files are reused, different files with the same name
+  // are written under a new name, and SCORM packages move as a whole
+  const groups = new Map();
+  manifest.media.forEach(entry => {
+    const relative = zipArchive.toArchivePath(String(entry.path || ''));
+    if (!relative) {
+      throw new CourseArchiveError(`Invalid archive: media path ${entry.path} is outside the uploads directory`);
+    }
+    const group = scormPackageOf(relative) || relative;
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push({ ...entry, path: relative });
+  });
+
+  // A clone gets its own copy of every file, so editing one course's media
+  // leaves the other's alone
+  if (clone) {
+    for (const [group, entries] of groups) {
+      const packageId = scormPackageOf(entries[0].path);
+      const suffix = crypto.randomBytes(4).toString('hex');
+
+      if (packageId) {
+        const newPackageId = crypto.randomBytes(12).toString('hex');
+        plan.packageMap.set(packageId, newPackageId);
+        entries.forEach(entry => plan.writes.push({
+          path: entry.path.replace(`scorm/${packageId}/`, `scorm/${newPackageId}/`),
+          source: path.join(UPLOADS_DIR, entry.path)
+        }));
+      } else {
+        plan.pathMap.set(group, renamedPath(group, suffix));
+        plan.writes.push({ path: renamedPath(group, suffix), source: path.join(UPLOADS_DIR, group) });
+      }
+    }
+
+    return plan;
+  }
+
+  for (const [group, entries] of groups) {
+    const packageId = scormPackageOf(entries[0].path);
+    const checked = [];
+
+    for (const entry of entries) {
+      const archived = files.get(`${MEDIA_DIR}/${entry.path}`);
+      const data = archived ? readEntry(archived) : null;
+      const hash = data ? sha256(data) : entry.sha256;
+      const existingHash = await hashFile(path.join(UPLOADS_DIR, entry.path));
+
+      if (!data && !existingHash) {
+        addConflict('MEDIA_MISSING', `${entry.path} is not in the archive or on this instance; copy it to the uploads directory`);
+      } else if (!data && existingHash !== hash) {
+        addConflict('MEDIA_DIFFERS', `${entry.path} differs from the exported file; the copy on this instance is used`);
+      }
+
+      checked.push({ entry, data, hash, existingHash });
+    }
+
+    const differs = checked.some(item => item.data && item.existingHash && item.existingHash !== item.hash);
+
+    if (packageId) {
+      // Named after the package contents, so importing it again reuses it
+      const newPackageId = differs
+        ? `${packageId}-${sha256(checked.map(item => `${item.entry.path}:${item.hash}`).join('\n')).slice(0, 8)}`
+        : packageId;
+
+      if (differs) {
+        plan.packageMap.set(packageId, newPackageId);
+        addConflict('MEDIA_RENAMED', `SCORM package ${packageId} differs from the one here and is imported as ${newPackageId}`);
+      }
+
+      for (const item of checked.filter(checkedItem => checkedItem.data)) {
+        const target = item.entry.path.replace(`scorm/${packageId}/`, `scorm/${newPackageId}/`);
+        if (!(differs ? await hashFile(path.join(UPLOADS_DIR, target)) : item.existingHash)) {
+          plan.writes.push({ path: target, data: item.data });
+        }
+      }
+    } else {
+      const [item] = checked;
+      if (item.data && !item.existingHash) {
+        plan.writes.push({ path: group, data: item.data });
+      } else if (differs) {
+        const renamed = renamedPath(group, item.hash);
+        plan.pathMap.set(group, renamed);
+        if (!(await hashFile(path.join(UPLOADS_DIR, renamed)))) {
+          plan.writes.push({ path: renamed, data: item.data });
+        }
+        addConflict('MEDIA_RENAMED', `${group} differs from the file here and is imported as ${renamed}`);
+      }
+    }
+  }
+
+  return plan;
+};
+
+// Summary of a plan returned to the importing user
+const toReport = (plan, { dryRun, course } = {}) => {
+  const { manifest } = plan;
+
+  return {
+    dryRun: Boolean(dryRun),
+    formatVersion: manifest.formatVersion,
+    source: manifest.source,
+    course: {
+      _id: course ? course._id : plan.targetCourse ? plan.targetCourse._id : undefined,
+      title: plan.title,
+      action: plan.targetCourse ? 'replace' : 'create'
+    },
+    counts: {
+      modules: manifest.modules.length,
+      contents: manifest.modules.reduce((sum, module) => sum + (module.contents || []).length, 0),
+      quizzes: manifest.quizzes.length,
+      questions: manifest.questions.length,
+      badges: plan.importBadges ? manifest.badges.length : 0,
+      mediaFiles: plan.writes.length
+    },
+    conflicts: plan.conflicts,
+    canImport: !plan.conflicts.some(conflict => conflict.blocking)
+  };
+};
+
+/**
+ * Create the documents and files of a plan
+ * @param {Object} plan - Plan from planImport with no blocking conflicts
+ * @param {Object} user - Importing user
+ * @returns {Object} - Imported course
+ */
+const applyImport = async (plan, user) => {
+  const { manifest } = plan;
+  const userId = user._id || user.id;
+  const created = [];
+  const written = [];
+
+  // Every document gets a new ID; references are mapped through this
+  const ids = new Map();
+  const mapId = (id) => {
+    const key = String(id);
+    if (!ids.has(key)) ids.set(key, new mongoose.Types.ObjectId());
+    return ids.get(key);
+  };
+  const lookup = (map, id) => (id ? map.get(String(id)) : undefined);
+
+  const courseId = plan.targetCourse ? plan.targetCourse._id : new mongoose.Types.ObjectId();
+
+  // Point uploads URLs at where the media ended up
+  const rewrite = (value) => mapStrings(value, string => {
+    const relative = toUploadPath(string);
+    if (!relative) return string;
+
+    const packageId = scormPackageOf(relative);
+    if (packageId && plan.packageMap.has(packageId)) {
+      return string.replace(`/scorm/${packageId}/`, `/scorm/${plan.packageMap.get(packageId)}/`);
+    }
+    return plan.pathMap.has(relative) ? `${UPLOADS_URL}/${plan.pathMap.get(relative)}` : string;
+  });
+
+  const insert = async (Model, docs) => {
+    if (docs.length === 0) return;
+    await Model.insertMany(docs);
+    created.push({ Model, ids: docs.map(doc => doc._id) });
+  };
+
+  try {
+    for (const file of plan.writes) {
+      const target = path.join(UPLOADS_DIR, file.path);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      try {
+        if (file.source) {
+          await fs.promises.copyFile(file.source, target, fs.constants.COPYFILE_EXCL);
+        } else {
+          await fs.promises.writeFile(target, file.data, { flag: 'wx' });
+        }
+        written.push(target);
+      } catch (error) {
+        // Written by another import in the meantime
+        if (error.code !== 'EEXIST') throw error;
+      }
+    }
+
+    const questionIds = new Set(manifest.questions.map(question => String(question.id)));
+
+    await insert(Question, manifest.questions.map(question => ({
+      ...rewrite(omit(question, ['id', 'skills'])),
+      _id: mapId(question.id),
+      courses: [courseId],
+      skills: (question.skills || []).map(id => lookup(plan.skillMap, id)).filter(Boolean),
+      createdBy: userId
+    })));
+
+    const quizModules = new Map();
+    manifest.modules.forEach(module => {
+      (module.contents || []).forEach(content => {
+        if (content.quiz) quizModules.set(String(content.quiz), mapId(module.id));
+      });
+      if (module.preAssessment) quizModules.set(String(module.preAssessment.quiz), mapId(module.id));
+    });
+
+    await insert(Quiz, manifest.quizzes.map(quiz => ({
+      ...rewrite(pick(quiz, QUIZ_FIELDS)),
+      _id: mapId(quiz.id),
+      course: courseId,
+      module: quizModules.get(String(quiz.id)),
+      pools: (quiz.pools || [])
+        .map(pool => {
+          const poolQuestions = (pool.questions || []).filter(id => questionIds.has(String(id))).map(mapId);
+          return {
+            ...pick(pool, ['name', 'pointsPerQuestion']),
+            count: Math.min(pool.count, poolQuestions.length),
+            questions: poolQuestions
+          };
+        })
+        .filter(pool => pool.questions.length > 0),
+      createdBy: userId
+    })));
+
+    const quizIds = new Set(manifest.quizzes.map(quiz => String(quiz.id)));
+    const contents = [];
+    const modules = manifest.modules.map(module => {
+      const moduleId = mapId(module.id);
+      const { preAssessment } = module;
+
+      (module.contents || []).forEach(content => {
+        const doc = {
+          ...rewrite(omit(content, ['id', 'quiz', 'lti'])),
+          _id: mapId(content.id),
+          module: moduleId
+        };
+
+        if (content.quiz) doc.quiz = mapId(content.quiz);
+        if (content.lti) doc.lti = { ...content.lti, tool: lookup(plan.toolMap, content.lti.tool) };
+        if (doc.scorm && plan.packageMap.has(doc.scorm.packageId)) {
+          doc.scorm.packageId = plan.packageMap.get(doc.scorm.packageId);
+        }
+
+        contents.push(doc);
+      });
+
+      return {
+        ...rewrite(pick(module, MODULE_FIELDS)),
+        _id: moduleId,
+        course: courseId,
+        contents: (module.contents || []).map(content => mapId(content.id)),
+        preAssessment: preAssessment && quizIds.has(String(preAssessment.quiz))
+          ? {
+            quiz: mapId(preAssessment.quiz),
+            skills: (preAssessment.skills || []).map(id => lookup(plan.skillMap, id)).filter(Boolean),
+            masteryScore: preAssessment.masteryScore
+          }
+          : undefined
+      };
+    });
+
+    await insert(Content, contents);
+    await insert(Module, modules);
+
+    const certificateTemplate = manifest.course.certificateTemplate &&
+      plan.pathMap.get(certificateTemplatePath(manifest.course.certificateTemplate));
+
+    const courseFields = {
+      ...rewrite(pick(manifest.course, COURSE_FIELDS)),
+      title: plan.title,
+      certificateTemplate: certificateTemplate
+        ? path.posix.basename(certificateTemplate, '.png')
+        : manifest.course.certificateTemplate,
+      skillsTaught: (manifest.course.skillsTaught || []).map(id => lookup(plan.skillMap, id)).filter(Boolean),
+      prerequisites: (manifest.course.prerequisites || [])
+        .map(rule => ({
+          ...rule,
+          course: lookup(plan.courseMap, rule.course),
+          // Modules of another course only carry over within the same instance
+          module: manifest.source && manifest.source.instance === INSTANCE ? rule.module : undefined,
+          skill: lookup(plan.skillMap, rule.skill)
+        }))
+        .filter(rule => (rule.type === 'Skill Level' ? rule.skill : rule.course)),
+      modules: modules.map(module => module._id)
+    };
+
+    if (plan.clone) {
+      courseFields.clonedFrom = manifest.source.courseId;
+    } else if (manifest.source && manifest.source.courseId) {
+      courseFields.importedFrom = {
+        instance: manifest.source.instance,
+        courseId: String(manifest.source.courseId),
+        version: manifest.source.version,
+        importedAt: new Date()
+      };
+    }
+
+    const badgeUpdates = [];
+    if (plan.importBadges) {
+      const badges = [];
+      manifest.badges.forEach(badge => {
+        const fields = {
+          ...rewrite(pick(badge, BADGE_FIELDS)),
+          courseId,
+          skillId: lookup(plan.skillMap, badge.skillId)
+        };
+        const replaced = plan.existingBadges.get(String(badge.id));
+
+        if (replaced) {
+          badgeUpdates.push(replaced.set(fields));
+        } else {
+          badges.push({ ...fields, _id: mapId(badge.id), createdBy: userId });
+        }
+      });
+      await insert(Badge, badges);
+    }
+
+    let course;
+    if (plan.targetCourse) {
+      course = plan.targetCourse;
+      const previousModules = await Module.find({ course: course._id, _id: { $nin: courseFields.modules } })
+        .select('_id contents');
+
+      course.set(courseFields);
+      await course.save();
+
+      // The old draft goes; published versions keep their own snapshot, and
+      // quizzes and questions stay for the attempts that used them
+      await Content.deleteMany({ _id: { $in: previousModules.flatMap(module => module.contents) } });
+      await Module.deleteMany({ _id: { $in: previousModules.map(module => module._id) } });
+      await courseVersionService.markDraftChanged(course._id);
+    } else {
+      course = await Course.create({ ...courseFields, _id: courseId, creator: userId });
+      created.push({ Model: Course, ids: [courseId] });
+    }
+
+    for (const badge of badgeUpdates) {
+      await badge.save();
+    }
+
+    return course;
+  } catch (error) {
+    // Leave the instance as it was
+    for (const { Model, ids: createdIds } of created.reverse()) {
+      await Model.deleteMany({ _id: { $in: createdIds } }).catch(() => {});
+    }
+    for (const target of written) {
+      await fs.promises.rm(target, { force: true }).catch(() => {});
+    }
+    throw error;
+  }
+};
+
+/**
+ * Import an uploaded course archive
+ * @param {Object} params - filePath, user, dryRun, conflictStrategy and title
+ * @returns {Object} - { report, course } (no course for a dry run)
+ */
+const importCourse = async ({ filePath, user, dryRun = false, conflictStrategy, title }) => {
+  const { manifest, files } = await readArchive(filePath);
+  const plan = await planImport(manifest, files, user, { conflictStrategy, title });
+  const report = toReport(plan, { dryRun });
+
+  if (dryRun) return { report };
+
+  if (!report.canImport) {
+    throw new CourseArchiveError('The archive conflicts with this instance', 'CONFLICT', report);
+  }
+
+  const course = await applyImport(plan, user);
+
+  return { course, report: toReport(plan, { course }) };
+};
+
+module.exports = {
+  CourseArchiveError,
+  ARCHIVE_FORMAT,
+  FORMAT_VERSION,
+  buildManifest,
+  exportCourse,
+  validateManifest,
+  readArchive,
+  planImport,
+  toReport,
+  applyImport,
+  importCourse
+};
@@ -0,0 +1,134 @@
+/**
+ * Course clone service
+ * Deep copies a course into a new unpublished draft on the same instance,
+ * reusing the course archive's export and import so a clone gets new IDs for
+ * everything it copies, including its own copies of the uploaded files
+ */
+const LearningPath = require('../models/LearningPath');
+const policyService = require('./policyService');
+const courseArchiveService = require('./courseArchiveService');
+
+// What a clone includes unless the request says otherwise
+const DEFAULT_INCLUDE = {
+  quizzes: true,
+  assignments: true,
+  badges: true,
+  learningPaths: false,
+  reviews: false
+};
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Leave out the parts of a course manifest a clone does not include
+ * @param {Object} manifest - Course manifest
+ * @param {Object} include - Options from DEFAULT_INCLUDE
+ */
+const filterManifest = (manifest, include) => {
+  const excludedTypes = [
+    ...(include.quizzes ? [] : ['Quiz']),
+    ...(include.assignments ? [] : ['Assignment'])
+  ];
+
+  manifest.modules.forEach(module => {
+    module.contents = (module.contents || []).filter(content => !excludedTypes.includes(content.contentType));
+
+    // Without quizzes nothing can pass the module's quiz
+    if (!include.quizzes) {
+      module.quizRequired = false;
+      delete module.quiz;
+      delete module.preAssessment;
+    }
+  });
+
+  if (!include.quizzes) {
+    manifest.quizzes = [];
+    manifest.questions = [];
+  }
+
+  if (!include.badges) {
+    manifest.badges = [];
+  }
+};
+
+/**
+ * Clone a course into a new draft
+ * @param {Object} course - Course document to copy
+ * @param {Object} user - User cloning the course, who becomes its creator
+ * @param {Object} options - title and include (quizzes, assignments, badges,
+ * learningPaths, reviews)
+ * @returns {Object} - { course, report }
+ */
+const cloneCourse = async (course, user, { title, include = {} } = {}) => {
+  const options = { ...DEFAULT_INCLUDE };
+  Object.keys(DEFAULT_INCLUDE).forEach(key => {
+    if (include[key] !== undefined) options[key] = include[key] === true || include[key] === 'true';
+  });
+
+  const { manifest } = await courseArchiveService.buildManifest(course);
+  filterManifest(manifest, options);
+
+  const plan = await courseArchiveService.planImport(manifest, new Map(), user, {
+    conflictStrategy: 'rename',
+    title: title || `${course.title.slice(0, 93)} (Copy)`,
+    clone: true
+  });
+
+  if (plan.conflicts.some(conflict => conflict.blocking)) {
+    throw new courseArchiveService.CourseArchiveError(
+      'The course cannot be cloned',
+      'CONFLICT',
+      courseArchiveService.toReport(plan)
+    );
+  }
+
+  const clone = await courseArchiveService.applyImport(plan, user);
+
+  if (options.reviews && course.reviews && course.reviews.length > 0) {
+    clone.reviews = course.reviews.map(review => ({
+      user: review.user,
+      rating: review.rating,
+      comment: review.comment,
+      date: review.date
+    }));
+    clone.rating = course.rating;
+    await clone.save();
+  }
+
+  // Add the clone next to the original in its learning paths
+  if (options.learningPaths) {
+    if (policyService.hasPermission(user, 'learningPath:manage', 'any')) {
+      const paths = await LearningPath.find({ courses: course._id });
+
+      for (const learningPath of paths) {
+        learningPath.courses.addToSet(clone._id);
+        if ((learningPath.keyCourses || []).some(id => toId(id) === toId(course))) {
+          learningPath.keyCourses.addToSet(clone._id);
+        }
+        await learningPath.save();
+      }
+
+      plan.conflicts.push({
+        type: 'LEARNING_PATHS_UPDATED',
+        message: `The clone was added to ${paths.length} learning path(s)`,
+        blocking: false
+      });
+    } else {
+      plan.conflicts.push({
+        type: 'LEARNING_PATHS_SKIPPED',
+        message: 'Only learning path managers can add the clone to learning paths',
+        blocking: false
+      });
+    }
+  }
+
+  return {
+    course: clone,
+    report: { ...courseArchiveService.toReport(plan, { course: clone }), include: options }
+  };
+};
+
+module.exports = {
+  DEFAULT_INCLUDE,
+  cloneCourse
+};
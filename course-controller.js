@@ -1,7 +1,29 @@
 const Course = require('../models/Course');
 const Module = require('../models/Module');
 const Enrollment = require('../models/Enrollment');
+const CourseVersion = require('../models/CourseVersion');
+const User = require('../models/User');
 const asyncHandler = require('express-async-handler');
+const policyService = require('../services/policyService');
+const courseVersionService = require('../services/courseVersionService');
+const prerequisiteService = require('../services/prerequisiteService');
+const scormService = require('../services/scormService');
+const courseArchiveService = require('../services/courseArchiveService');
+const courseCloneService = require('../services/courseCloneService');
+const fs = require('fs');
+
+// Fields managed by publishing and enrollment, never set through updateCourse
+const PROTECTED_COURSE_FIELDS = [
+  'creator',
+  'modules',
+  'isPublished',
+  'currentVersion',
+  'currentVersionNumber',
+  'hasUnpublishedChanges',
+  'enrollmentCount',
+  'prerequisites',
+  'prerequisiteWaivers'
+];
 
 // @desc    Get all courses
 // @route   GET /api/courses
@@ -123,6 +145,8 @@ const getCourse = asyncHandler(async (req, res) => {
   const course = await Course.findById(req.params.id)
     .populate('skillsTaught', 'name')
     .populate('creator', 'name')
+    .populate('prerequisites.course', 'title')
+    .populate('prerequisites.skill', 'name')
     .populate({
       path: 'modules',
       select: 'title description duration quizRequired order',
@@ -147,11 +171,37 @@ const getCourse = asyncHandler(async (req, res) => {
       user: req.user.id,
       course: course._id
     })
-      .select('status progressPercentage completedModules lastAccessedOn')
+      .select('status progressPercentage completedModules testedOutModules lastAccessedOn courseVersion versionNumber certificationExpiresOn recertificationCycle dueDate')
       .lean();
   }
   
   const courseObj = course.toObject();
+  
+  // Editors see the draft; learners see the version they are pinned to,
+  // or the current published version
+  if (!req.user || !policyService.can(req.user, 'course:edit', course)) {
+    const version = enrollment && enrollment.courseVersion
+      ? await CourseVersion.findById(enrollment.courseVersion).lean()
+      : course.currentVersion && await CourseVersion.findById(course.currentVersion).lean();
+    
+    if (version) {
+      courseObj.modules = version.modules.map(({ contents, quiz, preAssessment, ...module }) => ({
+        ...module,
+        preAssessment: version.adaptiveLearning && preAssessment
+          ? courseVersionService.toLearnerPreAssessment(preAssessment)
+          : null
+      }));
+      courseObj.adaptiveLearning = Boolean(version.adaptiveLearning);
+      courseObj.duration = version.duration;
+      courseObj.completionCriteria = version.completionCriteria;
+      courseObj.minimumScore = version.minimumScore;
+      courseObj.version = version.version;
+    }
+    
+    delete courseObj.hasUnpublishedChanges;
+    delete courseObj.prerequisiteWaivers;
+  }
+  
   if (enrollment) {
     courseObj.isEnrolled = true;
     courseObj.enrollmentStatus = enrollment.status;
@@ -160,6 +210,16 @@ const getCourse = asyncHandler(async (req, res) => {
     courseObj.completedModules = enrollment.completedModules.map(
       module => module.module.toString()
     );
+    courseObj.testedOutModules = (enrollment.testedOutModules || []).map(
+      module => module.module.toString()
+    );
+    courseObj.enrolledVersion = enrollment.versionNumber;
+    courseObj.dueDate = enrollment.dueDate;
+    courseObj.certificationExpiresOn = enrollment.certificationExpiresOn;
+    courseObj.recertificationCycle = enrollment.recertificationCycle;
+    courseObj.newerVersionAvailable = Boolean(
+      enrollment.versionNumber && enrollment.versionNumber < course.currentVersionNumber
+    );
   } else {
     courseObj.isEnrolled = false;
   }
@@ -174,8 +234,10 @@ const getCourse = asyncHandler(async (req, res) => {
 // @route   POST /api/courses
 // @access  Private/Admin
 const createCourse = asyncHandler(async (req, res) => {
+  PROTECTED_COURSE_FIELDS.forEach(field => delete req.body[field]);
   req.body.creator = req.user.id;
   
+  // New courses start as an unpublished draft
   const course = await Course.create(req.body);
   
   res.status(201).json({
@@ -195,13 +257,21 @@ const updateCourse = asyncHandler(async (req, res) => {
     throw new Error('Course not found');
   }
   
-  // Check user is course creator or admin
-  if (
-    course.creator.toString() !== req.user.id &&
-    req.user.role !== 'admin'
-  ) {
-    res.status(403);
-    throw new Error('Not authorized to update this course');
+  // Instructors may only edit courses they created
+  policyService.authorizeAction(
+    req.user,
+    'course:edit',
+    course,
+    'Not authorized to update this course'
+  );
+  
+  // Edits go to the draft; learners keep the published version until the
+  // course is published again. Catalog details (title, description, etc.)
+  // are shared by all versions and change immediately
+  PROTECTED_COURSE_FIELDS.forEach(field => delete req.body[field]);
+  
+  if (course.currentVersion) {
+    req.body.hasUnpublishedChanges = true;
   }
   
   course = await Course.findByIdAndUpdate(req.params.id, req.body, {
@@ -226,14 +296,12 @@ const deleteCourse = asyncHandler(async (req, res) => {
     throw new Error('Course not found');
   }
   
-  // Check user is course creator or admin
-  if (
-    course.creator.toString() !== req.user.id &&
-    req.user.role !== 'admin'
-  ) {
-    res.status(403);
-    throw new Error('Not authorized to delete this course');
-  }
+  policyService.authorizeAction(
+    req.user,
+    'course:delete',
+    course,
+    'Not authorized to delete this course'
+  );
   
   // Delete all related modules
   await Module.deleteMany({ course: course._id });
@@ -241,6 +309,9 @@ const deleteCourse = asyncHandler(async (req, res) => {
   // Delete all related enrollments
   await Enrollment.deleteMany({ course: course._id });
   
+  // Delete published versions
+  await CourseVersion.deleteMany({ course: course._id });
+  
   await course.remove();
   
   res.status(200).json({
@@ -249,10 +320,527 @@ const deleteCourse = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Publish the course draft as a new version
+// @route   PUT /api/courses/:id/publish
+// @access  Private/Instructor
+const publishCourse = asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id);
+  
+  if (!course) {
+    res.status(404);
+    throw new Error('Course not found');
+  }
+  
+  policyService.authorizeAction(
+    req.user,
+    'course:publish',
+    course,
+    'Not authorized to publish this course'
+  );
+  
+  if (course.currentVersion && !course.hasUnpublishedChanges && course.isPublished) {
+    res.status(400);
+    throw new Error('No changes to publish since the last version');
+  }
+  
+  let version;
+  try {
+    version = await courseVersionService.publishCourse(course, req.user.id, req.body.changeNotes);
+  } catch (error) {
+    res.status(error.code === 11000 ? 409 : 400);
+    throw error.code === 11000
+      ? new Error('Course is already being published, please retry')
+      : error;
+  }
+  
+  const updatedCourse = await Course.findById(course._id);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      ...updatedCourse.toObject(),
+      publishedVersion: {
+        _id: version._id,
+        version: version.version,
+        publishedOn: version.publishedOn
+      }
+    }
+  });
+});
+
+// @desc    Unpublish a course (existing enrollments keep their version)
+// @route   PUT /api/courses/:id/unpublish
+// @access  Private/Instructor
+const unpublishCourse = asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id);
+  
+  if (!course) {
+    res.status(404);
+    throw new Error('Course not found');
+  }
+  
+  policyService.authorizeAction(
+    req.user,
+    'course:publish',
+    course,
+    'Not authorized to unpublish this course'
+  );
+  
+  course.isPublished = false;
+  await course.save();
+  
+  res.status(200).json({
+    success: true,
+    data: course
+  });
+});
+
+// @desc    Get published versions of a course
+// @route   GET /api/courses/:id/versions
+// @access  Private/Instructor
+const getCourseVersions = asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id);
+  
+  if (!course) {
+    res.status(404);
+    throw new Error('Course not found');
+  }
+  
+  policyService.authorizeAction(
+    req.user,
+    'course:edit',
+    course,
+    'Not authorized to view versions of this course'
+  );
+  
+  const versions = await CourseVersion.find({ course: course._id })
+    .select('version changeNotes publishedBy publishedOn')
+    .populate('publishedBy', 'name')
+    .sort({ version: -1 })
+    .lean();
+  
+  // Show how many learners are still on each version
+  const enrollmentCounts = await Enrollment.aggregate([
+    { $match: { course: course._id } },
+    { $group: { _id: '$courseVersion', count: { $sum: 1 } } }
+  ]);
+  
+  const countByVersion = new Map(
+    enrollmentCounts.map(item => [String(item._id), item.count])
+  );
+  
+  res.status(200).json({
+    success: true,
+    count: versions.length,
+    data: versions.map(version => ({
+      ...version,
+      isCurrent: String(version._id) === String(course.currentVersion),
+      enrollmentCount: countByVersion.get(String(version._id)) || 0
+    }))
+  });
+});
+
+// @desc    Get a published version of a course
+// @route   GET /api/courses/:id/versions/:version
+// @access  Private/Instructor
+const getCourseVersion = asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id);
+  
+  if (!course) {
+    res.status(404);
+    throw new Error('Course not found');
+  }
+  
+  policyService.authorizeAction(
+    req.user,
+    'course:edit',
+    course,
+    'Not authorized to view versions of this course'
+  );
+  
+  const version = await CourseVersion.findOne({
+    course: course._id,
+    version: parseInt(req.params.version, 10)
+  }).populate('publishedBy', 'name');
+  
+  if (!version) {
+    res.status(404);
+    throw new Error('Course version not found');
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: version
+  });
+});
+
+// @desc    Add a prerequisite rule to a course
+// @route   POST /api/courses/:id/prerequisites
+// @access  Private/Instructor
+const addPrerequisite = asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id);
+  
+  if (!course) {
+    res.status(404);
+    throw new Error('Course not found');
+  }
+  
+  policyService.authorizeAction(
+    req.user,
+    'course:edit',
+    course,
+    'Not authorized to update this course'
+  );
+  
+  // A bare prerequisiteId means "complete this course first"
+  const rule = req.body.prerequisiteId
+    ? { type: 'Course Completion', course: req.body.prerequisiteId }
+    : req.body;
+  
+  let normalizedRule;
+  try {
+    normalizedRule = await prerequisiteService.validateRule(course, rule);
+  } catch (error) {
+    res.status(400);
+    throw error;
+  }
+  
+  course.prerequisites.push(normalizedRule);
+  await course.save();
+  
+  res.status(201).json({
+    success: true,
+    data: course.prerequisites
+  });
+});
+
+// @desc    Remove a prerequisite rule (by rule ID or prerequisite course ID)
+// @route   DELETE /api/courses/:id/prerequisites/:prerequisiteId
+// @access  Private/Instructor
+const removePrerequisite = asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id);
+  
+  if (!course) {
+    res.status(404);
+    throw new Error('Course not found');
+  }
+  
+  policyService.authorizeAction(
+    req.user,
+    'course:edit',
+    course,
+    'Not authorized to update this course'
+  );
+  
+  const { prerequisiteId } = req.params;
+  const remaining = course.prerequisites.filter(rule => 
+    rule._id.toString() !== prerequisiteId &&
+    !(rule.type === 'Course Completion' && rule.course && rule.course.toString() === prerequisiteId)
+  );
+  
+  if (remaining.length === course.prerequisites.length) {
+    res.status(404);
+    throw new Error('Prerequisite not found');
+  }
+  
+  course.prerequisites = remaining;
+  await course.save();
+  
+  res.status(200).json({
+    success: true,
+    data: course.prerequisites
+  });
+});
+
+// @desc    Check whether the current user meets a course's prerequisites
+// @route   GET /api/courses/:id/verify-eligibility
+// @access  Private
+const verifyEligibility = asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id);
+  
+  if (!course) {
+    res.status(404);
+    throw new Error('Course not found');
+  }
+  
+  const eligibility = await prerequisiteService.checkEligibility(req.user.id, course);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      eligible: eligibility.eligible,
+      waived: eligibility.waived,
+      met: eligibility.met.map(result => result.message),
+      unmet: eligibility.unmet.map(result => result.message)
+    }
+  });
+});
+
+// @desc    Let a learner enroll without meeting the prerequisites
+// @route   POST /api/courses/:id/prerequisites/waivers
+// @access  Private/Admin
+const grantPrerequisiteWaiver = asyncHandler(async (req, res) => {
+  const { userId, reason } = req.body;
+  
+  if (!userId) {
+    res.status(400);
+    throw new Error('User ID is required');
+  }
+  
+  const course = await Course.findById(req.params.id);
+  
+  if (!course) {
+    res.status(404);
+    throw new Error('Course not found');
+  }
+  
+  if (!await User.exists({ _id: userId })) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+  
+  // Replace any earlier waiver for the same learner
+  course.prerequisiteWaivers = course.prerequisiteWaivers
+    .filter(waiver => waiver.user.toString() !== userId);
+  course.prerequisiteWaivers.push({
+    user: userId,
+    grantedBy: req.user.id,
+    reason
+  });
+  
+  await course.save();
+  
+  res.status(201).json({
+    success: true,
+    data: course.prerequisiteWaivers
+  });
+});
+
+// @desc    Revoke a learner's prerequisite waiver
+// @route   DELETE /api/courses/:id/prerequisites/waivers/:userId
+// @access  Private/Admin
+const revokePrerequisiteWaiver = asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id);
+  
+  if (!course) {
+    res.status(404);
+    throw new Error('Course not found');
+  }
+  
+  const remaining = course.prerequisiteWaivers
+    .filter(waiver => waiver.user.toString() !== req.params.userId);
+  
+  if (remaining.length === course.prerequisiteWaivers.length) {
+    res.status(404);
+    throw new Error('Waiver not found');
+  }
+  
+  course.prerequisiteWaivers = remaining;
+  await course.save();
+  
+  res.status(200).json({
+    success: true,
+    data: course.prerequisiteWaivers
+  });
+});
+
+// @desc    Import a SCORM 1.2 / 2004 package as modules of a course
+// @route   POST /api/courses/:id/scorm
+// @access  Private/Instructor
+const importScormPackage = asyncHandler(async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    
+    if (!course) {
+      res.status(404);
+      throw new Error('Course not found');
+    }
+    
+    policyService.authorizeAction(
+      req.user,
+      'course:edit',
+      course,
+      'Not authorized to update this course'
+    );
+    
+    if (!req.file) {
+      res.status(400);
+      throw new Error('Please upload a SCORM package (zip file)');
+    }
+    
+    let result;
+    try {
+      result = await scormService.importPackage({ course, filePath: req.file.path });
+    } catch (error) {
+      if (error instanceof scormService.ScormError) {
+        res.status(error.code === 'PACKAGE_TOO_LARGE' ? 413 : 400);
+      }
+      throw error;
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } finally {
+    // The package is unpacked, so the uploaded zip is not kept
+    if (req.file) {
+      await fs.promises.rm(req.file.path, { force: true });
+    }
+  }
+});
+
+const ARCHIVE_ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  INVALID_ARCHIVE: 400,
+  UNSUPPORTED_VERSION: 400,
+  CONFLICT: 409,
+  ARCHIVE_TOO_LARGE: 413
+};
+
+// @desc    Export a course draft as an archive (zip with media, or the json manifest)
+// @route   GET /api/courses/:id/export
+// @access  Private/Instructor
+const exportCourse = asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id);
+  
+  if (!course) {
+    res.status(404);
+    throw new Error('Course not found');
+  }
+  
+  policyService.authorizeAction(
+    req.user,
+    'course:edit',
+    course,
+    'Not authorized to export this course'
+  );
+  
+  let archive;
+  try {
+    archive = await courseArchiveService.exportCourse(course, { format: req.query.format || 'zip' });
+  } catch (error) {
+    if (error instanceof courseArchiveService.CourseArchiveError) {
+      res.status(ARCHIVE_ERROR_STATUS[error.code] || 400);
+    }
+    throw error;
+  }
+  
+  res.attachment(archive.fileName);
+  res.type(archive.contentType);
+  res.status(200).send(archive.data);
+});
+
+// @desc    Import a course archive, or preview the import with dryRun
+// @route   POST /api/courses/import
+// @access  Private/Instructor
+const importCourse = asyncHandler(async (req, res) => {
+  try {
+    if (!req.file) {
+      res.status(400);
+      throw new Error('Please upload a course archive');
+    }
+    
+    let result;
+    try {
+      result = await courseArchiveService.importCourse({
+        filePath: req.file.path,
+        user: req.user,
+        dryRun: req.body.dryRun === true || req.body.dryRun === 'true',
+        conflictStrategy: req.body.conflictStrategy || 'fail',
+        title: req.body.title
+      });
+    } catch (error) {
+      if (error instanceof courseArchiveService.CourseArchiveError) {
+        res.status(ARCHIVE_ERROR_STATUS[error.code] || 400);
+        
+        // Conflicts come with the report so the user can pick a strategy
+        if (error.report) {
+          return res.json({
+            success: false,
+            message: error.message,
+            report: error.report
+          });
+        }
+      }
+      throw error;
+    }
+    
+    res.status(result.course ? 201 : 200).json({
+      success: true,
+      data: result.course || null,
+      report: result.report
+    });
+  } finally {
+    if (req.file) {
+      await fs.promises.rm(req.file.path, { force: true });
+    }
+  }
+});
+
+// @desc    Clone a course into a new unpublished draft
+// @route   POST /api/courses/:id/clone
+// @access  Private/Instructor
+const cloneCourse = asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id);
+  
+  if (!course) {
+    res.status(404);
+    throw new Error('Course not found');
+  }
+  
+  policyService.authorizeAction(
+    req.user,
+    'course:edit',
+    course,
+    'Not authorized to clone this course'
+  );
+  
+  let result;
+  try {
+    result = await courseCloneService.cloneCourse(course, req.user, {
+      title: req.body.title,
+      include: req.body.include
+    });
+  } catch (error) {
+    if (error instanceof courseArchiveService.CourseArchiveError) {
+      res.status(ARCHIVE_ERROR_STATUS[error.code] || 400);
+      
+      if (error.report) {
+        return res.json({
+          success: false,
+          message: error.message,
+          report: error.report
+        });
+      }
+    }
+    throw error;
+  }
+  
+  res.status(201).json({
+    success: true,
+    data: result.course,
+    report: result.report
+  });
+});
+
 module.exports = {
   getCourses,
   getCourse,
   createCourse,
   updateCourse,
-  deleteCourse
+  deleteCourse,
+  publishCourse,
+  unpublishCourse,
+  getCourseVersions,
+  getCourseVersion,
+  addPrerequisite,
+  removePrerequisite,
+  verifyEligibility,
+  grantPrerequisiteWaiver,
+  revokePrerequisiteWaiver,
+  importScormPackage,
+  exportCourse,
+  importCourse,
+  cloneCourse
 };
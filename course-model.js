@@ -83,17 +83,107 @@ const CourseSchema = new mongoose.Schema(
       type: Boolean,
       default: false
     },
+    // The Course, its Modules and Content are the working draft; learners
+    // take the published snapshot in CourseVersion
+    currentVersion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CourseVersion'
+    },
+    currentVersionNumber: {
+      type: Number,
+      default: 0
+    },
+    hasUnpublishedChanges: {
+      type: Boolean,
+      default: false
+    },
+    // All rules must be met before a learner can enroll
+    prerequisites: [{
+      type: {
+        type: String,
+        enum: ['Course Completion', 'Quiz Score', 'Skill Level'],
+        required: true
+      },
+      // Course Completion and Quiz Score
+      course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+      },
+      // Quiz Score: a specific module's quiz, otherwise the course average
+      module: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Module'
+      },
+      minimumScore: {
+        type: Number,
+        min: 0,
+        max: 100
+      },
+      // Skill Level (EmployeeSkill proficiency, 1-5)
+      skill: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Skill'
+      },
+      minimumLevel: {
+        type: Number,
+        min: 1,
+        max: 5
+      }
+    }],
+    // Learners an admin allowed to enroll without meeting the prerequisites
+    prerequisiteWaivers: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      grantedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      reason: String,
+      grantedOn: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     requiredForRoles: [{
       type: String
     }],
     requiredForDepartments: [{
       type: String
     }],
+    // Compliance courses that must be retaken: a completion is valid for
+    // intervalMonths, and the next cycle opens renewalWindowDays before it lapses
+    recertification: {
+      intervalMonths: {
+        type: Number,
+        min: [1, 'Recertification interval must be at least one month']
+      },
+      renewalWindowDays: {
+        type: Number,
+        default: 30,
+        min: 0
+      }
+    },
+    // Points credited to a learner's ledger each time they complete the course
+    completionPoints: {
+      type: Number,
+      default: 100,
+      min: [0, 'Completion points cannot be negative']
+    },
     completionCriteria: {
       type: String,
       enum: ['All Modules', 'Minimum Score', 'Final Assessment'],
       default: 'All Modules'
     },
+    // Learners may take a module's pre-assessment and test out of modules
+    // whose skills they have already mastered
+    adaptiveLearning: {
+      type: Boolean,
+      default: false
+    },
     minimumScore: {
       type: Number,
       default: 70
@@ -101,6 +191,18 @@ const CourseSchema = new mongoose.Schema(
     certificateTemplate: {
       type: String,
       default: 'default'
+    },
+    // Source of a course imported from a course archive; later imports of the
+    // same course find it here
+    importedFrom: {
+      instance: String,
+      courseId: String,
+      version: Number,
+      importedAt: Date
+    },
+    clonedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
     }
   },
   {
@@ -5,17 +5,69 @@ const {
   getCourse, 
   createCourse, 
   updateCourse, 
-  deleteCourse 
+  deleteCourse,
+  publishCourse,
+  unpublishCourse,
+  getCourseVersions,
+  getCourseVersion,
+  addPrerequisite,
+  removePrerequisite,
+  verifyEligibility,
+  grantPrerequisiteWaiver,
+  revokePrerequisiteWaiver,
+  importScormPackage,
+  exportCourse,
+  importCourse,
+  cloneCourse
 } = require('../controllers/courseController');
-const { protect, authorize } = require('../config/middleware');
+const {
+  getPreAssessment,
+  setPreAssessment,
+  removePreAssessment,
+  startPreAssessment,
+  submitPreAssessment
+} = require('../controllers/adaptiveLearningController');
+const { protect, requirePermission } = require('../config/middleware');
+const { uploadContent } = require('../utils/fileUpload');
 
 // Public routes
 router.get('/', getCourses);
 router.get('/:id', getCourse);
 
 // Protected routes
-router.post('/', protect, authorize(['admin', 'instructor']), createCourse);
-router.put('/:id', protect, authorize(['admin', 'instructor']), updateCourse);
-router.delete('/:id', protect, authorize(['admin']), deleteCourse);
+router.post('/', protect, requirePermission('course:create'), createCourse);
+router.post('/import', protect, requirePermission('course:create'), uploadContent.single('courseFile'), importCourse);
+router.put('/:id', protect, requirePermission('course:edit'), updateCourse);
+router.delete('/:id', protect, requirePermission('course:delete'), deleteCourse);
+
+// Versioning
+router.put('/:id/publish', protect, requirePermission('course:publish'), publishCourse);
+router.put('/:id/unpublish', protect, requirePermission('course:publish'), unpublishCourse);
+router.get('/:id/versions', protect, requirePermission('course:edit'), getCourseVersions);
+router.get('/:id/versions/:version', protect, requirePermission('course:edit'), getCourseVersion);
+
+// Prerequisites
+router.get('/:id/verify-eligibility', protect, verifyEligibility);
+router.post('/:id/prerequisites', protect, requirePermission('course:edit'), addPrerequisite);
+router.post('/:id/prerequisites/waivers', protect, requirePermission('course:waivePrerequisites', 'any'), grantPrerequisiteWaiver);
+router.delete('/:id/prerequisites/waivers/:userId', protect, requirePermission('course:waivePrerequisites', 'any'), revokePrerequisiteWaiver);
+router.delete('/:id/prerequisites/:prerequisiteId', protect, requirePermission('course:edit'), removePrerequisite);
+
+// Packaged content
+router.post('/:id/scorm', protect, requirePermission('course:edit'), uploadContent.single('package'), importScormPackage);
+
+// Course archives
+router.get('/:id/export', protect, requirePermission('course:edit'), exportCourse);
+
+// Cloning
+router.post('/:id/clone', protect, requirePermission('course:create'), cloneCourse);
+
+// Adaptive learning
+router.route('/:id/modules/:moduleId/pre-assessment')
+  .get(protect, getPreAssessment)
+  .put(protect, requirePermission('content:edit'), setPreAssessment)
+  .delete(protect, requirePermission('content:edit'), removePreAssessment);
+router.post('/:id/modules/:moduleId/pre-assessment/start', protect, startPreAssessment);
+router.post('/:id/modules/:moduleId/pre-assessment/submit', protect, submitPreAssessment);
 
 module.exports = router;
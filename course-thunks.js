@@ -133,6 +133,21 @@ export const unpublishCourse = createAsyncThunk(
   }
 );
 
+/**
+ * Fetch the published versions of a course
+ */
+export const fetchCourseVersions = createAsyncThunk(
+  'courses/fetchCourseVersions',
+  async (courseId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_URL}/${courseId}/versions`);
+      return response.data.data;
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
+
 /**
  * Create a new module within a course
  */
@@ -305,13 +320,15 @@ export const fetchCourseReviews = createAsyncThunk(
 );
 
 /**
- * Clone a course
+ * Clone a course into a new draft
+ * include picks what is copied: quizzes, assignments and badges by default,
+ * learningPaths and reviews on request
  */
 export const cloneCourse = createAsyncThunk(
   'courses/cloneCourse',
-  async ({ courseId, newTitle }, { rejectWithValue }) => {
+  async ({ courseId, newTitle, include }, { rejectWithValue }) => {
     try {
-      const response = await axios.post(`${API_URL}/${courseId}/clone`, { title: newTitle });
+      const response = await axios.post(`${API_URL}/${courseId}/clone`, { title: newTitle, include });
       return response.data.data;
     } catch (error) {
       return handleApiError(error, rejectWithValue);
@@ -319,6 +336,37 @@ export const cloneCourse = createAsyncThunk(
   }
 );
 
+/**
+ * Set up or update a module's pre-assessment
+ * preAssessment holds skills, masteryScore and quiz (pools or questions)
+ */
+export const setModulePreAssessment = createAsyncThunk(
+  'courses/setModulePreAssessment',
+  async ({ courseId, moduleId, preAssessment }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(`${API_URL}/${courseId}/modules/${moduleId}/pre-assessment`, preAssessment);
+      return { moduleId, preAssessment: response.data.data };
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
+
+/**
+ * Remove a module's pre-assessment
+ */
+export const removeModulePreAssessment = createAsyncThunk(
+  'courses/removeModulePreAssessment',
+  async ({ courseId, moduleId }, { rejectWithValue }) => {
+    try {
+      await axios.delete(`${API_URL}/${courseId}/modules/${moduleId}/pre-assessment`);
+      return { moduleId };
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
+
 /**
  * Add content to a module
  */
@@ -449,7 +497,7 @@ export const fetchCourseStudents = createAsyncThunk(
  */
 export const exportCourse = createAsyncThunk(
   'courses/exportCourse',
-  async ({ courseId, format = 'json' }, { rejectWithValue }) => {
+  async ({ courseId, format = 'zip' }, { rejectWithValue }) => {
     try {
       const response = await axios.get(`${API_URL}/${courseId}/export?format=${format}`, {
         responseType: 'blob'
@@ -477,14 +525,19 @@ export const exportCourse = createAsyncThunk(
 );
 
 /**
- * Import course from file
+ * Import course from an exported archive
+ * With dryRun the response only reports what would be created and any
+ * conflicts; conflictStrategy ('fail', 'rename' or 'replace') settles an
+ * existing course
  */
 export const importCourse = createAsyncThunk(
   'courses/importCourse',
-  async ({ courseFile }, { rejectWithValue }) => {
+  async ({ courseFile, dryRun = false, conflictStrategy = 'fail' }, { rejectWithValue }) => {
     try {
       const formData = new FormData();
       formData.append('courseFile', courseFile);
+      formData.append('dryRun', dryRun);
+      formData.append('conflictStrategy', conflictStrategy);
       
       const response = await axios.post(`${API_URL}/import`, formData, {
         headers: {
@@ -492,6 +545,65 @@ export const importCourse = createAsyncThunk(
         }
       });
       
+      return { course: response.data.data, report: response.data.report };
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
+
+/**
+ * Import a SCORM 1.2 / 2004 package as modules of a course
+ */
+export const importScormPackage = createAsyncThunk(
+  'courses/importScormPackage',
+  async ({ courseId, packageFile }, { rejectWithValue }) => {
+    try {
+      const formData = new FormData();
+      formData.append('package', packageFile);
+      
+      const response = await axios.post(`${API_URL}/${courseId}/scorm`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+      
+      return response.data.data;
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
+
+/**
+ * Fetch the LTI tools content can be added from
+ */
+export const getLtiTools = createAsyncThunk(
+  'courses/getLtiTools',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axios.get('/api/lti/tools');
+      
+      return response.data.data;
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
+
+/**
+ * Start picking resources from an LTI tool (deep linking) to add to a module
+ * The tool's picker reports what was added with a window message
+ */
+export const startLtiDeepLinking = createAsyncThunk(
+  'courses/startLtiDeepLinking',
+  async ({ courseId, moduleId, toolId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(
+        `/api/lti/courses/${courseId}/modules/${moduleId}/deep-linking`,
+        { toolId }
+      );
+      
       return response.data.data;
     } catch (error) {
       return handleApiError(error, rejectWithValue);
@@ -546,6 +658,39 @@ export const removePrerequisite = createAsyncThunk(
   }
 );
 
+/**
+ * Let a learner enroll without meeting the prerequisites (admin)
+ */
+export const grantPrerequisiteWaiver = createAsyncThunk(
+  'courses/grantPrerequisiteWaiver',
+  async ({ courseId, userId, reason }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_URL}/${courseId}/prerequisites/waivers`, {
+        userId,
+        reason
+      });
+      return response.data.data;
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
+
+/**
+ * Revoke a learner's prerequisite waiver (admin)
+ */
+export const revokePrerequisiteWaiver = createAsyncThunk(
+  'courses/revokePrerequisiteWaiver',
+  async ({ courseId, userId }, { rejectWithValue }) => {
+    try {
+      await axios.delete(`${API_URL}/${courseId}/prerequisites/waivers/${userId}`);
+      return { courseId, userId };
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
+
 /**
  * Add course to learning path
  */
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a module as it was published. `_id` is the draft Module's ID so
+// enrollment progress (completedModules.module) stays valid across versions
+const ModuleSnapshotSchema = new mongoose.Schema({
+  _id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  title: String,
+  description: String,
+  order: Number,
+  duration: Number,
+  quizRequired: Boolean,
+  quiz: mongoose.Schema.Types.Mixed,
+  // Pre-assessment settings with its quiz definition as quizData
+  preAssessment: mongoose.Schema.Types.Mixed,
+  // Published content items, keyed by their draft Content `_id`
+  contents: [mongoose.Schema.Types.Mixed]
+});
+
+// Immutable published revision of a course
+const CourseVersionSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true
+    },
+    version: {
+      type: Number,
+      required: true
+    },
+    // Settings that decide how the course is completed
+    duration: Number,
+    completionCriteria: String,
+    minimumScore: Number,
+    adaptiveLearning: Boolean,
+    certificateTemplate: String,
+    modules: [ModuleSnapshotSchema],
+    changeNotes: {
+      type: String,
+      maxlength: [1000, 'Change notes cannot be more than 1000 characters']
+    },
+    publishedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    publishedOn: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+CourseVersionSchema.index({ course: 1, version: -1 }, { unique: true });
+
+// Published versions are never edited, only superseded
+CourseVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Published course versions cannot be modified'));
+  }
+  next();
+});
+
+const rejectUpdate = function(next) {
+  next(new Error('Published course versions cannot be modified'));
+};
+
+CourseVersionSchema.pre('updateOne', rejectUpdate);
+CourseVersionSchema.pre('updateMany', rejectUpdate);
+CourseVersionSchema.pre('findOneAndUpdate', rejectUpdate);
+CourseVersionSchema.pre('replaceOne', rejectUpdate);
+
+module.exports = mongoose.model('CourseVersion', CourseVersionSchema);
@@ -0,0 +1,399 @@
+/**
+ * Course version service
+ * Publishes immutable snapshots of a course's draft (modules, content, quiz)
+ * and keeps enrollments pinned to the version they started on
+ */
+const Course = require('../models/Course');
+const CourseVersion = require('../models/CourseVersion');
+const Module = require('../models/Module');
+const Content = require('../models/Content');
+const Quiz = require('../models/Quiz');
+
+// Draft bookkeeping fields left out of snapshots
+const SNAPSHOT_EXCLUDED_FIELDS = ['__v', 'createdAt', 'updatedAt', 'isPublished'];
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+const stripFields = (doc) => {
+  const copy = { ...doc };
+  SNAPSHOT_EXCLUDED_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+};
+
+/**
+ * Build the snapshot of a course's current draft
+ * @param {Object} course - Course document
+ * @returns {Array} - Module snapshots in order, each with its content
+ */
+const buildModuleSnapshots = async (course) => {
+  const modules = await Module.find({ course: course._id })
+    .sort({ order: 1 })
+    .lean();
+
+  const contents = await Content.find({ module: { $in: modules.map(module => module._id) } })
+    .sort({ order: 1 })
+    .lean();
+
+  // Quiz content and pre-assessments keep their questions in separate Quiz documents
+  const quizIds = [
+    ...contents.filter(content => content.quiz).map(content => content.quiz),
+    ...modules.filter(module => module.preAssessment && module.preAssessment.quiz)
+      .map(module => module.preAssessment.quiz)
+  ];
+  const quizzes = quizIds.length > 0
+    ? await Quiz.find({ _id: { $in: quizIds } }).lean()
+    : [];
+  const quizById = new Map(quizzes.map(quiz => [toId(quiz), stripFields(quiz)]));
+
+  return modules.map(module => ({
+    _id: module._id,
+    title: module.title,
+    description: module.description,
+    order: module.order,
+    duration: module.duration,
+    quizRequired: module.quizRequired,
+    quiz: module.quiz,
+    ...(module.preAssessment && module.preAssessment.quiz && {
+      preAssessment: {
+        ...module.preAssessment,
+        quizData: quizById.get(toId(module.preAssessment.quiz))
+      }
+    }),
+    contents: contents
+      .filter(content => toId(content.module) === toId(module))
+      .map(content => ({
+        ...stripFields(content),
+        ...(content.quiz && { quizData: quizById.get(toId(content.quiz)) })
+      }))
+  }));
+};
+
+/**
+ * Publish the course draft as a new version. A draft unchanged since the
+ * latest version (republishing after an unpublish) reuses that version
+ * @param {Object} course - Course document
+ * @param {string} userId - User publishing the course
+ * @param {string} changeNotes - Optional summary of what changed
+ * @returns {Object} - Created or reused CourseVersion
+ */
+const publishCourse = async (course, userId, changeNotes) => {
+  if (course.currentVersion && !course.hasUnpublishedChanges) {
+    const latest = await CourseVersion.findById(course.currentVersion);
+
+    if (latest) {
+      await Course.findByIdAndUpdate(course._id, { isPublished: true });
+      return latest;
+    }
+  }
+
+  const modules = await buildModuleSnapshots(course);
+
+  if (modules.length === 0) {
+    throw new Error('A course needs at least one module before it can be published');
+  }
+
+  // The unique (course, version) index rejects a concurrent publish
+  const version = await CourseVersion.create({
+    course: course._id,
+    version: (course.currentVersionNumber || 0) + 1,
+    duration: course.duration,
+    completionCriteria: course.completionCriteria,
+    minimumScore: course.minimumScore,
+    adaptiveLearning: course.adaptiveLearning,
+    certificateTemplate: course.certificateTemplate,
+    modules,
+    changeNotes,
+    publishedBy: userId
+  });
+
+  await Course.findByIdAndUpdate(course._id, {
+    isPublished: true,
+    currentVersion: version._id,
+    currentVersionNumber: version.version,
+    hasUnpublishedChanges: false
+  });
+
+  return version;
+};
+
+/**
+ * Get the published version new enrollments should start on
+ * Courses published before versioning get their first version here
+ * @param {Object} course - Course document
+ * @returns {Object|null} - CourseVersion or null when the course is unpublished
+ */
+const ensurePublishedVersion = async (course) => {
+  if (course.currentVersion) {
+    return CourseVersion.findById(course.currentVersion);
+  }
+
+  if (!course.isPublished) {
+    return null;
+  }
+
+  return publishCourse(course, course.creator, 'Initial version');
+};
+
+/**
+ * Get the version an enrollment is pinned to
+ * Enrollments created before versioning fall back to the current version
+ * @param {Object} enrollment - Enrollment document
+ * @returns {Object|null} - CourseVersion
+ */
+const getEnrollmentVersion = async (enrollment) => {
+  if (enrollment.courseVersion) {
+    return CourseVersion.findById(enrollment.courseVersion);
+  }
+
+  const course = await Course.findById(enrollment.course);
+  return course ? ensurePublishedVersion(course) : null;
+};
+
+/**
+ * Find a module in a version snapshot
+ * @param {Object} version - CourseVersion
+ * @param {string} moduleId - Module ID
+ * @returns {Object|undefined} - Module snapshot
+ */
+const findVersionModule = (version, moduleId) => (
+  version.modules.find(module => toId(module) === moduleId.toString())
+);
+
+/**
+ * Find a content item in a version snapshot
+ * @param {Object} version - CourseVersion
+ * @param {string} moduleId - Module ID
+ * @param {string} contentId - Content ID
+ * @returns {Object|undefined} - Content snapshot, including quiz pools
+ */
+const findVersionContent = (version, moduleId, contentId) => {
+  const module = findVersionModule(version, moduleId);
+  return module && module.contents.find(content => toId(content) === contentId.toString());
+};
+
+/**
+ * Prepare a content snapshot for learners, hiding the quiz question pools
+ * Questions are served per attempt by the quiz service
+ * @param {Object} content - Content snapshot
+ * @returns {Object}
+ */
+const toLearnerContent = (content) => {
+  if (!content.quizData) return content;
+
+  const { answers, questions, pools, ...quizData } = content.quizData;
+  return {
+    ...content,
+    quizData: {
+      ...quizData,
+      questionCount: (pools || []).reduce((sum, pool) => sum + pool.count, 0)
+    }
+  };
+};
+
+/**
+ * Prepare a pre-assessment snapshot for learners, without its question pools
+ * @param {Object} preAssessment - Module pre-assessment snapshot
+ * @returns {Object}
+ */
+const toLearnerPreAssessment = (preAssessment) => {
+  const quizData = preAssessment.quizData || {};
+
+  return {
+    skills: preAssessment.skills,
+    masteryScore: preAssessment.masteryScore,
+    timeLimit: quizData.timeLimit,
+    maxAttempts: quizData.maxAttempts,
+    questionCount: (quizData.pools || []).reduce((sum, pool) => sum + pool.count, 0)
+  };
+};
+
+/**
+ * Prepare a module snapshot for learners, hiding embedded quiz answers
+ * @param {Object} module - Module snapshot
+ * @returns {Object}
+ */
+const toLearnerModule = (module) => {
+  const { contents, quiz, preAssessment, ...rest } = module;
+  const learnerModule = { ...rest, contents: (contents || []).map(toLearnerContent) };
+
+  if (preAssessment) {
+    learnerModule.preAssessment = toLearnerPreAssessment(preAssessment);
+  }
+
+  if (quiz) {
+    learnerModule.quiz = {
+      ...quiz,
+      questions: (quiz.questions || []).map(({
+        options,
+        pairs,
+        acceptedAnswers,
+        numericAnswer,
+        tolerance,
+        ...question
+      }) => ({
+        ...question,
+        options: (options || []).map(({ isCorrect, ...option }) => option),
+        ...(pairs && pairs.length > 0 && { pairs: pairs.map(({ match, ...pair }) => pair) })
+      }))
+    };
+  }
+
+  return learnerModule;
+};
+
+/**
+ * Calculate progress of an enrollment against its version's modules
+ * @param {Object} enrollment - Enrollment document
+ * @param {Object} version - CourseVersion
+ * @returns {number} - Progress percentage
+ */
+const calculateProgress = (enrollment, version) => {
+  const moduleIds = new Set(version.modules.map(module => toId(module)));
+
+  if (moduleIds.size === 0) return 0;
+
+  // Modules tested out of with a pre-assessment count as done
+  const doneIds = new Set(
+    [...enrollment.completedModules, ...(enrollment.testedOutModules || [])]
+      .map(item => toId(item.module))
+      .filter(id => moduleIds.has(id))
+  );
+
+  return Math.round((doneIds.size / moduleIds.size) * 100);
+};
+
+/**
+ * Mark a module as tested out of on an enrollment
+ * @param {Object} enrollment - Enrollment document
+ * @param {string} moduleId - Module ID
+ * @param {Object} details - Pre-assessment score and the skills it covers
+ * @returns {boolean} - False when the module was already completed or tested out of
+ */
+const recordTestOut = (enrollment, moduleId, { score, skills }) => {
+  const done = [...enrollment.completedModules, ...(enrollment.testedOutModules || [])]
+    .some(item => toId(item.module) === moduleId.toString());
+
+  if (done) return false;
+
+  enrollment.testedOutModules.push({
+    module: moduleId,
+    score,
+    skills: skills || [],
+    testedOutOn: new Date()
+  });
+
+  return true;
+};
+
+/**
+ * Count a content item as completed on an enrollment, completing its module
+ * when that was the last required item and the module has no required quiz
+ * @param {Object} enrollment - Enrollment document
+ * @param {Object} version - CourseVersion (or null for unversioned courses)
+ * @param {string} moduleId - Module ID
+ * @param {string} contentId - Content ID
+ * @param {Object} details - completedOn and timeSpent
+ */
+const recordContentCompletion = (enrollment, version, moduleId, contentId, { completedOn, timeSpent }) => {
+  if (!enrollment.completedContent.some(item => toId(item.content) === contentId.toString())) {
+    enrollment.completedContent.push({ content: contentId, completedOn, timeSpent });
+  }
+
+  const module = version && findVersionModule(version, moduleId);
+  const completedIds = new Set(enrollment.completedContent.map(item => toId(item.content)));
+
+  if (
+    module &&
+    !module.quizRequired &&
+    module.contents
+      .filter(item => item.requiredToComplete !== false)
+      .every(item => completedIds.has(toId(item))) &&
+    !enrollment.completedModules.some(item => toId(item.module) === moduleId.toString())
+  ) {
+    enrollment.completedModules.push({ module: moduleId });
+  }
+};
+
+/**
+ * Move an in-progress enrollment to the course's latest version
+ * Progress on modules and content that still exist carries over
+ * @param {Object} enrollment - Enrollment document
+ * @param {Object} course - Course document
+ * @returns {Object} - Updated enrollment and what progress was dropped
+ */
+const migrateEnrollment = async (enrollment, course) => {
+  if (enrollment.status === 'Completed') {
+    throw new Error('Completed enrollments stay on the version they were completed on');
+  }
+
+  const latest = await ensurePublishedVersion(course);
+
+  if (!latest) {
+    throw new Error('Course has no published version to migrate to');
+  }
+
+  if (enrollment.courseVersion && toId(enrollment.courseVersion) === toId(latest)) {
+    return { enrollment, droppedModules: [], droppedContent: [] };
+  }
+
+  const moduleIds = new Set(latest.modules.map(module => toId(module)));
+  const contentIds = new Set(
+    latest.modules.flatMap(module => module.contents.map(content => toId(content)))
+  );
+
+  const droppedModules = enrollment.completedModules
+    .filter(item => !moduleIds.has(toId(item.module)))
+    .map(item => item.module);
+  const droppedContent = enrollment.completedContent
+    .filter(item => !contentIds.has(toId(item.content)))
+    .map(item => item.content);
+
+  enrollment.completedModules = enrollment.completedModules
+    .filter(item => moduleIds.has(toId(item.module)));
+  enrollment.completedContent = enrollment.completedContent
+    .filter(item => contentIds.has(toId(item.content)));
+  // A new version's adaptive settings apply afresh, so only modules it
+  // still lets learners test out of keep their result
+  enrollment.testedOutModules = (enrollment.testedOutModules || []).filter(item => {
+    const module = latest.modules.find(candidate => toId(candidate) === toId(item.module));
+    return latest.adaptiveLearning && module && module.preAssessment;
+  });
+
+  enrollment.courseVersion = latest._id;
+  enrollment.versionNumber = latest.version;
+  enrollment.progressPercentage = calculateProgress(enrollment, latest);
+
+  // Completion (certificate, badges) is left to the next progress update
+  enrollment.status = enrollment.progressPercentage === 0 ? 'Not Started' : 'In Progress';
+
+  await enrollment.save();
+
+  return { enrollment, droppedModules, droppedContent };
+};
+
+/**
+ * Flag that a published course's draft has changed since its last version
+ * @param {string} courseId - Course ID
+ */
+const markDraftChanged = async (courseId) => {
+  await Course.updateOne(
+    { _id: courseId, currentVersion: { $exists: true } },
+    { hasUnpublishedChanges: true }
+  );
+};
+
+module.exports = {
+  publishCourse,
+  ensurePublishedVersion,
+  getEnrollmentVersion,
+  findVersionModule,
+  findVersionContent,
+  toLearnerContent,
+  toLearnerModule,
+  calculateProgress,
+  recordTestOut,
+  toLearnerPreAssessment,
+  recordContentCompletion,
+  migrateEnrollment,
+  markDraftChanged
+};
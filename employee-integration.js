@@ -13,6 +13,10 @@ const Course = require('../backend/models/Course');
 const Enrollment = require('../backend/models/Enrollment');
 const LearningPath = require('../backend/models/LearningPath');
 
+// Import services
+const tokenService = require('../backend/services/tokenService');
+const orgHierarchyService = require('../backend/services/orgHierarchyService');
+
 // Configuration
 const config = {
   employeeApiEndpoint: process.env.EMPLOYEE_API_ENDPOINT || 'http://localhost:5001/api/employees',
@@ -38,8 +42,17 @@ const syncEmployeeData = async () => {
     const employees = response.data.data;
     console.log(`Fetched ${employees.length} employees for synchronization`);
     
+    // Store the reports-to hierarchy used to scope manager access
+    await syncOrgHierarchy(employees.filter(employee => !isOffboarded(employee)));
+    
     // Process each employee
     for (const employee of employees) {
+      // Offboarded employees lose LMS access immediately
+      if (isOffboarded(employee)) {
+        await revokeEmployeeAccess(employee);
+        continue;
+      }
+      
       // Check for required training based on role and department
       await assignRequiredTraining(employee);
       
@@ -53,6 +66,41 @@ const syncEmployeeData = async () => {
   }
 };
 
+/**
+ * Check whether an employee record from the Employee module has left the company
+ */
+const isOffboarded = (employee) => {
+  return employee.isActive === false ||
+    ['Terminated', 'Inactive', 'Offboarded'].includes(employee.status);
+};
+
+/**
+ * Revoke all LMS sessions and tokens of an offboarded employee
+ */
+const revokeEmployeeAccess = async (employee) => {
+  try {
+    const revokedCount = await tokenService.revokeAllSessions(employee._id, 'Offboarded');
+    
+    if (revokedCount > 0) {
+      console.log(`Revoked ${revokedCount} LMS session(s) for offboarded employee: ${employee.name}`);
+    }
+  } catch (error) {
+    console.error(`Error revoking LMS access for employee ${employee.name}:`, error.message);
+  }
+};
+
+/**
+ * Sync the reports-to hierarchy from Employee module to LMS
+ */
+const syncOrgHierarchy = async (employees) => {
+  try {
+    const count = await orgHierarchyService.syncHierarchy(employees);
+    console.log(`Org hierarchy synchronized for ${count} employees`);
+  } catch (error) {
+    console.error('Error synchronizing org hierarchy:', error.message);
+  }
+};
+
 /**
  * Assign required training to employee based on role and department
  */
@@ -3,9 +3,21 @@ const Course = require('../models/Course');
 const Module = require('../models/Module');
 const Content = require('../models/Content');
 const Badge = require('../models/Badge');
+const QuizAttempt = require('../models/QuizAttempt');
 const asyncHandler = require('express-async-handler');
+const User = require('../models/User');
+const { createApiError } = require('../config/middleware');
+const policyService = require('../services/policyService');
 const notificationService = require('../services/notificationService');
 const certificateService = require('../services/certificateService');
+const courseVersionService = require('../services/courseVersionService');
+const prerequisiteService = require('../services/prerequisiteService');
+const assignmentService = require('../services/assignmentService');
+const pointsService = require('../services/pointsService');
+const streakService = require('../services/streakService');
+const badgeRuleService = require('../services/badgeRuleService');
+const challengeService = require('../services/challengeService');
+const xapiService = require('../services/xapiService');
 
 // @desc    Enroll user in a course
 // @route   POST /api/enrollments
@@ -31,6 +43,14 @@ const enrollInCourse = asyncHandler(async (req, res) => {
     throw new Error('Cannot enroll in unpublished course');
   }
   
+  // Pin the enrollment to the current published version
+  const version = await courseVersionService.ensurePublishedVersion(course);
+  
+  if (!version) {
+    res.status(400);
+    throw new Error('Course has no published version');
+  }
+  
   // Check if user is already enrolled
   const existingEnrollment = await Enrollment.findOne({
     user: req.user.id,
@@ -42,6 +62,17 @@ const enrollInCourse = asyncHandler(async (req, res) => {
     throw new Error('Already enrolled in this course');
   }
   
+  // Check prerequisites; an admin waiver lets the learner enroll anyway
+  const eligibility = await prerequisiteService.checkEligibility(req.user.id, course);
+  
+  if (!eligibility.eligible) {
+    throw createApiError.forbidden(
+      prerequisiteService.explainUnmet(eligibility.unmet),
+      'PREREQUISITES_NOT_MET',
+      { unmet: eligibility.unmet.map(result => result.message) }
+    );
+  }
+  
   // Set due date if course is required
   let dueDate = null;
   let isRequired = false;
@@ -69,6 +100,9 @@ const enrollInCourse = asyncHandler(async (req, res) => {
   const enrollment = await Enrollment.create({
     user: req.user.id,
     course: courseId,
+    courseVersion: version._id,
+    versionNumber: version.version,
+    prerequisitesWaivedBy: eligibility.waived ? eligibility.waiver.grantedBy : undefined,
     status: 'Not Started',
     dueDate,
     isRequired,
@@ -100,12 +134,41 @@ const enrollInCourse = asyncHandler(async (req, res) => {
 
 // @desc    Get user's enrollments
 // @route   GET /api/enrollments
+// @route   GET /api/enrollments/users/:userId
 // @access  Private
 const getUserEnrollments = asyncHandler(async (req, res) => {
   const { status, sort, category } = req.query;
+  const userId = req.params.userId || req.user.id;
   
   // Build query
-  const queryObj = { user: req.user.id };
+  const queryObj = { user: userId };
+  
+  // Viewing someone else's enrollments requires enrollment:view on that user,
+  // or courseEnrollment:view, which only shows courses the viewer created
+  if (userId !== req.user.id) {
+    const targetUser = await User.findById(userId).select('department');
+    
+    if (!targetUser) {
+      res.status(404);
+      throw new Error('User not found');
+    }
+    
+    if (!policyService.can(req.user, 'enrollment:view', { user: targetUser })) {
+      if (!policyService.hasPermission(req.user, 'courseEnrollment:view')) {
+        policyService.authorizeAction(
+          req.user,
+          'enrollment:view',
+          { user: targetUser },
+          'Not authorized to view this user\'s enrollments'
+        );
+      }
+      
+      if (!policyService.hasPermission(req.user, 'courseEnrollment:view', 'any')) {
+        const ownCourseIds = await Course.find({ creator: req.user.id }).distinct('_id');
+        queryObj.course = { $in: ownCourseIds };
+      }
+    }
+  }
   
   // Filter by status
   if (status && ['Not Started', 'In Progress', 'Completed', 'Expired'].includes(status)) {
@@ -159,7 +222,13 @@ const getUserEnrollments = asyncHandler(async (req, res) => {
   
   if (category) {
     // This requires an aggregation to count filtered by course category
-    const courseIds = await Course.find({ category })
+    const courseQuery = { category };
+    
+    if (queryObj.course) {
+      courseQuery._id = queryObj.course;
+    }
+    
+    const courseIds = await Course.find(courseQuery)
       .select('_id')
       .lean();
     
@@ -193,25 +262,41 @@ const getEnrollmentDetails = asyncHandler(async (req, res) => {
       }
     })
     .populate('completedModules.module')
-    .populate('completedContent.content');
+    .populate('completedContent.content')
+    .populate('user', 'name department');
   
   if (!enrollment) {
     res.status(404);
     throw new Error('Enrollment not found');
   }
   
-  // Check if user owns the enrollment or is admin
-  if (
-    enrollment.user.toString() !== req.user.id &&
-    req.user.role !== 'admin'
-  ) {
-    res.status(403);
-    throw new Error('Not authorized to access this enrollment');
+  // Check if user owns the enrollment, manages its learner, created its
+  // course or is admin
+  if (!policyService.can(req.user, 'courseEnrollment:view', enrollment)) {
+    policyService.authorizeAction(
+      req.user,
+      'enrollment:view',
+      enrollment,
+      'Not authorized to access this enrollment'
+    );
+  }
+  
+  // Serve the modules and content of the version the learner is taking
+  const data = enrollment.toObject();
+  const version = await courseVersionService.getEnrollmentVersion(enrollment);
+  
+  if (version && data.course) {
+    data.course.modules = version.modules.map(module =>
+      courseVersionService.toLearnerModule(module.toObject())
+    );
+    data.versionNumber = version.version;
+    data.latestVersionNumber = data.course.currentVersionNumber;
+    data.newerVersionAvailable = version.version < data.course.currentVersionNumber;
   }
   
   res.status(200).json({
     success: true,
-    data: enrollment
+    data
   });
 });
 
@@ -234,6 +319,14 @@ const updateEnrollmentProgress = asyncHandler(async (req, res) => {
     throw new Error('Not authorized to update this enrollment');
   }
   
+  if (timeSpent !== undefined && !(typeof timeSpent === 'number' && Number.isFinite(timeSpent) && timeSpent >= 0)) {
+    res.status(400);
+    throw new Error('Time spent must be a number of seconds');
+  }
+  
+  // Credit no more time than has passed since the enrollment was last accessed
+  const secondsSpent = streakService.creditableSeconds(timeSpent, enrollment.lastAccessedOn);
+  
   // Update last accessed timestamp
   enrollment.lastAccessedOn = Date.now();
   
@@ -256,17 +349,27 @@ const updateEnrollmentProgress = asyncHandler(async (req, res) => {
       enrollment.completedContent.push({
         content: contentId,
         completedOn: Date.now(),
-        timeSpent: timeSpent || 0
+        timeSpent: secondsSpent
       });
     } else {
       // Update existing completed content
-      enrollment.completedContent[completedContentIndex].timeSpent += timeSpent || 0;
+      enrollment.completedContent[completedContentIndex].timeSpent += secondsSpent;
     }
   }
   
+  // Progress is measured against the version the learner is taking
+  const version = await courseVersionService.getEnrollmentVersion(enrollment);
+  
+  if (version && !enrollment.courseVersion) {
+    enrollment.courseVersion = version._id;
+    enrollment.versionNumber = version.version;
+  }
+  
   // Update module progress if provided
   if (moduleId) {
-    const module = await Module.findById(moduleId);
+    const module = version
+      ? courseVersionService.findVersionModule(version, moduleId)
+      : await Module.findById(moduleId);
     
     if (!module) {
       res.status(404);
@@ -278,18 +381,27 @@ const updateEnrollmentProgress = asyncHandler(async (req, res) => {
       item => item.module.toString() === moduleId
     );
     
-    if (completedModuleIndex === -1 && quizScore) {
+    // Scores of quizzes graded on the server are recorded by the quiz service
+    // under the quiz's score policy, so a score sent by the client is ignored
+    const quizGradedOnServer = Boolean(quizScore) && await QuizAttempt.exists({
+      user: req.user.id,
+      module: moduleId,
+      status: 'Submitted'
+    });
+    const clientQuizScore = quizGradedOnServer ? null : quizScore;
+    
+    if (completedModuleIndex === -1 && clientQuizScore) {
       // Add new completed module with quiz score
       enrollment.completedModules.push({
         module: moduleId,
         completedOn: Date.now(),
-        quizScore,
+        quizScore: clientQuizScore,
         quizAttempts: 1
       });
-    } else if (completedModuleIndex !== -1 && quizScore) {
+    } else if (completedModuleIndex !== -1 && clientQuizScore) {
       // Update existing module quiz score if higher
-      if (quizScore > enrollment.completedModules[completedModuleIndex].quizScore) {
-        enrollment.completedModules[completedModuleIndex].quizScore = quizScore;
+      if (clientQuizScore > enrollment.completedModules[completedModuleIndex].quizScore) {
+        enrollment.completedModules[completedModuleIndex].quizScore = clientQuizScore;
       }
       enrollment.completedModules[completedModuleIndex].quizAttempts += 1;
     }
@@ -299,10 +411,16 @@ const updateEnrollmentProgress = asyncHandler(async (req, res) => {
   const course = await Course.findById(enrollment.course)
     .populate('modules');
   
-  const totalModules = course.modules.length;
-  const completedModulesCount = enrollment.completedModules.length;
+  if (version) {
+    enrollment.progressPercentage = courseVersionService.calculateProgress(enrollment, version);
+  } else {
+    const totalModules = course.modules.length;
+    const completedModulesCount = enrollment.completedModules.length;
+    
+    enrollment.progressPercentage = Math.round((completedModulesCount / totalModules) * 100);
+  }
   
-  enrollment.progressPercentage = Math.round((completedModulesCount / totalModules) * 100);
+  const wasCompleted = enrollment.status === 'Completed';
   
   // Update status based on progress
   if (enrollment.progressPercentage === 0) {
@@ -318,7 +436,7 @@ const updateEnrollmentProgress = asyncHandler(async (req, res) => {
         const certificateUrl = await certificateService.generateCertificate(
           req.user.id,
           course.title,
-          course.certificateTemplate
+          version ? version.certificateTemplate : course.certificateTemplate
         );
         
         enrollment.certificateIssued = true;
@@ -346,6 +464,15 @@ const updateEnrollmentProgress = asyncHandler(async (req, res) => {
         if (completionBadge) {
           enrollment.badgesEarned.push(completionBadge._id);
           
+          await pointsService.awardPoints({
+            userId: req.user.id,
+            points: completionBadge.points,
+            source: 'Badge',
+            sourceId: completionBadge._id,
+            reason: `Earned the ${completionBadge.name} badge`,
+            reference: `badge:${completionBadge._id}:${enrollment._id}`
+          });
+          
           // Send notification about badge
           await notificationService.sendNotification(
             req.user.id,
@@ -365,6 +492,31 @@ const updateEnrollmentProgress = asyncHandler(async (req, res) => {
   
   await enrollment.save();
   
+  if (contentId) {
+    await streakService.recordActivity(req.user.id, { source: 'content', seconds: secondsSpent });
+  }
+  
+  // Report course completion to the LRS and credit the completion points,
+  // once per certification cycle
+  if (enrollment.status === 'Completed' && !wasCompleted) {
+    await xapiService.recordStatement(req.user, 'completed', xapiService.courseActivity(course), {
+      result: { completion: true },
+      context: xapiService.learningContext({ courseId: course._id, enrollment })
+    });
+    
+    await pointsService.awardPoints({
+      userId: req.user.id,
+      points: course.completionPoints,
+      source: 'Course',
+      sourceId: course._id,
+      reason: `Completed ${course.title}`,
+      reference: `course:${course._id}:${req.user.id}:${enrollment.recertificationCycle || 1}`
+    });
+    
+    await badgeRuleService.handleEvent(req.user.id, 'course_completed');
+    await challengeService.recordProgress(req.user.id, 'course_completions', { amount: 1, course });
+  }
+  
   res.status(200).json({
     success: true,
     data: enrollment
@@ -375,7 +527,7 @@ const updateEnrollmentProgress = asyncHandler(async (req, res) => {
 // @route   POST /api/enrollments/:id/assignments/:contentId
 // @access  Private
 const submitAssignment = asyncHandler(async (req, res) => {
-  const { submissionText, submissionFileUrl, submissionLink } = req.body;
+  const { submissionText, submissionFileUrl, submissionLink, submissionType } = req.body;
   const { id, contentId } = req.params;
   
   const enrollment = await Enrollment.findById(id);
@@ -392,48 +544,32 @@ const submitAssignment = asyncHandler(async (req, res) => {
   }
   
   // Check if content exists and is an assignment
-  const content = await Content.findById(contentId);
+  const draft = await Content.findById(contentId).select('module');
+  const content = draft && await assignmentService.getAssignmentContent(enrollment, draft.module, contentId);
   
-  if (!content || content.contentType !== 'Assignment') {
+  if (!content || !content.assignment) {
     res.status(400);
     throw new Error('Invalid assignment content');
   }
   
-  // Find the completed content or create new
-  const completedContentIndex = enrollment.completedContent.findIndex(
-    item => item.content.toString() === contentId
-  );
-  
-  if (completedContentIndex === -1) {
-    // Add new completed content with assignment submission
-    enrollment.completedContent.push({
-      content: contentId,
-      completedOn: Date.now(),
-      timeSpent: 0,
-      assignmentSubmission: {
-        submissionText,
-        submissionFileUrl,
-        submissionLink,
-        submittedOn: Date.now(),
-        status: 'Pending'
-      }
+  // The submission is stored for grading and mirrored on the enrollment
+  try {
+    await assignmentService.submit({
+      userId: enrollment.user,
+      courseId: enrollment.course,
+      courseVersion: enrollment.courseVersion,
+      moduleId: draft.module,
+      content,
+      data: { submissionText, submissionFileUrl, submissionLink, submissionType }
     });
-  } else {
-    // Update existing completed content with assignment submission
-    enrollment.completedContent[completedContentIndex].assignmentSubmission = {
-      submissionText,
-      submissionFileUrl,
-      submissionLink,
-      submittedOn: Date.now(),
-      status: 'Pending'
-    };
+  } catch (error) {
+    if (error instanceof assignmentService.AssignmentError) {
+      const forbidden = error.code === 'DEADLINE_PASSED' || error.code === 'RESUBMISSION_NOT_ALLOWED';
+      res.status(error.code === 'ALREADY_SUBMITTED' ? 409 : forbidden ? 403 : 400);
+    }
+    throw error;
   }
   
-  // Update last accessed timestamp
-  enrollment.lastAccessedOn = Date.now();
-  
-  await enrollment.save();
-  
   // Notify instructor about the submission
   await notificationService.sendNotification(
     content.createdBy, // Assuming content has a createdBy field for the instructor
@@ -449,12 +585,56 @@ const submitAssignment = asyncHandler(async (req, res) => {
   
   res.status(200).json({
     success: true,
-    data: enrollment
+    data: await Enrollment.findById(id)
+  });
+});
+
+// @desc    Move an enrollment to the latest published version of its course
+// @route   POST /api/enrollments/:id/migrate
+// @access  Private
+const migrateEnrollment = asyncHandler(async (req, res) => {
+  const enrollment = await Enrollment.findById(req.params.id);
+  
+  if (!enrollment) {
+    res.status(404);
+    throw new Error('Enrollment not found');
+  }
+  
+  policyService.authorizeAction(
+    req.user,
+    'enrollment:edit',
+    enrollment,
+    'Not authorized to update this enrollment'
+  );
+  
+  const course = await Course.findById(enrollment.course);
+  
+  if (!course) {
+    res.status(404);
+    throw new Error('Course not found');
+  }
+  
+  let result;
+  try {
+    result = await courseVersionService.migrateEnrollment(enrollment, course);
+  } catch (error) {
+    res.status(400);
+    throw error;
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      enrollment: result.enrollment,
+      droppedModules: result.droppedModules,
+      droppedContent: result.droppedContent
+    }
   });
 });
 
 module.exports = {
   enrollInCourse,
+  migrateEnrollment,
   getUserEnrollments,
   getEnrollmentDetails,
   updateEnrollmentProgress,
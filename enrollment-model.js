@@ -12,6 +12,14 @@ const EnrollmentSchema = new mongoose.Schema(
       ref: 'Course',
       required: true
     },
+    // Published version the learner is taking
+    courseVersion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CourseVersion'
+    },
+    versionNumber: {
+      type: Number
+    },
     enrollmentDate: {
       type: Date,
       default: Date.now
@@ -66,6 +74,23 @@ const EnrollmentSchema = new mongoose.Schema(
         submittedOn: Date,
         score: Number,
         feedback: String,
+        passed: Boolean,
+        attempt: Number,
+        isLate: Boolean,
+        latePenalty: Number,
+        // Graded rubric breakdown, copied from the AssignmentSubmission
+        criteria: [{
+          title: String,
+          levelLabel: String,
+          points: Number,
+          maxPoints: Number,
+          comment: String,
+          _id: false
+        }],
+        submission: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'AssignmentSubmission'
+        },
         status: {
           type: String,
           enum: ['Pending', 'Graded', 'Rejected'],
@@ -73,6 +98,88 @@ const EnrollmentSchema = new mongoose.Schema(
         }
       }
     }],
+    // Modules the learner tested out of with a pre-assessment; they count as
+    // done for progress without being in completedModules
+    testedOutModules: [{
+      module: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Module'
+      },
+      score: Number,
+      skills: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Skill'
+      }],
+      testedOutOn: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Progress reported while working through each module's content
+    moduleProgress: [{
+      moduleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Module'
+      },
+      progress: {
+        type: Number,
+        default: 0
+      },
+      contentProgress: [{
+        contentId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Content'
+        },
+        status: {
+          type: String,
+          enum: ['not-started', 'in-progress', 'completed'],
+          default: 'not-started'
+        },
+        progress: {
+          type: Number,
+          default: 0
+        },
+        timeSpent: {
+          type: Number, // in seconds
+          default: 0
+        },
+        lastAccessDate: Date,
+        completionDate: Date,
+        // Runtime data reported by SCORM content, restored on the next launch
+        scorm: {
+          completionStatus: String,
+          successStatus: String,
+          score: {
+            raw: Number,
+            min: Number,
+            max: Number,
+            scaled: Number
+          },
+          progressMeasure: Number,
+          location: String,
+          suspendData: String,
+          exit: String,
+          totalTime: Number // in seconds
+        },
+        // Latest score an LTI tool posted for the learner
+        lti: {
+          scoreGiven: Number,
+          scoreMaximum: Number,
+          comment: String,
+          activityProgress: {
+            type: String,
+            enum: ['Initialized', 'Started', 'InProgress', 'Submitted', 'Completed']
+          },
+          gradingProgress: {
+            type: String,
+            enum: ['FullyGraded', 'Pending', 'PendingManual', 'Failed', 'NotReady']
+          },
+          timestamp: Date
+        },
+        _id: false
+      }],
+      _id: false
+    }],
     certificateIssued: {
       type: Boolean,
       default: false
@@ -83,6 +190,25 @@ const EnrollmentSchema = new mongoose.Schema(
     certificateIssuedOn: {
       type: Date
     },
+    // Recurring courses: when the current cycle's completion lapses
+    certificationExpiresOn: {
+      type: Date
+    },
+    recertificationCycle: {
+      type: Number,
+      default: 1
+    },
+    // Completions from earlier recertification cycles, oldest first
+    certificationHistory: [{
+      cycle: Number,
+      completedOn: Date,
+      expiresOn: Date,
+      certificateUrl: String,
+      versionNumber: Number,
+      // Set when the completion lapsed before the next cycle was completed
+      lapsedOn: Date,
+      _id: false
+    }],
     lastAccessedOn: {
       type: Date,
       default: Date.now
@@ -90,6 +216,11 @@ const EnrollmentSchema = new mongoose.Schema(
     dueDate: {
       type: Date
     },
+    // Set when an admin waived unmet prerequisites for this learner
+    prerequisitesWaivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     isRequired: {
       type: Boolean,
       default: false
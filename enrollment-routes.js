@@ -5,9 +5,10 @@ const {
   getUserEnrollments,
   getEnrollmentDetails,
   updateEnrollmentProgress,
-  submitAssignment
+  submitAssignment,
+  migrateEnrollment
 } = require('../controllers/enrollmentController');
-const { protect, authorize } = require('../config/middleware');
+const { protect, loadTeamScope } = require('../config/middleware');
 
 // All enrollment routes are protected
 router.use(protect);
@@ -18,8 +19,10 @@ router.get('/', getUserEnrollments);
 router.get('/:id', getEnrollmentDetails);
 router.put('/:id/progress', updateEnrollmentProgress);
 router.post('/:id/assignments/:contentId', submitAssignment);
+router.post('/:id/migrate', migrateEnrollment);
 
-// Admin routes
-router.get('/users/:userId', authorize(['admin', 'instructor']), getUserEnrollments);
+// Admin, manager and instructor routes; instructors only see enrollments in
+// their own courses
+router.get('/users/:userId', loadTeamScope, getUserEnrollments);
 
 module.exports = router;
@@ -103,6 +103,21 @@ export const cancelEnrollment = createAsyncThunk(
   }
 );
 
+/**
+ * Move an enrollment to the latest published version of its course
+ */
+export const migrateEnrollment = createAsyncThunk(
+  'enrollments/migrateEnrollment',
+  async (enrollmentId, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_URL}/${enrollmentId}/migrate`);
+      return response.data.data;
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
+
 /**
  * Get enrollment progress for a specific course
  */
@@ -228,16 +243,106 @@ export const downloadCertificate = createAsyncThunk(
   }
 );
 
+/**
+ * Start (or resume) a quiz attempt; returns the questions drawn for it
+ */
+export const startQuizAttempt = createAsyncThunk(
+  'enrollments/startQuizAttempt',
+  async ({ courseId, moduleId, contentId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(
+        `/api/courses/${courseId}/modules/${moduleId}/content/${contentId}/quiz/start`
+      );
+      
+      return response.data.data;
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
+
+/**
+ * Save answers on the attempt in progress, so they count if time runs out
+ */
+export const saveQuizAnswers = createAsyncThunk(
+  'enrollments/saveQuizAnswers',
+  async ({ courseId, moduleId, contentId, attemptId, answers }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(
+        `/api/courses/${courseId}/modules/${moduleId}/content/${contentId}/quiz/answers`,
+        { attemptId, answers }
+      );
+      
+      return response.data.data;
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
+
 /**
  * Submit quiz attempt
  */
 export const submitQuizAttempt = createAsyncThunk(
   'enrollments/submitQuizAttempt',
-  async ({ courseId, moduleId, contentId, answers, timeSpent }, { rejectWithValue }) => {
+  async ({ courseId, moduleId, contentId, attemptId, answers }, { rejectWithValue }) => {
     try {
       const response = await axios.post(
         `/api/courses/${courseId}/modules/${moduleId}/content/${contentId}/quiz/submit`,
-        { answers, timeSpent }
+        { attemptId, answers }
+      );
+      
+      return response.data.data;
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
+
+/**
+ * Get a module's pre-assessment and whether the learner has tested out
+ */
+export const getPreAssessment = createAsyncThunk(
+  'enrollments/getPreAssessment',
+  async ({ courseId, moduleId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`/api/courses/${courseId}/modules/${moduleId}/pre-assessment`);
+      
+      return response.data.data;
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
+
+/**
+ * Start (or resume) a module's pre-assessment
+ */
+export const startPreAssessment = createAsyncThunk(
+  'enrollments/startPreAssessment',
+  async ({ courseId, moduleId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(
+        `/api/courses/${courseId}/modules/${moduleId}/pre-assessment/start`
+      );
+      
+      return response.data.data;
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
+
+/**
+ * Submit a module's pre-assessment; reaching mastery tests out of the module
+ */
+export const submitPreAssessment = createAsyncThunk(
+  'enrollments/submitPreAssessment',
+  async ({ courseId, moduleId, attemptId, answers }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(
+        `/api/courses/${courseId}/modules/${moduleId}/pre-assessment/submit`,
+        { attemptId, answers }
       );
       
       return response.data.data;
@@ -451,3 +556,87 @@ export const resumeCourseLearning = createAsyncThunk(
     }
   }
 );
+
+/**
+ * Get the peer reviews assigned to the current user for an assignment
+ */
+export const getPeerReviews = createAsyncThunk(
+  'enrollments/getPeerReviews',
+  async ({ courseId, moduleId, contentId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(
+        `/api/courses/${courseId}/modules/${moduleId}/content/${contentId}/peer-reviews`
+      );
+      
+      return response.data.data;
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
+
+/**
+ * Submit a peer review scored against the assignment rubric
+ */
+export const submitPeerReview = createAsyncThunk(
+  'enrollments/submitPeerReview',
+  async ({ courseId, moduleId, contentId, reviewId, criteria, grade, comments }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(
+        `/api/courses/${courseId}/modules/${moduleId}/content/${contentId}/peer-reviews/${reviewId}`,
+        { criteria, grade, comments }
+      );
+      
+      return response.data.data;
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
+
+/**
+ * Report the runtime data of a SCORM package to the learner's content progress
+ */
+export const trackScormProgress = createAsyncThunk(
+  'enrollments/trackScormProgress',
+  async ({ courseId, moduleId, contentId, cmi, terminated = false }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(
+        `/api/courses/${courseId}/modules/${moduleId}/content/${contentId}/progress`,
+        { scorm: { cmi, terminated } }
+      );
+      
+      return {
+        courseId,
+        moduleId,
+        contentId,
+        ...response.data.data
+      };
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
+
+/**
+ * Get the login request that launches LTI content in its tool
+ */
+export const getLtiLaunch = createAsyncThunk(
+  'enrollments/getLtiLaunch',
+  async ({ courseId, moduleId, contentId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(
+        `/api/lti/courses/${courseId}/modules/${moduleId}/content/${contentId}/launch`
+      );
+      
+      return {
+        courseId,
+        moduleId,
+        contentId,
+        launch: response.data.data
+      };
+    } catch (error) {
+      return handleApiError(error, rejectWithValue);
+    }
+  }
+);
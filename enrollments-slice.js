@@ -4,6 +4,7 @@ import {
   getEnrollments, 
   getEnrollmentById, 
   updateEnrollment, 
+  migrateEnrollment,
   cancelEnrollment, 
   getEnrollmentProgress,
   updateEnrollmentProgress,
@@ -113,6 +114,24 @@ const enrollmentsSlice = createSlice({
         state.error = action.payload || 'Failed to update enrollment';
       })
       
+      // Migrate enrollment to the latest course version
+      .addCase(migrateEnrollment.pending, (state) => {
+        state.updating = true;
+        state.error = null;
+      })
+      .addCase(migrateEnrollment.fulfilled, (state, action) => {
+        const { enrollment } = action.payload;
+        state.updating = false;
+        state.enrollments = state.enrollments.map(item => 
+          item._id === enrollment._id ? { ...item, ...enrollment, course: item.course } : item
+        );
+        state.successMessage = 'Switched to the latest version of the course';
+      })
+      .addCase(migrateEnrollment.rejected, (state, action) => {
+        state.updating = false;
+        state.error = action.payload || 'Failed to switch course version';
+      })
+      
       // Cancel enrollment
       .addCase(cancelEnrollment.pending, (state) => {
         state.cancelling = true;
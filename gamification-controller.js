@@ -1,4 +1,5 @@
 const Badge = require('../models/Badge');
+const BadgeAward = require('../models/BadgeAward');
 const Enrollment = require('../models/Enrollment');
 const User = require('../models/User');
 const Course = require('../models/Course');
@@ -6,6 +7,9 @@ const LearningPath = require('../models/LearningPath');
 const asyncHandler = require('express-async-handler');
 const mongoose = require('mongoose');
 const notificationService = require('../services/notificationService');
+const pointsService = require('../services/pointsService');
+const badgeRuleService = require('../services/badgeRuleService');
+const policyService = require('../services/policyService');
 
 // @desc    Get all badges
 // @route   GET /api/gamification/badges
@@ -192,6 +196,18 @@ const createBadge = asyncHandler(async (req, res) => {
     });
   }
   
+  // Rules are stored in their validated form so the evaluator can query them
+  if (req.body.requirementCriteria) {
+    try {
+      req.body.requirementCriteria = badgeRuleService.validateCriteria(req.body.requirementCriteria);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+  
   const badge = await Badge.create(req.body);
   
   res.status(201).json({
@@ -213,6 +229,17 @@ const updateBadge = asyncHandler(async (req, res) => {
     });
   }
   
+  if (req.body.requirementCriteria) {
+    try {
+      req.body.requirementCriteria = badgeRuleService.validateCriteria(req.body.requirementCriteria);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+  
   badge = await Badge.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true
@@ -251,8 +278,12 @@ const deleteBadge = asyncHandler(async (req, res) => {
 const getUserBadges = asyncHandler(async (req, res) => {
   const userId = req.query.userId || req.user.id;
   
-  // Check if user has permission (admin or self)
-  if (req.user.id !== userId && req.user.role !== 'admin') {
+  // Check if user has permission (admin, department manager or self)
+  const targetUser = userId === req.user.id
+    ? { _id: userId, department: req.user.department }
+    : await User.findById(userId).select('department');
+  
+  if (!targetUser || !policyService.can(req.user, 'badge:viewAwarded', targetUser)) {
     return res.status(403).json({
       success: false,
       error: 'Not authorized to view these badges'
@@ -294,6 +325,23 @@ const getUserBadges = asyncHandler(async (req, res) => {
     }
   });
   
+  // Badges earned by meeting their rule
+  const awards = await BadgeAward.find({ user: userId })
+    .populate('badge');
+  
+  awards.forEach(award => {
+    if (award.badge && !badgeMap.has(award.badge._id.toString())) {
+      const badgeObj = award.badge.toObject();
+      
+      badgeObj.earnedOn = award.awardedOn;
+      badgeObj.earnedFrom = {
+        rule: badgeRuleService.describeBadge(award.badge)
+      };
+      
+      badgeMap.set(award.badge._id.toString(), badgeObj);
+    }
+  });
+  
   // Convert map to array and sort by earned date (newest first)
   const userBadges = Array.from(badgeMap.values())
     .sort((a, b) => new Date(b.earnedOn) - new Date(a.earnedOn));
@@ -305,102 +353,6 @@ const getUserBadges = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Get leaderboard
-// @route   GET /api/gamification/leaderboard
-// @access  Public
-const getLeaderboard = asyncHandler(async (req, res) => {
-  const { department, period, limit = 10 } = req.query;
-  
-  // Build query object
-  const matchObj = {};
-  
-  // Filter by department if specified
-  if (department && department !== 'all') {
-    matchObj['user.department'] = department;
-  }
-  
-  // Determine date filter based on period
-  let dateFilter = {};
-  const now = new Date();
-  
-  if (period === 'week') {
-    // Last 7 days
-    const weekAgo = new Date(now);
-    weekAgo.setDate(now.getDate() - 7);
-    dateFilter = { $gte: weekAgo };
-  } else if (period === 'month') {
-    // Last 30 days
-    const monthAgo = new Date(now);
-    monthAgo.setDate(now.getDate() - 30);
-    dateFilter = { $gte: monthAgo };
-  } else if (period === 'year') {
-    // Last 365 days
-    const yearAgo = new Date(now);
-    yearAgo.setDate(now.getDate() - 365);
-    dateFilter = { $gte: yearAgo };
-  }
-  
-  // If period specified, add date filter to match object
-  if (Object.keys(dateFilter).length > 0) {
-    matchObj.updatedAt = dateFilter;
-  }
-  
-  // Get badges earned by users with point values
-  const badgesWithPoints = await Enrollment.aggregate([
-    // Match enrollments with earned badges
-    { $match: {
-      badgesEarned: { $exists: true, $ne: [] },
-      ...matchObj
-    }},
-    // Lookup user details
-    { $lookup: {
-      from: 'users',
-      localField: 'user',
-      foreignField: '_id',
-      as: 'user'
-    }},
-    // Unwind user array
-    { $unwind: '$user' },
-    // Unwind badges array
-    { $unwind: '$badgesEarned' },
-    // Lookup badge details
-    { $lookup: {
-      from: 'badges',
-      localField: 'badgesEarned',
-      foreignField: '_id',
-      as: 'badgeDetails'
-    }},
-    // Unwind badge details array
-    { $unwind: '$badgeDetails' },
-    // Group by user and sum points
-    { $group: {
-      _id: '$user._id',
-      name: { $first: '$user.name' },
-      department: { $first: '$user.department' },
-      role: { $first: '$user.role' },
-      avatarUrl: { $first: '$user.avatarUrl' },
-      points: { $sum: '$badgeDetails.points' },
-      badgeCount: { $sum: 1 }
-    }},
-    // Sort by points (descending)
-    { $sort: { points: -1 } },
-    // Limit results
-    { $limit: parseInt(limit) }
-  ]);
-  
-  // Add rank to each user
-  const leaderboard = badgesWithPoints.map((user, index) => ({
-    ...user,
-    rank: index + 1
-  }));
-  
-  res.status(200).json({
-    success: true,
-    count: leaderboard.length,
-    data: leaderboard
-  });
-});
-
 // @desc    Award a badge to user
 // @route   POST /api/gamification/award-badge
 // @access  Private/Admin
@@ -471,6 +423,16 @@ const awardBadge = asyncHandler(async (req, res) => {
   enrollment.badgesEarned.push(badgeId);
   await enrollment.save();
   
+  await pointsService.awardPoints({
+    userId,
+    points: badge.points,
+    source: 'Badge',
+    sourceId: badge._id,
+    reason: `Awarded the ${badge.name} badge`,
+    reference: `badge:${badge._id}:${enrollment._id}`,
+    createdBy: req.user.id
+  });
+  
   // Send notification
   await notificationService.sendNotification(
     userId,
@@ -513,15 +475,8 @@ const checkBadgeEligibility = asyncHandler(async (req, res) => {
     .populate('completedModules.module')
     .populate('badgesEarned');
   
-  // Get user's badges
-  const userBadgeIds = new Set();
-  enrollments.forEach(enrollment => {
-    if (enrollment.badgesEarned && enrollment.badgesEarned.length > 0) {
-      enrollment.badgesEarned.forEach(badge => {
-        userBadgeIds.add(badge._id.toString());
-      });
-    }
-  });
+  // Get user's badges, whether earned through an enrollment or by rule
+  const userBadgeIds = await badgeRuleService.getHeldBadgeIds(userId);
   
   // Get all available badges
   const allBadges = await Badge.find({ isActive: true });
@@ -561,25 +516,20 @@ const checkBadgeEligibility = asyncHandler(async (req, res) => {
         }
         break;
         
-      case 'Engagement':
-        // Example: Badge for completing X courses
-        if (badge.requirementCriteria && badge.requirementCriteria.courseCount) {
-          const completedCourseCount = enrollments.filter(
-            e => e.status === 'Completed'
-          ).length;
-          
-          const requiredCount = badge.requirementCriteria.courseCount;
-          
-          progress = Math.min(100, Math.round((completedCourseCount / requiredCount) * 100));
-          isEligible = completedCourseCount >= requiredCount;
-          requirementDetails = `Complete ${requiredCount} courses`;
+      default:
+        // Any other badge with a rule is evaluated by the rule engine
+        if (badge.requirementCriteria) {
+          try {
+            const result = await badgeRuleService.evaluateCriteria(userId, badge.requirementCriteria);
+            
+            isEligible = result.met;
+            progress = result.progress;
+          } catch (error) {
+            console.error(`Invalid criteria on badge ${badge._id}:`, error.message);
+          }
         }
-        break;
-        
-      // Add more badge types here
         
-      default:
-        requirementDetails = badge.requirements || 'Special requirements';
+        requirementDetails = badgeRuleService.describeBadge(badge) || 'Special requirements';
         break;
     }
     
@@ -607,6 +557,59 @@ const checkBadgeEligibility = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Preview which users would qualify for badge criteria, without
+//          awarding, one page of users at a time
+// @route   POST /api/gamification/badges/dry-run
+// @access  Private/Admin
+const dryRunBadgeRule = asyncHandler(async (req, res) => {
+  const { badgeId, criteria, department, page, limit } = req.body;
+  let badge = null;
+  
+  if (badgeId) {
+    badge = mongoose.isValidObjectId(badgeId) && await Badge.findById(badgeId);
+    
+    if (!badge) {
+      return res.status(404).json({
+        success: false,
+        error: 'Badge not found'
+      });
+    }
+  }
+  
+  // Criteria in the request let admins try a rule before saving it on the badge
+  const rule = criteria || (badge && badge.requirementCriteria);
+  
+  if (!rule) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please provide badge criteria or a badge that has them'
+    });
+  }
+  
+  let result;
+  try {
+    result = await badgeRuleService.dryRun(rule, {
+      badgeId: badge && badge._id,
+      department,
+      page: Math.max(parseInt(page, 10) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500)
+    });
+  } catch (error) {
+    if (error instanceof badgeRuleService.BadgeRuleError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    throw error;
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
 module.exports = {
   getBadges,
   getBadge,
@@ -614,7 +617,7 @@ module.exports = {
   updateBadge,
   deleteBadge,
   getUserBadges,
-  getLeaderboard,
   awardBadge,
-  checkBadgeEligibility
+  checkBadgeEligibility,
+  dryRunBadgeRule
 };
@@ -7,29 +7,105 @@ const {
   updateBadge,
   deleteBadge,
   getUserBadges,
-  getLeaderboard,
   awardBadge,
-  checkBadgeEligibility
+  checkBadgeEligibility,
+  dryRunBadgeRule
 } = require('../controllers/gamificationController');
-const { protect, authorize } = require('../config/middleware');
+const {
+  getUserPoints,
+  getPointsHistory,
+  addPoints,
+  getPointsReport
+} = require('../controllers/pointsController');
+const {
+  getRewards,
+  getAvailableRewards,
+  createReward,
+  updateReward,
+  deleteReward,
+  getUserRewards,
+  redeemReward,
+  getRedemptions,
+  approveRedemption,
+  rejectRedemption,
+  cancelRedemption
+} = require('../controllers/rewardController');
+const {
+  getStreak,
+  updateStreak,
+  updateStreakSettings
+} = require('../controllers/streakController');
+const {
+  getLeaderboard,
+  getLeaderboardPreference,
+  updateLeaderboardPreference,
+  refreshLeaderboards
+} = require('../controllers/leaderboardController');
+const {
+  getChallenges,
+  getChallenge,
+  createChallenge,
+  updateChallenge,
+  cancelChallenge
+} = require('../controllers/challengeController');
+const { protect, requirePermission, loadTeamScope } = require('../config/middleware');
 
 // Badge routes
 router.get('/badges', getBadges);
 router.get('/badges/:id', getBadge);
 
 // Protected badge routes
-router.post('/badges', protect, authorize(['admin']), createBadge);
-router.put('/badges/:id', protect, authorize(['admin']), updateBadge);
-router.delete('/badges/:id', protect, authorize(['admin']), deleteBadge);
+router.post('/badges/dry-run', protect, requirePermission('badge:manage'), dryRunBadgeRule);
+router.post('/badges', protect, requirePermission('badge:manage'), createBadge);
+router.put('/badges/:id', protect, requirePermission('badge:manage'), updateBadge);
+router.delete('/badges/:id', protect, requirePermission('badge:manage'), deleteBadge);
 
 // User badge routes
-router.get('/user-badges', protect, getUserBadges);
+router.get('/user-badges', protect, loadTeamScope, getUserBadges);
 router.get('/check-eligibility', protect, checkBadgeEligibility);
 
-// Leaderboard route
-router.get('/leaderboard', getLeaderboard);
+// Leaderboard routes
+router.get('/leaderboard', protect, getLeaderboard);
+router.get('/leaderboard/preferences', protect, getLeaderboardPreference);
+router.put('/leaderboard/preferences', protect, updateLeaderboardPreference);
+router.post('/leaderboard/refresh', protect, requirePermission('leaderboard:manage', 'any'), refreshLeaderboards);
+
+// Challenge routes
+router.get('/challenges', protect, getChallenges);
+router.get('/challenges/:id', protect, getChallenge);
+router.post('/challenges', protect, requirePermission('challenge:manage', 'any'), createChallenge);
+router.put('/challenges/:id', protect, requirePermission('challenge:manage', 'any'), updateChallenge);
+router.delete('/challenges/:id', protect, requirePermission('challenge:manage', 'any'), cancelChallenge);
 
 // Admin award badge route
-router.post('/award-badge', protect, authorize(['admin']), awardBadge);
+router.post('/award-badge', protect, requirePermission('badge:award'), awardBadge);
+
+// Points routes
+router.get('/points', protect, loadTeamScope, getUserPoints);
+router.get('/points/history', protect, loadTeamScope, getPointsHistory);
+router.get('/points/report', protect, requirePermission('points:report', 'any'), getPointsReport);
+router.post('/points/add', protect, requirePermission('points:award'), addPoints);
+
+// Streak routes
+router.get('/streak', protect, loadTeamScope, getStreak);
+router.post('/streak/update', protect, updateStreak);
+router.put('/streak/settings', protect, updateStreakSettings);
+
+// Reward routes
+router.get('/rewards/available', protect, getAvailableRewards);
+router.get('/rewards/user', protect, loadTeamScope, getUserRewards);
+router.post('/rewards/redeem', protect, requirePermission('reward:redeem'), redeemReward);
+
+// Redemption approval routes
+router.get('/rewards/redemptions', protect, loadTeamScope, requirePermission('reward:approve', 'team'), getRedemptions);
+router.put('/rewards/redemptions/:id/approve', protect, loadTeamScope, requirePermission('reward:approve', 'team'), approveRedemption);
+router.put('/rewards/redemptions/:id/reject', protect, loadTeamScope, requirePermission('reward:approve', 'team'), rejectRedemption);
+router.put('/rewards/redemptions/:id/cancel', protect, cancelRedemption);
+
+// Reward catalog routes
+router.get('/rewards', protect, requirePermission('reward:manage'), getRewards);
+router.post('/rewards', protect, requirePermission('reward:manage'), createReward);
+router.put('/rewards/:id', protect, requirePermission('reward:manage'), updateReward);
+router.delete('/rewards/:id', protect, requirePermission('reward:manage'), deleteReward);
 
 module.exports = router;
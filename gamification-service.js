@@ -68,6 +68,28 @@ export const awardBadge = async ({ badgeId, userId, reason }) => {
   return response.data.data;
 };
 
+/**
+ * Preview which users would qualify for badge criteria (admin)
+ * @param {Object} params - Dry run parameters
+ * @param {string} params.badgeId - Badge whose criteria to use (optional)
+ * @param {Object} params.criteria - Criteria to try instead (optional)
+ * @param {string} params.department - Only users in this department (optional)
+ * @param {number} params.page - Page of users to evaluate (optional)
+ * @param {number} params.limit - Users evaluated per page (optional)
+ * @returns {Promise} - Promise with the qualifying users and pagination
+ */
+export const dryRunBadgeRule = async ({ badgeId, criteria, department, page, limit }) => {
+  const response = await axios.post(`${API_URL}/badges/dry-run`, {
+    badgeId,
+    criteria,
+    department,
+    page,
+    limit
+  });
+  
+  return response.data.data;
+};
+
 /**
  * Get user points
  * @param {string} userId - User ID (optional, defaults to current user)
@@ -84,6 +106,23 @@ export const getUserPoints = async (userId) => {
   return response.data.data;
 };
 
+/**
+ * Get a user's points history
+ * @param {Object} params - Query parameters
+ * @param {string} params.userId - User ID (optional, defaults to current user)
+ * @param {number} params.page - Page number
+ * @param {number} params.limit - Entries per page
+ * @param {string} params.source - Only entries from this source (optional)
+ * @returns {Promise} - Promise with the ledger entries and pagination
+ */
+export const getPointsHistory = async ({ userId, page = 1, limit = 20, source } = {}) => {
+  const response = await axios.get(`${API_URL}/points/history`, {
+    params: { userId, page, limit, source }
+  });
+  
+  return response.data;
+};
+
 /**
  * Add points to a user
  * @param {Object} pointsData - Points data
@@ -144,25 +183,154 @@ export const redeemReward = async (rewardId) => {
   return response.data.data;
 };
 
+/**
+ * Get redemptions awaiting the current user's approval
+ * @param {string} status - Redemption status, or 'all' (defaults to Pending)
+ * @returns {Promise} - Promise with redemptions
+ */
+export const getRedemptions = async (status = 'Pending') => {
+  const response = await axios.get(`${API_URL}/rewards/redemptions`, {
+    params: { status }
+  });
+  
+  return response.data.data;
+};
+
+/**
+ * Approve or reject a redemption
+ * @param {string} redemptionId - Redemption ID
+ * @param {Object} decision - Decision
+ * @param {boolean} decision.approve - Whether to approve it
+ * @param {string} decision.note - Note for the learner (optional)
+ * @returns {Promise} - Promise with the decided redemption
+ */
+export const decideRedemption = async (redemptionId, { approve, note }) => {
+  const response = await axios.put(
+    `${API_URL}/rewards/redemptions/${redemptionId}/${approve ? 'approve' : 'reject'}`,
+    { note }
+  );
+  
+  return response.data.data;
+};
+
+/**
+ * Cancel one of the current user's pending redemptions
+ * @param {string} redemptionId - Redemption ID
+ * @returns {Promise} - Promise with the cancelled redemption
+ */
+export const cancelRedemption = async (redemptionId) => {
+  const response = await axios.put(`${API_URL}/rewards/redemptions/${redemptionId}/cancel`);
+  return response.data.data;
+};
+
 /**
  * Get leaderboard
  * @param {Object} params - Query parameters
  * @param {string} params.timeframe - Time frame (weekly, monthly, all-time)
  * @param {string} params.departmentId - Department ID
+ * @param {string} params.scope - 'team' for the current user's team (optional)
+ * @param {string} params.periodKey - A past period, e.g. 2026-09 (optional)
  * @param {number} params.limit - Number of results to return
  * @returns {Promise} - Promise with leaderboard data
  */
-export const getLeaderboard = async ({ timeframe = 'weekly', departmentId, limit = 10 } = {}) => {
+export const getLeaderboard = async ({ timeframe = 'weekly', departmentId, scope, periodKey, limit = 10 } = {}) => {
   let url = `${API_URL}/leaderboard?timeframe=${timeframe}&limit=${limit}`;
   
   if (departmentId) {
     url += `&departmentId=${departmentId}`;
   }
   
+  if (scope) {
+    url += `&scope=${scope}`;
+  }
+  
+  if (periodKey) {
+    url += `&periodKey=${periodKey}`;
+  }
+  
   const response = await axios.get(url);
   return response.data.data;
 };
 
+/**
+ * Get whether the current user is hidden from leaderboards
+ * @returns {Promise} - Promise with { optedOut, optedOutOn }
+ */
+export const getLeaderboardPreference = async () => {
+  const response = await axios.get(`${API_URL}/leaderboard/preferences`);
+  return response.data.data;
+};
+
+/**
+ * Hide the current user from leaderboards, or show them again
+ * @param {boolean} optedOut - Whether to hide the current user
+ * @returns {Promise} - Promise with { optedOut, optedOutOn }
+ */
+export const updateLeaderboardPreference = async (optedOut) => {
+  const response = await axios.put(`${API_URL}/leaderboard/preferences`, { optedOut });
+  return response.data.data;
+};
+
+/**
+ * Get the challenges the current user's department or team takes part in
+ * @param {Object} params - Query parameters
+ * @param {boolean} params.all - Every challenge, for admins (optional)
+ * @param {string} params.status - Status filter when listing every challenge (optional)
+ * @returns {Promise} - Promise with challenges and their live standings
+ */
+export const getChallenges = async ({ all = false, status } = {}) => {
+  let url = `${API_URL}/challenges`;
+  
+  if (all) {
+    url += `?all=true${status ? `&status=${status}` : ''}`;
+  }
+  
+  const response = await axios.get(url);
+  return response.data.data;
+};
+
+/**
+ * Get a challenge with its live standings
+ * @param {string} challengeId - Challenge ID
+ * @returns {Promise} - Promise with challenge data
+ */
+export const getChallenge = async (challengeId) => {
+  const response = await axios.get(`${API_URL}/challenges/${challengeId}`);
+  return response.data.data;
+};
+
+/**
+ * Create a challenge (admin only)
+ * @param {Object} challengeData - title, description, goal, participantType,
+ *   departments or teams, startDate, endDate and reward
+ * @returns {Promise} - Promise with created challenge
+ */
+export const createChallenge = async (challengeData) => {
+  const response = await axios.post(`${API_URL}/challenges`, challengeData);
+  return response.data.data;
+};
+
+/**
+ * Update a challenge (admin only)
+ * @param {string} challengeId - Challenge ID
+ * @param {Object} challengeData - Fields to change
+ * @returns {Promise} - Promise with updated challenge
+ */
+export const updateChallenge = async (challengeId, challengeData) => {
+  const response = await axios.put(`${API_URL}/challenges/${challengeId}`, challengeData);
+  return response.data.data;
+};
+
+/**
+ * Cancel a challenge (admin only)
+ * @param {string} challengeId - Challenge ID
+ * @returns {Promise} - Promise with cancelled challenge
+ */
+export const cancelChallenge = async (challengeId) => {
+  const response = await axios.delete(`${API_URL}/challenges/${challengeId}`);
+  return response.data.data;
+};
+
 /**
  * Get user achievements
  * @param {string} userId - User ID (optional, defaults to current user)
@@ -209,18 +377,49 @@ export const updateStreak = async ({ dailyGoalMet }) => {
   return response.data.data;
 };
 
+/**
+ * Set the current user's timezone and learning goal
+ * @param {Object} settings - Streak settings
+ * @param {string} settings.timezone - IANA timezone (optional)
+ * @param {string} settings.goalPeriod - 'daily' or 'weekly' (optional)
+ * @param {number} settings.goalMinutes - Minutes of learning per period (optional)
+ * @returns {Promise} - Promise with updated streak data
+ */
+export const updateStreakSettings = async ({ timezone, goalPeriod, goalMinutes }) => {
+  const response = await axios.put(`${API_URL}/streak/settings`, {
+    timezone,
+    goalPeriod,
+    goalMinutes
+  });
+  
+  return response.data.data;
+};
+
 export default {
   getUserBadges,
   getBadgeById,
   getAllBadges,
   awardBadge,
+  dryRunBadgeRule,
   getUserPoints,
+  getPointsHistory,
   addPoints,
   getUserRewards,
   getAvailableRewards,
   redeemReward,
+  getRedemptions,
+  decideRedemption,
+  cancelRedemption,
   getLeaderboard,
+  getLeaderboardPreference,
+  updateLeaderboardPreference,
+  getChallenges,
+  getChallenge,
+  createChallenge,
+  updateChallenge,
+  cancelChallenge,
   getUserAchievements,
   getUserStreak,
-  updateStreak
+  updateStreak,
+  updateStreakSettings
 };
@@ -15,7 +15,8 @@ import {
   fetchAvailableRewards,
   fetchUserLevel,
   fetchPointsHistory,
-  fetchNextMilestone
+  fetchNextMilestone,
+  fetchChallenges
 } from '../thunks/gamificationThunks';
 
 const initialState = {
@@ -63,6 +64,13 @@ const initialState = {
     error: null
   },
   
+  // Challenges the user's department or team takes part in
+  challenges: {
+    list: [],
+    loading: false,
+    error: null
+  },
+  
   // Achievements
   achievements: {
     completed: [],
@@ -100,6 +108,7 @@ const gamificationSlice = createSlice({
       state.points.error = null;
       state.rewards.error = null;
       state.leaderboard.error = null;
+      state.challenges.error = null;
       state.achievements.error = null;
       state.streaks.error = null;
     },
@@ -307,6 +316,20 @@ const gamificationSlice = createSlice({
         state.leaderboard.error = action.payload || 'Failed to fetch leaderboard';
       })
       
+      // Fetch challenges
+      .addCase(fetchChallenges.pending, (state) => {
+        state.challenges.loading = true;
+        state.challenges.error = null;
+      })
+      .addCase(fetchChallenges.fulfilled, (state, action) => {
+        state.challenges.loading = false;
+        state.challenges.list = action.payload || [];
+      })
+      .addCase(fetchChallenges.rejected, (state, action) => {
+        state.challenges.loading = false;
+        state.challenges.error = action.payload || 'Failed to fetch challenges';
+      })
+      
       // Fetch user achievements
       .addCase(fetchUserAchievements.pending, (state) => {
         state.achievements.loading = true;
@@ -0,0 +1,120 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const policyService = require('../services/policyService');
+const leaderboardService = require('../services/leaderboardService');
+const orgHierarchyService = require('../services/orgHierarchyService');
+
+const ERROR_STATUS = {
+  INVALID_TIMEFRAME: 400
+};
+
+// Set the response status for a leaderboard error before rethrowing it
+const rethrow = (res, error) => {
+  if (error instanceof leaderboardService.LeaderboardError) {
+    res.status(ERROR_STATUS[error.code] || 400);
+  }
+  throw error;
+};
+
+// Timeframes for the older `period` query parameter
+const PERIOD_TIMEFRAMES = {
+  week: 'weekly',
+  month: 'monthly',
+  year: 'all-time',
+  all: 'all-time'
+};
+
+// @desc    Get the leaderboard for the organization, a department or a team
+// @route   GET /api/gamification/leaderboard
+// @access  Private
+const getLeaderboard = asyncHandler(async (req, res) => {
+  const { timeframe, period, periodKey, scope, managerId, limit } = req.query;
+  const department = req.query.departmentId || req.query.department;
+
+  const filtered = department && department !== 'all';
+
+  let teamIds;
+  if (scope === 'team') {
+    if (managerId && managerId !== req.user.id) {
+      if (!mongoose.isValidObjectId(managerId) || !policyService.hasPermission(req.user, 'org:viewTeam', 'any')) {
+        res.status(403);
+        throw new Error("Not authorized to view this manager's team");
+      }
+
+      teamIds = [...await orgHierarchyService.getReportIds(managerId), managerId];
+    } else {
+      teamIds = await leaderboardService.getTeamIds(req.user.id);
+    }
+  }
+
+  let leaderboard;
+  try {
+    leaderboard = await leaderboardService.getLeaderboard({
+      timeframe: timeframe || PERIOD_TIMEFRAMES[period] || 'weekly',
+      periodKey,
+      department: !teamIds && filtered ? department : undefined,
+      teamIds,
+      limit,
+      userId: req.user.id
+    });
+  } catch (error) {
+    rethrow(res, error);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...leaderboard,
+      scope: teamIds ? 'team' : (filtered ? 'department' : 'organization')
+    }
+  });
+});
+
+// @desc    Get the signed-in user's leaderboard privacy setting
+// @route   GET /api/gamification/leaderboard/preferences
+// @access  Private
+const getLeaderboardPreference = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: await leaderboardService.getPreference(req.user.id)
+  });
+});
+
+// @desc    Opt the signed-in user out of leaderboards, or back in
+// @route   PUT /api/gamification/leaderboard/preferences
+// @access  Private
+const updateLeaderboardPreference = asyncHandler(async (req, res) => {
+  const { optedOut } = req.body;
+
+  if (typeof optedOut !== 'boolean') {
+    res.status(400);
+    throw new Error('optedOut must be true or false');
+  }
+
+  const preference = await leaderboardService.setOptOut(req.user.id, optedOut);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      optedOut: preference.optedOut,
+      optedOutOn: preference.optedOutOn || null
+    }
+  });
+});
+
+// @desc    Recompute the leaderboard snapshots now rather than on the next scheduled run
+// @route   POST /api/gamification/leaderboard/refresh
+// @access  Private/Admin
+const refreshLeaderboards = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: await leaderboardService.computeSnapshots()
+  });
+});
+
+module.exports = {
+  getLeaderboard,
+  getLeaderboardPreference,
+  updateLeaderboardPreference,
+  refreshLeaderboards
+};
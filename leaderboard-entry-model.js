@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A user's standing in a leaderboard snapshot. Name, department and avatar
+// are copied in so leaderboards are read without joining users
+const LeaderboardEntrySchema = new mongoose.Schema({
+  snapshot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaderboardSnapshot',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: String,
+  department: String,
+  avatarUrl: String,
+  points: {
+    type: Number,
+    required: true
+  },
+  // Ties share a rank
+  rank: {
+    type: Number,
+    required: true
+  },
+  departmentRank: {
+    type: Number
+  }
+});
+
+LeaderboardEntrySchema.index({ snapshot: 1, rank: 1 });
+LeaderboardEntrySchema.index({ snapshot: 1, department: 1, departmentRank: 1 });
+LeaderboardEntrySchema.index({ snapshot: 1, user: 1 }, { unique: true });
+LeaderboardEntrySchema.index({ user: 1 });
+
+module.exports = mongoose.model('LeaderboardEntry', LeaderboardEntrySchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A user's leaderboard privacy choice. Users who opt out are left off every
+// leaderboard but still earn and spend points as usual
+const LeaderboardPreferenceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true
+    },
+    optedOut: {
+      type: Boolean,
+      default: false
+    },
+    optedOutOn: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+LeaderboardPreferenceSchema.index({ optedOut: 1 });
+
+module.exports = mongoose.model('LeaderboardPreference', LeaderboardPreferenceSchema);
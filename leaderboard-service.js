@@ -0,0 +1,410 @@
+/**
+ * Leaderboard service
+ * Ranks users by the points they earned in a week, a month or overall. The
+ * standings are computed on a schedule from the timestamped points ledger
+ * and stored as snapshots, so reading a leaderboard is an indexed lookup
+ * however many employees there are. Weeks start on Monday and periods
+ * follow UTC
+ */
+const LeaderboardEntry = require('../models/LeaderboardEntry');
+const LeaderboardPreference = require('../models/LeaderboardPreference');
+const LeaderboardSnapshot = require('../models/LeaderboardSnapshot');
+const OrgHierarchy = require('../models/OrgHierarchy');
+const PointsTransaction = require('../models/PointsTransaction');
+const { EARNING_TYPES } = require('./pointsService');
+const orgHierarchyService = require('./orgHierarchyService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TIMEFRAMES = ['weekly', 'monthly', 'all-time'];
+
+// Closed-period snapshots kept per timeframe, so past standings can be shown
+const RETAINED_PERIODS = 12;
+
+const MAX_LIMIT = 100;
+
+/**
+ * Error raised for leaderboard requests that cannot be carried out
+ * @param {string} message - Error message
+ * @param {string} code - Machine readable error code
+ */
+class LeaderboardError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'LeaderboardError';
+    this.code = code;
+  }
+}
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Get the period of a timeframe that a moment falls in
+ * @param {string} timeframe - 'weekly', 'monthly' or 'all-time'
+ * @param {Date} date - Moment
+ * @returns {Object} - periodKey, periodStart and periodEnd (null for all-time)
+ */
+const getPeriod = (timeframe, date = new Date()) => {
+  if (timeframe === 'weekly') {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const periodStart = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+
+    return {
+      periodKey: periodStart.toISOString().slice(0, 10),
+      periodStart,
+      periodEnd: new Date(periodStart.getTime() + 7 * DAY_MS)
+    };
+  }
+
+  if (timeframe === 'monthly') {
+    const periodStart = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+    return {
+      periodKey: periodStart.toISOString().slice(0, 7),
+      periodStart,
+      periodEnd: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+    };
+  }
+
+  return { periodKey: 'all-time', periodStart: null, periodEnd: null };
+};
+
+/**
+ * Compute and store the standings for one period
+ * @param {string} timeframe - 'weekly', 'monthly' or 'all-time'
+ * @param {Object} period - periodKey, periodStart and periodEnd
+ * @returns {Object|null} - Ready LeaderboardSnapshot, or null when a newer run replaced it
+ */
+const computeSnapshot = async (timeframe, { periodKey, periodStart, periodEnd }) => {
+  const snapshot = await LeaderboardSnapshot.create({ timeframe, periodKey, periodStart, periodEnd });
+
+  try {
+    const optedOut = await LeaderboardPreference.find({ optedOut: true }).distinct('user');
+    const match = { type: { $in: EARNING_TYPES } };
+
+    if (optedOut.length > 0) {
+      match.user = { $nin: optedOut };
+    }
+
+    if (periodStart) {
+      match.createdAt = { $gte: periodStart, $lt: periodEnd };
+    }
+
+    await PointsTransaction.aggregate([
+      { $match: match },
+      { $group: { _id: '$user', points: { $sum: '$points' } } },
+      { $match: { points: { $gt: 0 } } },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          pipeline: [{ $project: { name: 1, department: 1, avatarUrl: 1, isActive: 1 } }],
+          as: 'user'
+        }
+      },
+      { $unwind: '$user' },
+      { $match: { 'user.isActive': { $ne: false } } },
+      { $setWindowFields: { sortBy: { points: -1 }, output: { rank: { $rank: {} } } } },
+      {
+        $setWindowFields: {
+          partitionBy: '$user.department',
+          sortBy: { points: -1 },
+          output: { departmentRank: { $rank: {} } }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          snapshot: snapshot._id,
+          user: '$_id',
+          name: '$user.name',
+          department: '$user.department',
+          avatarUrl: '$user.avatarUrl',
+          points: 1,
+          rank: 1,
+          departmentRank: 1
+        }
+      },
+      { $merge: { into: LeaderboardEntry.collection.collectionName, whenMatched: 'replace', whenNotMatched: 'insert' } }
+    ]).allowDiskUse(true);
+
+    const departments = await LeaderboardEntry.aggregate([
+      { $match: { snapshot: snapshot._id, department: { $nin: [null, ''] } } },
+      { $group: { _id: '$department', points: { $sum: '$points' }, participants: { $sum: 1 } } },
+      { $sort: { points: -1, _id: 1 } }
+    ]);
+
+    const ready = await LeaderboardSnapshot.findOneAndUpdate(
+      { _id: snapshot._id, status: 'building' },
+      {
+        status: 'ready',
+        computedAt: new Date(),
+        participants: await LeaderboardEntry.countDocuments({ snapshot: snapshot._id }),
+        departments: departments.map((department, index) => ({
+          department: department._id,
+          points: department.points,
+          participants: department.participants,
+          averagePoints: Math.round(department.points / department.participants),
+          rank: index + 1
+        }))
+      },
+      { new: true }
+    );
+
+    if (!ready) {
+      await LeaderboardEntry.deleteMany({ snapshot: snapshot._id });
+      return null;
+    }
+
+    // Replace the earlier snapshots of this period
+    const superseded = await LeaderboardSnapshot.find({
+      timeframe,
+      periodKey,
+      _id: { $ne: snapshot._id },
+      createdAt: { $lt: snapshot.createdAt }
+    }).distinct('_id');
+
+    await LeaderboardEntry.deleteMany({ snapshot: { $in: superseded } });
+    await LeaderboardSnapshot.deleteMany({ _id: { $in: superseded } });
+
+    return ready;
+  } catch (error) {
+    await LeaderboardEntry.deleteMany({ snapshot: snapshot._id });
+    await LeaderboardSnapshot.deleteOne({ _id: snapshot._id });
+    throw error;
+  }
+};
+
+/**
+ * Drop snapshots of periods older than the ones kept
+ * @param {string} timeframe - 'weekly' or 'monthly'
+ */
+const pruneSnapshots = async (timeframe) => {
+  const keys = await LeaderboardSnapshot.find({ timeframe }).distinct('periodKey');
+  const expired = keys.sort().reverse().slice(RETAINED_PERIODS + 1);
+
+  if (expired.length === 0) return;
+
+  const snapshots = await LeaderboardSnapshot.find({ timeframe, periodKey: { $in: expired } }).distinct('_id');
+
+  await LeaderboardEntry.deleteMany({ snapshot: { $in: snapshots } });
+  await LeaderboardSnapshot.deleteMany({ _id: { $in: snapshots } });
+};
+
+/**
+ * Recompute the current standings of every timeframe (run on a schedule,
+ * e.g. every 15 minutes). A period that just closed is computed once more
+ * so its final standings include its last points
+ * @param {Date} now - Current time
+ * @returns {Object} - Participants per timeframe
+ */
+const computeSnapshots = async (now = new Date()) => {
+  const summary = {};
+
+  for (const timeframe of TIMEFRAMES) {
+    const period = getPeriod(timeframe, now);
+
+    if (period.periodStart) {
+      const previous = getPeriod(timeframe, new Date(period.periodStart.getTime() - 1));
+      const finalSnapshot = await LeaderboardSnapshot.exists({
+        timeframe,
+        periodKey: previous.periodKey,
+        status: 'ready',
+        computedAt: { $gte: previous.periodEnd }
+      });
+
+      if (!finalSnapshot) {
+        await computeSnapshot(timeframe, previous);
+      }
+    }
+
+    const snapshot = await computeSnapshot(timeframe, period);
+    summary[timeframe] = snapshot ? snapshot.participants : 0;
+
+    if (period.periodStart) {
+      await pruneSnapshots(timeframe);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Get the members of a user's team: everyone they manage, or when they
+ * manage nobody, their manager and the manager's direct reports
+ * @param {string} userId - User ID
+ * @returns {Array} - User IDs as strings, including the user
+ */
+const getTeamIds = async (userId) => {
+  const reports = await orgHierarchyService.getReportIds(userId);
+
+  if (reports.length > 0) {
+    return [...reports, toId(userId)];
+  }
+
+  const hierarchy = await OrgHierarchy.findOne({ employee: userId }).select('ancestors').lean();
+  const manager = hierarchy && hierarchy.ancestors.length > 0 ? hierarchy.ancestors[0] : null;
+
+  if (!manager) {
+    return [toId(userId)];
+  }
+
+  return [...await orgHierarchyService.getReportIds(manager, { directOnly: true }), toId(manager)];
+};
+
+/**
+ * Rank entries by points, ties sharing a rank
+ * @param {Array} entries - Entries sorted by points, highest first
+ * @returns {Array} - Entries with teamRank
+ */
+const rankWithin = (entries) => {
+  let rank = 0;
+
+  return entries.map((entry, index) => {
+    if (index === 0 || entry.points < entries[index - 1].points) {
+      rank = index + 1;
+    }
+    return { ...entry, teamRank: rank };
+  });
+};
+
+const toLeaderboardEntry = (entry) => ({
+  userId: entry.user,
+  name: entry.name,
+  department: entry.department,
+  avatarUrl: entry.avatarUrl,
+  points: entry.points,
+  rank: entry.teamRank || entry.rank,
+  overallRank: entry.rank,
+  departmentRank: entry.departmentRank
+});
+
+/**
+ * Get a leaderboard: the whole organization, one department or a team
+ * @param {Object} options - timeframe, periodKey (a past period; defaults to
+ *   the current one), department, teamIds (user IDs of a team), limit and
+ *   userId (whose own standing to include)
+ * @returns {Object}
+ */
+const getLeaderboard = async ({ timeframe = 'weekly', periodKey, department, teamIds, limit = 10, userId } = {}) => {
+  if (!TIMEFRAMES.includes(timeframe)) {
+    throw new LeaderboardError(`Timeframe must be one of ${TIMEFRAMES.join(', ')}`, 'INVALID_TIMEFRAME');
+  }
+
+  const period = getPeriod(timeframe);
+  const key = periodKey || period.periodKey;
+  const size = Math.min(Math.max(parseInt(limit, 10) || 10, 1), MAX_LIMIT);
+
+  const [snapshot, preference] = await Promise.all([
+    LeaderboardSnapshot.findOne({ timeframe, periodKey: key, status: 'ready' })
+      .sort({ computedAt: -1 })
+      .lean(),
+    userId ? LeaderboardPreference.findOne({ user: userId }).lean() : null
+  ]);
+
+  const result = {
+    timeframe,
+    periodKey: key,
+    periodStart: snapshot ? snapshot.periodStart : period.periodStart,
+    periodEnd: snapshot ? snapshot.periodEnd : period.periodEnd,
+    computedAt: snapshot ? snapshot.computedAt : null,
+    participants: 0,
+    leaderboard: [],
+    departmentRanking: snapshot ? snapshot.departments : [],
+    userRank: null,
+    optedOut: Boolean(preference && preference.optedOut)
+  };
+
+  if (!snapshot) {
+    return result;
+  }
+
+  let entries;
+  let own = null;
+
+  if (teamIds) {
+    // Teams are small enough to rank on read
+    const team = rankWithin(await LeaderboardEntry.find({ snapshot: snapshot._id, user: { $in: teamIds } })
+      .sort({ rank: 1 })
+      .lean());
+
+    result.participants = team.length;
+    entries = team.slice(0, size);
+    own = userId ? team.find(entry => toId(entry.user) === toId(userId)) : null;
+  } else {
+    const filter = { snapshot: snapshot._id };
+    const sort = { rank: 1 };
+
+    if (department) {
+      filter.department = department;
+      sort.departmentRank = 1;
+      delete sort.rank;
+    }
+
+    [entries, result.participants, own] = await Promise.all([
+      LeaderboardEntry.find(filter).sort(sort).limit(size).lean(),
+      department
+        ? LeaderboardEntry.countDocuments(filter)
+        : snapshot.participants,
+      userId ? LeaderboardEntry.findOne({ snapshot: snapshot._id, user: userId }).lean() : null
+    ]);
+
+    if (department) {
+      entries = entries.map(entry => ({ ...entry, teamRank: entry.departmentRank }));
+      own = own && own.department === department ? { ...own, teamRank: own.departmentRank } : null;
+    }
+  }
+
+  result.leaderboard = entries.map(toLeaderboardEntry);
+  result.userRank = own ? toLeaderboardEntry(own) : null;
+
+  return result;
+};
+
+/**
+ * Opt a user out of leaderboards, or back in. Opting out removes them from
+ * the stored standings straight away; opting back in shows them again from
+ * the next computation
+ * @param {string} userId - User ID
+ * @param {boolean} optedOut - Whether to hide the user
+ * @returns {Object} - LeaderboardPreference
+ */
+const setOptOut = async (userId, optedOut) => {
+  const preference = await LeaderboardPreference.findOneAndUpdate(
+    { user: userId },
+    { optedOut, optedOutOn: optedOut ? new Date() : null },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  if (optedOut) {
+    await LeaderboardEntry.deleteMany({ user: userId });
+  }
+
+  return preference;
+};
+
+/**
+ * Get a user's leaderboard preference
+ * @param {string} userId - User ID
+ * @returns {Object} - { optedOut, optedOutOn }
+ */
+const getPreference = async (userId) => {
+  const preference = await LeaderboardPreference.findOne({ user: userId }).lean();
+
+  return {
+    optedOut: Boolean(preference && preference.optedOut),
+    optedOutOn: preference ? preference.optedOutOn || null : null
+  };
+};
+
+module.exports = {
+  LeaderboardError,
+  TIMEFRAMES,
+  getPeriod,
+  getTeamIds,
+  computeSnapshots,
+  getLeaderboard,
+  setOptOut,
+  getPreference
+};
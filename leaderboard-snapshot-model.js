@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Standings for one leaderboard period, computed on a schedule from the
+// points ledger. The ranked users are stored as LeaderboardEntry documents
+const LeaderboardSnapshotSchema = new mongoose.Schema(
+  {
+    timeframe: {
+      type: String,
+      enum: ['weekly', 'monthly', 'all-time'],
+      required: true
+    },
+    // Week's Monday (YYYY-MM-DD), month (YYYY-MM) or 'all-time'
+    periodKey: {
+      type: String,
+      required: true
+    },
+    periodStart: {
+      type: Date
+    },
+    periodEnd: {
+      type: Date
+    },
+    // Entries are written while building; readers only use ready snapshots
+    status: {
+      type: String,
+      enum: ['building', 'ready'],
+      default: 'building'
+    },
+    computedAt: {
+      type: Date,
+      default: Date.now
+    },
+    participants: {
+      type: Number,
+      default: 0
+    },
+    departments: [{
+      department: String,
+      points: Number,
+      participants: Number,
+      averagePoints: Number,
+      rank: Number,
+      _id: false
+    }]
+  },
+  {
+    timestamps: true
+  }
+);
+
+LeaderboardSnapshotSchema.index({ timeframe: 1, periodKey: 1, status: 1, computedAt: -1 });
+
+module.exports = mongoose.model('LeaderboardSnapshot', LeaderboardSnapshotSchema);
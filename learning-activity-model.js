@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Time a learner spent learning on one day, in their own timezone. Streaks
+// and goals are worked out from these daily totals
+const LearningActivitySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Local date (YYYY-MM-DD) in the learner's timezone when it was recorded
+    day: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Day must be a YYYY-MM-DD date']
+    },
+    seconds: {
+      type: Number,
+      default: 0
+    },
+    // Seconds by kind of activity
+    sources: {
+      content: {
+        type: Number,
+        default: 0
+      },
+      quiz: {
+        type: Number,
+        default: 0
+      },
+      webinar: {
+        type: Number,
+        default: 0
+      }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+LearningActivitySchema.index({ user: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('LearningActivity', LearningActivitySchema);
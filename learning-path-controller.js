@@ -7,6 +7,8 @@ const asyncHandler = require('express-async-handler');
 const mongoose = require('mongoose');
 const notificationService = require('../services/notificationService');
 const certificateService = require('../services/certificateService');
+const pointsService = require('../services/pointsService');
+const policyService = require('../services/policyService');
 
 // @desc    Get all learning paths
 // @route   GET /api/learning-paths
@@ -591,7 +593,7 @@ const getLearningPathProgress = asyncHandler(async (req, res) => {
 
 // @desc    Get all users enrolled in a learning path
 // @route   GET /api/learning-paths/:id/enrollments
-// @access  Private/Admin
+// @access  Private/Admin/Manager
 const getLearningPathEnrollments = asyncHandler(async (req, res) => {
   const learningPathId = req.params.id;
   
@@ -616,11 +618,12 @@ const getLearningPathEnrollments = asyncHandler(async (req, res) => {
     });
   }
   
-  // Get all enrollments for these courses
+  // Get all enrollments for these courses, limited to the manager's reports
   const enrollments = await Enrollment.find({
     course: { $in: courseIds },
     'metadata.enrolledFrom': 'LearningPath',
-    'metadata.learningPathId': learningPathId
+    'metadata.learningPathId': learningPathId,
+    ...policyService.scopeFilter(req.user, 'learningPath:report', { owner: 'user' })
   })
     .populate('user', 'name email department role')
     .populate('course', 'title')
@@ -814,6 +817,16 @@ const awardLearningPathBadges = asyncHandler(async (req, res) => {
         // Award badge
         enrollment.badgesEarned.push(learningPath.completionBadge._id);
         badgeAwardPromises.push(enrollment.save());
+        badgeAwardPromises.push(
+          pointsService.awardPoints({
+            userId: user._id,
+            points: learningPath.completionBadge.points,
+            source: 'Badge',
+            sourceId: learningPath.completionBadge._id,
+            reason: `Earned the ${learningPath.completionBadge.name} badge`,
+            reference: `badge:${learningPath.completionBadge._id}:${enrollment._id}`
+          })
+        );
         
         // Send notification
         badgeAwardPromises.push(
@@ -11,23 +11,23 @@ const {
   getLearningPathEnrollments,
   awardLearningPathBadges
 } = require('../controllers/learningPathController');
-const { protect, authorize } = require('../config/middleware');
+const { protect, requirePermission, loadTeamScope } = require('../config/middleware');
 
 // Public routes
 router.get('/', getLearningPaths);
 router.get('/:id', getLearningPath);
 
 // Protected routes
-router.post('/', protect, authorize(['admin']), createLearningPath);
-router.put('/:id', protect, authorize(['admin']), updateLearningPath);
-router.delete('/:id', protect, authorize(['admin']), deleteLearningPath);
+router.post('/', protect, requirePermission('learningPath:manage'), createLearningPath);
+router.put('/:id', protect, requirePermission('learningPath:manage'), updateLearningPath);
+router.delete('/:id', protect, requirePermission('learningPath:manage'), deleteLearningPath);
 
 // User enrollment
 router.post('/:id/enroll', protect, enrollInLearningPath);
 router.get('/:id/progress', protect, getLearningPathProgress);
 
 // Admin routes
-router.get('/:id/enrollments', protect, authorize(['admin', 'manager']), getLearningPathEnrollments);
-router.post('/:id/award-badges', protect, authorize(['admin']), awardLearningPathBadges);
+router.get('/:id/enrollments', protect, requirePermission('learningPath:report', 'team'), loadTeamScope, getLearningPathEnrollments);
+router.post('/:id/award-badges', protect, requirePermission('learningPath:manage'), awardLearningPathBadges);
 
 module.exports = router;
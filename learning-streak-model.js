@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// A learner's goal and streak. A period (day or week, depending on the goal)
+// counts towards the streak when the learner spends the goal's minutes
+// learning in it; a freeze token covers a period they missed
+const LearningStreakSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true
+    },
+    // IANA timezone that decides where the learner's days start and end
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: isTimeZone,
+        message: props => `${props.value} is not a valid timezone`
+      }
+    },
+    goal: {
+      period: {
+        type: String,
+        enum: ['daily', 'weekly'],
+        default: 'daily'
+      },
+      minutes: {
+        type: Number,
+        default: 15,
+        min: [1, 'Goal must be at least one minute'],
+        max: [10080, 'Goal cannot be more than a week']
+      }
+    },
+    // Consecutive periods the goal was met, counting frozen periods as kept
+    current: {
+      type: Number,
+      default: 0
+    },
+    longest: {
+      type: Number,
+      default: 0
+    },
+    // Latest period (its first day, YYYY-MM-DD) the goal was met or frozen
+    lastQualifiedPeriod: {
+      type: String
+    },
+    lastActive: {
+      type: Date
+    },
+    freezeTokens: {
+      type: Number,
+      default: 1,
+      min: 0
+    },
+    // Recent periods a freeze token covered
+    frozenPeriods: [String],
+    // Period the learner was last warned about losing their streak in
+    atRiskNotifiedFor: {
+      type: String
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+LearningStreakSchema.index({ current: 1 });
+
+module.exports = mongoose.model('LearningStreak', LearningStreakSchema);
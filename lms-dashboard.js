@@ -15,7 +15,7 @@ import UpcomingWebinars from '../../components/webinar/UpcomingWebinars';
 import { getEnrollments } from '../../redux/thunks/enrollmentThunks';
 import { getRecommendedCourses } from '../../redux/thunks/courseThunks';
 import { getUpcomingWebinars } from '../../redux/thunks/webinarThunks';
-import { getUserBadges, getLeaderboard } from '../../redux/thunks/gamificationThunks';
+import { getUserBadges, getLeaderboard, fetchChallenges } from '../../redux/thunks/gamificationThunks';
 
 // Styles
 import '../../styles/lms-dashboard.css';
@@ -26,7 +26,7 @@ const LMSDashboard = () => {
   const { enrollments, loading: enrollmentsLoading } = useSelector(state => state.enrollments);
   const { recommendedCourses, loading: coursesLoading } = useSelector(state => state.courses);
   const { webinars, loading: webinarsLoading } = useSelector(state => state.webinars);
-  const { badges, leaderboard, loading: gamificationLoading } = useSelector(state => state.gamification);
+  const { badges, leaderboard, challenges, loading: gamificationLoading } = useSelector(state => state.gamification);
   
   const [inProgressCourses, setInProgressCourses] = useState([]);
   const [completedCourses, setCompletedCourses] = useState([]);
@@ -37,7 +37,8 @@ const LMSDashboard = () => {
     dispatch(getRecommendedCourses());
     dispatch(getUpcomingWebinars({ limit: 3 }));
     dispatch(getUserBadges());
-    dispatch(getLeaderboard({ period: 'month', limit: 5 }));
+    dispatch(getLeaderboard({ timeframe: 'monthly', limit: 5 }));
+    dispatch(fetchChallenges());
   }, [dispatch]);
   
   // Process enrollments when data is loaded
@@ -97,6 +98,24 @@ const LMSDashboard = () => {
   
   const stats = calculateLearningStats();
   
+  // Describe where a challenge is in its run, e.g. "3 day(s) left"
+  const getChallengeTiming = (challenge) => {
+    const daysUntil = (date) => Math.max(1, Math.ceil((new Date(date) - new Date()) / (24 * 60 * 60 * 1000)));
+    
+    switch (challenge.status) {
+      case 'upcoming':
+        return `Starts in ${daysUntil(challenge.startDate)} day(s)`;
+      case 'live':
+        return `${daysUntil(challenge.endDate)} day(s) left`;
+      case 'closing':
+        return 'Results coming soon';
+      default:
+        return 'Ended';
+    }
+  };
+  
+  const challengeList = (challenges && challenges.list) || [];
+  
   if (enrollmentsLoading || coursesLoading || webinarsLoading || gamificationLoading) {
     return <Loader />;
   }
@@ -261,6 +280,75 @@ const LMSDashboard = () => {
         </div>
       </div>
       
+      {/* Team Challenges Section */}
+      {challengeList.length > 0 && (
+        <div className="dashboard-section challenges-section">
+          <div className="section-header">
+            <h2>Team Challenges</h2>
+          </div>
+          
+          <div className="challenges-list">
+            {challengeList.map(challenge => {
+              const unit = challenge.goal.metric === 'learning_hours' ? 'hours' : 'completions';
+              const winners = challenge.standings
+                .filter(standing => challenge.winners.includes(standing.group))
+                .map(standing => standing.name);
+              
+              return (
+                <div key={challenge._id} className="challenge-item">
+                  <div className="challenge-header">
+                    <h3>{challenge.title}</h3>
+                    <span className={`challenge-status challenge-status-${challenge.status}`}>
+                      {getChallengeTiming(challenge)}
+                    </span>
+                  </div>
+                  <p className="challenge-goal">{challenge.goalDescription}</p>
+                  
+                  {challenge.myStanding && (
+                    <div className="challenge-standing">
+                      <div className="challenge-standing-header">
+                        <span className="challenge-rank">
+                          #{challenge.myStanding.rank} of {challenge.standings.length}
+                        </span>
+                        <span>
+                          {challenge.myStanding.name}: {challenge.myStanding.score} {unit}
+                        </span>
+                      </div>
+                      <div className="challenge-progress-bar">
+                        <div
+                          className="challenge-progress-fill"
+                          style={{ width: `${challenge.myStanding.progress}%` }}
+                        />
+                      </div>
+                      <p className="challenge-contribution">
+                        Your contribution: {challenge.myContribution} {unit}
+                      </p>
+                    </div>
+                  )}
+                  
+                  {challenge.status === 'completed' && (
+                    <p className="challenge-winners">
+                      <FaTrophy className="challenge-trophy-icon" />
+                      {winners.length > 0 ? `Won by ${winners.join(', ')}` : 'No group reached the goal'}
+                    </p>
+                  )}
+                  
+                  {challenge.status !== 'completed' && (
+                    <p className="challenge-reward">
+                      <FaTrophy className="challenge-trophy-icon" />
+                      {[
+                        challenge.reward.badge && challenge.reward.badge.name,
+                        challenge.reward.points > 0 && `${challenge.reward.points} points`
+                      ].filter(Boolean).join(' + ')}
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+      
       {/* Earned Badges Section */}
       {badges && badges.length > 0 && (
         <div className="dashboard-section">
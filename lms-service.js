@@ -22,6 +22,104 @@ API.interceptors.request.use(
   }
 );
 
+// Refresh the access token once when a request fails with 401
+let refreshPromise = null;
+
+API.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const originalRequest = error.config;
+    const refreshToken = localStorage.getItem('refreshToken');
+    
+    if (
+      !error.response ||
+      error.response.status !== 401 ||
+      !refreshToken ||
+      originalRequest._retry ||
+      originalRequest.url === '/auth/refresh'
+    ) {
+      return Promise.reject(error);
+    }
+    
+    originalRequest._retry = true;
+    
+    try {
+      // Share one refresh call between concurrent failing requests
+      refreshPromise = refreshPromise || refreshSession(refreshToken);
+      const tokens = await refreshPromise;
+      
+      originalRequest.headers['Authorization'] = `Bearer ${tokens.accessToken}`;
+      return API(originalRequest);
+    } catch (refreshError) {
+      clearSession();
+      return Promise.reject(refreshError);
+    } finally {
+      refreshPromise = null;
+    }
+  }
+);
+
+// Auth API
+const storeSession = ({ accessToken, refreshToken }) => {
+  localStorage.setItem('token', accessToken);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+const refreshSession = async (refreshToken) => {
+  const response = await API.post('/auth/refresh', { refreshToken });
+  storeSession(response.data.data);
+  return response.data.data;
+};
+
+const logout = async () => {
+  try {
+    await API.post('/auth/logout');
+  } finally {
+    clearSession();
+  }
+};
+
+const logoutEverywhere = async () => {
+  try {
+    await API.post('/auth/logout-all');
+  } finally {
+    clearSession();
+  }
+};
+
+const getSessions = async () => {
+  const response = await API.get('/auth/sessions');
+  return response.data;
+};
+
+const revokeSession = async (sessionId) => {
+  const response = await API.delete(`/auth/sessions/${sessionId}`);
+  return response.data;
+};
+
+// SSO API
+const getSsoProviders = async () => {
+  const response = await API.get('/auth/sso/providers');
+  return response.data;
+};
+
+// Full-page navigation target, the IdP login cannot run over XHR
+const getSsoLoginUrl = (provider, returnTo) => {
+  const query = returnTo ? `?returnTo=${encodeURIComponent(returnTo)}` : '';
+  return `/api/auth/sso/${provider}/login${query}`;
+};
+
+const exchangeSsoCode = async (code) => {
+  const response = await API.post('/auth/sso/exchange', { code });
+  storeSession(response.data.data);
+  return response.data.data;
+};
+
 // Courses API
 const getCourses = async (params = {}) => {
   const response = await API.get('/courses', { params });
@@ -48,6 +146,16 @@ const deleteCourse = async (id) => {
   return response.data;
 };
 
+const getCourseVersions = async (id) => {
+  const response = await API.get(`/courses/${id}/versions`);
+  return response.data;
+};
+
+const publishCourse = async (id, changeNotes) => {
+  const response = await API.put(`/courses/${id}/publish`, { changeNotes });
+  return response.data;
+};
+
 // Modules API
 const getModulesByCourse = async (courseId) => {
   const response = await API.get(`/courses/${courseId}/modules`);
@@ -111,6 +219,11 @@ const updateEnrollmentProgress = async (enrollmentId, progressData) => {
   return response.data;
 };
 
+const migrateEnrollment = async (enrollmentId) => {
+  const response = await API.post(`/enrollments/${enrollmentId}/migrate`);
+  return response.data;
+};
+
 const submitAssignment = async (enrollmentId, contentId, submissionData) => {
   const response = await API.post(`/enrollments/${enrollmentId}/assignments/${contentId}`, submissionData);
   return response.data;
@@ -162,12 +275,25 @@ const downloadCertificate = async (certificateId) => {
 };
 
 const lmsService = {
+  // Auth
+  storeSession,
+  clearSession,
+  logout,
+  logoutEverywhere,
+  getSessions,
+  revokeSession,
+  getSsoProviders,
+  getSsoLoginUrl,
+  exchangeSsoCode,
+  
   // Courses
   getCourses,
   getCourseById,
   createCourse,
   updateCourse,
   deleteCourse,
+  getCourseVersions,
+  publishCourse,
   
   // Modules
   getModulesByCourse,
@@ -186,6 +312,7 @@ const lmsService = {
   getUserEnrollments,
   getEnrollmentDetails,
   updateEnrollmentProgress,
+  migrateEnrollment,
   submitAssignment,
   
   // Learning Paths
@@ -0,0 +1,36 @@
+// LTI 1.3 platform configuration
+require('dotenv').config();
+
+const baseUrl = process.env.BASE_URL || 'http://localhost:5000';
+
+// Tokens signed by one process must verify in every other and after a
+// restart, so production needs a shared key rather than a generated one
+if (process.env.NODE_ENV === 'production' && !process.env.LTI_PRIVATE_KEY) {
+  throw new Error('LTI_PRIVATE_KEY must be set in production');
+}
+
+const ltiConfig = {
+  // Issuer tools register this platform under
+  issuer: process.env.LTI_ISSUER || baseUrl,
+
+  // RSA key (PEM) id_tokens and platform tokens are signed with. Outside
+  // production a key is generated when the process starts if none is set
+  privateKey: process.env.LTI_PRIVATE_KEY && process.env.LTI_PRIVATE_KEY.replace(/\\n/g, '\n'),
+  keyId: process.env.LTI_KEY_ID || 'lms-lti-key',
+
+  // Endpoints tools are configured with
+  authUrl: `${baseUrl}/api/lti/auth`,
+  tokenUrl: `${baseUrl}/api/lti/token`,
+  jwksUrl: `${baseUrl}/api/lti/jwks`,
+  deepLinkingReturnUrl: `${baseUrl}/api/lti/deep-linking/return`,
+  lineItemsUrl: (courseId) => `${baseUrl}/api/lti/courses/${courseId}/lineitems`,
+
+  // Launches must complete quickly; service access tokens last an hour
+  messageTtlSeconds: 300,
+  accessTokenTtlSeconds: 3600,
+
+  // How long fetched tool key sets are reused
+  keySetCacheSeconds: 600
+};
+
+module.exports = ltiConfig;
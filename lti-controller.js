@@ -0,0 +1,350 @@
+const crypto = require('crypto');
+const asyncHandler = require('express-async-handler');
+const LtiTool = require('../models/LtiTool');
+const Course = require('../models/Course');
+const Module = require('../models/Module');
+const Content = require('../models/Content');
+const policyService = require('../services/policyService');
+const ltiService = require('../services/ltiService');
+
+const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  INVALID_SCOPE: 400,
+  UNSUPPORTED_GRANT_TYPE: 400,
+  UNAUTHORIZED_CLIENT: 400,
+  INVALID_CLIENT: 401,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409
+};
+
+// Set the response status for an LTI error before rethrowing it
+const rethrow = (res, error) => {
+  if (error instanceof ltiService.LtiError) {
+    res.status(ERROR_STATUS[error.code] || 400);
+  }
+  throw error;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Send a launch page. These run inside the course player's frame and post to
+// the tool, so they get their own policy instead of the default one
+const sendLaunchPage = (res, { body, script, formAction = "'none'" }) => {
+  const nonce = crypto.randomBytes(16).toString('base64');
+
+  res.removeHeader('X-Frame-Options');
+  res.set(
+    'Content-Security-Policy',
+    `default-src 'none'; script-src 'nonce-${nonce}'; form-action ${formAction}; frame-ancestors 'self' ${frontendUrl}`
+  );
+  res.send(
+    '<!DOCTYPE html><html><body>' +
+      body +
+      `<script nonce="${nonce}">${script}</script>` +
+    '</body></html>'
+  );
+};
+
+// Tool settings only admins see
+const toToolResponse = (tool) => ({
+  ...tool.toObject(),
+  registration: ltiService.getRegistration(tool)
+});
+
+// @desc    Get registered LTI tools
+// @route   GET /api/lti/tools
+// @access  Private/Instructor
+const getTools = asyncHandler(async (req, res) => {
+  const canManage = policyService.hasPermission(req.user, 'ltiTool:manage', 'any');
+  const tools = await LtiTool.find(canManage ? {} : { isActive: true }).sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: tools.length,
+    data: canManage
+      ? tools.map(toToolResponse)
+      : tools.map(tool => ({
+        _id: tool._id,
+        name: tool.name,
+        description: tool.description,
+        supportsDeepLinking: Boolean(tool.deepLinkingUrl)
+      }))
+  });
+});
+
+// @desc    Register an LTI tool
+// @route   POST /api/lti/tools
+// @access  Private/Admin
+const createTool = asyncHandler(async (req, res) => {
+  const tool = await ltiService.registerTool(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: toToolResponse(tool)
+  });
+});
+
+// @desc    Update an LTI tool registration
+// @route   PUT /api/lti/tools/:id
+// @access  Private/Admin
+const updateTool = asyncHandler(async (req, res) => {
+  const tool = await LtiTool.findById(req.params.id);
+
+  if (!tool) {
+    res.status(404);
+    throw new Error('LTI tool not found');
+  }
+
+  await ltiService.updateTool(tool, req.body);
+
+  res.status(200).json({
+    success: true,
+    data: toToolResponse(tool)
+  });
+});
+
+// @desc    Delete an LTI tool registration
+// @route   DELETE /api/lti/tools/:id
+// @access  Private/Admin
+const deleteTool = asyncHandler(async (req, res) => {
+  const tool = await LtiTool.findById(req.params.id);
+
+  if (!tool) {
+    res.status(404);
+    throw new Error('LTI tool not found');
+  }
+
+  // Published versions keep pointing at the tool, so it can only be switched off
+  if (await Content.exists({ 'lti.tool': tool._id })) {
+    res.status(409);
+    throw new Error('Content still launches this tool; deactivate it instead');
+  }
+
+  await tool.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Get the platform's public key set
+// @route   GET /api/lti/jwks
+// @access  Public
+const getJwks = asyncHandler(async (req, res) => {
+  res.status(200).json(ltiService.getKeySet());
+});
+
+// @desc    Start launching LTI content
+// @route   GET /api/lti/courses/:courseId/modules/:moduleId/content/:contentId/launch
+// @access  Private
+const getContentLaunch = asyncHandler(async (req, res) => {
+  try {
+    const launch = await ltiService.createResourceLinkLaunch(req.user, req.params);
+
+    res.status(200).json({
+      success: true,
+      data: launch
+    });
+  } catch (error) {
+    rethrow(res, error);
+  }
+});
+
+// @desc    Start a deep linking launch to pick tool resources for a module
+// @route   POST /api/lti/courses/:courseId/modules/:moduleId/deep-linking
+// @access  Private/Instructor
+const startDeepLinking = asyncHandler(async (req, res) => {
+  const { courseId, moduleId } = req.params;
+
+  const course = await Course.findById(courseId);
+
+  if (!course) {
+    res.status(404);
+    throw new Error('Course not found');
+  }
+
+  policyService.authorizeAction(req.user, 'content:edit', course, 'Not authorized to add content to this course');
+
+  const module = await Module.findOne({ _id: moduleId, course: courseId });
+
+  if (!module) {
+    res.status(404);
+    throw new Error('Module not found');
+  }
+
+  try {
+    const launch = await ltiService.createDeepLinkingLaunch(req.user, {
+      courseId,
+      moduleId,
+      toolId: req.body.toolId
+    });
+
+    res.status(200).json({
+      success: true,
+      data: launch
+    });
+  } catch (error) {
+    rethrow(res, error);
+  }
+});
+
+// @desc    Answer a tool's OIDC authentication request with an id_token
+// @route   GET|POST /api/lti/auth
+// @access  Public (requires the signed launch hint)
+const authorize = asyncHandler(async (req, res) => {
+  const params = req.method === 'POST' ? req.body : req.query;
+
+  try {
+    const { redirectUri, idToken, state } = await ltiService.authorizeLaunch(params);
+
+    sendLaunchPage(res, {
+      body:
+        `<form method="POST" action="${escapeHtml(redirectUri)}">` +
+          `<input type="hidden" name="id_token" value="${idToken}"/>` +
+          (state ? `<input type="hidden" name="state" value="${escapeHtml(state)}"/>` : '') +
+          '<noscript><button type="submit">Continue</button></noscript>' +
+        '</form>',
+      script: 'document.forms[0].submit();',
+      formAction: new URL(redirectUri).origin
+    });
+  } catch (error) {
+    rethrow(res, error);
+  }
+});
+
+// @desc    Receive the resources picked in a deep linking launch
+// @route   POST /api/lti/deep-linking/return
+// @access  Public (requires the tool-signed response)
+const deepLinkingReturn = asyncHandler(async (req, res) => {
+  try {
+    const result = await ltiService.completeDeepLinking(req.body.JWT);
+    const message = result.errorMessage || result.message ||
+      `${result.contents.length} item(s) added to the module`;
+
+    // Tell the course builder that opened the launch what was added
+    const payload = JSON.stringify({
+      type: 'lti-deep-linking',
+      courseId: result.courseId,
+      moduleId: result.moduleId,
+      contentIds: result.contents.map(content => content._id),
+      message
+    }).replace(/</g, '\\u003c');
+
+    sendLaunchPage(res, {
+      body: `<p>${escapeHtml(message)}</p>`,
+      script:
+        'var target = window.opener || window.parent;' +
+        `target.postMessage(${payload}, ${JSON.stringify(frontendUrl)});` +
+        'if (window.opener) window.close();'
+    });
+  } catch (error) {
+    rethrow(res, error);
+  }
+});
+
+// @desc    Issue a grade services access token
+// @route   POST /api/lti/token
+// @access  Public (requires a signed client assertion)
+const issueToken = asyncHandler(async (req, res) => {
+  try {
+    const token = await ltiService.issueAccessToken(req.body);
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json(token);
+  } catch (error) {
+    if (!(error instanceof ltiService.LtiError)) throw error;
+
+    // OAuth 2 error response
+    res.status(ERROR_STATUS[error.code] || 400).json({
+      error: error.code.toLowerCase(),
+      error_description: error.message
+    });
+  }
+});
+
+// Authenticate a tool's grade services request by its access token
+const requireToolAccess = (scope) => asyncHandler(async (req, res, next) => {
+  const header = req.headers.authorization || '';
+
+  try {
+    req.ltiTool = await ltiService.verifyAccessToken(header.startsWith('Bearer ') ? header.slice(7) : '', scope);
+    next();
+  } catch (error) {
+    rethrow(res, error);
+  }
+});
+
+// @desc    Get a tool's line items in a course
+// @route   GET /api/lti/courses/:courseId/lineitems
+// @access  Private/LTI tool
+const getLineItems = asyncHandler(async (req, res) => {
+  const lineItems = await ltiService.getLineItems(req.ltiTool, req.params.courseId, req.query);
+
+  res.type('application/vnd.ims.lis.v2.lineitemcontainer+json').status(200).send(JSON.stringify(lineItems));
+});
+
+// @desc    Get a line item
+// @route   GET /api/lti/courses/:courseId/lineitems/:contentId
+// @access  Private/LTI tool
+const getLineItem = asyncHandler(async (req, res) => {
+  try {
+    const lineItem = await ltiService.getLineItem(req.ltiTool, req.params.courseId, req.params.contentId);
+
+    res.type('application/vnd.ims.lis.v2.lineitem+json').status(200).send(JSON.stringify(lineItem));
+  } catch (error) {
+    rethrow(res, error);
+  }
+});
+
+// @desc    Get the results recorded for a line item
+// @route   GET /api/lti/courses/:courseId/lineitems/:contentId/results
+// @access  Private/LTI tool
+const getResults = asyncHandler(async (req, res) => {
+  try {
+    const results = await ltiService.getResults(req.ltiTool, req.params.courseId, req.params.contentId, req.query);
+
+    res.type('application/vnd.ims.lis.v2.resultcontainer+json').status(200).send(JSON.stringify(results));
+  } catch (error) {
+    rethrow(res, error);
+  }
+});
+
+// @desc    Post a learner's score for a line item
+// @route   POST /api/lti/courses/:courseId/lineitems/:contentId/scores
+// @access  Private/LTI tool
+const postScore = asyncHandler(async (req, res) => {
+  try {
+    await ltiService.recordScore(req.ltiTool, req.params.courseId, req.params.contentId, req.body);
+
+    res.status(204).end();
+  } catch (error) {
+    rethrow(res, error);
+  }
+});
+
+module.exports = {
+  getTools,
+  createTool,
+  updateTool,
+  deleteTool,
+  getJwks,
+  getContentLaunch,
+  startDeepLinking,
+  authorize,
+  deepLinkingReturn,
+  issueToken,
+  requireToolAccess,
+  getLineItems,
+  getLineItem,
+  getResults,
+  postScore
+};
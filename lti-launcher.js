@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { OpenInNew as OpenInNewIcon } from '@mui/icons-material';
+
+/**
+ * Launches LTI content in an external tool
+ * Posts the platform's login request to the tool, inside an iframe or, for
+ * tools that cannot be framed, in a new window the learner opens
+ */
+const LtiLauncher = ({
+  launch,
+  title,
+  error,
+  showTitle = true,
+  height = 640
+}) => {
+  const [loading, setLoading] = useState(true);
+  const [opened, setOpened] = useState(false);
+  const formRef = useRef(null);
+  const frameName = useRef(`lti-frame-${Math.random().toString(36).slice(2)}`);
+
+  const inWindow = Boolean(launch) && launch.presentation === 'window';
+
+  // Each launch has its own short-lived login request, so post it as soon as it arrives
+  useEffect(() => {
+    if (launch && !inWindow && formRef.current) {
+      setLoading(true);
+      formRef.current.submit();
+    }
+  }, [launch, inWindow]);
+
+  const handleOpen = () => {
+    formRef.current.submit();
+    setOpened(true);
+  };
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  if (!launch) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Paper elevation={1} sx={{ overflow: 'hidden' }}>
+      {showTitle && title && (
+        <Box sx={{ p: 2, borderBottom: 1, borderColor: 'divider' }}>
+          <Typography variant="h6">{title}</Typography>
+        </Box>
+      )}
+
+      <form
+        ref={formRef}
+        method="POST"
+        action={launch.loginUrl}
+        target={inWindow ? '_blank' : frameName.current}
+        style={{ display: 'none' }}
+      >
+        {Object.entries(launch.params).map(([name, value]) => (
+          <input key={name} type="hidden" name={name} value={value} />
+        ))}
+      </form>
+
+      {inWindow ? (
+        <Box sx={{ p: 3, textAlign: 'center' }}>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            {opened
+              ? 'The activity is open in another window. Your score is recorded when you finish it.'
+              : 'This activity opens in a new window.'}
+          </Typography>
+          <Button
+            variant="contained"
+            startIcon={<OpenInNewIcon />}
+            onClick={handleOpen}
+            disabled={opened}
+          >
+            Open activity
+          </Button>
+        </Box>
+      ) : (
+        <Box sx={{ position: 'relative', height }}>
+          {loading && (
+            <Box
+              sx={{
+                position: 'absolute',
+                inset: 0,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center'
+              }}
+            >
+              <CircularProgress />
+            </Box>
+          )}
+
+          <iframe
+            name={frameName.current}
+            title={title || 'External tool'}
+            onLoad={() => setLoading(false)}
+            style={{ width: '100%', height: '100%', border: 0 }}
+            allow="fullscreen; clipboard-write"
+            allowFullScreen
+          />
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+LtiLauncher.propTypes = {
+  launch: PropTypes.shape({
+    loginUrl: PropTypes.string.isRequired,
+    params: PropTypes.objectOf(PropTypes.string).isRequired,
+    presentation: PropTypes.oneOf(['iframe', 'window'])
+  }),
+  title: PropTypes.string,
+  error: PropTypes.string,
+  showTitle: PropTypes.bool,
+  height: PropTypes.number
+};
+
+export default LtiLauncher;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTools,
+  createTool,
+  updateTool,
+  deleteTool,
+  getJwks,
+  getContentLaunch,
+  startDeepLinking,
+  authorize,
+  deepLinkingReturn,
+  issueToken,
+  requireToolAccess,
+  getLineItems,
+  getLineItem,
+  getResults,
+  postScore
+} = require('../controllers/ltiController');
+const { protect, requirePermission } = require('../config/middleware');
+
+// Tool registrations
+router.route('/tools')
+  .get(protect, requirePermission('ltiTool:view'), getTools)
+  .post(protect, requirePermission('ltiTool:manage'), createTool);
+
+router.route('/tools/:id')
+  .put(protect, requirePermission('ltiTool:manage'), updateTool)
+  .delete(protect, requirePermission('ltiTool:manage'), deleteTool);
+
+// Launches start with a signed-in user and finish with the tool's OIDC login
+router.get('/courses/:courseId/modules/:moduleId/content/:contentId/launch', protect, getContentLaunch);
+router.post('/courses/:courseId/modules/:moduleId/deep-linking', protect, requirePermission('content:edit'), startDeepLinking);
+
+// Tool-facing endpoints; the tool's signed messages or access token authenticate
+router.get('/jwks', getJwks);
+router.route('/auth').get(authorize).post(authorize);
+router.post('/deep-linking/return', deepLinkingReturn);
+router.post('/token', issueToken);
+
+// Assignment and Grade Services
+router.get('/courses/:courseId/lineitems', requireToolAccess('lineItem'), getLineItems);
+router.get('/courses/:courseId/lineitems/:contentId', requireToolAccess('lineItem'), getLineItem);
+router.get('/courses/:courseId/lineitems/:contentId/results', requireToolAccess('result'), getResults);
+router.post(
+  '/courses/:courseId/lineitems/:contentId/scores',
+  express.json({ type: 'application/vnd.ims.lis.v1.score+json' }),
+  requireToolAccess('score'),
+  postScore
+);
+
+module.exports = router;
@@ -0,0 +1,1030 @@
+/**
+ * LTI service
+ * Acts as an LTI 1.3 platform for external tools: starts the OIDC logins for
+ * resource link and deep linking launches, signs their id_tokens, turns deep
+ * linking responses into course content and serves Assignment and Grade
+ * Services, so scores tools post reach the learner's enrollment
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const LtiTool = require('../models/LtiTool');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Module = require('../models/Module');
+const Content = require('../models/Content');
+const Enrollment = require('../models/Enrollment');
+const courseVersionService = require('./courseVersionService');
+const policyService = require('./policyService');
+const xapiService = require('./xapiService');
+const ltiConfig = require('../config/lti');
+
+const LTI_VERSION = '1.3.0';
+
+const LTI_CLAIM = 'https://purl.imsglobal.org/spec/lti/claim';
+const DEEP_LINKING_CLAIM = 'https://purl.imsglobal.org/spec/lti-dl/claim';
+const AGS_CLAIM = 'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint';
+
+const ROLES = {
+  learner: 'http://purl.imsglobal.org/vocab/lis/v2/membership#Learner',
+  instructor: 'http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor',
+  administrator: 'http://purl.imsglobal.org/vocab/lis/v2/institution/person#Administrator'
+};
+
+const AGS_SCOPES = {
+  lineItem: 'https://purl.imsglobal.org/spec/lti-ags/scope/lineitem.readonly',
+  result: 'https://purl.imsglobal.org/spec/lti-ags/scope/result.readonly',
+  score: 'https://purl.imsglobal.org/spec/lti-ags/scope/score'
+};
+
+// Only web addresses from tools may become launch targets or course links
+const URL_SCHEME = /^([a-z][a-z0-9+.-]*):/i;
+const WEB_SCHEMES = ['http', 'https'];
+
+const ACTIVITY_PROGRESS = ['Initialized', 'Started', 'InProgress', 'Submitted', 'Completed'];
+const GRADING_PROGRESS = ['FullyGraded', 'Pending', 'PendingManual', 'Failed', 'NotReady'];
+
+// Each kind of platform token gets its own audience, so one cannot stand in for another
+const AUDIENCES = {
+  messageHint: 'lti-message-hint',
+  deepLinkingData: 'lti-deep-linking-data',
+  accessToken: 'lti-services'
+};
+
+// Tool registration fields admins can set
+const TOOL_FIELDS = [
+  'name',
+  'description',
+  'loginUrl',
+  'launchUrl',
+  'redirectUris',
+  'deepLinkingUrl',
+  'keySetUrl',
+  'publicKey',
+  'customParameters',
+  'gradeServices',
+  'isActive'
+];
+
+/**
+ * Error thrown when an LTI message or service request is rejected
+ * Controllers map the code to an HTTP status (and OAuth error for the token endpoint)
+ */
+class LtiError extends Error {
+  constructor(message, code = 'INVALID_REQUEST') {
+    super(message);
+    this.name = 'LtiError';
+    this.code = code;
+  }
+}
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+const isObjectId = (value) => typeof value === 'string' && /^[0-9a-f]{24}$/i.test(value);
+
+const isWebUrl = (url) => {
+  const scheme = typeof url === 'string' && url.match(URL_SCHEME);
+  return Boolean(scheme) && WEB_SCHEMES.includes(scheme[1].toLowerCase());
+};
+
+const toPlainObject = (value) => (value instanceof Map ? Object.fromEntries(value) : { ...(value || {}) });
+
+// Platform key pair, loaded once per process (generated in development)
+let keys = null;
+
+const getKeys = () => {
+  if (!keys) {
+    const privateKey = ltiConfig.privateKey
+      ? crypto.createPrivateKey(ltiConfig.privateKey)
+      : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    const publicKey = crypto.createPublicKey(privateKey);
+
+    keys = {
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      jwk: { ...publicKey.export({ format: 'jwk' }), kid: ltiConfig.keyId, use: 'sig', alg: 'RS256' }
+    };
+  }
+
+  return keys;
+};
+
+/**
+ * Public key set tools verify our id_tokens with
+ * @returns {Object} - JWKS
+ */
+const getKeySet = () => ({ keys: [getKeys().jwk] });
+
+const signPlatformToken = (payload, audience, expiresIn = ltiConfig.messageTtlSeconds) => jwt.sign(
+  payload,
+  getKeys().privateKey,
+  { algorithm: 'RS256', keyid: ltiConfig.keyId, issuer: ltiConfig.issuer, audience, expiresIn }
+);
+
+const verifyPlatformToken = (token, audience, message) => {
+  try {
+    return jwt.verify(token || '', getKeys().publicKey, {
+      algorithms: ['RS256'],
+      issuer: ltiConfig.issuer,
+      audience
+    });
+  } catch (error) {
+    throw new LtiError(message, 'UNAUTHORIZED');
+  }
+};
+
+// Tool key sets, cached by URL
+const keySetCache = new Map();
+
+const fetchKeySet = async (url, { refresh = false } = {}) => {
+  const cached = keySetCache.get(url);
+
+  if (cached && !refresh && cached.expiresAt > Date.now()) {
+    return cached.keys;
+  }
+
+  const { data } = await axios.get(url, { timeout: 10000 });
+  const keySet = (data && data.keys) || [];
+
+  keySetCache.set(url, { keys: keySet, expiresAt: Date.now() + ltiConfig.keySetCacheSeconds * 1000 });
+  return keySet;
+};
+
+/**
+ * Get the key a tool signs its messages with
+ * @param {Object} tool - LtiTool
+ * @param {string} kid - Key ID from the JWT header
+ * @returns {Object|string} - Public key
+ */
+const getToolKey = async (tool, kid) => {
+  if (tool.publicKey) return tool.publicKey;
+
+  const findKey = (keySet) => keySet.find(key => key.kty === 'RSA' && (!kid || key.kid === kid));
+
+  try {
+    // Tools rotate keys, so an unknown key ID refreshes the cached set once
+    const jwk = findKey(await fetchKeySet(tool.keySetUrl)) ||
+      findKey(await fetchKeySet(tool.keySetUrl, { refresh: true }));
+
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  } catch (error) {
+    console.error(`Error fetching the key set of LTI tool ${tool.name}:`, error.message);
+  }
+
+  throw new LtiError('Tool signing key not found', 'INVALID_CLIENT');
+};
+
+/**
+ * Verify a JWT signed by a registered tool, which is its own issuer
+ * @param {string} token - JWT
+ * @param {string} audience - Expected audience
+ * @returns {Object} - { tool, payload }
+ */
+const verifyToolToken = async (token, audience) => {
+  const decoded = jwt.decode(token || '', { complete: true });
+  const clientId = decoded && decoded.payload && decoded.payload.iss;
+
+  if (!clientId) {
+    throw new LtiError('Malformed tool JWT', 'INVALID_CLIENT');
+  }
+
+  const tool = await LtiTool.findOne({ clientId: String(clientId), isActive: true });
+
+  if (!tool) {
+    throw new LtiError('Unknown LTI tool', 'INVALID_CLIENT');
+  }
+
+  const key = await getToolKey(tool, decoded.header.kid);
+
+  try {
+    const payload = jwt.verify(token, key, { algorithms: ['RS256'], issuer: tool.clientId, audience });
+
+    if (!payload.exp) {
+      throw new Error('JWT has no expiry');
+    }
+
+    return { tool, payload };
+  } catch (error) {
+    throw new LtiError(`Tool JWT rejected: ${error.message}`, 'INVALID_CLIENT');
+  }
+};
+
+/**
+ * Platform details a tool is configured with
+ * @param {Object} tool - LtiTool
+ * @returns {Object}
+ */
+const getRegistration = (tool) => ({
+  issuer: ltiConfig.issuer,
+  clientId: tool.clientId,
+  deploymentId: tool.deploymentId,
+  authUrl: ltiConfig.authUrl,
+  tokenUrl: ltiConfig.tokenUrl,
+  jwksUrl: ltiConfig.jwksUrl,
+  deepLinkingReturnUrl: ltiConfig.deepLinkingReturnUrl
+});
+
+const pickToolFields = (data) => TOOL_FIELDS
+  .filter(field => data[field] !== undefined)
+  .reduce((fields, field) => ({ ...fields, [field]: data[field] }), {});
+
+/**
+ * Register a tool, issuing its client and deployment IDs
+ * @param {Object} data - Tool registration fields
+ * @param {string} userId - Registering admin
+ * @returns {Object} - LtiTool
+ */
+const registerTool = (data, userId) => LtiTool.create({
+  ...pickToolFields(data),
+  clientId: crypto.randomUUID(),
+  deploymentId: crypto.randomUUID(),
+  createdBy: userId
+});
+
+/**
+ * Update a tool's registration; client and deployment IDs stay as issued
+ * @param {Object} tool - LtiTool
+ * @param {Object} data - Tool registration fields
+ * @returns {Object} - LtiTool
+ */
+const updateTool = async (tool, data) => {
+  tool.set(pickToolFields(data));
+  await tool.save();
+
+  if (tool.keySetUrl) {
+    keySetCache.delete(tool.keySetUrl);
+  }
+
+  return tool;
+};
+
+/**
+ * Third-party login request the browser sends to the tool to start a launch
+ * @param {Object} tool - LtiTool
+ * @param {string} targetLinkUri - Resource being launched
+ * @param {Object} hint - What the launch is for, carried to the auth request
+ * @returns {Object} - { loginUrl, params }
+ */
+const buildLoginRequest = (tool, targetLinkUri, hint) => ({
+  loginUrl: tool.loginUrl,
+  params: {
+    iss: ltiConfig.issuer,
+    login_hint: hint.userId,
+    target_link_uri: targetLinkUri,
+    // The auth request arrives without our session, so the hint vouches for the user
+    lti_message_hint: signPlatformToken({ ...hint, toolId: toId(tool) }, AUDIENCES.messageHint),
+    client_id: tool.clientId,
+    lti_deployment_id: tool.deploymentId
+  }
+});
+
+/**
+ * Load an LTI content item for a launch: the learner's version of it, or the
+ * draft for course editors without an enrollment
+ * @param {Object} user - Launching user
+ * @param {Object} params - Course, module and content IDs
+ * @returns {Object} - { course, enrollment, version, content, tool }
+ */
+const getLaunchContent = async (user, { courseId, moduleId, contentId }) => {
+  const course = await Course.findById(courseId);
+
+  if (!course) {
+    throw new LtiError('Course not found', 'NOT_FOUND');
+  }
+
+  const enrollment = await Enrollment.findOne({ user: toId(user.id || user._id), course: courseId });
+
+  if (!enrollment && !policyService.can(user, 'content:edit', course)) {
+    throw new LtiError('You are not enrolled in this course', 'FORBIDDEN');
+  }
+
+  const version = enrollment && await courseVersionService.getEnrollmentVersion(enrollment);
+  const content = version
+    ? courseVersionService.findVersionContent(version, moduleId, contentId)
+    : await Content.findOne({ _id: contentId, module: moduleId }).lean();
+
+  if (!content || content.contentType !== 'LTI' || !content.lti) {
+    throw new LtiError('LTI content not found', 'NOT_FOUND');
+  }
+
+  const tool = await LtiTool.findOne({ _id: content.lti.tool, isActive: true });
+
+  if (!tool) {
+    throw new LtiError('The LTI tool for this content is not available', 'NOT_FOUND');
+  }
+
+  return { course, enrollment, version, content, tool };
+};
+
+/**
+ * Start a resource link launch of LTI content
+ * @param {Object} user - Authenticated user
+ * @param {Object} params - Course, module and content IDs
+ * @returns {Object} - { loginUrl, params, presentation }
+ */
+const createResourceLinkLaunch = async (user, { courseId, moduleId, contentId }) => {
+  const { content, tool } = await getLaunchContent(user, { courseId, moduleId, contentId });
+
+  return {
+    ...buildLoginRequest(tool, content.lti.url || tool.launchUrl, {
+      type: 'LtiResourceLinkRequest',
+      userId: toId(user.id || user._id),
+      courseId: toId(courseId),
+      moduleId: toId(moduleId),
+      contentId: toId(contentId)
+    }),
+    presentation: content.lti.presentation || 'iframe'
+  };
+};
+
+/**
+ * Start a deep linking launch, where an instructor picks tool resources to
+ * add to a module
+ * @param {Object} user - Authenticated user
+ * @param {Object} params - Course and module IDs and the tool
+ * @returns {Object} - { loginUrl, params }
+ */
+const createDeepLinkingLaunch = async (user, { courseId, moduleId, toolId }) => {
+  const tool = isObjectId(String(toolId)) && await LtiTool.findOne({ _id: toolId, isActive: true });
+
+  if (!tool) {
+    throw new LtiError('LTI tool not found', 'NOT_FOUND');
+  }
+
+  if (!tool.deepLinkingUrl) {
+    throw new LtiError(`${tool.name} does not support deep linking`, 'INVALID_REQUEST');
+  }
+
+  return buildLoginRequest(tool, tool.deepLinkingUrl, {
+    type: 'LtiDeepLinkingRequest',
+    userId: toId(user.id || user._id),
+    courseId: toId(courseId),
+    moduleId: toId(moduleId)
+  });
+};
+
+/**
+ * LTI roles for a user in a course
+ * @param {Object} user - User document
+ * @param {Object} course - Course document
+ * @returns {Array} - Role URIs
+ */
+const getRoles = (user, course) => {
+  const roles = [policyService.can(user, 'content:edit', course) ? ROLES.instructor : ROLES.learner];
+
+  if (user.role === 'admin') {
+    roles.push(ROLES.administrator);
+  }
+
+  return roles;
+};
+
+const contextClaim = (course) => ({
+  id: toId(course),
+  label: course.title,
+  title: course.title,
+  type: ['http://purl.imsglobal.org/vocab/lis/v2/course#CourseOffering']
+});
+
+/**
+ * Find or start a learner's progress entry for a content item
+ * @param {Object} enrollment - Enrollment document
+ * @param {string} moduleId - Module ID
+ * @param {string} contentId - Content ID
+ * @returns {Object} - { moduleProgress, contentProgress }
+ */
+const getContentProgress = (enrollment, moduleId, contentId) => {
+  let moduleProgress = enrollment.moduleProgress.find(item => toId(item.moduleId) === toId(moduleId));
+
+  if (!moduleProgress) {
+    enrollment.moduleProgress.push({ moduleId, progress: 0, contentProgress: [] });
+    moduleProgress = enrollment.moduleProgress[enrollment.moduleProgress.length - 1];
+  }
+
+  let contentProgress = moduleProgress.contentProgress.find(item => toId(item.contentId) === toId(contentId));
+
+  if (!contentProgress) {
+    moduleProgress.contentProgress.push({ contentId, status: 'not-started', progress: 0, timeSpent: 0 });
+    contentProgress = moduleProgress.contentProgress[moduleProgress.contentProgress.length - 1];
+  }
+
+  return { moduleProgress, contentProgress };
+};
+
+/**
+ * Save a content progress change, counting completed content towards the course
+ * Completion (certificate, badges) is left to the enrollment progress update
+ * @param {Object} enrollment - Enrollment document
+ * @param {Object} version - CourseVersion (or null)
+ * @param {string} moduleId - Module ID
+ * @param {Object} progress - { moduleProgress, contentProgress }
+ */
+const saveContentProgress = async (enrollment, version, moduleId, { moduleProgress, contentProgress }) => {
+  if (contentProgress.status === 'completed') {
+    courseVersionService.recordContentCompletion(enrollment, version, moduleId, contentProgress.contentId, {
+      completedOn: contentProgress.completionDate,
+      timeSpent: contentProgress.timeSpent
+    });
+  }
+
+  const completedCount = moduleProgress.contentProgress.filter(item => item.status === 'completed').length;
+  moduleProgress.progress = (completedCount / moduleProgress.contentProgress.length) * 100;
+
+  if (version) {
+    enrollment.progressPercentage = courseVersionService.calculateProgress(enrollment, version);
+  }
+
+  if (enrollment.status === 'Not Started') {
+    enrollment.status = 'In Progress';
+  }
+
+  enrollment.lastAccessedOn = Date.now();
+  await enrollment.save();
+};
+
+/**
+ * Record that a learner launched LTI content. Content without a line item
+ * has nothing to grade, so launching it completes it
+ * @param {Object} launch - Enrollment, version, content, course and module IDs and user
+ */
+const recordLaunch = async ({ enrollment, version, content, courseId, moduleId, user }) => {
+  const progress = getContentProgress(enrollment, moduleId, toId(content));
+  const { contentProgress } = progress;
+  const isFirstLaunch = contentProgress.status === 'not-started';
+  const gradable = Boolean(content.lti.lineItem && content.lti.lineItem.scoreMaximum > 0);
+
+  if (!gradable && contentProgress.status !== 'completed') {
+    contentProgress.status = 'completed';
+    contentProgress.progress = 100;
+    contentProgress.completionDate = new Date();
+  } else if (isFirstLaunch) {
+    contentProgress.status = 'in-progress';
+  }
+
+  contentProgress.lastAccessDate = new Date();
+  await saveContentProgress(enrollment, version, moduleId, progress);
+
+  const activity = xapiService.contentActivity(courseId, moduleId, content);
+  const context = xapiService.learningContext({ courseId, moduleId, enrollment });
+
+  await xapiService.recordStatement(user, 'launched', activity, { context });
+
+  if (!gradable && isFirstLaunch) {
+    await xapiService.recordStatement(user, 'completed', activity, { result: { completion: true }, context });
+  }
+};
+
+/**
+ * Claims of a resource link launch
+ * @param {Object} tool - LtiTool
+ * @param {Object} user - User document
+ * @param {Object} hint - Verified message hint
+ * @returns {Object}
+ */
+const resourceLinkClaims = async (tool, user, hint) => {
+  const { course, enrollment, version, content, tool: contentTool } = await getLaunchContent(user, hint);
+
+  if (toId(contentTool) !== toId(tool)) {
+    throw new LtiError('Content belongs to another tool', 'INVALID_CLIENT');
+  }
+
+  if (enrollment) {
+    await recordLaunch({ enrollment, version, content, courseId: hint.courseId, moduleId: hint.moduleId, user });
+  }
+
+  const { lineItem } = content.lti;
+  const lineItemsUrl = ltiConfig.lineItemsUrl(hint.courseId);
+
+  return {
+    [`${LTI_CLAIM}/message_type`]: 'LtiResourceLinkRequest',
+    [`${LTI_CLAIM}/target_link_uri`]: content.lti.url || tool.launchUrl,
+    [`${LTI_CLAIM}/resource_link`]: {
+      id: toId(content),
+      title: content.title,
+      ...(content.description && { description: content.description })
+    },
+    [`${LTI_CLAIM}/roles`]: getRoles(user, course),
+    [`${LTI_CLAIM}/context`]: contextClaim(course),
+    [`${LTI_CLAIM}/launch_presentation`]: { document_target: content.lti.presentation || 'iframe' },
+    [`${LTI_CLAIM}/custom`]: { ...toPlainObject(tool.customParameters), ...toPlainObject(content.lti.custom) },
+    ...(tool.gradeServices && lineItem && lineItem.scoreMaximum > 0 && {
+      [AGS_CLAIM]: {
+        scope: Object.values(AGS_SCOPES),
+        lineitems: lineItemsUrl,
+        lineitem: `${lineItemsUrl}/${toId(content)}`
+      }
+    })
+  };
+};
+
+/**
+ * Claims of a deep linking launch
+ * @param {Object} tool - LtiTool
+ * @param {Object} user - User document
+ * @param {Object} hint - Verified message hint
+ * @returns {Object}
+ */
+const deepLinkingClaims = async (tool, user, hint) => {
+  const course = await Course.findById(hint.courseId);
+
+  if (!course || !policyService.can(user, 'content:edit', course)) {
+    throw new LtiError('Not authorized to add content to this course', 'FORBIDDEN');
+  }
+
+  return {
+    [`${LTI_CLAIM}/message_type`]: 'LtiDeepLinkingRequest',
+    [`${LTI_CLAIM}/target_link_uri`]: tool.deepLinkingUrl,
+    [`${LTI_CLAIM}/roles`]: getRoles(user, course),
+    [`${LTI_CLAIM}/context`]: contextClaim(course),
+    [`${DEEP_LINKING_CLAIM}/deep_linking_settings`]: {
+      deep_link_return_url: ltiConfig.deepLinkingReturnUrl,
+      accept_types: ['ltiResourceLink', 'link'],
+      accept_presentation_document_targets: ['iframe', 'window'],
+      accept_multiple: true,
+      auto_create: true,
+      title: course.title,
+      data: signPlatformToken(
+        { userId: hint.userId, courseId: hint.courseId, moduleId: hint.moduleId, toolId: toId(tool) },
+        AUDIENCES.deepLinkingData,
+        ltiConfig.accessTokenTtlSeconds
+      )
+    }
+  };
+};
+
+/**
+ * Answer a tool's OIDC authentication request with a signed id_token
+ * @param {Object} params - Authentication request parameters
+ * @returns {Object} - { redirectUri, idToken, state }
+ */
+const authorizeLaunch = async (params) => {
+  const { scope, response_type, response_mode, client_id, redirect_uri, login_hint, lti_message_hint, nonce, state } = params;
+
+  if (scope !== 'openid' || response_type !== 'id_token' || response_mode !== 'form_post') {
+    throw new LtiError('Authentication requests must ask for an id_token by form post with the openid scope');
+  }
+
+  if (!nonce) {
+    throw new LtiError('Authentication requests need a nonce');
+  }
+
+  const hint = verifyPlatformToken(lti_message_hint, AUDIENCES.messageHint, 'Launch has expired, open the content again');
+
+  if (hint.userId !== login_hint) {
+    throw new LtiError('Login hint does not match the launch', 'UNAUTHORIZED');
+  }
+
+  const tool = await LtiTool.findOne({ _id: hint.toolId, clientId: client_id, isActive: true });
+
+  if (!tool) {
+    throw new LtiError('Unknown LTI tool', 'INVALID_CLIENT');
+  }
+
+  const redirectUris = tool.redirectUris.length > 0
+    ? tool.redirectUris
+    : [tool.launchUrl, tool.deepLinkingUrl].filter(Boolean);
+
+  if (!redirectUris.includes(redirect_uri)) {
+    throw new LtiError('Redirect URI is not registered for this tool');
+  }
+
+  const user = await User.findById(hint.userId).select('name email role department');
+
+  if (!user) {
+    throw new LtiError('User not found', 'UNAUTHORIZED');
+  }
+
+  const claims = hint.type === 'LtiDeepLinkingRequest'
+    ? await deepLinkingClaims(tool, user, hint)
+    : await resourceLinkClaims(tool, user, hint);
+
+  const idToken = jwt.sign(
+    {
+      ...claims,
+      nonce,
+      azp: tool.clientId,
+      name: user.name,
+      email: user.email,
+      [`${LTI_CLAIM}/version`]: LTI_VERSION,
+      [`${LTI_CLAIM}/deployment_id`]: tool.deploymentId,
+      [`${LTI_CLAIM}/tool_platform`]: { guid: ltiConfig.issuer, name: 'LMS-HRM', product_family_code: 'lms-hrm' }
+    },
+    getKeys().privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: ltiConfig.keyId,
+      issuer: ltiConfig.issuer,
+      audience: tool.clientId,
+      subject: toId(user),
+      expiresIn: ltiConfig.messageTtlSeconds
+    }
+  );
+
+  return { redirectUri: redirect_uri, idToken, state };
+};
+
+/**
+ * Add the resources an instructor picked in a tool to the module the deep
+ * linking launch was for
+ * @param {string} token - Deep linking response JWT
+ * @returns {Object} - { courseId, moduleId, contents, message, errorMessage }
+ */
+const completeDeepLinking = async (token) => {
+  const { tool, payload } = await verifyToolToken(token, ltiConfig.issuer);
+
+  if (payload[`${LTI_CLAIM}/message_type`] !== 'LtiDeepLinkingResponse') {
+    throw new LtiError('Expected a deep linking response');
+  }
+
+  if (payload[`${LTI_CLAIM}/deployment_id`] !== tool.deploymentId) {
+    throw new LtiError('Deep linking response is for another deployment', 'INVALID_CLIENT');
+  }
+
+  const data = verifyPlatformToken(
+    payload[`${DEEP_LINKING_CLAIM}/data`],
+    AUDIENCES.deepLinkingData,
+    'Deep linking session has expired, start again'
+  );
+
+  if (data.toolId !== toId(tool)) {
+    throw new LtiError('Deep linking response came from another tool', 'INVALID_CLIENT');
+  }
+
+  const module = await Module.findOne({ _id: data.moduleId, course: data.courseId });
+
+  if (!module) {
+    throw new LtiError('Module not found', 'NOT_FOUND');
+  }
+
+  const items = payload[`${DEEP_LINKING_CLAIM}/content_items`] || [];
+  const unsafeItem = items.find(item => item.url !== undefined && !isWebUrl(item.url));
+
+  if (unsafeItem) {
+    throw new LtiError(`Content item URL ${unsafeItem.url} must be a web address`);
+  }
+
+  const lastContent = await Content.findOne({ module: module._id }).sort({ order: -1 });
+  let order = lastContent ? lastContent.order + 1 : 0;
+  const contents = [];
+
+  for (const item of items) {
+    const fields = {
+      title: String(item.title || tool.name).slice(0, 100),
+      ...(item.text && { description: String(item.text).slice(0, 500) }),
+      module: module._id,
+      createdBy: data.userId
+    };
+
+    let content;
+
+    if (item.type === 'ltiResourceLink') {
+      const lineItem = item.lineItem && item.lineItem.scoreMaximum > 0 && {
+        label: item.lineItem.label,
+        scoreMaximum: item.lineItem.scoreMaximum,
+        resourceId: item.lineItem.resourceId,
+        tag: item.lineItem.tag
+      };
+
+      content = new Content({
+        ...fields,
+        order,
+        contentType: 'LTI',
+        lti: {
+          tool: tool._id,
+          url: item.url,
+          custom: item.custom,
+          presentation: item.window && !item.iframe ? 'window' : 'iframe',
+          ...(lineItem && { lineItem })
+        }
+      });
+    } else if (item.type === 'link' && item.url) {
+      content = new Content({ ...fields, order, contentType: 'Link', externalLink: item.url });
+    } else {
+      continue;
+    }
+
+    await content.save();
+    module.contents.push(content._id);
+    contents.push(content);
+    order += 1;
+  }
+
+  if (contents.length > 0) {
+    await module.save();
+    await courseVersionService.markDraftChanged(data.courseId);
+  }
+
+  return {
+    courseId: data.courseId,
+    moduleId: data.moduleId,
+    contents,
+    message: payload[`${DEEP_LINKING_CLAIM}/msg`],
+    errorMessage: payload[`${DEEP_LINKING_CLAIM}/errormsg`]
+  };
+};
+
+/**
+ * Issue an Assignment and Grade Services access token for a tool that
+ * authenticates with a signed client assertion
+ * @param {Object} params - Client credentials grant parameters
+ * @returns {Object} - OAuth 2 token response
+ */
+const issueAccessToken = async ({ grant_type, client_assertion_type, client_assertion, scope }) => {
+  if (grant_type !== 'client_credentials') {
+    throw new LtiError('Only the client_credentials grant is supported', 'UNSUPPORTED_GRANT_TYPE');
+  }
+
+  if (client_assertion_type !== 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer') {
+    throw new LtiError('Tools authenticate with a JWT client assertion', 'INVALID_CLIENT');
+  }
+
+  const { tool, payload } = await verifyToolToken(client_assertion, ltiConfig.tokenUrl);
+
+  if (payload.sub !== tool.clientId) {
+    throw new LtiError('Client assertion subject must be the client ID', 'INVALID_CLIENT');
+  }
+
+  if (!tool.gradeServices) {
+    throw new LtiError(`${tool.name} may not use grade services`, 'UNAUTHORIZED_CLIENT');
+  }
+
+  const granted = String(scope || '')
+    .split(' ')
+    .filter(value => Object.values(AGS_SCOPES).includes(value));
+
+  if (granted.length === 0) {
+    throw new LtiError('No supported scope requested', 'INVALID_SCOPE');
+  }
+
+  return {
+    access_token: signPlatformToken(
+      { toolId: toId(tool), scope: granted.join(' ') },
+      AUDIENCES.accessToken,
+      ltiConfig.accessTokenTtlSeconds
+    ),
+    token_type: 'Bearer',
+    expires_in: ltiConfig.accessTokenTtlSeconds,
+    scope: granted.join(' ')
+  };
+};
+
+/**
+ * Check a grade services access token
+ * @param {string} token - Bearer token
+ * @param {string} scope - Scope key the request needs ('lineItem', 'result' or 'score')
+ * @returns {Object} - LtiTool the token was issued to
+ */
+const verifyAccessToken = async (token, scope) => {
+  const decoded = verifyPlatformToken(token, AUDIENCES.accessToken, 'Invalid or expired access token');
+
+  if (!decoded.scope.split(' ').includes(AGS_SCOPES[scope])) {
+    throw new LtiError('Access token does not grant this scope', 'FORBIDDEN');
+  }
+
+  const tool = await LtiTool.findOne({ _id: decoded.toolId, isActive: true, gradeServices: true });
+
+  if (!tool) {
+    throw new LtiError('LTI tool is no longer registered', 'UNAUTHORIZED');
+  }
+
+  return tool;
+};
+
+/**
+ * The gradable content a tool provides in a course, as line items live on
+ * the course draft
+ * @param {Object} tool - LtiTool
+ * @param {string} courseId - Course ID
+ * @returns {Array} - Content
+ */
+const findGradableContent = async (tool, courseId) => {
+  const modules = await Module.find({ course: courseId }).select('_id');
+
+  return Content.find({
+    module: { $in: modules.map(module => module._id) },
+    contentType: 'LTI',
+    'lti.tool': tool._id,
+    'lti.lineItem.scoreMaximum': { $gt: 0 }
+  })
+    .sort({ order: 1 })
+    .lean();
+};
+
+const toLineItem = (courseId, content) => ({
+  id: `${ltiConfig.lineItemsUrl(courseId)}/${toId(content)}`,
+  label: content.lti.lineItem.label || content.title,
+  scoreMaximum: content.lti.lineItem.scoreMaximum,
+  resourceLinkId: toId(content),
+  ...(content.lti.lineItem.resourceId && { resourceId: content.lti.lineItem.resourceId }),
+  ...(content.lti.lineItem.tag && { tag: content.lti.lineItem.tag })
+});
+
+/**
+ * List a tool's line items in a course
+ * @param {Object} tool - LtiTool
+ * @param {string} courseId - Course ID
+ * @param {Object} filters - resource_link_id, resource_id and tag
+ * @returns {Array} - Line items
+ */
+const getLineItems = async (tool, courseId, { resource_link_id, resource_id, tag } = {}) => {
+  const contents = await findGradableContent(tool, courseId);
+
+  return contents
+    .map(content => toLineItem(courseId, content))
+    .filter(item => !resource_link_id || item.resourceLinkId === resource_link_id)
+    .filter(item => !resource_id || item.resourceId === resource_id)
+    .filter(item => !tag || item.tag === tag);
+};
+
+/**
+ * Get one of a tool's line items
+ * @param {Object} tool - LtiTool
+ * @param {string} courseId - Course ID
+ * @param {string} contentId - Content ID the line item belongs to
+ * @returns {Object} - Line item
+ */
+const getLineItem = async (tool, courseId, contentId) => {
+  const content = (await findGradableContent(tool, courseId))
+    .find(item => toId(item) === contentId);
+
+  if (!content) {
+    throw new LtiError('Line item not found', 'NOT_FOUND');
+  }
+
+  return toLineItem(courseId, content);
+};
+
+/**
+ * List the scores recorded against a line item
+ * @param {Object} tool - LtiTool
+ * @param {string} courseId - Course ID
+ * @param {string} contentId - Content ID the line item belongs to
+ * @param {Object} filters - user_id
+ * @returns {Array} - Results
+ */
+const getResults = async (tool, courseId, contentId, { user_id } = {}) => {
+  const lineItem = await getLineItem(tool, courseId, contentId);
+
+  if (user_id && !isObjectId(user_id)) {
+    return [];
+  }
+
+  const enrollments = await Enrollment.find({
+    course: courseId,
+    'moduleProgress.contentProgress.contentId': contentId,
+    ...(user_id && { user: user_id })
+  }).select('user moduleProgress');
+
+  return enrollments
+    .map(enrollment => {
+      const contentProgress = enrollment.moduleProgress
+        .flatMap(item => item.contentProgress)
+        .find(item => toId(item.contentId) === contentId);
+      const score = contentProgress && contentProgress.lti;
+
+      if (!score || score.scoreGiven === undefined || score.scoreGiven === null) return null;
+
+      return {
+        id: `${lineItem.id}/results/${toId(enrollment.user)}`,
+        scoreOf: lineItem.id,
+        userId: toId(enrollment.user),
+        resultScore: score.scoreGiven,
+        resultMaximum: score.scoreMaximum,
+        ...(score.comment && { comment: score.comment })
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Find a content item and its module in a version snapshot
+ * @param {Object} version - CourseVersion
+ * @param {string} contentId - Content ID
+ * @returns {Object} - { moduleId, content }
+ */
+const findVersionContentById = (version, contentId) => {
+  for (const module of version.modules) {
+    const content = module.contents.find(item => toId(item) === contentId);
+    if (content) return { moduleId: toId(module), content };
+  }
+
+  return {};
+};
+
+/**
+ * Record a score a tool posted for a learner. A fully graded score at or
+ * above the content's passing score completes the content
+ * @param {Object} tool - LtiTool
+ * @param {string} courseId - Course ID
+ * @param {string} contentId - Content ID the line item belongs to
+ * @param {Object} score - AGS score
+ * @returns {Object} - Score as recorded on the enrollment
+ */
+const recordScore = async (tool, courseId, contentId, score) => {
+  const { userId, scoreGiven, scoreMaximum, comment, timestamp, activityProgress, gradingProgress } = score || {};
+  const hasScore = scoreGiven !== undefined && scoreGiven !== null;
+
+  if (!isObjectId(userId)) {
+    throw new LtiError('Score needs the userId of the learner');
+  }
+
+  if (!ACTIVITY_PROGRESS.includes(activityProgress) || !GRADING_PROGRESS.includes(gradingProgress)) {
+    throw new LtiError('Score needs a valid activityProgress and gradingProgress');
+  }
+
+  if (!timestamp || Number.isNaN(Date.parse(timestamp))) {
+    throw new LtiError('Score needs an ISO 8601 timestamp');
+  }
+
+  if (hasScore && (typeof scoreGiven !== 'number' || scoreGiven < 0 || !(scoreMaximum > 0))) {
+    throw new LtiError('scoreGiven must be a positive number with a scoreMaximum above 0');
+  }
+
+  const enrollment = await Enrollment.findOne({ user: userId, course: courseId });
+
+  if (!enrollment) {
+    throw new LtiError('Learner is not enrolled in this course', 'NOT_FOUND');
+  }
+
+  const version = await courseVersionService.getEnrollmentVersion(enrollment);
+  let moduleId;
+  let content;
+
+  if (version) {
+    ({ moduleId, content } = findVersionContentById(version, contentId));
+  } else {
+    content = await Content.findById(contentId).lean();
+    moduleId = content && toId(content.module);
+  }
+
+  if (!content || content.contentType !== 'LTI' || toId(content.lti.tool) !== toId(tool)) {
+    throw new LtiError('Line item not found', 'NOT_FOUND');
+  }
+
+  const progress = getContentProgress(enrollment, moduleId, contentId);
+  const { contentProgress } = progress;
+  const scoredAt = new Date(timestamp);
+
+  if (contentProgress.lti && contentProgress.lti.timestamp && contentProgress.lti.timestamp >= scoredAt) {
+    throw new LtiError('A newer score is already recorded for this learner', 'CONFLICT');
+  }
+
+  contentProgress.lti = {
+    ...(hasScore && { scoreGiven, scoreMaximum }),
+    comment,
+    activityProgress,
+    gradingProgress,
+    timestamp: scoredAt
+  };
+  contentProgress.lastAccessDate = new Date();
+
+  const graded = hasScore && gradingProgress === 'FullyGraded';
+  const percentage = graded ? (scoreGiven / scoreMaximum) * 100 : null;
+  const passed = graded && percentage >= (content.lti.passingScore || 0);
+
+  // Completion is kept when a later score is lower
+  if (passed && contentProgress.status !== 'completed') {
+    contentProgress.status = 'completed';
+    contentProgress.progress = 100;
+    contentProgress.completionDate = new Date();
+  } else if (contentProgress.status === 'not-started') {
+    contentProgress.status = 'in-progress';
+  }
+
+  await saveContentProgress(enrollment, version, moduleId, progress);
+
+  if (graded) {
+    await xapiService.recordStatement(userId, passed ? 'passed' : 'failed', xapiService.contentActivity(courseId, moduleId, content), {
+      result: {
+        success: passed,
+        score: { raw: scoreGiven, min: 0, max: Math.max(scoreMaximum, scoreGiven), scaled: Math.min(scoreGiven / scoreMaximum, 1) }
+      },
+      context: xapiService.learningContext({ courseId, moduleId, enrollment }),
+      timestamp: scoredAt
+    });
+  }
+
+  return contentProgress.lti;
+};
+
+module.exports = {
+  LTI_VERSION,
+  AGS_SCOPES,
+  LtiError,
+  getKeySet,
+  getRegistration,
+  registerTool,
+  updateTool,
+  createResourceLinkLaunch,
+  createDeepLinkingLaunch,
+  authorizeLaunch,
+  completeDeepLinking,
+  issueAccessToken,
+  verifyAccessToken,
+  getLineItems,
+  getLineItem,
+  getResults,
+  recordScore
+};
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// An external LTI 1.3 tool registered with this platform
+const LtiToolSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a tool name'],
+      trim: true,
+      maxlength: [100, 'Name cannot be more than 100 characters']
+    },
+    description: {
+      type: String,
+      maxlength: [500, 'Description cannot be more than 500 characters']
+    },
+    // Issued by us when the tool is registered
+    clientId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    deploymentId: {
+      type: String,
+      required: true
+    },
+    // Tool's OIDC third-party login initiation URL
+    loginUrl: {
+      type: String,
+      required: [true, 'Please add the tool login URL']
+    },
+    // Default target link URI for resource link launches
+    launchUrl: {
+      type: String,
+      required: [true, 'Please add the tool launch URL']
+    },
+    // Where id_tokens may be posted; the launch URL when none are listed
+    redirectUris: [String],
+    // Target link URI for deep linking requests, when the tool supports it
+    deepLinkingUrl: String,
+    // Tool's public key set URL, or a fixed public key (PEM)
+    keySetUrl: String,
+    publicKey: String,
+    // Sent with every launch, merged under each content item's own custom parameters
+    customParameters: {
+      type: Map,
+      of: String
+    },
+    // Allow the tool to read line items and post scores
+    gradeServices: {
+      type: Boolean,
+      default: true
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Tool messages can only be verified with a key
+LtiToolSchema.pre('validate', function(next) {
+  if (!this.keySetUrl && !this.publicKey) {
+    this.invalidate('keySetUrl', 'Please add the tool key set URL or public key');
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('LtiTool', LtiToolSchema);
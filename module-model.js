@@ -44,9 +44,37 @@ const ModuleSchema = new mongoose.Schema(
           text: String,
           isCorrect: Boolean
         }],
+        pairs: [{
+          prompt: String,
+          match: String
+        }],
+        acceptedAnswers: [{
+          value: String,
+          isRegex: Boolean
+        }],
+        caseSensitive: Boolean,
+        numericAnswer: Number,
+        tolerance: Number,
+        toleranceType: {
+          type: String,
+          enum: ['Absolute', 'Percent']
+        },
+        partialCredit: {
+          type: Boolean,
+          default: true
+        },
         type: {
           type: String,
-          enum: ['Multiple Choice', 'True/False', 'Short Answer'],
+          enum: [
+            'Multiple Choice',
+            'Multiple Select',
+            'True/False',
+            'Short Answer',
+            'Fill in the Blank',
+            'Numeric',
+            'Matching',
+            'Ordering'
+          ],
           default: 'Multiple Choice'
         },
         points: {
@@ -67,6 +95,24 @@ const ModuleSchema = new mongoose.Schema(
         default: 30
       }
     },
+    // Adaptive courses: scoring masteryScore on this quiz tests the learner
+    // out of the module and its skills (from the course's skillsTaught)
+    preAssessment: {
+      quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quiz'
+      },
+      skills: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Skill'
+      }],
+      masteryScore: {
+        type: Number,
+        default: 80,
+        min: 0,
+        max: 100
+      }
+    },
     isPublished: {
       type: Boolean,
       default: false
@@ -34,9 +34,15 @@ try {
           'course_completion',
           'quiz_result',
           'assignment_feedback',
+          'peer_review',
           'due_date_reminder',
           'certificate_issued',
+          'certificate_expired',
+          'recertification_due',
           'badge_earned',
+          'reward_redemption',
+          'streak_at_risk',
+          'challenge_won',
           'webinar_reminder',
           'learning_recommendation',
           'system_announcement'
@@ -293,6 +299,32 @@ const getEmailTemplate = (type, subject, message, options = {}) => {
       `;
       break;
       
+    case 'recertification_due':
+    case 'certificate_expired':
+      emailContent = `
+        <p>Hello,</p>
+        <p>${message}</p>
+        <p>Retake the course to renew your certification:</p>
+        <p><a href="${process.env.FRONTEND_URL}/lms/courses/${options.metadata?.courseId}" class="button">Go to Course</a></p>
+      `;
+      break;
+      
+    case 'streak_at_risk':
+      emailContent = `
+        <p>Hello,</p>
+        <p>${message}</p>
+        <p><a href="${process.env.FRONTEND_URL}/lms/courses" class="button">Continue Learning</a></p>
+      `;
+      break;
+      
+    case 'challenge_won':
+      emailContent = `
+        <p>Congratulations!</p>
+        <p>${message}</p>
+        <p><a href="${process.env.FRONTEND_URL}/lms" class="button">View Challenges</a></p>
+      `;
+      break;
+      
     case 'webinar_reminder':
       const webinarDate = options.metadata?.webinarDate 
         ? new Date(options.metadata.webinarDate).toLocaleString() 
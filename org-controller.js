@@ -0,0 +1,93 @@
+const OrgHierarchy = require('../models/OrgHierarchy');
+const User = require('../models/User');
+const asyncHandler = require('express-async-handler');
+const orgHierarchyService = require('../services/orgHierarchyService');
+
+// @desc    Get a manager's direct and indirect reports
+// @route   GET /api/org/team
+// @route   GET /api/org/team/:managerId
+// @access  Private/Manager/Admin
+const getTeam = asyncHandler(async (req, res) => {
+  const managerId = req.params.managerId || req.user.id;
+  const directOnly = req.query.direct === 'true';
+  
+  const reportIds = await orgHierarchyService.getReportIds(managerId, { directOnly });
+  
+  const members = await OrgHierarchy.find({ employee: { $in: reportIds } })
+    .populate('employee', 'name email department role')
+    .select('employee manager managerOverride department ancestors')
+    .lean();
+  
+  res.status(200).json({
+    success: true,
+    count: members.length,
+    data: members.map(member => ({
+      employee: member.employee,
+      department: member.department,
+      managerId: member.managerOverride || member.manager,
+      isDirectReport: member.ancestors.length > 0 &&
+        member.ancestors[0].toString() === managerId.toString(),
+      depth: member.ancestors.findIndex(id => id.toString() === managerId.toString()) + 1
+    }))
+  });
+});
+
+// @desc    Get an employee's reporting line
+// @route   GET /api/org/hierarchy/:employeeId
+// @access  Private/Admin
+const getReportingLine = asyncHandler(async (req, res) => {
+  const entry = await OrgHierarchy.findOne({ employee: req.params.employeeId })
+    .populate('employee', 'name email department role')
+    .populate('manager', 'name email')
+    .populate('managerOverride', 'name email')
+    .populate('ancestors', 'name email role');
+  
+  if (!entry) {
+    res.status(404);
+    throw new Error('Employee not found in org hierarchy');
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: entry
+  });
+});
+
+// @desc    Override (or clear the override of) an employee's manager
+// @route   PUT /api/org/hierarchy/:employeeId/manager
+// @access  Private/Admin
+const overrideManager = asyncHandler(async (req, res) => {
+  const { managerId } = req.body;
+  
+  if (managerId) {
+    const manager = await User.findById(managerId).select('_id');
+    
+    if (!manager) {
+      res.status(404);
+      throw new Error('Manager not found');
+    }
+  }
+  
+  let entry;
+  try {
+    entry = await orgHierarchyService.setManagerOverride(
+      req.params.employeeId,
+      managerId || null,
+      req.user.id
+    );
+  } catch (error) {
+    res.status(400);
+    throw error;
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: entry
+  });
+});
+
+module.exports = {
+  getTeam,
+  getReportingLine,
+  overrideManager
+};
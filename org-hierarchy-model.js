@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const OrgHierarchySchema = new mongoose.Schema(
+  {
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true
+    },
+    // Reports-to as synced from the HRM Employee module
+    manager: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Reports-to set by an admin; takes precedence over the synced manager
+    managerOverride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    department: {
+      type: String
+    },
+    // Every manager above the employee, nearest first
+    ancestors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    lastSyncedOn: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Virtual for the manager actually in effect
+OrgHierarchySchema.virtual('effectiveManager').get(function() {
+  return this.managerOverride || this.manager;
+});
+
+// Index for fetching a manager's direct and indirect reports
+OrgHierarchySchema.index({ ancestors: 1 });
+
+module.exports = mongoose.model('OrgHierarchy', OrgHierarchySchema);
@@ -0,0 +1,218 @@
+/**
+ * Org hierarchy service
+ * Stores the reports-to hierarchy synced from the HRM Employee module and
+ * answers which employees fall under a manager
+ */
+const OrgHierarchy = require('../models/OrgHierarchy');
+
+// Guard against cycles or runaway chains in the synced data
+const MAX_HIERARCHY_DEPTH = 25;
+
+// Normalize a populated document, ObjectId or string to a string ID
+const toId = (value) => {
+  if (!value) return null;
+  if (value._id) return value._id.toString();
+  return value.toString();
+};
+
+/**
+ * Walk up the reports-to chain for each employee
+ * @param {Map} managerOf - Map of employee ID to effective manager ID
+ * @returns {Map} - Map of employee ID to ancestor IDs, nearest first
+ */
+const computeAncestors = (managerOf) => {
+  const ancestorsOf = new Map();
+
+  managerOf.forEach((_, employeeId) => {
+    const ancestors = [];
+    const seen = new Set([employeeId]);
+    let current = managerOf.get(employeeId);
+
+    while (current && !seen.has(current) && ancestors.length < MAX_HIERARCHY_DEPTH) {
+      ancestors.push(current);
+      seen.add(current);
+      current = managerOf.get(current);
+    }
+
+    if (current && seen.has(current)) {
+      console.warn(`Reporting cycle detected above employee ${employeeId}, chain truncated`);
+    }
+
+    ancestorsOf.set(employeeId, ancestors);
+  });
+
+  return ancestorsOf;
+};
+
+/**
+ * Replace the stored hierarchy with the employee list from the Employee module
+ * Admin overrides are preserved and applied when computing ancestors
+ * @param {Array} employees - Employees with _id, department and reportsTo/manager
+ * @returns {number} - Number of hierarchy entries written
+ */
+const syncHierarchy = async (employees) => {
+  const existing = await OrgHierarchy.find()
+    .select('employee managerOverride')
+    .lean();
+
+  const overrides = new Map(
+    existing
+      .filter(entry => entry.managerOverride)
+      .map(entry => [toId(entry.employee), toId(entry.managerOverride)])
+  );
+
+  // Build the effective reports-to map
+  const syncedManagerOf = new Map();
+  const managerOf = new Map();
+
+  employees.forEach(employee => {
+    const employeeId = toId(employee._id);
+    const syncedManager = toId(employee.reportsTo || employee.manager);
+
+    syncedManagerOf.set(employeeId, syncedManager);
+    managerOf.set(employeeId, overrides.get(employeeId) || syncedManager);
+  });
+
+  // Employees placed only by an admin override keep their place
+  const overrideOnlyIds = [...overrides.keys()].filter(employeeId => !managerOf.has(employeeId));
+  overrideOnlyIds.forEach(employeeId => managerOf.set(employeeId, overrides.get(employeeId)));
+
+  const ancestorsOf = computeAncestors(managerOf);
+  const now = new Date();
+
+  const operations = employees.map(employee => {
+    const employeeId = toId(employee._id);
+
+    return {
+      updateOne: {
+        filter: { employee: employeeId },
+        update: {
+          $set: {
+            manager: syncedManagerOf.get(employeeId),
+            department: employee.department,
+            ancestors: ancestorsOf.get(employeeId),
+            lastSyncedOn: now
+          }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  const overrideOperations = overrideOnlyIds.map(employeeId => ({
+    updateOne: {
+      filter: { employee: employeeId },
+      update: { $set: { ancestors: ancestorsOf.get(employeeId) } }
+    }
+  }));
+
+  if (operations.length + overrideOperations.length > 0) {
+    await OrgHierarchy.bulkWrite([...operations, ...overrideOperations], { ordered: false });
+  }
+
+  // Employees no longer in the Employee module drop out of the hierarchy,
+  // unless an admin override placed them
+  await OrgHierarchy.deleteMany({ lastSyncedOn: { $lt: now }, managerOverride: null });
+
+  return operations.length;
+};
+
+/**
+ * Recompute ancestors for the whole stored hierarchy
+ * Used after an admin override changes a reporting line
+ */
+const rebuildAncestors = async () => {
+  const entries = await OrgHierarchy.find()
+    .select('employee manager managerOverride')
+    .lean();
+
+  const managerOf = new Map(
+    entries.map(entry => [
+      toId(entry.employee),
+      toId(entry.managerOverride || entry.manager)
+    ])
+  );
+
+  const ancestorsOf = computeAncestors(managerOf);
+
+  const operations = entries.map(entry => ({
+    updateOne: {
+      filter: { _id: entry._id },
+      update: { $set: { ancestors: ancestorsOf.get(toId(entry.employee)) } }
+    }
+  }));
+
+  if (operations.length > 0) {
+    await OrgHierarchy.bulkWrite(operations, { ordered: false });
+  }
+};
+
+/**
+ * Get the IDs of a manager's reports
+ * @param {string} managerId - Manager's user ID
+ * @param {Object} options - Options
+ * @param {boolean} options.directOnly - Only return direct reports
+ * @returns {Array} - Employee IDs as strings
+ */
+const getReportIds = async (managerId, { directOnly = false } = {}) => {
+  const query = directOnly
+    ? { 'ancestors.0': managerId }
+    : { ancestors: managerId };
+
+  const employeeIds = await OrgHierarchy.find(query).distinct('employee');
+
+  return employeeIds.map(toId);
+};
+
+/**
+ * Check whether an employee reports (directly or indirectly) to a manager
+ * @param {string} managerId - Manager's user ID
+ * @param {string} employeeId - Employee's user ID
+ * @returns {boolean}
+ */
+const isInReportingLine = async (managerId, employeeId) => {
+  const entry = await OrgHierarchy.exists({
+    employee: employeeId,
+    ancestors: managerId
+  });
+
+  return Boolean(entry);
+};
+
+/**
+ * Set or clear an admin override of an employee's manager
+ * @param {string} employeeId - Employee's user ID
+ * @param {string|null} managerId - New manager, or null to fall back to the synced one
+ * @param {string} adminId - Admin performing the override
+ * @returns {Object} - Updated hierarchy entry
+ */
+const setManagerOverride = async (employeeId, managerId, adminId) => {
+  if (managerId && toId(managerId) === toId(employeeId)) {
+    throw new Error('An employee cannot report to themselves');
+  }
+
+  if (managerId && await isInReportingLine(employeeId, managerId)) {
+    throw new Error('Override would create a reporting cycle');
+  }
+
+  const update = managerId
+    ? { $set: { managerOverride: managerId, overriddenBy: adminId } }
+    : { $unset: { managerOverride: '', overriddenBy: '' } };
+
+  const entry = await OrgHierarchy.findOneAndUpdate(
+    { employee: employeeId },
+    update,
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  await rebuildAncestors();
+
+  return OrgHierarchy.findById(entry._id);
+};
+
+module.exports = {
+  syncHierarchy,
+  getReportIds,
+  isInReportingLine,
+  setManagerOverride
+};
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTeam,
+  getReportingLine,
+  overrideManager
+} = require('../controllers/orgController');
+const { protect, requirePermission } = require('../config/middleware');
+
+// All org routes are protected
+router.use(protect);
+
+// Manager routes
+router.get('/team', requirePermission('org:viewTeam', 'team'), getTeam);
+
+// Admin routes
+router.get('/team/:managerId', requirePermission('org:viewTeam', 'any'), getTeam);
+router.get('/hierarchy/:employeeId', requirePermission('org:manageHierarchy', 'any'), getReportingLine);
+router.put('/hierarchy/:employeeId/manager', requirePermission('org:manageHierarchy', 'any'), overrideManager);
+
+module.exports = router;
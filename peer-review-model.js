@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A peer's review of another learner's assignment submission. Reviewers and
+// authors are never shown each other's identity
+const PeerReviewSchema = new mongoose.Schema(
+  {
+    submission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AssignmentSubmission',
+      required: true
+    },
+    content: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Content',
+      required: true
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true
+    },
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['Assigned', 'Completed', 'Expired'],
+      default: 'Assigned'
+    },
+    assignedOn: {
+      type: Date,
+      default: Date.now
+    },
+    dueDate: {
+      type: Date,
+      required: true
+    },
+    criteria: [{
+      criterion: mongoose.Schema.Types.ObjectId,
+      title: String,
+      level: mongoose.Schema.Types.ObjectId,
+      levelLabel: String,
+      weight: Number,
+      points: Number,
+      maxPoints: Number,
+      comment: {
+        type: String,
+        maxlength: [1000, 'Comment cannot be more than 1000 characters']
+      },
+      _id: false
+    }],
+    score: Number,
+    percentage: Number,
+    comments: {
+      type: String,
+      maxlength: [5000, 'Comments cannot be more than 5000 characters']
+    },
+    completedOn: Date,
+    pointsAwarded: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+PeerReviewSchema.index({ submission: 1, reviewer: 1 }, { unique: true });
+PeerReviewSchema.index({ reviewer: 1, content: 1 });
+PeerReviewSchema.index({ status: 1, dueDate: 1 });
+
+module.exports = mongoose.model('PeerReview', PeerReviewSchema);
@@ -0,0 +1,328 @@
+/**
+ * Peer review service
+ * Hands assignment submissions to anonymous peers once the deadline has
+ * passed, records their rubric reviews and rewards reviewers with points
+ */
+const Content = require('../models/Content');
+const Enrollment = require('../models/Enrollment');
+const AssignmentSubmission = require('../models/AssignmentSubmission');
+const PeerReview = require('../models/PeerReview');
+const assignmentService = require('./assignmentService');
+const notificationService = require('./notificationService');
+const pointsService = require('./pointsService');
+const { shuffle } = require('./quizService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const { AssignmentError } = assignmentService;
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Pick the peers with the fewest reviews to do, at random among equals
+ * @param {Array} candidates - User IDs that may review
+ * @param {Map} load - Reviews already assigned per user ID
+ * @param {number} count - Reviewers wanted
+ * @returns {Array} - User IDs
+ */
+const pickReviewers = (candidates, load, count) => (
+  shuffle(candidates)
+    .sort((a, b) => (load.get(a) || 0) - (load.get(b) || 0))
+    .slice(0, count)
+);
+
+/**
+ * Assign reviewers to an assignment's submissions that have none yet
+ * Reviewers are the other learners who submitted, each given an even share
+ * @param {Object} content - Assignment content with peer review enabled
+ * @returns {number} - Reviews assigned
+ */
+const assignReviewers = async (content) => {
+  const { peerReview } = content.assignment;
+
+  const submissions = await AssignmentSubmission.find({
+    content: content._id,
+    status: { $nin: ['Rejected', 'Superseded', 'Archived'] }
+  });
+  const pending = submissions.filter(submission => !submission.peerReviewsAssignedOn);
+
+  if (pending.length === 0) return 0;
+
+  const existing = await PeerReview.find({ content: content._id }).select('reviewer').lean();
+  const load = new Map();
+  existing.forEach(review => {
+    load.set(toId(review.reviewer), (load.get(toId(review.reviewer)) || 0) + 1);
+  });
+
+  const authors = [...new Set(submissions.map(submission => toId(submission.user)))];
+  const assignedOn = new Date();
+  const dueDate = new Date(assignedOn.getTime() + (peerReview.reviewWindowDays || 7) * DAY_MS);
+  const reviews = [];
+
+  shuffle(pending).forEach(submission => {
+    const candidates = authors.filter(userId => userId !== toId(submission.user));
+
+    pickReviewers(candidates, load, peerReview.reviewersPerSubmission || 3).forEach(reviewer => {
+      load.set(reviewer, (load.get(reviewer) || 0) + 1);
+      reviews.push({
+        submission: submission._id,
+        content: content._id,
+        course: submission.course,
+        reviewer,
+        assignedOn,
+        dueDate
+      });
+    });
+  });
+
+  if (reviews.length > 0) {
+    await PeerReview.insertMany(reviews);
+  }
+
+  await AssignmentSubmission.updateMany(
+    { _id: { $in: pending.map(submission => submission._id) } },
+    { peerReviewsAssignedOn: assignedOn }
+  );
+
+  const countByReviewer = reviews.reduce((counts, review) => (
+    counts.set(review.reviewer, (counts.get(review.reviewer) || 0) + 1)
+  ), new Map());
+
+  for (const [reviewer, count] of countByReviewer) {
+    await notificationService.sendNotification(
+      reviewer,
+      'Peer Reviews Assigned',
+      `You have ${count} peer review${count !== 1 ? 's' : ''} to complete for ${content.title} by ${dueDate.toLocaleDateString()}`,
+      {
+        type: 'peer_review',
+        metadata: {
+          contentId: content._id,
+          dueDate
+        }
+      }
+    );
+  }
+
+  // A submission with no one to review it goes on the instructor's grade alone
+  const reviewed = new Set(reviews.map(review => toId(review.submission)));
+  for (const submission of pending.filter(item => !reviewed.has(toId(item)))) {
+    const submissionContent = await assignmentService.getSubmissionContent(submission);
+    if (submissionContent) {
+      submission.peerReviewsAssignedOn = assignedOn;
+      await assignmentService.finalizeIfReady(submission, submissionContent);
+    }
+  }
+
+  return reviews.length;
+};
+
+/**
+ * Close reviews that ran past their due date and finalize the submissions
+ * that were only waiting on them
+ * @returns {number} - Reviews expired
+ */
+const expireOverdueReviews = async () => {
+  const overdue = await PeerReview.find({
+    status: 'Assigned',
+    dueDate: { $lte: new Date() }
+  }).select('submission').lean();
+
+  if (overdue.length === 0) return 0;
+
+  await PeerReview.updateMany(
+    { _id: { $in: overdue.map(review => review._id) }, status: 'Assigned' },
+    { status: 'Expired' }
+  );
+
+  const submissionIds = [...new Set(overdue.map(review => toId(review.submission)))];
+  const submissions = await AssignmentSubmission.find({
+    _id: { $in: submissionIds },
+    status: 'Pending'
+  });
+
+  for (const submission of submissions) {
+    const content = await assignmentService.getSubmissionContent(submission);
+    if (content) {
+      await assignmentService.finalizeIfReady(submission, content);
+    }
+  }
+
+  return overdue.length;
+};
+
+/**
+ * Assign reviewers for peer-reviewed assignments past their deadline and
+ * expire overdue reviews. Run on a schedule
+ * @returns {Object} - Reviews assigned and expired
+ */
+const processPeerReviews = async () => {
+  const contents = await Content.find({
+    contentType: 'Assignment',
+    'assignment.peerReview.enabled': true,
+    'assignment.deadline': { $lte: new Date() }
+  }).lean();
+
+  let assigned = 0;
+  for (const content of contents) {
+    assigned += await assignReviewers(content);
+  }
+
+  const expired = await expireOverdueReviews();
+
+  return { assigned, expired };
+};
+
+/**
+ * Credit a reviewer's points for a completed review to their enrollment and
+ * their points ledger
+ * @param {Object} review - Completed PeerReview
+ * @param {number} points - Points earned
+ */
+const awardReviewerPoints = async (review, points) => {
+  await Enrollment.updateOne(
+    { user: review.reviewer, course: review.course },
+    { $inc: { pointsEarned: points } }
+  );
+
+  await pointsService.awardPoints({
+    userId: review.reviewer,
+    points,
+    source: 'Peer Review',
+    sourceId: review._id,
+    reason: 'Completed a peer review',
+    reference: `peer-review:${review._id}`
+  });
+};
+
+/**
+ * Record a peer's review against the assignment rubric
+ * @param {Object} params - Review, reviewer and their rubric input and comments
+ * @returns {Object} - Completed PeerReview
+ */
+const submitReview = async ({ review, reviewerId, input }) => {
+  if (toId(review.reviewer) !== toId(reviewerId)) {
+    throw new AssignmentError('This review is assigned to someone else', 'NOT_REVIEWER');
+  }
+
+  if (review.status !== 'Assigned') {
+    throw new AssignmentError('This review is closed', 'REVIEW_CLOSED');
+  }
+
+  const submission = await AssignmentSubmission.findById(review.submission);
+  const content = submission && await assignmentService.getSubmissionContent(submission);
+
+  if (!content) {
+    throw new AssignmentError('Assignment not found', 'ASSIGNMENT_NOT_FOUND');
+  }
+
+  const result = assignmentService.scoreRubric(content.assignment, input);
+  const points = content.assignment.peerReview.reviewerPoints ?? 10;
+
+  // Conditional on the status so a review is only completed (and rewarded) once
+  const completed = await PeerReview.findOneAndUpdate(
+    { _id: review._id, status: 'Assigned' },
+    {
+      ...result,
+      comments: input.comments,
+      status: 'Completed',
+      completedOn: new Date(),
+      pointsAwarded: points
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!completed) {
+    throw new AssignmentError('This review is closed', 'REVIEW_CLOSED');
+  }
+
+  if (points > 0) {
+    await awardReviewerPoints(completed, points);
+  }
+
+  await assignmentService.finalizeIfReady(submission, content);
+
+  return completed;
+};
+
+/**
+ * Prepare a review for its reviewer, with the submission but not its author
+ * @param {Object} review - PeerReview with its submission populated
+ * @returns {Object}
+ */
+const toReviewerView = (review) => {
+  const data = review.toObject ? review.toObject() : { ...review };
+  const { submission } = data;
+
+  return {
+    ...data,
+    submission: submission && {
+      submissionType: submission.submissionType,
+      submissionText: submission.submissionText,
+      submissionFileUrl: submission.submissionFileUrl,
+      submissionFileName: submission.submissionFileName,
+      submissionLink: submission.submissionLink,
+      files: (submission.files || []).map(({ filename, originalname, mimetype, size }) => ({
+        filename, originalname, mimetype, size
+      })),
+      submittedOn: submission.submittedOn
+    }
+  };
+};
+
+/**
+ * Prepare a completed review for the submission's author, without the reviewer
+ * @param {Object} review - PeerReview
+ * @returns {Object}
+ */
+const toAuthorView = (review) => ({
+  _id: review._id,
+  criteria: review.criteria,
+  score: review.score,
+  percentage: review.percentage,
+  comments: review.comments,
+  completedOn: review.completedOn
+});
+
+/**
+ * Get the reviews a learner has been assigned for an assignment
+ * @param {string} contentId - Assignment content ID
+ * @param {string} reviewerId - Reviewer's user ID
+ * @returns {Array} - Reviewer views
+ */
+const getReviewerQueue = async (contentId, reviewerId) => {
+  const reviews = await PeerReview.find({ content: contentId, reviewer: reviewerId })
+    .populate('submission')
+    .sort({ dueDate: 1 });
+
+  return reviews.map(toReviewerView);
+};
+
+/**
+ * Get the peer reviews of a submission
+ * Graders see every review and who wrote it; authors only completed reviews
+ * @param {string} submissionId - AssignmentSubmission ID
+ * @param {boolean} asGrader - Whether the viewer grades the assignment
+ * @returns {Array}
+ */
+const getSubmissionReviews = async (submissionId, asGrader) => {
+  if (asGrader) {
+    return PeerReview.find({ submission: submissionId })
+      .populate('reviewer', 'firstName lastName email')
+      .sort({ assignedOn: 1 });
+  }
+
+  const reviews = await PeerReview.find({ submission: submissionId, status: 'Completed' })
+    .sort({ completedOn: 1 })
+    .lean();
+
+  return reviews.map(toAuthorView);
+};
+
+module.exports = {
+  assignReviewers,
+  expireOverdueReviews,
+  processPeerReviews,
+  submitReview,
+  getReviewerQueue,
+  getSubmissionReviews
+};
@@ -0,0 +1,110 @@
+/**
+ * Permission definitions
+ * Permissions take the form `<resource>:<action>:<scope>`, where scope is one of:
+ *   any        - every record of the resource
+ *   department - records belonging to the user's own department
+ *   team       - records of the user's direct and indirect reports (org hierarchy)
+ *   own        - records the user owns (created, enrolled in, or is)
+ */
+
+// Scopes ordered from broadest to narrowest
+const SCOPES = ['any', 'department', 'team', 'own'];
+
+// Permissions every authenticated employee holds
+const EMPLOYEE_PERMISSIONS = [
+  'course:view:any',
+  'learningPath:view:any',
+  'webinar:view:any',
+  'badge:view:any',
+  'enrollment:view:own',
+  'enrollment:edit:own',
+  'analytics:view:own',
+  'badge:viewAwarded:own',
+  'points:view:own',
+  'streak:view:own',
+  'reward:redeem:own',
+  'statement:view:own',
+  'statement:record:own'
+];
+
+// Role to permission mappings
+const ROLE_PERMISSIONS = {
+  employee: [...EMPLOYEE_PERMISSIONS],
+
+  instructor: [
+    ...EMPLOYEE_PERMISSIONS,
+    'course:create:any',
+    'course:edit:own',
+    'course:publish:own',
+    'course:report:own',
+    'content:edit:own',
+    'question:view:any',
+    'question:manage:own',
+    'assignment:grade:own',
+    'courseEnrollment:view:own',
+    'ltiTool:view:any'
+  ],
+
+  manager: [
+    ...EMPLOYEE_PERMISSIONS,
+    'org:viewTeam:team',
+    'analytics:view:team',
+    'enrollment:view:team',
+    'badge:viewAwarded:team',
+    'points:view:team',
+    'streak:view:team',
+    'reward:approve:team',
+    'learningPath:report:team',
+    'report:export:team'
+  ],
+
+  admin: [
+    'course:view:any',
+    'course:create:any',
+    'course:edit:any',
+    'course:publish:any',
+    'course:delete:any',
+    'course:report:any',
+    'course:waivePrerequisites:any',
+    'content:edit:any',
+    'question:view:any',
+    'question:manage:any',
+    'assignment:grade:any',
+    'ltiTool:view:any',
+    'ltiTool:manage:any',
+    'learningPath:view:any',
+    'learningPath:manage:any',
+    'learningPath:report:any',
+    'webinar:view:any',
+    'webinar:manage:any',
+    'badge:view:any',
+    'badge:manage:any',
+    'badge:award:any',
+    'badge:viewAwarded:any',
+    'points:view:any',
+    'points:award:any',
+    'points:report:any',
+    'streak:view:any',
+    'reward:redeem:own',
+    'reward:manage:any',
+    'reward:approve:any',
+    'leaderboard:manage:any',
+    'challenge:manage:any',
+    'enrollment:view:any',
+    'enrollment:edit:any',
+    'courseEnrollment:view:any',
+    'analytics:view:any',
+    'analytics:viewOrganization:any',
+    'report:export:any',
+    'statement:view:any',
+    'statement:record:any',
+    'session:revoke:any',
+    'org:viewTeam:any',
+    'org:manageHierarchy:any'
+  ]
+};
+
+module.exports = {
+  SCOPES,
+  ROLE_PERMISSIONS
+};
@@ -0,0 +1,161 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const policyService = require('../services/policyService');
+const pointsService = require('../services/pointsService');
+const rewardService = require('../services/rewardService');
+
+const ERROR_STATUS = {
+  INVALID_POINTS: 400,
+  INSUFFICIENT_POINTS: 400
+};
+
+// Set the response status for a points error before rethrowing it
+const rethrow = (res, error) => {
+  if (error instanceof pointsService.PointsError) {
+    res.status(ERROR_STATUS[error.code] || 400);
+  }
+  throw error;
+};
+
+const SOURCES = ['Course', 'Badge', 'Webinar', 'Peer Review', 'Manual'];
+
+// Resolve the user a request is about: the signed-in user, or ?userId when
+// the requester may see that user's points
+const resolveUserId = async (req, res) => {
+  const { userId } = req.query;
+
+  if (!userId || userId === req.user.id) {
+    return req.user.id;
+  }
+
+  const targetUser = mongoose.isValidObjectId(userId) && await User.findById(userId).select('department');
+
+  if (!targetUser) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  policyService.authorizeAction(req.user, 'points:view', targetUser, "Not authorized to view this user's points");
+
+  return userId;
+};
+
+// @desc    Get a user's points balance and level
+// @route   GET /api/gamification/points
+// @access  Private
+const getUserPoints = asyncHandler(async (req, res) => {
+  const userId = await resolveUserId(req, res);
+
+  res.status(200).json({
+    success: true,
+    data: await pointsService.getSummary(userId)
+  });
+});
+
+// @desc    Get a user's points ledger
+// @route   GET /api/gamification/points/history
+// @access  Private
+const getPointsHistory = asyncHandler(async (req, res) => {
+  const userId = await resolveUserId(req, res);
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  const { transactions, total } = await pointsService.getHistory(userId, {
+    page,
+    limit,
+    source: req.query.source
+  });
+
+  res.status(200).json({
+    success: true,
+    count: transactions.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    data: transactions
+  });
+});
+
+// @desc    Award points to a user, or take them away with a negative amount
+// @route   POST /api/gamification/points/add
+// @access  Private/Admin
+const addPoints = asyncHandler(async (req, res) => {
+  const { points, reason, source = 'Manual', sourceId } = req.body;
+  const userId = req.body.userId || req.user.id;
+
+  if (!reason) {
+    res.status(400);
+    throw new Error('Please give a reason for the points');
+  }
+
+  if (!SOURCES.includes(source)) {
+    res.status(400);
+    throw new Error(`Source must be one of ${SOURCES.join(', ')}`);
+  }
+
+  if (sourceId && !mongoose.isValidObjectId(sourceId)) {
+    res.status(400);
+    throw new Error('Invalid source ID');
+  }
+
+  const user = mongoose.isValidObjectId(userId) && await User.findById(userId).select('_id');
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  const before = await pointsService.getSummary(userId);
+
+  try {
+    await pointsService.recordTransaction({
+      userId,
+      points: Number(points),
+      type: Number(points) > 0 ? 'Earned' : 'Adjusted',
+      source,
+      sourceId,
+      reason,
+      createdBy: req.user.id
+    });
+  } catch (error) {
+    rethrow(res, error);
+  }
+
+  const summary = await pointsService.getSummary(userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...summary,
+      added: Number(points),
+      levelIncreased: summary.level > before.level
+    }
+  });
+});
+
+// @desc    Report points issued against points redeemed
+// @route   GET /api/gamification/points/report
+// @access  Private/Admin
+const getPointsReport = asyncHandler(async (req, res) => {
+  const { startDate, endDate, department } = req.query;
+
+  const userIds = department && department !== 'all'
+    ? await User.find({ department }).distinct('_id')
+    : undefined;
+
+  res.status(200).json({
+    success: true,
+    data: await rewardService.getPointsReport({ startDate, endDate, userIds })
+  });
+});
+
+module.exports = {
+  getUserPoints,
+  getPointsHistory,
+  addPoints,
+  getPointsReport
+};
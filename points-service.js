@@ -0,0 +1,227 @@
+/**
+ * Points service
+ * Keeps each learner's append-only points ledger. Credits come from course
+ * completions, badges, webinar attendance, peer reviews, challenges and
+ * manual awards; reward redemptions spend them. A learner's balance is the
+ * one recorded on their latest ledger entry, and their level follows the
+ * points they earned
+ */
+const mongoose = require('mongoose');
+const PointsTransaction = require('../models/PointsTransaction');
+
+// Writes that lose a race for the next ledger position are retried this often
+const MAX_RETRIES = 5;
+
+// Each level takes LEVEL_STEP more points than the one before: 100 points
+// reach level 2, 300 level 3, 600 level 4 and so on
+const LEVEL_STEP = 100;
+
+// Entry types that count towards the points a learner has earned
+const EARNING_TYPES = ['Earned', 'Adjusted'];
+
+/**
+ * Error raised for points requests that cannot be carried out
+ * @param {string} message - Error message
+ * @param {string} code - Machine readable error code
+ */
+class PointsError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PointsError';
+    this.code = code;
+  }
+}
+
+const toObjectId = (value) => new mongoose.Types.ObjectId((value && value._id ? value._id : value).toString());
+
+// Whether an error is a duplicate key on the given field of the ledger
+const isDuplicate = (error, field) => Boolean(
+  error && error.code === 11000 && error.keyPattern && error.keyPattern[field]
+);
+
+/**
+ * Work out a level from the points earned
+ * @param {number} earned - Points earned
+ * @returns {Object} - level, levelStartsAt, nextLevelAt and progress (percent)
+ */
+const getLevel = (earned) => {
+  let level = 1;
+  let levelStartsAt = 0;
+
+  while (earned >= levelStartsAt + level * LEVEL_STEP) {
+    levelStartsAt += level * LEVEL_STEP;
+    level++;
+  }
+
+  return {
+    level,
+    levelStartsAt,
+    nextLevelAt: levelStartsAt + level * LEVEL_STEP,
+    progress: Math.floor(((earned - levelStartsAt) / (level * LEVEL_STEP)) * 100)
+  };
+};
+
+/**
+ * Get a user's latest ledger entry
+ * @param {string} userId - User ID
+ * @param {Object} session - Optional MongoDB session
+ * @returns {Object|null}
+ */
+const getLatestEntry = async (userId, session = null) => {
+  const [latest] = await PointsTransaction.find({ user: userId })
+    .sort({ sequence: -1 })
+    .limit(1)
+    .session(session)
+    .lean();
+
+  return latest || null;
+};
+
+/**
+ * Get a user's spendable points
+ * @param {string} userId - User ID
+ * @returns {number}
+ */
+const getBalance = async (userId) => {
+  const latest = await getLatestEntry(userId);
+  return latest ? latest.balance : 0;
+};
+
+/**
+ * Get a user's balance, points earned and level
+ * @param {string} userId - User ID
+ * @returns {Object} - total (balance), earned, level, nextLevelAt, progress
+ */
+const getSummary = async (userId) => {
+  const [balance, [earned]] = await Promise.all([
+    getBalance(userId),
+    PointsTransaction.aggregate([
+      { $match: { user: toObjectId(userId), type: { $in: EARNING_TYPES } } },
+      { $group: { _id: null, points: { $sum: '$points' } } }
+    ])
+  ]);
+  const earnedPoints = Math.max(earned ? earned.points : 0, 0);
+  const { level, nextLevelAt, progress } = getLevel(earnedPoints);
+
+  return {
+    total: balance,
+    earned: earnedPoints,
+    level,
+    nextLevelAt,
+    progress
+  };
+};
+
+/**
+ * Append an entry to a user's ledger
+ * Inside a transaction a lost race aborts the transaction, so the caller
+ * retries it (see runInTransaction); outside one the entry is retried here
+ * @param {Object} entry - userId, points, type, source, sourceId, reason,
+ *   reference and createdBy
+ * @param {Object} options - session
+ * @returns {Object|null} - PointsTransaction, or null when the reference was already recorded
+ */
+const recordTransaction = async (entry, { session = null } = {}) => {
+  const { userId, points, ...fields } = entry;
+
+  if (!Number.isInteger(points) || points === 0) {
+    throw new PointsError('Points must be a whole number other than zero', 'INVALID_POINTS');
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await getLatestEntry(userId, session);
+    const balance = (latest ? latest.balance : 0) + points;
+
+    if (balance < 0) {
+      throw new PointsError('Not enough points', 'INSUFFICIENT_POINTS');
+    }
+
+    try {
+      const [transaction] = await PointsTransaction.create([{
+        ...fields,
+        user: userId,
+        points,
+        balance,
+        sequence: latest ? latest.sequence + 1 : 1
+      }], { session });
+
+      return transaction;
+    } catch (error) {
+      if (isDuplicate(error, 'reference') && !session) return null;
+      if (session || !isDuplicate(error, 'sequence') || attempt >= MAX_RETRIES) throw error;
+    }
+  }
+};
+
+/**
+ * Run work in a transaction, retrying when it lost a race for a ledger position
+ * @param {Function} work - Receives the session; its result is returned
+ * @returns {*}
+ */
+const runInTransaction = async (work) => {
+  for (let attempt = 1; ; attempt++) {
+    const session = await mongoose.startSession();
+
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } catch (error) {
+      if (!isDuplicate(error, 'sequence') || attempt >= MAX_RETRIES) throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+};
+
+/**
+ * Credit points for an achievement. Awards with a reference are only
+ * credited once, however often they are reported
+ * @param {Object} award - userId, points, source, sourceId, reason, reference, createdBy
+ * @returns {Object|null} - PointsTransaction, or null when nothing was credited
+ */
+const awardPoints = async ({ userId, points, ...fields }) => {
+  if (!points || points <= 0) return null;
+
+  return recordTransaction({ ...fields, userId, points, type: 'Earned' });
+};
+
+/**
+ * Get a user's ledger, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - page, limit and source
+ * @returns {Object} - { transactions, total }
+ */
+const getHistory = async (userId, { page = 1, limit = 20, source } = {}) => {
+  const query = { user: userId };
+
+  if (source) {
+    query.source = source;
+  }
+
+  const [transactions, total] = await Promise.all([
+    PointsTransaction.find(query)
+      .sort({ sequence: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PointsTransaction.countDocuments(query)
+  ]);
+
+  return { transactions, total };
+};
+
+module.exports = {
+  PointsError,
+  LEVEL_STEP,
+  EARNING_TYPES,
+  getLevel,
+  getBalance,
+  getSummary,
+  recordTransaction,
+  runInTransaction,
+  awardPoints,
+  getHistory
+};
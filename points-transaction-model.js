@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// One entry in a learner's points ledger. The ledger is append-only: points
+// are spent and refunded by adding entries, never by changing earlier ones
+const PointsTransactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Position in the user's ledger. Unique per user, so two writes racing
+    // to spend the same balance cannot both be appended
+    sequence: {
+      type: Number,
+      required: true
+    },
+    // Positive for credits, negative for debits
+    points: {
+      type: Number,
+      required: true
+    },
+    // User's balance after this entry
+    balance: {
+      type: Number,
+      required: true,
+      min: [0, 'Points balance cannot go below zero']
+    },
+    type: {
+      type: String,
+      enum: ['Earned', 'Redeemed', 'Refunded', 'Adjusted'],
+      required: true
+    },
+    source: {
+      type: String,
+      enum: ['Course', 'Badge', 'Webinar', 'Peer Review', 'Challenge', 'Reward', 'Manual'],
+      required: true
+    },
+    // Course, Badge, Webinar, PeerReview, Challenge or Reward the points came from
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    reason: {
+      type: String,
+      maxlength: [200, 'Reason cannot be more than 200 characters']
+    },
+    // Identifies automatic awards, so the same achievement is never credited twice
+    reference: {
+      type: String
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+PointsTransactionSchema.index({ user: 1, sequence: -1 }, { unique: true });
+PointsTransactionSchema.index({ reference: 1 }, { unique: true, sparse: true });
+PointsTransactionSchema.index({ user: 1, createdAt: -1 });
+PointsTransactionSchema.index({ createdAt: 1, type: 1 });
+
+PointsTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function() {
+    throw new Error('Points transactions cannot be changed once recorded');
+  }
+);
+
+module.exports = mongoose.model('PointsTransaction', PointsTransactionSchema);
@@ -0,0 +1,192 @@
+/**
+ * Policy service
+ * Resolves role permissions and checks them against individual resources,
+ * so controllers don't have to hand-roll ownership checks
+ */
+const { SCOPES, ROLE_PERMISSIONS } = require('../config/permissions');
+const { createApiError } = require('../middleware/errorMiddleware');
+
+// Normalize a populated document, ObjectId or string to a string ID
+const toId = (value) => {
+  if (!value) return null;
+  if (value._id) return value._id.toString();
+  return value.toString();
+};
+
+/**
+ * How to find the owner and department of each resource type
+ * Resources not listed fall back to the common `user`/`creator`/`createdBy`
+ * and `department` fields
+ */
+const resourceResolvers = {
+  course: {
+    owner: course => course.creator || course.instructor
+  },
+  // Content and grading permissions are checked against the parent course
+  content: {
+    owner: course => course.creator || course.instructor
+  },
+  assignment: {
+    owner: course => course.creator || course.instructor
+  },
+  enrollment: {
+    owner: enrollment => enrollment.user,
+    department: enrollment => enrollment.user && enrollment.user.department
+  },
+  // Enrollments as seen by the instructor of the course (course populated)
+  courseEnrollment: {
+    owner: enrollment => enrollment.course && (enrollment.course.creator || enrollment.course.instructor),
+    department: enrollment => enrollment.user && enrollment.user.department
+  },
+  // Analytics resources are the users the analytics are about
+  analytics: {
+    owner: user => user._id || user.id,
+    department: user => user.department
+  },
+  badge: {
+    owner: user => user._id || user.id,
+    department: user => user.department
+  },
+  points: {
+    owner: user => user._id || user.id,
+    department: user => user.department
+  },
+  streak: {
+    owner: user => user._id || user.id,
+    department: user => user.department
+  },
+  reward: {
+    owner: redemption => redemption.user,
+    department: redemption => redemption.user && redemption.user.department
+  }
+};
+
+const defaultResolver = {
+  owner: resource => resource.user || resource.creator || resource.createdBy,
+  department: resource => resource.department
+};
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role - Role name
+ * @returns {Array} - Permission strings
+ */
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Get the broadest scope a user holds for an action
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} action - Action in the form `<resource>:<action>`
+ * @returns {string|null} - 'any', 'department', 'team', 'own' or null if not granted
+ */
+const getScope = (user, action) => {
+  if (!user) return null;
+
+  const granted = getRolePermissions(user.role);
+
+  return SCOPES.find(scope => granted.includes(`${action}:${scope}`)) || null;
+};
+
+/**
+ * Check whether a user holds an action at the given scope or broader
+ * Use for route-level checks; resource-level checks still go through `can`
+ * @param {Object} user - Authenticated user
+ * @param {string} action - Action in the form `<resource>:<action>`
+ * @param {string} minScope - Narrowest acceptable scope (defaults to 'own')
+ * @returns {boolean}
+ */
+const hasPermission = (user, action, minScope = 'own') => {
+  const scope = getScope(user, action);
+
+  return scope !== null && SCOPES.indexOf(scope) <= SCOPES.indexOf(minScope);
+};
+
+/**
+ * Check whether a user may perform an action on a specific resource
+ * @param {Object} user - Authenticated user
+ * @param {string} action - Action in the form `<resource>:<action>`
+ * @param {Object} resource - Resource document being acted on
+ * @returns {boolean}
+ */
+const can = (user, action, resource) => {
+  const scope = getScope(user, action);
+
+  if (!scope) return false;
+  if (scope === 'any') return true;
+  if (!resource) return false;
+
+  const resolver = {
+    ...defaultResolver,
+    ...resourceResolvers[action.split(':')[0]]
+  };
+
+  const ownerId = toId(resolver.owner(resource));
+
+  if (scope === 'department') {
+    const department = resolver.department(resource);
+    if (department && user.department && department === user.department) {
+      return true;
+    }
+  }
+
+  // Team scope relies on req.user.teamMemberIds loaded by the loadTeamScope middleware
+  if (scope === 'team' && ownerId && (user.teamMemberIds || []).includes(ownerId)) {
+    return true;
+  }
+
+  // Department and team scopes always include the user's own records
+  return Boolean(ownerId && ownerId === toId(user.id || user._id));
+};
+
+/**
+ * Throw a 403 API error unless the user may perform the action on the resource
+ * @param {Object} user - Authenticated user
+ * @param {string} action - Action in the form `<resource>:<action>`
+ * @param {Object} resource - Resource document being acted on
+ * @param {string} message - Error message (optional)
+ */
+const authorizeAction = (user, action, resource, message = 'Not authorized to perform this action') => {
+  if (!can(user, action, resource)) {
+    throw createApiError.forbidden(message, 'PERMISSION_DENIED', { action });
+  }
+};
+
+/**
+ * Build a MongoDB filter restricting a list query to what the user may see
+ * @param {Object} user - Authenticated user
+ * @param {string} action - Action in the form `<resource>:<action>`
+ * @param {Object} fields - Field names on the queried collection
+ * @param {string} fields.owner - Field holding the owner's user ID
+ * @param {string} fields.department - Field holding the department name (optional)
+ * @returns {Object|null} - Filter to merge into the query, or null if nothing is visible
+ */
+const scopeFilter = (user, action, { owner = 'user', department } = {}) => {
+  const scope = getScope(user, action);
+
+  if (scope === 'any') return {};
+
+  if (scope === 'department' && department && user.department) {
+    return { [department]: user.department };
+  }
+
+  if (scope === 'team') {
+    return {
+      [owner]: { $in: [...(user.teamMemberIds || []), toId(user.id || user._id)] }
+    };
+  }
+
+  if (scope === 'department' || scope === 'own') {
+    return { [owner]: toId(user.id || user._id) };
+  }
+
+  return null;
+};
+
+module.exports = {
+  getRolePermissions,
+  getScope,
+  hasPermission,
+  can,
+  authorizeAction,
+  scopeFilter
+};
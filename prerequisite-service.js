@@ -0,0 +1,236 @@
+/**
+ * Prerequisite service
+ * Validates course prerequisite rules and checks whether a learner meets them
+ */
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const EmployeeSkill = require('../models/EmployeeSkill');
+const Skill = require('../models/Skill');
+const Module = require('../models/Module');
+
+const PREREQUISITE_TYPES = ['Course Completion', 'Quiz Score', 'Skill Level'];
+
+// Stop walking prerequisite chains that are unreasonably deep
+const MAX_PREREQUISITE_DEPTH = 25;
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Check whether requiring one course before another would create a cycle
+ * @param {string} courseId - Course gaining the prerequisite
+ * @param {string} prerequisiteCourseId - Course that would be required
+ * @returns {boolean}
+ */
+const wouldCreateCycle = async (courseId, prerequisiteCourseId) => {
+  const target = toId(courseId);
+  const seen = new Set();
+  let frontier = [toId(prerequisiteCourseId)];
+
+  for (let depth = 0; frontier.length > 0 && depth < MAX_PREREQUISITE_DEPTH; depth++) {
+    if (frontier.includes(target)) return true;
+
+    frontier.forEach(id => seen.add(id));
+
+    const courses = await Course.find({ _id: { $in: frontier } })
+      .select('prerequisites.course')
+      .lean();
+
+    frontier = courses
+      .flatMap(course => course.prerequisites.map(rule => rule.course))
+      .filter(Boolean)
+      .map(toId)
+      .filter(id => !seen.has(id));
+  }
+
+  return frontier.includes(target);
+};
+
+/**
+ * Validate and normalize a prerequisite rule before it is added to a course
+ * @param {Object} course - Course gaining the rule
+ * @param {Object} rule - Rule from the request
+ * @returns {Object} - Normalized rule
+ */
+const validateRule = async (course, rule) => {
+  const { type } = rule;
+
+  if (!PREREQUISITE_TYPES.includes(type)) {
+    throw new Error(`Prerequisite type must be one of: ${PREREQUISITE_TYPES.join(', ')}`);
+  }
+
+  if (type === 'Skill Level') {
+    const level = Number(rule.minimumLevel);
+
+    if (!rule.skill || !(level >= 1 && level <= 5)) {
+      throw new Error('Skill Level prerequisites need a skill and a minimum level between 1 and 5');
+    }
+
+    if (!await Skill.exists({ _id: rule.skill })) {
+      throw new Error('Skill not found');
+    }
+
+    return { type, skill: rule.skill, minimumLevel: level };
+  }
+
+  if (!rule.course) {
+    throw new Error(`${type} prerequisites need a course`);
+  }
+
+  if (toId(rule.course) === toId(course)) {
+    throw new Error('A course cannot be its own prerequisite');
+  }
+
+  if (!await Course.exists({ _id: rule.course })) {
+    throw new Error('Prerequisite course not found');
+  }
+
+  if (await wouldCreateCycle(course._id, rule.course)) {
+    throw new Error('Prerequisite would create a circular requirement');
+  }
+
+  if (type === 'Course Completion') {
+    return { type, course: rule.course };
+  }
+
+  const minimumScore = Number(rule.minimumScore);
+
+  if (!(minimumScore >= 0 && minimumScore <= 100)) {
+    throw new Error('Quiz Score prerequisites need a minimum score between 0 and 100');
+  }
+
+  if (rule.module && !await Module.exists({ _id: rule.module, course: rule.course })) {
+    throw new Error('Module not found in the prerequisite course');
+  }
+
+  return { type, course: rule.course, module: rule.module, minimumScore };
+};
+
+/**
+ * Get a learner's quiz score for a Quiz Score rule
+ * @param {Object} enrollment - Enrollment in the rule's course (or null)
+ * @param {Object} rule - Quiz Score rule
+ * @returns {number|null} - Module score, course average, or null if no attempts
+ */
+const getQuizScore = (enrollment, rule) => {
+  if (!enrollment) return null;
+
+  const attempted = enrollment.completedModules.filter(item => item.quizAttempts > 0);
+
+  if (rule.module) {
+    const entry = attempted.find(item => toId(item.module) === toId(rule.module));
+    return entry ? entry.quizScore : null;
+  }
+
+  if (attempted.length === 0) return null;
+
+  const total = attempted.reduce((sum, item) => sum + item.quizScore, 0);
+  return Math.round(total / attempted.length);
+};
+
+/**
+ * Check a learner against a course's prerequisites
+ * @param {string} userId - Learner's user ID
+ * @param {Object} course - Course document
+ * @returns {Object} - Eligibility with met and unmet rules, each explained
+ */
+const checkEligibility = async (userId, course) => {
+  const rules = course.prerequisites || [];
+  const waiver = (course.prerequisiteWaivers || [])
+    .find(item => toId(item.user) === toId(userId));
+
+  if (rules.length === 0) {
+    return { eligible: true, waived: false, met: [], unmet: [] };
+  }
+
+  const courseIds = rules.filter(rule => rule.course).map(rule => rule.course);
+  const skillIds = rules.filter(rule => rule.skill).map(rule => rule.skill);
+
+  const [courses, enrollments, skills, employeeSkills, modules] = await Promise.all([
+    Course.find({ _id: { $in: courseIds } }).select('title').lean(),
+    Enrollment.find({ user: userId, course: { $in: courseIds } })
+      .select('course status completedModules')
+      .lean(),
+    Skill.find({ _id: { $in: skillIds } }).select('name').lean(),
+    EmployeeSkill.find({ employee: userId, skill: { $in: skillIds } })
+      .select('skill proficiencyLevel')
+      .lean(),
+    Module.find({ _id: { $in: rules.filter(rule => rule.module).map(rule => rule.module) } })
+      .select('title')
+      .lean()
+  ]);
+
+  const byId = (items) => new Map(items.map(item => [toId(item), item]));
+  const courseById = byId(courses);
+  const skillById = byId(skills);
+  const moduleById = byId(modules);
+  const enrollmentByCourse = new Map(enrollments.map(item => [toId(item.course), item]));
+  const levelBySkill = new Map(employeeSkills.map(item => [toId(item.skill), item.proficiencyLevel]));
+
+  const results = rules.map(rule => {
+    const courseTitle = rule.course && courseById.has(toId(rule.course))
+      ? `"${courseById.get(toId(rule.course)).title}"`
+      : 'a removed course';
+    const enrollment = rule.course ? enrollmentByCourse.get(toId(rule.course)) : null;
+
+    if (rule.type === 'Course Completion') {
+      const status = enrollment ? enrollment.status : 'Not Enrolled';
+      return {
+        rule,
+        met: status === 'Completed',
+        message: `Complete the course ${courseTitle}`,
+        actual: status
+      };
+    }
+
+    if (rule.type === 'Quiz Score') {
+      const score = getQuizScore(enrollment, rule);
+      const quizName = rule.module && moduleById.has(toId(rule.module))
+        ? `the "${moduleById.get(toId(rule.module)).title}" quiz in ${courseTitle}`
+        : `the quizzes in ${courseTitle} (average)`;
+      return {
+        rule,
+        met: score !== null && score >= rule.minimumScore,
+        message: `Score at least ${rule.minimumScore}% on ${quizName}` +
+          (score === null ? ' (not attempted yet)' : ` (current score: ${score}%)`),
+        actual: score
+      };
+    }
+
+    const level = levelBySkill.get(toId(rule.skill)) || 0;
+    const skillName = skillById.has(toId(rule.skill))
+      ? `"${skillById.get(toId(rule.skill)).name}"`
+      : 'a removed skill';
+    return {
+      rule,
+      met: level >= rule.minimumLevel,
+      message: `Reach level ${rule.minimumLevel} in ${skillName} (current level: ${level})`,
+      actual: level
+    };
+  });
+
+  const unmet = results.filter(result => !result.met);
+
+  return {
+    eligible: unmet.length === 0 || Boolean(waiver),
+    waived: unmet.length > 0 && Boolean(waiver),
+    waiver: waiver || null,
+    met: results.filter(result => result.met),
+    unmet
+  };
+};
+
+/**
+ * Build a readable explanation of unmet prerequisites
+ * @param {Array} unmet - Unmet rules from checkEligibility
+ * @returns {string}
+ */
+const explainUnmet = (unmet) => (
+  `Prerequisites not met: ${unmet.map(result => result.message).join('; ')}`
+);
+
+module.exports = {
+  PREREQUISITE_TYPES,
+  validateRule,
+  checkEligibility,
+  explainUnmet
+};
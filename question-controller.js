@@ -0,0 +1,174 @@
+const Question = require('../models/Question');
+const asyncHandler = require('express-async-handler');
+const policyService = require('../services/policyService');
+
+// Fields set by the server, never taken from the request body
+const PROTECTED_QUESTION_FIELDS = ['_id', 'createdBy', 'createdAt', 'updatedAt'];
+
+// @desc    Search the question bank
+// @route   GET /api/questions
+// @access  Private/Instructor
+const getQuestions = asyncHandler(async (req, res) => {
+  const { skill, course, difficulty, type, tag, search, includeRetired } = req.query;
+  
+  const queryObj = {};
+  
+  if (includeRetired !== 'true') {
+    queryObj.isActive = true;
+  }
+  
+  if (skill) {
+    queryObj.skills = { $in: skill.split(',') };
+  }
+  
+  if (course) {
+    queryObj.courses = { $in: course.split(',') };
+  }
+  
+  if (difficulty) {
+    queryObj.difficulty = difficulty;
+  }
+  
+  if (type) {
+    queryObj.type = type;
+  }
+  
+  if (tag) {
+    queryObj.tags = { $in: tag.split(',') };
+  }
+  
+  if (search) {
+    queryObj.text = { $regex: search, $options: 'i' };
+  }
+  
+  // Pagination
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const startIndex = (page - 1) * limit;
+  
+  const questions = await Question.find(queryObj)
+    .populate('skills', 'name')
+    .populate('courses', 'title')
+    .populate('createdBy', 'name')
+    .sort({ updatedAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+  
+  const total = await Question.countDocuments(queryObj);
+  
+  res.status(200).json({
+    success: true,
+    count: questions.length,
+    total,
+    pagination: {
+      page,
+      pages: Math.ceil(total / limit)
+    },
+    data: questions
+  });
+});
+
+// @desc    Get a question
+// @route   GET /api/questions/:id
+// @access  Private/Instructor
+const getQuestion = asyncHandler(async (req, res) => {
+  const question = await Question.findById(req.params.id)
+    .populate('skills', 'name')
+    .populate('courses', 'title')
+    .populate('createdBy', 'name');
+  
+  if (!question) {
+    res.status(404);
+    throw new Error('Question not found');
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: question
+  });
+});
+
+// @desc    Add a question to the bank
+// @route   POST /api/questions
+// @access  Private/Instructor
+const createQuestion = asyncHandler(async (req, res) => {
+  PROTECTED_QUESTION_FIELDS.forEach(field => delete req.body[field]);
+  
+  const question = await Question.create({
+    ...req.body,
+    createdBy: req.user.id
+  });
+  
+  res.status(201).json({
+    success: true,
+    data: question
+  });
+});
+
+// @desc    Update a question
+// @route   PUT /api/questions/:id
+// @access  Private/Instructor
+const updateQuestion = asyncHandler(async (req, res) => {
+  const question = await Question.findById(req.params.id);
+  
+  if (!question) {
+    res.status(404);
+    throw new Error('Question not found');
+  }
+  
+  // Instructors may only edit questions they wrote
+  policyService.authorizeAction(
+    req.user,
+    'question:manage',
+    question,
+    'Not authorized to update this question'
+  );
+  
+  PROTECTED_QUESTION_FIELDS.forEach(field => delete req.body[field]);
+  
+  // Attempts keep their own copy of served questions, so edits only
+  // affect attempts started from now on. Saved through the document so
+  // the per-type checks in the model run
+  question.set(req.body);
+  await question.save();
+  
+  res.status(200).json({
+    success: true,
+    data: question
+  });
+});
+
+// @desc    Retire a question so it is no longer drawn
+// @route   DELETE /api/questions/:id
+// @access  Private/Instructor
+const retireQuestion = asyncHandler(async (req, res) => {
+  const question = await Question.findById(req.params.id);
+  
+  if (!question) {
+    res.status(404);
+    throw new Error('Question not found');
+  }
+  
+  policyService.authorizeAction(
+    req.user,
+    'question:manage',
+    question,
+    'Not authorized to retire this question'
+  );
+  
+  question.isActive = false;
+  await question.save();
+  
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+module.exports = {
+  getQuestions,
+  getQuestion,
+  createQuestion,
+  updateQuestion,
+  retireQuestion
+};
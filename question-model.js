@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const answerPattern = require('../utils/answerPattern');
+
+const QUESTION_TYPES = [
+  'Multiple Choice',
+  'Multiple Select',
+  'True/False',
+  'Short Answer',
+  'Fill in the Blank',
+  'Numeric',
+  'Matching',
+  'Ordering'
+];
+
+// Reusable question in the question bank
+const QuestionSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: [true, 'Please add the question text'],
+      maxlength: [2000, 'Question cannot be more than 2000 characters']
+    },
+    type: {
+      type: String,
+      enum: QUESTION_TYPES,
+      default: 'Multiple Choice'
+    },
+    // Choice questions mark the correct options; Ordering lists them in the correct order
+    options: [{
+      text: String,
+      isCorrect: Boolean
+    }],
+    // Matching
+    pairs: [{
+      prompt: String,
+      match: String
+    }],
+    // Short Answer
+    correctAnswer: {
+      type: String
+    },
+    // Short Answer and Fill in the Blank: any of these is accepted
+    acceptedAnswers: [{
+      value: {
+        type: String,
+        required: true,
+        maxlength: [200, 'Accepted answer cannot be more than 200 characters']
+      },
+      isRegex: {
+        type: Boolean,
+        default: false
+      }
+    }],
+    caseSensitive: {
+      type: Boolean,
+      default: false
+    },
+    // Numeric
+    numericAnswer: {
+      type: Number
+    },
+    tolerance: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    toleranceType: {
+      type: String,
+      enum: ['Absolute', 'Percent'],
+      default: 'Absolute'
+    },
+    // Multiple Select, Matching and Ordering award a share of the points for partly right answers
+    partialCredit: {
+      type: Boolean,
+      default: true
+    },
+    points: {
+      type: Number,
+      default: 1,
+      min: 0
+    },
+    // Shown with feedback after grading
+    explanation: {
+      type: String,
+      maxlength: [1000, 'Explanation cannot be more than 1000 characters']
+    },
+    // Tags used by quiz pools to draw questions
+    skills: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Skill'
+    }],
+    difficulty: {
+      type: String,
+      enum: ['Easy', 'Medium', 'Hard'],
+      default: 'Medium'
+    },
+    courses: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    }],
+    tags: [{
+      type: String,
+      trim: true
+    }],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Retired questions are no longer drawn but stay on past attempts
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Check that each question type has what it needs to be graded
+QuestionSchema.pre('validate', function(next) {
+  const options = this.options || [];
+  const correctCount = options.filter(option => option.isCorrect).length;
+
+  switch (this.type) {
+    case 'Multiple Choice':
+    case 'Multiple Select':
+    case 'True/False':
+      if (options.length < 2) this.invalidate('options', 'At least two options are required');
+      if (correctCount === 0) this.invalidate('options', 'At least one option must be marked as correct');
+      break;
+    case 'Ordering':
+      if (options.length < 2) this.invalidate('options', 'At least two items are required to order');
+      break;
+    case 'Matching':
+      if ((this.pairs || []).length < 2) this.invalidate('pairs', 'At least two pairs are required');
+      if ((this.pairs || []).some(pair => !pair.prompt || !pair.match)) {
+        this.invalidate('pairs', 'Every pair needs a prompt and a match');
+      }
+      break;
+    case 'Short Answer':
+    case 'Fill in the Blank':
+      if (!this.correctAnswer && (this.acceptedAnswers || []).length === 0) {
+        this.invalidate('acceptedAnswers', 'At least one accepted answer is required');
+      }
+      (this.acceptedAnswers || []).filter(answer => answer.isRegex).forEach(answer => {
+        const problem = answerPattern.checkPattern(answer.value);
+        if (problem) {
+          this.invalidate('acceptedAnswers', `Invalid pattern "${answer.value}": ${problem}`);
+        }
+      });
+      break;
+    case 'Numeric':
+      if (typeof this.numericAnswer !== 'number' || Number.isNaN(this.numericAnswer)) {
+        this.invalidate('numericAnswer', 'A numeric answer is required');
+      }
+      break;
+    default:
+      break;
+  }
+
+  next();
+});
+
+QuestionSchema.index({ courses: 1, difficulty: 1 });
+QuestionSchema.index({ skills: 1, difficulty: 1 });
+QuestionSchema.index({ tags: 1 });
+
+module.exports = mongoose.model('Question', QuestionSchema);
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getQuestions,
+  getQuestion,
+  createQuestion,
+  updateQuestion,
+  retireQuestion
+} = require('../controllers/questionController');
+const { protect, requirePermission } = require('../config/middleware');
+
+// The question bank holds answers, so every route is restricted to authors
+router.use(protect, requirePermission('question:view', 'any'));
+
+router.get('/', getQuestions);
+router.get('/:id', getQuestion);
+router.post('/', requirePermission('question:manage'), createQuestion);
+router.put('/:id', requirePermission('question:manage'), updateQuestion);
+router.delete('/:id', requirePermission('question:manage'), retireQuestion);
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+// A learner's attempt at a quiz, including the exact questions they were served
+const QuizAttemptSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz',
+      required: true
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true
+    },
+    module: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Module'
+    },
+    content: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Content'
+    },
+    // Attempt at a module's pre-assessment rather than at Quiz content
+    preAssessment: {
+      type: Boolean,
+      default: false
+    },
+    // Questions as served, in order, with options in the order shown.
+    // `_id` is the bank Question's ID
+    questions: [{
+      question: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Question'
+      },
+      text: String,
+      type: {
+        type: String
+      },
+      options: [{
+        text: String,
+        isCorrect: Boolean
+      }],
+      // Ordering: option IDs in the correct order
+      correctOrder: [mongoose.Schema.Types.ObjectId],
+      pairs: [{
+        prompt: String,
+        match: String
+      }],
+      correctAnswer: String,
+      acceptedAnswers: [{
+        value: String,
+        isRegex: Boolean
+      }],
+      caseSensitive: Boolean,
+      numericAnswer: Number,
+      tolerance: Number,
+      toleranceType: String,
+      partialCredit: Boolean,
+      points: Number,
+      explanation: String
+    }],
+    answers: [{
+      questionId: mongoose.Schema.Types.ObjectId,
+      response: mongoose.Schema.Types.Mixed,
+      isCorrect: Boolean,
+      earnedPoints: Number,
+      totalPoints: Number
+    }],
+    // Answers saved while the attempt is open, graded if it expires unsubmitted
+    savedAnswers: [{
+      type: mongoose.Schema.Types.Mixed
+    }],
+    status: {
+      type: String,
+      // Archived: from an earlier recertification cycle
+      enum: ['In Progress', 'Submitted', 'Archived'],
+      default: 'In Progress'
+    },
+    attemptNumber: {
+      type: Number
+    },
+    // Quiz settings the attempt was started under
+    passingScore: {
+      type: Number
+    },
+    scorePolicy: {
+      type: String,
+      enum: ['Best', 'Last', 'Average']
+    },
+    // Server deadline; unset when the quiz has no time limit
+    expiresAt: {
+      type: Date
+    },
+    // Submitted by the server after the deadline passed
+    autoSubmitted: {
+      type: Boolean,
+      default: false
+    },
+    score: {
+      type: Number
+    },
+    earnedPoints: {
+      type: Number
+    },
+    totalPoints: {
+      type: Number
+    },
+    passed: {
+      type: Boolean
+    },
+    timeSpent: {
+      type: Number, // in seconds
+      default: 0
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now
+    },
+    submittedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+QuizAttemptSchema.index({ user: 1, quiz: 1, startedAt: -1 });
+QuizAttemptSchema.index({ status: 1, expiresAt: 1 });
+// One open attempt per learner per quiz
+QuizAttemptSchema.index(
+  { user: 1, quiz: 1 },
+  { unique: true, partialFilterExpression: { status: 'In Progress' } }
+);
+
+module.exports = mongoose.model('QuizAttempt', QuizAttemptSchema);
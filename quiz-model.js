@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// Quiz definition: each attempt draws its questions from the pools
+const QuizSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Please add a quiz title'],
+      trim: true
+    },
+    description: {
+      type: String
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true
+    },
+    module: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Module'
+    },
+    pools: [{
+      name: {
+        type: String,
+        trim: true
+      },
+      // Number of questions drawn from this pool per attempt
+      count: {
+        type: Number,
+        required: true,
+        min: 1
+      },
+      // Draw from these questions only; otherwise match the filters below
+      questions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Question'
+      }],
+      skills: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Skill'
+      }],
+      difficulty: {
+        type: String,
+        enum: ['Easy', 'Medium', 'Hard']
+      },
+      courses: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+      }],
+      tags: [String],
+      // Overrides each drawn question's own points
+      pointsPerQuestion: {
+        type: Number,
+        min: 0
+      }
+    }],
+    randomizeQuestions: {
+      type: Boolean,
+      default: false
+    },
+    shuffleOptions: {
+      type: Boolean,
+      default: true
+    },
+    // Enforced on the server from the moment an attempt starts
+    timeLimit: {
+      type: Number, // in minutes
+      min: 0
+    },
+    passingScore: {
+      type: Number,
+      default: 70
+    },
+    // Number of attempts allowed per learner, 0 for unlimited
+    maxAttempts: {
+      type: Number,
+      default: 3,
+      min: 0
+    },
+    // Wait between a submitted attempt and the next one
+    retakeCooldown: {
+      type: Number, // in minutes
+      default: 0,
+      min: 0
+    },
+    // Which attempt's score counts towards the learner's module score
+    scorePolicy: {
+      type: String,
+      enum: ['Best', 'Last', 'Average'],
+      default: 'Best'
+    },
+    showFeedback: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+module.exports = mongoose.model('Quiz', QuizSchema);
@@ -0,0 +1,774 @@
+/**
+ * Quiz service
+ * Draws randomized questions from the question bank for each attempt, enforces
+ * attempt limits and deadlines, and grades attempts against the questions
+ * that were actually served
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const QuizAttempt = require('../models/QuizAttempt');
+const Enrollment = require('../models/Enrollment');
+const courseVersionService = require('./courseVersionService');
+const xapiService = require('./xapiService');
+const streakService = require('./streakService');
+const badgeRuleService = require('./badgeRuleService');
+const answerPattern = require('../utils/answerPattern');
+
+// Submissions this late still count, to allow for network delay
+const DEADLINE_GRACE_SECONDS = 30;
+
+// Quizzes saved before attempt limits existed get the schema default
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+class QuizAttemptError extends Error {
+  constructor(message, code = 'QUIZ_ATTEMPT_NOT_ALLOWED', data = null) {
+    super(message);
+    this.name = 'QuizAttemptError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+const toObjectIds = (ids = []) => ids.map(id => new mongoose.Types.ObjectId(id.toString()));
+
+// Question type values used by the content editor
+const EDITOR_QUESTION_TYPES = {
+  'multiple-choice': 'Multiple Choice',
+  'multi-select': 'Multiple Select',
+  'true-false': 'True/False',
+  'short-answer': 'Short Answer',
+  'fill-in-blank': 'Fill in the Blank',
+  'numeric': 'Numeric',
+  'matching': 'Matching',
+  'ordering': 'Ordering'
+};
+
+// Instructor-written patterns are run against short learner input only
+const MAX_RESPONSE_LENGTH = 500;
+
+const normalizeText = (value, caseSensitive = false) => {
+  const text = String(value === undefined || value === null ? '' : value)
+    .trim()
+    .replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+/**
+ * Convert a question from the content editor to the bank's format
+ * @param {Object} item - Editor question (client `id`s, kebab-case type)
+ * @returns {Object} - Question fields
+ */
+const fromEditorQuestion = (item) => {
+  const { _id, id, ...fields } = item;
+  const stripClientId = ({ id: clientId, ...rest }) => rest;
+
+  return {
+    ...fields,
+    type: EDITOR_QUESTION_TYPES[fields.type] || fields.type,
+    options: (fields.options || []).map(stripClientId),
+    pairs: (fields.pairs || []).map(stripClientId),
+    acceptedAnswers: (fields.acceptedAnswers || []).map(stripClientId)
+  };
+};
+
+/**
+ * Shuffle a copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} - Shuffled copy
+ */
+const shuffle = (items) => {
+  const result = [...items];
+
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+
+  return result;
+};
+
+/**
+ * Turn a quiz definition from the content editor into pools, moving inline
+ * questions into the question bank
+ * @param {Object} quizData - Quiz settings with `pools` and/or inline `questions`
+ * @param {Object} context - Course the quiz belongs to and the editing user
+ * @returns {Array} - Pools for the Quiz document
+ */
+const buildPools = async (quizData, { courseId, userId }) => {
+  const pools = [...(quizData.pools || [])];
+
+  if (Array.isArray(quizData.questions) && quizData.questions.length > 0) {
+    const questionIds = [];
+
+    for (const item of quizData.questions) {
+      const fields = fromEditorQuestion(item);
+      const existing = item._id && await Question.findById(item._id);
+
+      // Saved through the document so per-type validation runs
+      if (existing) {
+        existing.set(fields);
+        await existing.save();
+        questionIds.push(existing._id);
+      } else {
+        const question = await Question.create({
+          ...fields,
+          courses: fields.courses || [courseId],
+          createdBy: userId
+        });
+        questionIds.push(question._id);
+      }
+    }
+
+    // Inline questions behave like a fixed quiz: every question, every attempt
+    pools.push({
+      name: 'Quiz questions',
+      count: questionIds.length,
+      questions: questionIds
+    });
+  }
+
+  return pools;
+};
+
+/**
+ * Order a question's options for serving
+ * Ordering items are always shuffled, since their stored order is the answer
+ * @param {Object} question - Bank question
+ * @param {Object} quiz - Quiz definition
+ * @returns {Array}
+ */
+const serveOptions = (question, quiz) => {
+  const options = question.options || [];
+
+  if (question.type === 'Ordering') return shuffle(options);
+  if (quiz.shuffleOptions === false || question.type === 'True/False') return options;
+
+  return shuffle(options);
+};
+
+/**
+ * Build the question bank query for a pool
+ * @param {Object} pool - Quiz pool
+ * @returns {Object} - Mongo filter of the active questions the pool draws from
+ */
+const buildPoolMatch = (pool) => {
+  const match = { isActive: true };
+
+  if (pool.questions && pool.questions.length > 0) {
+    match._id = { $in: toObjectIds(pool.questions) };
+  } else {
+    if (pool.skills && pool.skills.length > 0) match.skills = { $in: toObjectIds(pool.skills) };
+    if (pool.courses && pool.courses.length > 0) match.courses = { $in: toObjectIds(pool.courses) };
+    if (pool.tags && pool.tags.length > 0) match.tags = { $in: pool.tags };
+    if (pool.difficulty) match.difficulty = pool.difficulty;
+  }
+
+  return match;
+};
+
+/**
+ * Draw the questions for one attempt
+ * @param {Object} quiz - Quiz definition (document or snapshot)
+ * @returns {Array} - Served questions including grading data
+ */
+const drawQuestions = async (quiz) => {
+  const drawnIds = [];
+  const served = [];
+
+  for (const pool of quiz.pools || []) {
+    const match = buildPoolMatch(pool);
+    match._id = { ...match._id, $nin: toObjectIds(drawnIds) };
+
+    const questions = await Question.aggregate([
+      { $match: match },
+      { $sample: { size: pool.count } }
+    ]);
+
+    if (questions.length < pool.count) {
+      console.warn(`Quiz ${quiz._id}: pool "${pool.name || 'unnamed'}" has ${questions.length} of ${pool.count} questions`);
+    }
+
+    questions.forEach(question => {
+      drawnIds.push(question._id);
+      served.push({
+        _id: question._id,
+        question: question._id,
+        text: question.text,
+        type: question.type,
+        options: serveOptions(question, quiz),
+        correctOrder: question.type === 'Ordering'
+          ? (question.options || []).map(option => option._id)
+          : undefined,
+        pairs: question.pairs,
+        correctAnswer: question.correctAnswer,
+        acceptedAnswers: question.acceptedAnswers,
+        caseSensitive: question.caseSensitive,
+        numericAnswer: question.numericAnswer,
+        tolerance: question.tolerance,
+        toleranceType: question.toleranceType,
+        partialCredit: question.partialCredit,
+        points: pool.pointsPerQuestion !== undefined && pool.pointsPerQuestion !== null
+          ? pool.pointsPerQuestion
+          : question.points,
+        explanation: question.explanation
+      });
+    });
+  }
+
+  // $sample already mixes questions within a pool; this mixes across pools
+  return quiz.randomizeQuestions ? shuffle(served) : served;
+};
+
+/**
+ * Strip grading data from served questions before sending them to the learner
+ * @param {Array} questions - Served questions from the attempt
+ * @returns {Array}
+ */
+const toLearnerQuestions = (questions) => questions.map(question => {
+  const learnerQuestion = {
+    _id: question._id,
+    text: question.text,
+    type: question.type,
+    points: question.points,
+    options: (question.options || []).map(option => ({ _id: option._id, text: option.text }))
+  };
+
+  // Matching shows the prompts alongside a shuffled list of the matches
+  if (question.type === 'Matching') {
+    learnerQuestion.pairs = (question.pairs || []).map(pair => ({ _id: pair._id, prompt: pair.prompt }));
+    learnerQuestion.matches = shuffle([...new Set((question.pairs || []).map(pair => pair.match))]);
+  }
+
+  return learnerQuestion;
+});
+
+/**
+ * Check whether an attempt is past its deadline (plus grace)
+ * @param {Object} attempt - QuizAttempt
+ * @returns {boolean}
+ */
+const isExpired = (attempt) => (
+  Boolean(attempt.expiresAt) &&
+  Date.now() > attempt.expiresAt.getTime() + DEADLINE_GRACE_SECONDS * 1000
+);
+
+/**
+ * Count a learner's attempts and work out when they may start another
+ * @param {Object} quiz - Quiz definition
+ * @param {string} userId - Learner's user ID
+ * @returns {Object} - Attempts used and remaining (null if unlimited), and
+ *   when the retake cooldown ends (null if not cooling down)
+ */
+const getAttemptState = async (quiz, userId) => {
+  const submitted = await QuizAttempt.find({
+    user: userId,
+    quiz: quiz._id,
+    status: 'Submitted'
+  })
+    .select('submittedAt')
+    .sort({ submittedAt: -1 })
+    .lean();
+
+  const maxAttempts = quiz.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+  const lastSubmittedAt = submitted.length > 0 ? submitted[0].submittedAt : null;
+  const cooldownEndsAt = lastSubmittedAt && quiz.retakeCooldown
+    ? new Date(lastSubmittedAt.getTime() + quiz.retakeCooldown * 60 * 1000)
+    : null;
+
+  return {
+    attemptsUsed: submitted.length,
+    maxAttempts,
+    attemptsRemaining: maxAttempts === 0 ? null : Math.max(maxAttempts - submitted.length, 0),
+    nextAttemptAt: cooldownEndsAt && cooldownEndsAt > new Date() ? cooldownEndsAt : null
+  };
+};
+
+/**
+ * Start an attempt, or resume the learner's unfinished one
+ * @param {Object} params - Quiz definition, user and where the quiz lives
+ * @returns {Object} - QuizAttempt
+ */
+const startAttempt = async ({ quiz, userId, courseId, moduleId, contentId, preAssessment = false }) => {
+  const inProgress = await QuizAttempt.findOne({
+    user: userId,
+    quiz: quiz._id,
+    status: 'In Progress'
+  });
+
+  if (inProgress && !isExpired(inProgress)) return inProgress;
+
+  // An attempt left to run out counts as used before the limits are checked
+  if (inProgress) await expireAttempt(inProgress);
+
+  const state = await getAttemptState(quiz, userId);
+
+  if (state.attemptsRemaining === 0) {
+    throw new QuizAttemptError(
+      `You have used all ${state.maxAttempts} attempts for this quiz`,
+      'MAX_ATTEMPTS_REACHED',
+      state
+    );
+  }
+
+  if (state.nextAttemptAt) {
+    throw new QuizAttemptError(
+      `You can retake this quiz after ${state.nextAttemptAt.toISOString()}`,
+      'RETAKE_COOLDOWN',
+      state
+    );
+  }
+
+  const questions = await drawQuestions(quiz);
+
+  if (questions.length === 0) {
+    throw new QuizAttemptError('This quiz has no questions available', 'QUIZ_EMPTY');
+  }
+
+  const startedAt = new Date();
+
+  try {
+    return await QuizAttempt.create({
+      user: userId,
+      quiz: quiz._id,
+      course: courseId,
+      module: moduleId,
+      content: contentId,
+      preAssessment,
+      questions,
+      attemptNumber: state.attemptsUsed + 1,
+      passingScore: quiz.passingScore,
+      scorePolicy: quiz.scorePolicy || 'Best',
+      startedAt,
+      expiresAt: quiz.timeLimit
+        ? new Date(startedAt.getTime() + quiz.timeLimit * 60 * 1000)
+        : undefined
+    });
+  } catch (error) {
+    // Another request started the attempt first (one open attempt per quiz)
+    if (error.code === 11000) {
+      return QuizAttempt.findOne({ user: userId, quiz: quiz._id, status: 'In Progress' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Save answers on an open attempt so they are graded if time runs out
+ * @param {Object} attempt - In-progress QuizAttempt
+ * @param {Array} answers - Learner answers so far
+ * @returns {Object} - QuizAttempt
+ */
+const saveAnswers = async (attempt, answers) => {
+  if (isExpired(attempt)) {
+    await expireAttempt(attempt);
+    throw new QuizAttemptError('Time is up, the attempt was submitted automatically', 'ATTEMPT_EXPIRED');
+  }
+
+  attempt.savedAnswers = answers;
+  await attempt.save();
+
+  return attempt;
+};
+
+/**
+ * Check a text response against a question's accepted answers
+ * Regex answers must match the whole response, within a time limit
+ * @param {Object} question - Served Short Answer or Fill in the Blank question
+ * @param {string} value - Learner's response
+ * @returns {boolean}
+ */
+const matchesAcceptedAnswer = (question, value) => {
+  const response = normalizeText(value, question.caseSensitive);
+
+  if (response === '' || response.length > MAX_RESPONSE_LENGTH) return false;
+
+  const accepted = [...(question.acceptedAnswers || [])];
+  if (question.correctAnswer) {
+    accepted.push({ value: question.correctAnswer, isRegex: false });
+  }
+
+  return accepted.some(item => {
+    if (!item.isRegex) {
+      return response === normalizeText(item.value, question.caseSensitive);
+    }
+
+    return answerPattern.matchesPattern(item.value, response, question.caseSensitive);
+  });
+};
+
+/**
+ * Grade a Numeric answer within the question's tolerance
+ * @param {Object} question - Served Numeric question
+ * @param {*} value - Learner's response
+ * @returns {number} - 1 or 0
+ */
+const gradeNumeric = (question, value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return 0;
+
+  const response = Number(value);
+  if (!Number.isFinite(response)) return 0;
+
+  const tolerance = question.toleranceType === 'Percent'
+    ? Math.abs(question.numericAnswer) * (question.tolerance || 0) / 100
+    : question.tolerance || 0;
+
+  // Small epsilon so 0.1 + 0.2 style rounding does not fail an exact answer
+  return Math.abs(response - question.numericAnswer) <= tolerance + 1e-9 ? 1 : 0;
+};
+
+/**
+ * Grade one answer against a served question
+ * @param {Object} question - Served question
+ * @param {Object} answer - Learner's answer
+ * @returns {number} - Fraction of the question's points earned (0-1)
+ */
+const gradeAnswer = (question, answer) => {
+  const allOrPartial = (correct, total) => {
+    if (total === 0) return 0;
+    if (question.partialCredit === false) return correct === total ? 1 : 0;
+    return correct / total;
+  };
+
+  switch (question.type) {
+    case 'Short Answer':
+    case 'Fill in the Blank':
+      return matchesAcceptedAnswer(question, answer.answer) ? 1 : 0;
+
+    case 'Numeric':
+      return gradeNumeric(question, answer.answer);
+
+    case 'Matching': {
+      // { pairId: chosen match text }
+      const matches = answer.matches || {};
+      const pairs = question.pairs || [];
+      const correct = pairs.filter(pair =>
+        normalizeText(matches[pair._id.toString()]) === normalizeText(pair.match)
+      ).length;
+      return allOrPartial(correct, pairs.length);
+    }
+
+    case 'Ordering': {
+      // Option IDs in the learner's order; credit per item in the right position
+      const order = (answer.order || []).map(id => id.toString());
+      const correctOrder = (question.correctOrder || []).map(id => id.toString());
+      const correct = correctOrder.filter((id, index) => order[index] === id).length;
+      return allOrPartial(correct, correctOrder.length);
+    }
+
+    case 'Multiple Select': {
+      // Each wrong selection cancels out a right one, so selecting everything earns nothing
+      const selected = new Set((answer.selectedOptions || []).map(id => id.toString()));
+      const correctOptions = question.options.filter(option => option.isCorrect);
+      const hits = correctOptions.filter(option => selected.has(option._id.toString())).length;
+      const wrong = question.options.filter(option =>
+        !option.isCorrect && selected.has(option._id.toString())
+      ).length;
+      return allOrPartial(Math.max(hits - wrong, 0), correctOptions.length);
+    }
+
+    default: {
+      // Multiple Choice and True/False: the selection must match the correct options
+      const selected = (answer.selectedOptions || []).map(id => id.toString());
+
+      if (selected.length === 0) return 0;
+
+      const allMatch = question.options.every(option =>
+        Boolean(option.isCorrect) === selected.includes(option._id.toString())
+      );
+
+      return allMatch ? 1 : 0;
+    }
+  }
+};
+
+/**
+ * Pick the part of an answer worth storing for a question type
+ * @param {Object} question - Served question
+ * @param {Object} answer - Learner's answer
+ * @returns {*}
+ */
+const getResponse = (question, answer) => {
+  if (!answer) return null;
+
+  switch (question.type) {
+    case 'Matching':
+      return answer.matches || null;
+    case 'Ordering':
+      return answer.order || null;
+    case 'Short Answer':
+    case 'Fill in the Blank':
+    case 'Numeric':
+      return answer.answer === undefined ? null : answer.answer;
+    default:
+      return answer.selectedOptions || null;
+  }
+};
+
+/**
+ * Combine a learner's attempt scores according to the quiz's score policy
+ * @param {Array} attempts - Submitted attempts, oldest first
+ * @param {string} policy - 'Best', 'Last' or 'Average'
+ * @returns {number}
+ */
+const applyScorePolicy = (attempts, policy) => {
+  if (attempts.length === 0) return 0;
+
+  const scores = attempts.map(attempt => attempt.score || 0);
+
+  if (policy === 'Last') return scores[scores.length - 1];
+  if (policy === 'Average') {
+    return Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100;
+  }
+
+  return Math.max(...scores);
+};
+
+/**
+ * Test the learner out of a module when they reach mastery on its pre-assessment
+ * The attempt's passing score is the pre-assessment's mastery score
+ * @param {Object} enrollment - Enrollment document
+ * @param {Object} attempt - Submitted pre-assessment QuizAttempt
+ */
+const recordPreAssessment = async (enrollment, attempt) => {
+  if (!attempt.passed) return;
+
+  const version = await courseVersionService.getEnrollmentVersion(enrollment);
+  const module = version && courseVersionService.findVersionModule(version, attempt.module);
+
+  if (!module || !module.preAssessment) return;
+
+  const testedOut = courseVersionService.recordTestOut(enrollment, attempt.module, {
+    score: attempt.score,
+    skills: module.preAssessment.skills
+  });
+
+  if (!testedOut) return;
+
+  // Completion (certificate, badges) is left to the next progress update
+  enrollment.progressPercentage = courseVersionService.calculateProgress(enrollment, version);
+  if (enrollment.status === 'Not Started') {
+    enrollment.status = 'In Progress';
+  }
+
+  await enrollment.save();
+};
+
+/**
+ * Record the learner's module quiz score on their enrollment
+ * Passing a module's quiz completes the module, as module quiz scores always have
+ * @param {Object} attempt - Submitted QuizAttempt
+ * @returns {number|null} - Module score under the quiz's policy
+ */
+const recordScore = async (attempt) => {
+  if (!attempt.module) return null;
+
+  const enrollment = await Enrollment.findOne({ user: attempt.user, course: attempt.course });
+
+  if (!enrollment) return null;
+
+  if (attempt.preAssessment) {
+    await recordPreAssessment(enrollment, attempt);
+    return attempt.score;
+  }
+
+  const attempts = await QuizAttempt.find({
+    user: attempt.user,
+    quiz: attempt.quiz,
+    status: 'Submitted'
+  })
+    .select('score submittedAt')
+    .sort({ submittedAt: 1 })
+    .lean();
+
+  const score = applyScorePolicy(attempts, attempt.scorePolicy);
+  const entry = enrollment.completedModules
+    .find(item => item.module.toString() === attempt.module.toString());
+
+  if (entry) {
+    entry.quizScore = score;
+    entry.quizAttempts = attempts.length;
+  } else if (attempt.passed) {
+    enrollment.completedModules.push({
+      module: attempt.module,
+      completedOn: Date.now(),
+      quizScore: score,
+      quizAttempts: attempts.length
+    });
+
+    // Completion (certificate, badges) is left to the next progress update
+    const version = await courseVersionService.getEnrollmentVersion(enrollment);
+    if (version) {
+      enrollment.progressPercentage = courseVersionService.calculateProgress(enrollment, version);
+    }
+    if (enrollment.status === 'Not Started') {
+      enrollment.status = 'In Progress';
+    }
+  } else {
+    return score;
+  }
+
+  await enrollment.save();
+
+  return score;
+};
+
+/**
+ * Grade and close an attempt
+ * Only the first request to close an attempt grades it; later ones get the stored result
+ * @param {Object} attempt - In-progress QuizAttempt
+ * @param {Array} answers - Learner answers ({ questionId, selectedOptions | answer | matches | order })
+ * @param {boolean} autoSubmitted - Closed by the server after the deadline
+ * @returns {Object} - Submitted QuizAttempt
+ */
+const gradeAttempt = async (attempt, answers, autoSubmitted) => {
+  let totalPoints = 0;
+  let earnedPoints = 0;
+
+  // Only questions on the attempt are graded; unknown IDs are ignored
+  const graded = attempt.questions.map(question => {
+    const answer = answers.find(item => item.questionId && item.questionId.toString() === question._id.toString());
+    const credit = answer ? gradeAnswer(question, answer) : 0;
+    const earned = Math.round(credit * question.points * 100) / 100;
+
+    totalPoints += question.points;
+    earnedPoints += earned;
+
+    return {
+      questionId: question._id,
+      response: getResponse(question, answer),
+      isCorrect: credit === 1,
+      earnedPoints: earned,
+      totalPoints: question.points
+    };
+  });
+
+  const now = new Date();
+  const endedAt = attempt.expiresAt && attempt.expiresAt < now ? attempt.expiresAt : now;
+  const score = totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 10000) / 100 : 0;
+
+  const submitted = await QuizAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: 'In Progress' },
+    {
+      answers: graded,
+      totalPoints,
+      earnedPoints,
+      score,
+      passed: score >= attempt.passingScore,
+      status: 'Submitted',
+      submittedAt: now,
+      autoSubmitted,
+      // Measured on the server, so it never exceeds the time limit
+      timeSpent: Math.max(Math.round((endedAt - attempt.startedAt) / 1000), 0)
+    },
+    { new: true }
+  );
+
+  if (!submitted) {
+    return QuizAttempt.findById(attempt._id);
+  }
+
+  await recordScore(submitted);
+  await xapiService.recordQuizAttempt(submitted);
+  await streakService.recordActivity(submitted.user, {
+    source: 'quiz',
+    seconds: submitted.timeSpent,
+    at: submitted.submittedAt
+  });
+  await badgeRuleService.handleEvent(submitted.user, 'quiz_submitted');
+
+  return submitted;
+};
+
+/**
+ * Submit an attempt with the learner's answers
+ * Once the deadline has passed only the answers saved in time are graded
+ * @param {Object} attempt - In-progress QuizAttempt
+ * @param {Array} answers - Learner answers
+ * @returns {Object} - Submitted QuizAttempt
+ */
+const submitAttempt = async (attempt, answers) => {
+  if (isExpired(attempt)) {
+    return expireAttempt(attempt);
+  }
+
+  return gradeAttempt(attempt, answers, false);
+};
+
+/**
+ * Auto-submit an attempt whose deadline has passed, grading its saved answers
+ * @param {Object} attempt - In-progress QuizAttempt
+ * @returns {Object} - Submitted QuizAttempt
+ */
+const expireAttempt = (attempt) => gradeAttempt(attempt, attempt.savedAnswers || [], true);
+
+/**
+ * Auto-submit attempts that have run out of time (run on a schedule)
+ * @param {Object} filter - Optionally limit to a user and/or quiz
+ * @returns {number} - Attempts submitted
+ */
+const expireAttempts = async (filter = {}) => {
+  const cutoff = new Date(Date.now() - DEADLINE_GRACE_SECONDS * 1000);
+  const attempts = await QuizAttempt.find({
+    ...filter,
+    status: 'In Progress',
+    expiresAt: { $lt: cutoff }
+  });
+
+  for (const attempt of attempts) {
+    try {
+      await expireAttempt(attempt);
+    } catch (error) {
+      console.error(`Error auto-submitting quiz attempt ${attempt._id}:`, error);
+    }
+  }
+
+  return attempts.length;
+};
+
+/**
+ * Build per-question feedback for a submitted attempt
+ * @param {Object} attempt - Submitted QuizAttempt
+ * @returns {Array}
+ */
+const buildFeedback = (attempt) => attempt.answers.map(answer => {
+  const question = attempt.questions.find(item => item._id.toString() === answer.questionId.toString());
+
+  return {
+    questionId: answer.questionId,
+    question: question.text,
+    userAnswer: answer.response,
+    isCorrect: answer.isCorrect,
+    earnedPoints: answer.earnedPoints,
+    totalPoints: answer.totalPoints,
+    correctOptions: question.options.filter(option => option.isCorrect).map(option => option._id),
+    correctOrder: question.type === 'Ordering' ? question.correctOrder : undefined,
+    correctMatches: question.type === 'Matching'
+      ? question.pairs.map(pair => ({ pairId: pair._id, prompt: pair.prompt, match: pair.match }))
+      : undefined,
+    correctAnswer: question.correctAnswer,
+    // Patterns are not meaningful to learners, so only literal answers are shown
+    acceptedAnswers: (question.acceptedAnswers || [])
+      .filter(item => !item.isRegex)
+      .map(item => item.value),
+    numericAnswer: question.numericAnswer,
+    tolerance: question.type === 'Numeric' ? question.tolerance : undefined,
+    explanation: question.explanation
+  };
+});
+
+module.exports = {
+  QuizAttemptError,
+  shuffle,
+  buildPools,
+  buildPoolMatch,
+  drawQuestions,
+  toLearnerQuestions,
+  getAttemptState,
+  applyScorePolicy,
+  startAttempt,
+  saveAnswers,
+  submitAttempt,
+  expireAttempts,
+  buildFeedback
+};
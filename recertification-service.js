@@ -0,0 +1,266 @@
+/**
+ * Recertification service
+ * Courses with a recertification interval must be retaken: each completion
+ * lapses after the interval. Ahead of that date the learner's enrollment is
+ * restarted as a new cycle, due when the current completion lapses, and the
+ * completion moves to the enrollment's certification history
+ */
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const QuizAttempt = require('../models/QuizAttempt');
+const AssignmentSubmission = require('../models/AssignmentSubmission');
+const courseVersionService = require('./courseVersionService');
+const notificationService = require('./notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RENEWAL_WINDOW_DAYS = 30;
+
+/**
+ * Add calendar months to a date; month ends roll back, so a year after
+ * 29 February is 28 February
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add
+ * @returns {Date}
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+
+  result.setMonth(result.getMonth() + months);
+  if (result.getDate() !== day) result.setDate(0);
+
+  return result;
+};
+
+// Certificates are issued on completion; older enrollments fall back to their last update
+const getCompletionDate = (enrollment) => enrollment.certificateIssuedOn || enrollment.updatedAt;
+
+// Completion from the cycle before the current one
+const getPreviousCycle = (enrollment) => {
+  const history = enrollment.certificationHistory || [];
+  return history.length > 0 ? history[history.length - 1] : null;
+};
+
+/**
+ * Whether an enrollment counts as compliant: completed and not lapsed, or
+ * renewing while the previous cycle's completion is still valid
+ * @param {Object} enrollment - Enrollment
+ * @param {Date} now - Date to check at
+ * @returns {boolean}
+ */
+const isCompliant = (enrollment, now = new Date()) => {
+  if (enrollment.status === 'Completed') {
+    return !enrollment.certificationExpiresOn || enrollment.certificationExpiresOn > now;
+  }
+
+  const previous = getPreviousCycle(enrollment);
+  return Boolean(previous && previous.expiresOn > now);
+};
+
+/**
+ * Whether an enrollment's last completion has lapsed without being renewed
+ * @param {Object} enrollment - Enrollment
+ * @param {Date} now - Date to check at
+ * @returns {boolean}
+ */
+const hasLapsed = (enrollment, now = new Date()) => {
+  if (enrollment.certificationExpiresOn) {
+    return enrollment.certificationExpiresOn <= now;
+  }
+
+  const previous = getPreviousCycle(enrollment);
+  return Boolean(enrollment.status !== 'Completed' && previous && previous.expiresOn <= now);
+};
+
+/**
+ * Give completions of a recurring course that have no expiry date one
+ * @param {Object} course - Course with a recertification interval
+ * @returns {number} - Enrollments updated
+ */
+const setExpiryDates = async (course) => {
+  const enrollments = await Enrollment.find({
+    course: course._id,
+    status: 'Completed',
+    certificationExpiresOn: null
+  });
+
+  for (const enrollment of enrollments) {
+    enrollment.certificationExpiresOn = addMonths(
+      getCompletionDate(enrollment),
+      course.recertification.intervalMonths
+    );
+    await enrollment.save();
+  }
+
+  return enrollments.length;
+};
+
+/**
+ * Restart an enrollment as the next recertification cycle on the course's
+ * current version. Earlier quiz attempts and assignment submissions are
+ * archived so they count towards neither attempt limits nor scores
+ * @param {Object} enrollment - Completed (or lapsed) Enrollment document
+ * @param {Object} version - CourseVersion to take the new cycle on
+ * @param {Date} now - Current date
+ * @returns {Object} - Enrollment document
+ */
+const startRenewal = async (enrollment, version, now = new Date()) => {
+  const expiresOn = enrollment.certificationExpiresOn;
+
+  enrollment.certificationHistory.push({
+    cycle: enrollment.recertificationCycle,
+    completedOn: getCompletionDate(enrollment),
+    expiresOn,
+    certificateUrl: enrollment.certificateUrl,
+    versionNumber: enrollment.versionNumber,
+    lapsedOn: expiresOn > now ? undefined : now
+  });
+
+  enrollment.set({
+    recertificationCycle: enrollment.recertificationCycle + 1,
+    courseVersion: version._id,
+    versionNumber: version.version,
+    status: expiresOn > now ? 'Not Started' : 'Expired',
+    progressPercentage: 0,
+    completedModules: [],
+    completedContent: [],
+    testedOutModules: [],
+    moduleProgress: [],
+    certificateIssued: false,
+    certificateUrl: undefined,
+    certificateIssuedOn: undefined,
+    certificationExpiresOn: undefined,
+    dueDate: expiresOn
+  });
+  await enrollment.save();
+
+  await QuizAttempt.updateMany(
+    { user: enrollment.user, course: enrollment.course, status: 'Submitted' },
+    { status: 'Archived' }
+  );
+  await AssignmentSubmission.updateMany(
+    { user: enrollment.user, course: enrollment.course, status: { $ne: 'Archived' } },
+    { status: 'Archived' }
+  );
+
+  return enrollment;
+};
+
+/**
+ * Open the next cycle for completions that lapse within the course's renewal
+ * window, or have lapsed already. Unpublished courses are not renewed
+ * @param {Object} course - Course with a recertification interval
+ * @param {Date} now - Current date
+ * @returns {number} - Renewals opened
+ */
+const openRenewals = async (course, now) => {
+  const windowDays = course.recertification.renewalWindowDays ?? DEFAULT_RENEWAL_WINDOW_DAYS;
+  const enrollments = await Enrollment.find({
+    course: course._id,
+    status: { $in: ['Completed', 'Expired'] },
+    certificationExpiresOn: { $lte: new Date(now.getTime() + windowDays * DAY_MS) }
+  });
+
+  if (enrollments.length === 0 || !course.isPublished) return 0;
+
+  const version = await courseVersionService.ensurePublishedVersion(course);
+
+  if (!version) return 0;
+
+  for (const enrollment of enrollments) {
+    const expiresOn = enrollment.certificationExpiresOn;
+    await startRenewal(enrollment, version, now);
+
+    await notificationService.sendNotification(
+      enrollment.user,
+      'Recertification Due',
+      expiresOn > now
+        ? `Your certification for ${course.title} expires on ${expiresOn.toLocaleDateString()}. Retake the course by then to stay certified.`
+        : `Your certification for ${course.title} has expired. Retake the course to renew it.`,
+      {
+        type: 'recertification_due',
+        metadata: {
+          courseId: course._id,
+          enrollmentId: enrollment._id,
+          dueDate: expiresOn
+        }
+      }
+    );
+  }
+
+  return enrollments.length;
+};
+
+/**
+ * Mark enrollments whose certification lapsed as Expired: completions that
+ * could not be renewed, and renewals not finished by their due date
+ * @param {Object} course - Course with a recertification interval
+ * @param {Date} now - Current date
+ * @returns {number} - Enrollments expired
+ */
+const expireCertifications = async (course, now) => {
+  const enrollments = await Enrollment.find({
+    course: course._id,
+    $or: [
+      { status: 'Completed', certificationExpiresOn: { $lte: now } },
+      { status: { $in: ['Not Started', 'In Progress'] }, recertificationCycle: { $gt: 1 }, dueDate: { $lte: now } }
+    ]
+  });
+
+  // A renewal is only expired once, when its previous cycle lapses; after
+  // that the learner's progress moves its status on as usual
+  const lapsed = enrollments.filter(enrollment => (
+    enrollment.status === 'Completed' ||
+    (hasLapsed(enrollment, now) && !getPreviousCycle(enrollment).lapsedOn)
+  ));
+
+  for (const enrollment of lapsed) {
+    const previous = getPreviousCycle(enrollment);
+    if (enrollment.status !== 'Completed') previous.lapsedOn = now;
+
+    enrollment.status = 'Expired';
+    await enrollment.save();
+
+    await notificationService.sendNotification(
+      enrollment.user,
+      'Certification Expired',
+      `Your certification for ${course.title} has expired. Retake the course to renew it.`,
+      {
+        type: 'certificate_expired',
+        metadata: {
+          courseId: course._id,
+          enrollmentId: enrollment._id
+        }
+      }
+    );
+  }
+
+  return lapsed.length;
+};
+
+/**
+ * Date completions of recurring courses, open renewals ahead of their
+ * expiry and expire lapsed certifications. Run on a schedule
+ * @param {Date} now - Current date
+ * @returns {Object} - Counts of expiry dates set, renewals opened and certifications expired
+ */
+const processRecertifications = async (now = new Date()) => {
+  const courses = await Course.find({ 'recertification.intervalMonths': { $gte: 1 } });
+  const result = { dated: 0, renewed: 0, expired: 0 };
+
+  for (const course of courses) {
+    result.dated += await setExpiryDates(course);
+    result.renewed += await openRenewals(course, now);
+    result.expired += await expireCertifications(course, now);
+  }
+
+  return result;
+};
+
+module.exports = {
+  addMonths,
+  isCompliant,
+  hasLapsed,
+  startRenewal,
+  processRecertifications
+};
@@ -0,0 +1,275 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Reward = require('../models/Reward');
+const User = require('../models/User');
+const RewardRedemption = require('../models/RewardRedemption');
+const policyService = require('../services/policyService');
+const rewardService = require('../services/rewardService');
+
+const ERROR_STATUS = {
+  INSUFFICIENT_POINTS: 400,
+  SELF_APPROVAL: 403,
+  NOT_FOUND: 404,
+  OUT_OF_STOCK: 409,
+  ALREADY_DECIDED: 409
+};
+
+// Set the response status for a reward error before rethrowing it
+const rethrow = (res, error) => {
+  if (error instanceof rewardService.RewardError) {
+    res.status(ERROR_STATUS[error.code] || 400);
+  }
+  throw error;
+};
+
+// Catalog fields admins may set
+const REWARD_FIELDS = ['name', 'description', 'imageUrl', 'category', 'pointsCost', 'stock', 'isActive'];
+
+const pickRewardFields = (body) => REWARD_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// Load a redemption with the fields its policy checks need
+const findRedemption = async (res, id) => {
+  const redemption = mongoose.isValidObjectId(id) &&
+    await RewardRedemption.findById(id).populate('user', 'name department');
+
+  if (!redemption) {
+    res.status(404);
+    throw new Error('Redemption not found');
+  }
+
+  return redemption;
+};
+
+// @desc    Get the whole rewards catalog, including inactive rewards
+// @route   GET /api/gamification/rewards
+// @access  Private/Admin
+const getRewards = asyncHandler(async (req, res) => {
+  const rewards = await Reward.find().sort({ isActive: -1, pointsCost: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: rewards.length,
+    data: rewards
+  });
+});
+
+// @desc    Get the rewards in stock
+// @route   GET /api/gamification/rewards/available
+// @access  Private
+const getAvailableRewards = asyncHandler(async (req, res) => {
+  const rewards = await rewardService.getAvailableRewards(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    count: rewards.length,
+    data: rewards
+  });
+});
+
+// @desc    Add a reward to the catalog
+// @route   POST /api/gamification/rewards
+// @access  Private/Admin
+const createReward = asyncHandler(async (req, res) => {
+  const reward = await Reward.create({
+    ...pickRewardFields(req.body),
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: reward
+  });
+});
+
+// @desc    Update a reward, including restocking it
+// @route   PUT /api/gamification/rewards/:id
+// @access  Private/Admin
+const updateReward = asyncHandler(async (req, res) => {
+  const reward = await Reward.findByIdAndUpdate(req.params.id, pickRewardFields(req.body), {
+    new: true,
+    runValidators: true
+  });
+
+  if (!reward) {
+    res.status(404);
+    throw new Error('Reward not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: reward
+  });
+});
+
+// @desc    Remove a reward; rewards that were redeemed are only deactivated
+// @route   DELETE /api/gamification/rewards/:id
+// @access  Private/Admin
+const deleteReward = asyncHandler(async (req, res) => {
+  const reward = await Reward.findById(req.params.id);
+
+  if (!reward) {
+    res.status(404);
+    throw new Error('Reward not found');
+  }
+
+  if (await RewardRedemption.exists({ reward: reward._id })) {
+    reward.isActive = false;
+    await reward.save();
+  } else {
+    await reward.deleteOne();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Get a user's rewards and redemption requests
+// @route   GET /api/gamification/rewards/user
+// @access  Private
+const getUserRewards = asyncHandler(async (req, res) => {
+  const { userId } = req.query;
+
+  if (userId && userId !== req.user.id) {
+    const targetUser = mongoose.isValidObjectId(userId) && await User.findById(userId).select('department');
+
+    if (!targetUser) {
+      res.status(404);
+      throw new Error('User not found');
+    }
+
+    policyService.authorizeAction(req.user, 'reward:approve', { user: targetUser }, "Not authorized to view this user's rewards");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await rewardService.getUserRewards(userId || req.user.id)
+  });
+});
+
+// @desc    Redeem points for a reward
+// @route   POST /api/gamification/rewards/redeem
+// @access  Private
+const redeemReward = asyncHandler(async (req, res) => {
+  const { rewardId } = req.body;
+
+  if (!rewardId) {
+    res.status(400);
+    throw new Error('Please choose a reward');
+  }
+
+  let result;
+  try {
+    result = await rewardService.redeemReward(req.user, rewardId);
+  } catch (error) {
+    rethrow(res, error);
+  }
+
+  const { redemption, remainingPoints } = result;
+  const reward = await Reward.findById(redemption.reward).select('name description imageUrl');
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...redemption.toObject(),
+      reward,
+      remainingPoints
+    }
+  });
+});
+
+// @desc    Get redemptions waiting for (or decided by) the requester's approval
+// @route   GET /api/gamification/rewards/redemptions
+// @access  Private/Manager/Admin
+const getRedemptions = asyncHandler(async (req, res) => {
+  const { status = 'Pending' } = req.query;
+  // Team scope covers the requester's own records, but nobody approves their own requests
+  const query = policyService.scopeFilter(req.user, 'reward:approve');
+  query.user = { ...query.user, $ne: req.user.id };
+
+  if (status !== 'all') {
+    query.status = status;
+  }
+
+  const redemptions = await RewardRedemption.find(query)
+    .populate('user', 'name email department')
+    .populate('reward', 'name imageUrl')
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: redemptions.length,
+    data: redemptions
+  });
+});
+
+// Approve or reject a redemption the requester may decide on
+const decide = (approve) => asyncHandler(async (req, res) => {
+  const redemption = await findRedemption(res, req.params.id);
+
+  policyService.authorizeAction(req.user, 'reward:approve', redemption, 'Not authorized to decide on this redemption');
+
+  let decided;
+  try {
+    decided = await rewardService.decideRedemption(redemption, req.user, { approve, note: req.body.note });
+  } catch (error) {
+    rethrow(res, error);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: decided
+  });
+});
+
+// @desc    Approve a pending redemption
+// @route   PUT /api/gamification/rewards/redemptions/:id/approve
+// @access  Private/Manager/Admin
+const approveRedemption = decide(true);
+
+// @desc    Reject a pending redemption and refund its points
+// @route   PUT /api/gamification/rewards/redemptions/:id/reject
+// @access  Private/Manager/Admin
+const rejectRedemption = decide(false);
+
+// @desc    Cancel one of your own pending redemptions and get the points back
+// @route   PUT /api/gamification/rewards/redemptions/:id/cancel
+// @access  Private
+const cancelRedemption = asyncHandler(async (req, res) => {
+  const redemption = await findRedemption(res, req.params.id);
+
+  if (redemption.user._id.toString() !== req.user.id) {
+    res.status(403);
+    throw new Error('Not authorized to cancel this redemption');
+  }
+
+  let cancelled;
+  try {
+    cancelled = await rewardService.cancelRedemption(redemption, req.user);
+  } catch (error) {
+    rethrow(res, error);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: cancelled
+  });
+});
+
+module.exports = {
+  getRewards,
+  getAvailableRewards,
+  createReward,
+  updateReward,
+  deleteReward,
+  getUserRewards,
+  redeemReward,
+  getRedemptions,
+  approveRedemption,
+  rejectRedemption,
+  cancelRedemption
+};
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const RewardSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a reward name'],
+      trim: true,
+      maxlength: [100, 'Name cannot be more than 100 characters']
+    },
+    description: {
+      type: String,
+      maxlength: [500, 'Description cannot be more than 500 characters']
+    },
+    imageUrl: {
+      type: String,
+      default: 'default-reward.png'
+    },
+    category: {
+      type: String,
+      trim: true
+    },
+    pointsCost: {
+      type: Number,
+      required: [true, 'Please add the points a reward costs'],
+      min: [1, 'A reward must cost at least one point']
+    },
+    // Units left to redeem; unset for unlimited rewards
+    stock: {
+      type: Number,
+      min: [0, 'Stock cannot be negative']
+    },
+    // Redemptions holding a unit: pending and approved ones
+    redeemedCount: {
+      type: Number,
+      default: 0
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+RewardSchema.index({ isActive: 1, pointsCost: 1 });
+
+module.exports = mongoose.model('Reward', RewardSchema);
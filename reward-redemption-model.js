@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A learner's request to spend points on a reward. The points are taken when
+// the request is made and refunded if it is rejected or cancelled
+const RewardRedemptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reward: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Reward',
+      required: true
+    },
+    // Name and cost when redeemed; the catalog entry may change later
+    rewardName: {
+      type: String,
+      required: true
+    },
+    pointsCost: {
+      type: Number,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['Pending', 'Approved', 'Rejected', 'Cancelled'],
+      default: 'Pending'
+    },
+    // Learner's manager when the request was made; admins may also decide
+    approver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedOn: {
+      type: Date
+    },
+    decisionNote: {
+      type: String,
+      maxlength: [500, 'Note cannot be more than 500 characters']
+    },
+    debit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PointsTransaction'
+    },
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PointsTransaction'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+RewardRedemptionSchema.index({ user: 1, createdAt: -1 });
+RewardRedemptionSchema.index({ status: 1, approver: 1 });
+
+module.exports = mongoose.model('RewardRedemption', RewardRedemptionSchema);
@@ -0,0 +1,375 @@
+/**
+ * Reward service
+ * Runs the rewards catalog. Redeeming a reward claims a unit of stock and
+ * takes the points in one transaction; the learner's manager (or an admin)
+ * then approves the request, or rejects it and the points and stock go back
+ */
+const mongoose = require('mongoose');
+const Reward = require('../models/Reward');
+const RewardRedemption = require('../models/RewardRedemption');
+const PointsTransaction = require('../models/PointsTransaction');
+const OrgHierarchy = require('../models/OrgHierarchy');
+const User = require('../models/User');
+const pointsService = require('./pointsService');
+const notificationService = require('./notificationService');
+
+/**
+ * Error raised for reward requests that cannot be carried out
+ * @param {string} message - Error message
+ * @param {string} code - Machine readable error code
+ */
+class RewardError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'RewardError';
+    this.code = code;
+  }
+}
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+// Rewards a learner can redeem right now
+const AVAILABLE_FILTER = {
+  isActive: true,
+  $or: [{ stock: null }, { stock: { $gt: 0 } }]
+};
+
+/**
+ * Get the rewards in stock, cheapest first, marking the ones the user can afford
+ * @param {string} userId - User ID
+ * @returns {Array}
+ */
+const getAvailableRewards = async (userId) => {
+  const [rewards, balance] = await Promise.all([
+    Reward.find(AVAILABLE_FILTER).sort({ pointsCost: 1, name: 1 }).lean(),
+    pointsService.getBalance(userId)
+  ]);
+
+  return rewards.map(reward => ({
+    ...reward,
+    canAfford: balance >= reward.pointsCost
+  }));
+};
+
+/**
+ * Get a user's redemptions: approved rewards they hold and every request
+ * @param {string} userId - User ID
+ * @returns {Object} - { earned, redeemed }
+ */
+const getUserRewards = async (userId) => {
+  const redemptions = await RewardRedemption.find({ user: userId })
+    .populate('reward', 'name description imageUrl category')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return {
+    earned: redemptions.filter(redemption => redemption.status === 'Approved'),
+    redeemed: redemptions
+  };
+};
+
+/**
+ * Redeem a reward: claim a unit of stock, take the points and queue the
+ * request for the learner's manager to approve
+ * @param {Object} user - Redeeming user
+ * @param {string} rewardId - Reward ID
+ * @returns {Object} - { redemption, remainingPoints }
+ */
+const redeemReward = async (user, rewardId) => {
+  const userId = toId(user.id || user._id);
+  const reward = mongoose.isValidObjectId(rewardId) && await Reward.findById(rewardId);
+
+  if (!reward || !reward.isActive) {
+    throw new RewardError('Reward not found', 'NOT_FOUND');
+  }
+
+  const hierarchy = await OrgHierarchy.findOne({ employee: userId }).select('ancestors').lean();
+  const approver = hierarchy && hierarchy.ancestors.length > 0 ? hierarchy.ancestors[0] : undefined;
+
+  const redemption = await pointsService.runInTransaction(async (session) => {
+    // The stock condition fails the update when another redemption took the last unit
+    const claimed = await Reward.findOneAndUpdate(
+      reward.stock == null
+        ? { _id: reward._id, isActive: true, stock: null }
+        : { _id: reward._id, isActive: true, stock: { $gt: 0 } },
+      reward.stock == null
+        ? { $inc: { redeemedCount: 1 } }
+        : { $inc: { stock: -1, redeemedCount: 1 } },
+      { new: true, session }
+    );
+
+    if (!claimed) {
+      throw new RewardError('This reward is out of stock', 'OUT_OF_STOCK');
+    }
+
+    const [created] = await RewardRedemption.create([{
+      user: userId,
+      reward: reward._id,
+      rewardName: reward.name,
+      pointsCost: reward.pointsCost,
+      approver
+    }], { session });
+
+    let debit;
+    try {
+      debit = await pointsService.recordTransaction({
+        userId,
+        points: -reward.pointsCost,
+        type: 'Redeemed',
+        source: 'Reward',
+        sourceId: reward._id,
+        reason: `Redeemed ${reward.name}`,
+        reference: `redemption:${created._id}`
+      }, { session });
+    } catch (error) {
+      if (error instanceof pointsService.PointsError && error.code === 'INSUFFICIENT_POINTS') {
+        throw new RewardError(`This reward costs ${reward.pointsCost} points`, 'INSUFFICIENT_POINTS');
+      }
+      throw error;
+    }
+
+    created.debit = debit._id;
+    await created.save({ session });
+
+    return created;
+  });
+
+  if (approver) {
+    const requester = await User.findById(userId).select('name');
+
+    await notificationService.sendNotification(
+      approver,
+      'Reward Approval Needed',
+      `${requester ? requester.name : 'A team member'} redeemed ${reward.pointsCost} points for "${reward.name}"`,
+      {
+        type: 'reward_redemption',
+        metadata: {
+          redemptionId: redemption._id,
+          rewardId: reward._id
+        }
+      }
+    );
+  }
+
+  return {
+    redemption,
+    remainingPoints: await pointsService.getBalance(userId)
+  };
+};
+
+/**
+ * Close a pending redemption without granting it: give back the points and
+ * the unit of stock
+ * @param {Object} redemption - Pending RewardRedemption
+ * @param {Object} decision - status ('Rejected' or 'Cancelled'), decidedBy and note
+ * @returns {Object} - RewardRedemption
+ */
+const refundRedemption = (redemption, { status, decidedBy, note }) => (
+  pointsService.runInTransaction(async (session) => {
+    const closed = await RewardRedemption.findOneAndUpdate(
+      { _id: redemption._id, status: 'Pending' },
+      { status, decidedBy, decidedOn: new Date(), decisionNote: note },
+      { new: true, session }
+    );
+
+    if (!closed) {
+      throw new RewardError('This redemption has already been decided', 'ALREADY_DECIDED');
+    }
+
+    const refund = await pointsService.recordTransaction({
+      userId: closed.user,
+      points: closed.pointsCost,
+      type: 'Refunded',
+      source: 'Reward',
+      sourceId: closed.reward,
+      reason: `${status} redemption of ${closed.rewardName}`,
+      reference: `redemption:${closed._id}:refund`,
+      createdBy: decidedBy
+    }, { session });
+
+    await Reward.updateOne(
+      { _id: closed.reward },
+      { $inc: { redeemedCount: -1 } },
+      { session }
+    );
+    await Reward.updateOne(
+      { _id: closed.reward, stock: { $ne: null } },
+      { $inc: { stock: 1 } },
+      { session }
+    );
+
+    closed.refund = refund._id;
+    await closed.save({ session });
+
+    return closed;
+  })
+);
+
+/**
+ * Approve or reject a pending redemption
+ * @param {Object} redemption - RewardRedemption
+ * @param {Object} user - Deciding manager or admin
+ * @param {Object} decision - approve (boolean) and note
+ * @returns {Object} - RewardRedemption
+ */
+const decideRedemption = async (redemption, user, { approve, note }) => {
+  const userId = toId(user.id || user._id);
+
+  if (toId(redemption.user) === userId) {
+    throw new RewardError('You cannot decide on your own redemption', 'SELF_APPROVAL');
+  }
+
+  if (redemption.status !== 'Pending') {
+    throw new RewardError('This redemption has already been decided', 'ALREADY_DECIDED');
+  }
+
+  let decided;
+  if (approve) {
+    decided = await RewardRedemption.findOneAndUpdate(
+      { _id: redemption._id, status: 'Pending' },
+      { status: 'Approved', decidedBy: userId, decidedOn: new Date(), decisionNote: note },
+      { new: true }
+    );
+
+    if (!decided) {
+      throw new RewardError('This redemption has already been decided', 'ALREADY_DECIDED');
+    }
+  } else {
+    decided = await refundRedemption(redemption, { status: 'Rejected', decidedBy: userId, note });
+  }
+
+  await notificationService.sendNotification(
+    decided.user,
+    approve ? 'Reward Approved' : 'Reward Rejected',
+    approve
+      ? `Your redemption of "${decided.rewardName}" was approved`
+      : `Your redemption of "${decided.rewardName}" was rejected and ${decided.pointsCost} points were returned`,
+    {
+      type: 'reward_redemption',
+      metadata: {
+        redemptionId: decided._id,
+        rewardId: decided.reward
+      }
+    }
+  );
+
+  return decided;
+};
+
+/**
+ * Cancel a learner's own pending redemption
+ * @param {Object} redemption - RewardRedemption
+ * @param {Object} user - Learner who made it
+ * @returns {Object} - RewardRedemption
+ */
+const cancelRedemption = async (redemption, user) => {
+  if (redemption.status !== 'Pending') {
+    throw new RewardError('Only pending redemptions can be cancelled', 'ALREADY_DECIDED');
+  }
+
+  return refundRedemption(redemption, { status: 'Cancelled', decidedBy: toId(user.id || user._id) });
+};
+
+/**
+ * Report points issued against points redeemed
+ * @param {Object} filters - startDate, endDate and userIds (to limit to some users)
+ * @returns {Object}
+ */
+const getPointsReport = async ({ startDate, endDate, userIds } = {}) => {
+  const match = {};
+
+  if (startDate || endDate) {
+    match.createdAt = {};
+    if (startDate) match.createdAt.$gte = new Date(startDate);
+    if (endDate) match.createdAt.$lte = new Date(endDate);
+  }
+
+  if (userIds) {
+    match.user = { $in: userIds.map(id => new mongoose.Types.ObjectId(toId(id))) };
+  }
+
+  const redemptionMatch = { ...match };
+
+  const [ledger, outstanding, redemptions] = await Promise.all([
+    PointsTransaction.aggregate([
+      { $match: match },
+      { $group: { _id: { type: '$type', source: '$source' }, points: { $sum: '$points' }, count: { $sum: 1 } } }
+    ]),
+    // Points still to spend: every user's latest balance
+    PointsTransaction.aggregate([
+      ...(userIds ? [{ $match: { user: match.user } }] : []),
+      { $sort: { user: 1, sequence: -1 } },
+      { $group: { _id: '$user', balance: { $first: '$balance' } } },
+      { $group: { _id: null, balance: { $sum: '$balance' }, users: { $sum: 1 } } }
+    ]),
+    RewardRedemption.aggregate([
+      { $match: redemptionMatch },
+      {
+        $group: {
+          _id: { reward: '$reward', status: '$status' },
+          name: { $last: '$rewardName' },
+          points: { $sum: '$pointsCost' },
+          count: { $sum: 1 }
+        }
+      }
+    ])
+  ]);
+
+  const sumOf = (type) => ledger
+    .filter(row => row._id.type === type)
+    .reduce((sum, row) => sum + row.points, 0);
+
+  const issuedBySource = {};
+  ledger
+    .filter(row => row._id.type === 'Earned')
+    .forEach(row => {
+      issuedBySource[row._id.source] = (issuedBySource[row._id.source] || 0) + row.points;
+    });
+
+  const byStatus = {};
+  const rewards = {};
+  redemptions.forEach(row => {
+    byStatus[row._id.status] = (byStatus[row._id.status] || 0) + row.count;
+
+    const rewardId = toId(row._id.reward);
+    rewards[rewardId] = rewards[rewardId] || { reward: rewardId, name: row.name, redemptions: 0, points: 0 };
+    if (row._id.status === 'Pending' || row._id.status === 'Approved') {
+      rewards[rewardId].redemptions += row.count;
+      rewards[rewardId].points += row.points;
+    }
+  });
+
+  const redeemed = -sumOf('Redeemed');
+  const refunded = sumOf('Refunded');
+
+  return {
+    period: { startDate: startDate || null, endDate: endDate || null },
+    issued: {
+      total: sumOf('Earned'),
+      bySource: issuedBySource
+    },
+    adjusted: sumOf('Adjusted'),
+    redeemed: {
+      total: redeemed - refunded,
+      gross: redeemed,
+      refunded
+    },
+    outstanding: outstanding[0] ? outstanding[0].balance : 0,
+    usersWithPoints: outstanding[0] ? outstanding[0].users : 0,
+    redemptions: byStatus,
+    topRewards: Object.values(rewards)
+      .filter(reward => reward.redemptions > 0)
+      .sort((a, b) => b.redemptions - a.redemptions)
+      .slice(0, 10)
+  };
+};
+
+module.exports = {
+  RewardError,
+  getAvailableRewards,
+  getUserRewards,
+  redeemReward,
+  decideRedemption,
+  cancelRedemption,
+  getPointsReport
+};
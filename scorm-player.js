@@ -0,0 +1,437 @@
+import React, { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Box,
+  Paper,
+  Typography,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+
+// Data model elements each SCORM version reports back for progress
+const TRACKED_ELEMENTS = {
+  '1.2': [
+    'cmi.core.lesson_status',
+    'cmi.core.lesson_location',
+    'cmi.core.score.raw',
+    'cmi.core.score.min',
+    'cmi.core.score.max',
+    'cmi.core.exit',
+    'cmi.core.session_time',
+    'cmi.suspend_data'
+  ],
+  '2004': [
+    'cmi.completion_status',
+    'cmi.success_status',
+    'cmi.location',
+    'cmi.score.scaled',
+    'cmi.score.raw',
+    'cmi.score.min',
+    'cmi.score.max',
+    'cmi.progress_measure',
+    'cmi.exit',
+    'cmi.session_time',
+    'cmi.suspend_data'
+  ]
+};
+
+const READ_ONLY_ELEMENTS = {
+  '1.2': [
+    'cmi.core.student_id',
+    'cmi.core.student_name',
+    'cmi.core.credit',
+    'cmi.core.entry',
+    'cmi.core.total_time',
+    'cmi.core.lesson_mode',
+    'cmi.launch_data',
+    'cmi.student_data.mastery_score'
+  ],
+  '2004': [
+    'cmi.learner_id',
+    'cmi.learner_name',
+    'cmi.credit',
+    'cmi.entry',
+    'cmi.total_time',
+    'cmi.mode',
+    'cmi.launch_data',
+    'cmi.scaled_passing_score'
+  ]
+};
+
+const WRITE_ONLY_ELEMENTS = {
+  '1.2': ['cmi.core.exit', 'cmi.core.session_time'],
+  '2004': ['cmi.exit', 'cmi.session_time']
+};
+
+// Allowed values of the vocabulary elements
+const VOCABULARIES = {
+  'cmi.core.lesson_status': ['passed', 'completed', 'failed', 'incomplete', 'browsed', 'not attempted'],
+  'cmi.core.exit': ['time-out', 'suspend', 'logout', ''],
+  'cmi.completion_status': ['completed', 'incomplete', 'not attempted', 'unknown'],
+  'cmi.success_status': ['passed', 'failed', 'unknown'],
+  'cmi.exit': ['time-out', 'suspend', 'logout', 'normal', '']
+};
+
+const NUMERIC_ELEMENTS = [
+  'cmi.core.score.raw',
+  'cmi.core.score.min',
+  'cmi.core.score.max',
+  'cmi.score.scaled',
+  'cmi.score.raw',
+  'cmi.score.min',
+  'cmi.score.max',
+  'cmi.progress_measure'
+];
+
+const SUSPEND_DATA_LIMITS = { '1.2': 4096, '2004': 64000 };
+
+const ERROR_STRINGS = {
+  '1.2': {
+    0: 'No error',
+    101: 'General exception',
+    201: 'Invalid argument error',
+    301: 'Not initialized',
+    401: 'Not implemented error',
+    403: 'Element is read only',
+    404: 'Element is write only',
+    405: 'Incorrect data type'
+  },
+  '2004': {
+    0: 'No error',
+    101: 'General exception',
+    103: 'Already initialized',
+    104: 'Content instance terminated',
+    111: 'Termination before initialization',
+    112: 'Termination after termination',
+    122: 'Retrieve data before initialization',
+    123: 'Retrieve data after termination',
+    132: 'Store data before initialization',
+    133: 'Store data after termination',
+    142: 'Commit before initialization',
+    143: 'Commit after termination',
+    201: 'General argument error',
+    351: 'General set failure',
+    401: 'Undefined data model element',
+    404: 'Data model element is read only',
+    405: 'Data model element is write only',
+    406: 'Data model element type mismatch',
+    407: 'Data model element value out of range'
+  }
+};
+
+// Format seconds as a SCORM 1.2 time span (HHHH:MM:SS) or ISO 8601 duration
+const formatTimeSpan = (version, totalSeconds = 0) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = Math.round((totalSeconds % 60) * 100) / 100;
+
+  if (version === '2004') {
+    return `PT${hours}H${minutes}M${seconds}S`;
+  }
+
+  const pad = (value, length = 2) => String(Math.floor(value)).padStart(length, '0');
+  return `${pad(hours, 4)}:${pad(minutes)}:${pad(seconds)}`;
+};
+
+// Build the data model a package starts from, resuming the saved state
+const buildInitialData = ({ version, learner, savedData, launchData, masteryScore }) => {
+  const saved = savedData || {};
+  const score = saved.score || {};
+  const entry = !savedData ? 'ab-initio' : (saved.exit === 'suspend' ? 'resume' : '');
+  const toValue = (value) => (value === undefined || value === null ? '' : String(value));
+
+  if (version === '2004') {
+    return {
+      'cmi.learner_id': learner.id,
+      'cmi.learner_name': learner.name,
+      'cmi.credit': 'credit',
+      'cmi.mode': 'normal',
+      'cmi.entry': entry,
+      'cmi.location': toValue(saved.location),
+      'cmi.completion_status': saved.completionStatus || 'unknown',
+      'cmi.success_status': saved.successStatus || 'unknown',
+      'cmi.score.scaled': toValue(score.scaled),
+      'cmi.score.raw': toValue(score.raw),
+      'cmi.score.min': toValue(score.min),
+      'cmi.score.max': toValue(score.max),
+      'cmi.progress_measure': toValue(saved.progressMeasure),
+      'cmi.total_time': formatTimeSpan(version, saved.totalTime),
+      'cmi.suspend_data': toValue(saved.suspendData),
+      'cmi.launch_data': toValue(launchData),
+      'cmi.scaled_passing_score': masteryScore !== undefined && masteryScore !== null ? String(masteryScore / 100) : ''
+    };
+  }
+
+  let lessonStatus = 'not attempted';
+  if (saved.successStatus === 'passed' || saved.successStatus === 'failed') lessonStatus = saved.successStatus;
+  else if (saved.completionStatus === 'completed') lessonStatus = 'completed';
+  else if (saved.completionStatus === 'incomplete') lessonStatus = 'incomplete';
+
+  return {
+    'cmi.core.student_id': learner.id,
+    'cmi.core.student_name': learner.name,
+    'cmi.core.credit': 'credit',
+    'cmi.core.lesson_mode': 'normal',
+    'cmi.core.entry': entry,
+    'cmi.core.lesson_location': toValue(saved.location),
+    'cmi.core.lesson_status': lessonStatus,
+    'cmi.core.score.raw': toValue(score.raw),
+    'cmi.core.score.min': toValue(score.min),
+    'cmi.core.score.max': toValue(score.max),
+    'cmi.core.total_time': formatTimeSpan(version, saved.totalTime),
+    'cmi.suspend_data': toValue(saved.suspendData),
+    'cmi.launch_data': toValue(launchData),
+    'cmi.student_data.mastery_score': toValue(masteryScore)
+  };
+};
+
+/**
+ * Runtime API adapter a SCORM package finds on its parent window
+ * (window.API for SCORM 1.2, window.API_1484_11 for SCORM 2004)
+ */
+const createRuntimeApi = (version, initialData, { onCommit, onFinish }) => {
+  const is2004 = version === '2004';
+  const data = { ...initialData };
+  let state = 'not-initialized';
+  let lastError = 0;
+
+  const fail = (code) => {
+    lastError = code;
+    return 'false';
+  };
+
+  const snapshot = () => TRACKED_ELEMENTS[version].reduce((values, element) => {
+    if (data[element] !== undefined) values[element] = data[element];
+    return values;
+  }, {});
+
+  const initialize = () => {
+    if (state === 'initialized') return fail(is2004 ? 103 : 101);
+    if (state === 'terminated') return fail(is2004 ? 104 : 101);
+
+    state = 'initialized';
+    lastError = 0;
+    return 'true';
+  };
+
+  const terminate = () => {
+    if (state === 'not-initialized') return fail(is2004 ? 111 : 301);
+    if (state === 'terminated') return fail(is2004 ? 112 : 101);
+
+    state = 'terminated';
+    lastError = 0;
+    onFinish(snapshot());
+    return 'true';
+  };
+
+  const getValue = (element) => {
+    let error = 0;
+
+    if (state === 'not-initialized') error = is2004 ? 122 : 301;
+    else if (is2004 && state === 'terminated') error = 123;
+    else if (!element) error = 201;
+    else if (WRITE_ONLY_ELEMENTS[version].includes(element)) error = is2004 ? 405 : 404;
+    else if (element.endsWith('._children')) error = 401;
+
+    lastError = error;
+
+    if (error) return '';
+    if (element.endsWith('._count')) return data[element] || '0';
+
+    return data[element] !== undefined ? data[element] : '';
+  };
+
+  const setValue = (element, value) => {
+    if (state === 'not-initialized') return fail(is2004 ? 132 : 301);
+    if (is2004 && state === 'terminated') return fail(133);
+
+    const stringValue = value === undefined || value === null ? '' : String(value);
+
+    if (!element) return fail(is2004 ? 351 : 201);
+    if (READ_ONLY_ELEMENTS[version].includes(element) || element.endsWith('._count') || element.endsWith('._children')) {
+      return fail(is2004 ? 404 : 403);
+    }
+    if (VOCABULARIES[element] && !VOCABULARIES[element].includes(stringValue)) {
+      return fail(is2004 ? 406 : 405);
+    }
+    if (NUMERIC_ELEMENTS.includes(element) && (stringValue === '' || Number.isNaN(Number(stringValue)))) {
+      return fail(is2004 ? 406 : 405);
+    }
+    if (element === 'cmi.suspend_data' && stringValue.length > SUSPEND_DATA_LIMITS[version]) {
+      return fail(is2004 ? 407 : 405);
+    }
+
+    // Interactions and objectives are kept for the session, counting new entries
+    const collection = /^(cmi\.(?:interactions|objectives))\.(\d+)\./.exec(element);
+    if (collection) {
+      const count = Number(data[`${collection[1]}._count`] || 0);
+      data[`${collection[1]}._count`] = String(Math.max(count, Number(collection[2]) + 1));
+    }
+
+    data[element] = stringValue;
+    lastError = 0;
+    return 'true';
+  };
+
+  const commit = () => {
+    if (state === 'not-initialized') return fail(is2004 ? 142 : 301);
+    if (state === 'terminated') return fail(is2004 ? 143 : 101);
+
+    lastError = 0;
+    onCommit(snapshot());
+    return 'true';
+  };
+
+  const getErrorString = (code) => ERROR_STRINGS[version][Number(code)] || '';
+
+  const api = is2004
+    ? {
+      Initialize: initialize,
+      Terminate: terminate,
+      GetValue: getValue,
+      SetValue: setValue,
+      Commit: commit,
+      GetLastError: () => String(lastError),
+      GetErrorString: getErrorString,
+      GetDiagnostic: code => getErrorString(code || lastError)
+    }
+    : {
+      LMSInitialize: initialize,
+      LMSFinish: terminate,
+      LMSGetValue: getValue,
+      LMSSetValue: setValue,
+      LMSCommit: commit,
+      LMSGetLastError: () => String(lastError),
+      LMSGetErrorString: getErrorString,
+      LMSGetDiagnostic: code => getErrorString(code || lastError)
+    };
+
+  return {
+    api,
+    isActive: () => state === 'initialized',
+    finish: () => terminate()
+  };
+};
+
+const ScormPlayer = ({
+  launchUrl,
+  version,
+  title,
+  learner,
+  scormType = 'sco',
+  savedData = null,
+  launchData = '',
+  masteryScore = null,
+  onCommit,
+  onFinish,
+  showTitle = true,
+  height = 640
+}) => {
+  const [loading, setLoading] = useState(true);
+  const runtimeRef = useRef(null);
+
+  // Callbacks change between renders; the runtime always calls the latest
+  const callbacksRef = useRef({ onCommit, onFinish });
+  callbacksRef.current = { onCommit, onFinish };
+
+  // Saved data changes as the learner commits; it only seeds a new launch
+  const initialDataRef = useRef({ learner, savedData, launchData, masteryScore });
+  initialDataRef.current = { learner, savedData, launchData, masteryScore };
+
+  // Expose the runtime API on this window before the package loads
+  useEffect(() => {
+    const apiName = version === '2004' ? 'API_1484_11' : 'API';
+    const runtime = createRuntimeApi(
+      version,
+      buildInitialData({ version, ...initialDataRef.current }),
+      {
+        onCommit: cmi => callbacksRef.current.onCommit && callbacksRef.current.onCommit(cmi),
+        onFinish: cmi => callbacksRef.current.onFinish && callbacksRef.current.onFinish(cmi)
+      }
+    );
+
+    runtimeRef.current = runtime;
+    window[apiName] = runtime.api;
+
+    return () => {
+      // Leaving the page ends the session the package did not end itself
+      if (runtime.isActive()) {
+        runtime.finish();
+      }
+      if (window[apiName] === runtime.api) {
+        delete window[apiName];
+      }
+    };
+    // The runtime lives for one launch of the package
+  }, [launchUrl, version]);
+
+  // Assets never talk to the runtime; launching one completes it
+  const handleLoad = () => {
+    setLoading(false);
+
+    if (scormType === 'asset' && onFinish) {
+      onFinish(version === '2004'
+        ? { 'cmi.completion_status': 'completed' }
+        : { 'cmi.core.lesson_status': 'completed' });
+    }
+  };
+
+  if (!launchUrl) {
+    return <Alert severity="error">This package has nothing to launch.</Alert>;
+  }
+
+  return (
+    <Paper elevation={1} sx={{ overflow: 'hidden' }}>
+      {showTitle && title && (
+        <Box sx={{ p: 2, borderBottom: 1, borderColor: 'divider' }}>
+          <Typography variant="h6">{title}</Typography>
+        </Box>
+      )}
+
+      <Box sx={{ position: 'relative', height }}>
+        {loading && (
+          <Box
+            sx={{
+              position: 'absolute',
+              inset: 0,
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center'
+            }}
+          >
+            <CircularProgress />
+          </Box>
+        )}
+
+        <iframe
+          key={launchUrl}
+          src={launchUrl}
+          title={title || 'SCORM content'}
+          onLoad={handleLoad}
+          style={{ width: '100%', height: '100%', border: 0 }}
+          allowFullScreen
+        />
+      </Box>
+    </Paper>
+  );
+};
+
+ScormPlayer.propTypes = {
+  launchUrl: PropTypes.string.isRequired,
+  version: PropTypes.oneOf(['1.2', '2004']).isRequired,
+  title: PropTypes.string,
+  learner: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  }).isRequired,
+  scormType: PropTypes.oneOf(['sco', 'asset']),
+  savedData: PropTypes.object,
+  launchData: PropTypes.string,
+  masteryScore: PropTypes.number,
+  onCommit: PropTypes.func,
+  onFinish: PropTypes.func,
+  showTitle: PropTypes.bool,
+  height: PropTypes.number
+};
+
+export default ScormPlayer;
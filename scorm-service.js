@@ -0,0 +1,540 @@
+/**
+ * SCORM service
+ * Unpacks SCORM 1.2 and SCORM 2004 packages, turns their manifest into
+ * course modules and content, and maps the runtime data a package reports
+ * back onto the learner's content progress
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Module = require('../models/Module');
+const Content = require('../models/Content');
+const courseVersionService = require('./courseVersionService');
+const zipArchive = require('../utils/zipArchive');
+
+// Packages are unpacked here and served from /uploads/scorm
+const SCORM_DIR = path.join(__dirname, '../../uploads/scorm');
+const SCORM_URL = '/uploads/scorm';
+
+// Limits on what an uploaded package may unpack to
+const MAX_PACKAGE_FILES = 5000;
+const MAX_UNPACKED_SIZE = 1024 * 1024 * 1024;
+
+// Launch URLs with a scheme point outside the package. Only web addresses
+// are allowed, since the launch URL becomes the player's iframe src
+const URL_SCHEME = /^([a-z][a-z0-9+.-]*):/i;
+const WEB_SCHEMES = ['http', 'https'];
+
+const XML_ENTITIES = { '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'", '&amp;': '&' };
+
+/**
+ * Error raised for packages that cannot be imported
+ * @param {string} message - Error message
+ * @param {string} code - Machine readable error code
+ */
+class ScormError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ScormError';
+    this.code = code;
+  }
+}
+
+/**
+ * List the files in a package
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Array} - Zip entries
+ */
+const readZip = (buffer) => {
+  try {
+    return zipArchive.readZip(buffer, { maxFiles: MAX_PACKAGE_FILES, maxSize: MAX_UNPACKED_SIZE });
+  } catch (error) {
+    if (error instanceof zipArchive.ZipError) {
+      throw new ScormError(
+        `Invalid package: ${error.message}`,
+        error.code === 'ARCHIVE_TOO_LARGE' ? 'PACKAGE_TOO_LARGE' : 'INVALID_PACKAGE'
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Unpack one file from a package
+ * @param {Object} entry - Zip entry
+ * @returns {Buffer} - File contents
+ */
+const readEntry = (entry) => {
+  try {
+    return entry.read();
+  } catch (error) {
+    throw new ScormError(`Invalid package: ${entry.name} cannot be read`, 'INVALID_PACKAGE');
+  }
+};
+
+const toPackagePath = zipArchive.toArchivePath;
+
+/**
+ * Write a package's files to its directory
+ * @param {Array} entries - Zip entries
+ * @param {string} directory - Target directory
+ */
+const extractPackage = async (entries, directory) => {
+  for (const entry of entries) {
+    const relativePath = toPackagePath(entry.name);
+
+    if (!relativePath) {
+      throw new ScormError(`The package contains an unsafe path: ${entry.name}`, 'INVALID_PACKAGE');
+    }
+
+    const target = path.join(directory, relativePath);
+
+    if (entry.isDirectory) {
+      await fs.promises.mkdir(target, { recursive: true });
+    } else {
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, readEntry(entry));
+    }
+  }
+};
+
+const decodeXml = (value) => value
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&(lt|gt|quot|apos|amp);/g, entity => XML_ENTITIES[entity]);
+
+// Manifests mix namespace prefixes and casing (scormtype, scormType), so
+// elements and attributes are looked up by lowercase local name
+const localName = (name) => name.split(':').pop().toLowerCase();
+
+/**
+ * Parse an XML document into a tree of { name, attributes, children, text }
+ * Only what manifests use is supported: elements, attributes, text and CDATA
+ * @param {string} xml - XML document
+ * @returns {Object} - Document node
+ */
+const parseXml = (xml) => {
+  const document = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [document];
+  const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    const [, cdata, closing, name, attributeText, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (text !== undefined) {
+      current.text += decodeXml(text);
+    } else if (name && closing) {
+      if (stack.length > 1) stack.pop();
+    } else if (name) {
+      const attributes = {};
+      const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attribute;
+
+      while ((attribute = attributePattern.exec(attributeText)) !== null) {
+        attributes[localName(attribute[1])] = decodeXml(attribute[2] ?? attribute[3]);
+      }
+
+      const node = { name: localName(name), attributes, children: [], text: '' };
+      current.children.push(node);
+
+      if (!selfClosing) stack.push(node);
+    }
+  }
+
+  return document;
+};
+
+const findChildren = (node, name) => (node ? node.children.filter(item => item.name === name) : []);
+const findChild = (node, name) => findChildren(node, name)[0];
+const childText = (node, name) => {
+  const item = findChild(node, name);
+  return item ? item.text.trim() : '';
+};
+
+/**
+ * Tell SCORM 1.2 and SCORM 2004 manifests apart
+ * @param {Object} manifest - Manifest node
+ * @param {string} xml - Manifest source
+ * @returns {string} - '1.2' or '2004'
+ */
+const detectVersion = (manifest, xml) => {
+  const schemaVersion = childText(findChild(manifest, 'metadata'), 'schemaversion');
+
+  if (schemaVersion === '1.2') return '1.2';
+  if (/2004|CAM 1\.3/i.test(schemaVersion)) return '2004';
+
+  return /adlcp_v1p3|imsss/i.test(xml) ? '2004' : '1.2';
+};
+
+/**
+ * Join xml:base values and an href into a path within the package
+ * @param {Array} parts - Bases from outermost to innermost, then the href
+ * @returns {string}
+ */
+const joinHref = (parts) => parts.reduce((result, part) => {
+  if (!part) return result;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(part) || part.startsWith('/')) return part;
+  return result ? `${result.replace(/\/?$/, '/')}${part}` : part;
+}, '');
+
+/**
+ * Read the organization, items and launch files out of imsmanifest.xml
+ * @param {string} xml - Manifest source
+ * @returns {Object} - { version, title, items }, items nesting like the organization
+ */
+const parseManifest = (xml) => {
+  const manifest = findChild(parseXml(xml), 'manifest');
+
+  if (!manifest) {
+    throw new ScormError('imsmanifest.xml has no manifest element', 'INVALID_MANIFEST');
+  }
+
+  const version = detectVersion(manifest, xml);
+  const resourcesNode = findChild(manifest, 'resources');
+  const resources = new Map(
+    findChildren(resourcesNode, 'resource').map(resource => [resource.attributes.identifier, resource])
+  );
+
+  const organizationsNode = findChild(manifest, 'organizations');
+  const organizations = findChildren(organizationsNode, 'organization');
+  const organization = organizations.find(item => (
+    item.attributes.identifier === organizationsNode.attributes.default
+  )) || organizations[0];
+
+  if (!organization) {
+    throw new ScormError('imsmanifest.xml has no organization', 'INVALID_MANIFEST');
+  }
+
+  const toItem = (node) => {
+    const resource = node.attributes.identifierref && resources.get(node.attributes.identifierref);
+    let launchUrl = null;
+
+    if (resource && resource.attributes.href) {
+      launchUrl = joinHref([
+        manifest.attributes.base,
+        resourcesNode.attributes.base,
+        resource.attributes.base,
+        resource.attributes.href
+      ]);
+
+      const parameters = (node.attributes.parameters || '').replace(/^[?&]/, '');
+      if (parameters) {
+        launchUrl += `${launchUrl.includes('?') ? '&' : '?'}${parameters}`;
+      }
+    }
+
+    // SCORM 1.2 states the mastery score directly; SCORM 2004 as the
+    // measure that satisfies the primary objective
+    let masteryScore = parseFloat(childText(node, 'masteryscore'));
+    const primaryObjective = findChild(findChild(findChild(node, 'sequencing'), 'objectives'), 'primaryobjective');
+
+    if (Number.isNaN(masteryScore) && primaryObjective && primaryObjective.attributes.satisfiedbymeasure === 'true') {
+      masteryScore = parseFloat(childText(primaryObjective, 'minnormalizedmeasure')) * 100;
+    }
+
+    return {
+      identifier: node.attributes.identifier,
+      title: childText(node, 'title') || node.attributes.identifier,
+      launchUrl,
+      scormType: resource ? (resource.attributes.scormtype || 'sco').toLowerCase() : null,
+      masteryScore: Number.isNaN(masteryScore) ? undefined : masteryScore,
+      launchData: childText(node, 'datafromlms') || undefined,
+      items: findChildren(node, 'item').map(toItem)
+    };
+  };
+
+  return {
+    version,
+    title: childText(organization, 'title') || organization.attributes.identifier,
+    items: findChildren(organization, 'item').map(toItem)
+  };
+};
+
+/**
+ * Lay a package's items out as modules: each top-level item with children
+ * becomes a module of the launchable items beneath it, and runs of
+ * launchable top-level items are grouped under the organization's title
+ * @param {Object} manifest - Parsed manifest
+ * @returns {Array} - { title, items }
+ */
+const toModules = (manifest) => {
+  const launchable = (item) => (
+    item.items.length > 0 ? item.items.flatMap(launchable) : (item.launchUrl ? [item] : [])
+  );
+  const modules = [];
+  let loose = null;
+
+  manifest.items.forEach(item => {
+    if (item.items.length > 0) {
+      modules.push({ title: item.title, items: launchable(item) });
+      loose = null;
+    } else if (item.launchUrl) {
+      if (!loose) {
+        loose = { title: manifest.title, items: [] };
+        modules.push(loose);
+      }
+      loose.items.push(item);
+    }
+  });
+
+  return modules.filter(module => module.items.length > 0);
+};
+
+/**
+ * Import a SCORM package into a course: unpack it and add a module per
+ * organization section, with a SCORM content item per launchable item
+ * @param {Object} params - Course document and the uploaded zip's path
+ * @returns {Object} - Package ID, SCORM version, title and created modules
+ */
+const importPackage = async ({ course, filePath }) => {
+  const entries = readZip(await fs.promises.readFile(filePath));
+  const files = new Set(entries.filter(entry => !entry.isDirectory).map(entry => toPackagePath(entry.name)));
+  const manifestEntry = entries.find(entry => entry.name === 'imsmanifest.xml');
+
+  if (!manifestEntry) {
+    throw new ScormError('The package has no imsmanifest.xml at its root', 'INVALID_MANIFEST');
+  }
+
+  const manifest = parseManifest(readEntry(manifestEntry).toString('utf8'));
+  const modules = toModules(manifest);
+
+  if (modules.length === 0) {
+    throw new ScormError('The package has nothing to launch', 'INVALID_MANIFEST');
+  }
+
+  modules.forEach(module => module.items.forEach(item => {
+    const scheme = item.launchUrl.match(URL_SCHEME);
+
+    if (scheme) {
+      if (!WEB_SCHEMES.includes(scheme[1].toLowerCase())) {
+        throw new ScormError(`The launch URL ${item.launchUrl} must be a package file or a web address`, 'INVALID_MANIFEST');
+      }
+      return;
+    }
+
+    let launchPath;
+    try {
+      launchPath = toPackagePath(decodeURI(item.launchUrl.split(/[?#]/)[0]));
+    } catch (error) {
+      if (!(error instanceof URIError)) throw error;
+      throw new ScormError(`The launch URL ${item.launchUrl} is not a valid URL`, 'INVALID_MANIFEST');
+    }
+
+    if (!files.has(launchPath)) {
+      throw new ScormError(`The package is missing its launch file ${item.launchUrl}`, 'INVALID_MANIFEST');
+    }
+  }));
+
+  const packageId = crypto.randomBytes(12).toString('hex');
+  const directory = path.join(SCORM_DIR, packageId);
+  const createdModules = [];
+  const createdContent = [];
+
+  try {
+    await extractPackage(entries, directory);
+
+    const lastModule = await Module.findOne({ course: course._id }).sort({ order: -1 });
+    let order = lastModule ? lastModule.order + 1 : 0;
+
+    for (const item of modules) {
+      const module = await Module.create({
+        title: item.title.slice(0, 100),
+        description: `Imported from the SCORM ${manifest.version} package "${manifest.title}"`.slice(0, 1000),
+        course: course._id,
+        order: order++,
+        duration: 0
+      });
+      createdModules.push(module);
+
+      const contents = await Content.insertMany(item.items.map((scoItem, index) => ({
+        title: scoItem.title.slice(0, 100),
+        module: module._id,
+        order: index,
+        contentType: 'SCORM',
+        scorm: {
+          version: manifest.version,
+          packageId,
+          identifier: scoItem.identifier,
+          scormType: scoItem.scormType,
+          launchUrl: URL_SCHEME.test(scoItem.launchUrl)
+            ? scoItem.launchUrl
+            : `${SCORM_URL}/${packageId}/${scoItem.launchUrl}`,
+          masteryScore: scoItem.masteryScore,
+          launchData: scoItem.launchData
+        }
+      })));
+      createdContent.push(...contents);
+
+      module.contents = contents.map(content => content._id);
+      await module.save();
+    }
+
+    course.modules.push(...createdModules.map(module => module._id));
+    await course.save();
+  } catch (error) {
+    await Content.deleteMany({ _id: { $in: createdContent.map(content => content._id) } });
+    await Module.deleteMany({ _id: { $in: createdModules.map(module => module._id) } });
+    await fs.promises.rm(directory, { recursive: true, force: true });
+    throw error;
+  }
+
+  await courseVersionService.markDraftChanged(course._id);
+
+  return {
+    packageId,
+    version: manifest.version,
+    title: manifest.title,
+    modules: createdModules
+  };
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isNaN(number) ? undefined : number;
+};
+
+/**
+ * Convert a SCORM time span to seconds: HHHH:MM:SS.SS in SCORM 1.2,
+ * an ISO 8601 duration (PT1H2M3.5S) in SCORM 2004
+ * @param {string} value - Time span
+ * @returns {number}
+ */
+const parseTimeSpan = (value) => {
+  if (!value) return 0;
+
+  const clock = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(value);
+  if (clock) {
+    return Number(clock[1]) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+  }
+
+  const duration = /^P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(value);
+  if (duration) {
+    const [years, months, days, hours, minutes, seconds] = duration.slice(1).map(part => Number(part || 0));
+    return ((((years * 365 + months * 30 + days) * 24 + hours) * 60 + minutes) * 60) + seconds;
+  }
+
+  return 0;
+};
+
+/**
+ * Read the data model elements both SCORM versions have in common
+ * @param {string} version - '1.2' or '2004'
+ * @param {Object} cmi - Data model values by element name, as the runtime holds them
+ * @param {number} masteryScore - Package mastery score (percentage), if any
+ * @returns {Object}
+ */
+const readRuntimeData = (version, cmi, masteryScore) => {
+  if (version === '2004') {
+    return {
+      completionStatus: cmi['cmi.completion_status'],
+      successStatus: cmi['cmi.success_status'],
+      score: {
+        raw: toNumber(cmi['cmi.score.raw']),
+        min: toNumber(cmi['cmi.score.min']),
+        max: toNumber(cmi['cmi.score.max']),
+        scaled: toNumber(cmi['cmi.score.scaled'])
+      },
+      progressMeasure: toNumber(cmi['cmi.progress_measure']),
+      location: cmi['cmi.location'],
+      suspendData: cmi['cmi.suspend_data'],
+      exit: cmi['cmi.exit'],
+      sessionTime: parseTimeSpan(cmi['cmi.session_time'])
+    };
+  }
+
+  // SCORM 1.2 folds completion and success into lesson_status
+  const lessonStatus = cmi['cmi.core.lesson_status'];
+  const raw = toNumber(cmi['cmi.core.score.raw']);
+  let successStatus = ['passed', 'failed'].includes(lessonStatus) ? lessonStatus : undefined;
+
+  // With a mastery score the LMS decides pass or fail from the score
+  if (masteryScore !== undefined && masteryScore !== null && raw !== undefined &&
+    ['passed', 'failed', 'completed', 'incomplete'].includes(lessonStatus)) {
+    successStatus = raw >= masteryScore ? 'passed' : 'failed';
+  }
+
+  let completionStatus;
+  if (['passed', 'failed', 'completed'].includes(lessonStatus)) completionStatus = 'completed';
+  else if (['incomplete', 'browsed'].includes(lessonStatus)) completionStatus = 'incomplete';
+  else if (lessonStatus === 'not attempted') completionStatus = 'not attempted';
+
+  return {
+    completionStatus,
+    successStatus,
+    score: {
+      raw,
+      min: toNumber(cmi['cmi.core.score.min']),
+      max: toNumber(cmi['cmi.core.score.max'])
+    },
+    location: cmi['cmi.core.lesson_location'],
+    suspendData: cmi['cmi.suspend_data'],
+    exit: cmi['cmi.core.exit'],
+    sessionTime: parseTimeSpan(cmi['cmi.core.session_time'])
+  };
+};
+
+/**
+ * Work out content progress from the runtime data a package reported
+ * A SCO is complete once it reports completion, unless it reports a failed
+ * assessment, which the learner has to retake
+ * @param {Object} content - SCORM content item
+ * @param {Object} runtime - { cmi, terminated } as sent by the runtime adapter
+ * @param {Object} previous - Content progress recorded so far, if any
+ * @returns {Object} - { status, progress, scorm, sessionTime }
+ */
+const applyRuntimeData = (content, runtime, previous) => {
+  const { version, masteryScore } = content.scorm;
+  const { sessionTime, score, ...data } = readRuntimeData(version, runtime.cmi || {}, masteryScore);
+  const previousScorm = previous && previous.scorm
+    ? (previous.scorm.toObject ? previous.scorm.toObject() : previous.scorm)
+    : {};
+  const scorm = { ...previousScorm };
+
+  Object.entries(data).forEach(([key, value]) => {
+    if (value !== undefined) scorm[key] = value;
+  });
+
+  const reportedScore = Object.entries(score).filter(([, value]) => value !== undefined);
+  if (reportedScore.length > 0) {
+    scorm.score = { ...(previousScorm.score || {}), ...Object.fromEntries(reportedScore) };
+  }
+
+  // Session time is only final once the package terminates
+  if (runtime.terminated) {
+    scorm.totalTime = (previousScorm.totalTime || 0) + sessionTime;
+  }
+
+  // Content stays complete when the learner revisits it
+  const completed = (previous && previous.status === 'completed') ||
+    (scorm.completionStatus === 'completed' && scorm.successStatus !== 'failed') ||
+    scorm.successStatus === 'passed';
+  let progress = (previous && previous.progress) || 0;
+
+  if (completed) {
+    progress = 100;
+  } else if (scorm.progressMeasure !== undefined) {
+    progress = Math.min(99, Math.round(scorm.progressMeasure * 100));
+  }
+
+  return {
+    status: completed ? 'completed' : 'in-progress',
+    progress,
+    scorm,
+    sessionTime: runtime.terminated ? Math.round(sessionTime) : 0
+  };
+};
+
+module.exports = {
+  ScormError,
+  readZip,
+  parseManifest,
+  toModules,
+  importPackage,
+  parseTimeSpan,
+  applyRuntimeData
+};
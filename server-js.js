@@ -26,13 +26,27 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 // Define routes
+app.use('/api/auth/sso', require('./routes/ssoRoutes'));
+app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/courses', require('./routes/courseRoutes'));
 app.use('/api/enrollments', require('./routes/enrollmentRoutes'));
 app.use('/api/content', require('./routes/contentRoutes'));
+app.use('/api/questions', require('./routes/questionRoutes'));
 app.use('/api/learning-paths', require('./routes/learningPathRoutes'));
 app.use('/api/gamification', require('./routes/gamificationRoutes'));
 app.use('/api/webinars', require('./routes/webinarRoutes'));
 app.use('/api/analytics', require('./routes/analyticsRoutes'));
+app.use('/api/org', require('./routes/orgRoutes'));
+app.use('/api/xapi', require('./routes/xapiRoutes'));
+app.use('/api/lti', require('./routes/ltiRoutes'));
+
+// Local mock identity provider for SSO development and tests
+const ssoConfig = require('./config/sso');
+if (ssoConfig.mockIdp.enabled) {
+  const { createMockIdp } = require('./utils/ssoMockIdp');
+  const baseUrl = process.env.BASE_URL || 'http://localhost:5000';
+  app.use(ssoConfig.mockIdp.path, createMockIdp({ issuer: `${baseUrl}${ssoConfig.mockIdp.path}` }));
+}
 
 // Serve static files for uploads
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Only a SHA-256 hash of the current refresh token is stored
+    refreshTokenHash: {
+      type: String,
+      required: true
+    },
+    // Hashes of rotated-out refresh tokens, kept to detect token reuse
+    previousTokenHashes: [{
+      type: String
+    }],
+    userAgent: {
+      type: String
+    },
+    ipAddress: {
+      type: String
+    },
+    lastUsedOn: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date
+    },
+    revokedReason: {
+      type: String,
+      enum: ['Logout', 'Logout Everywhere', 'Token Reuse', 'Offboarded', 'Role Changed', 'Admin']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Virtual for checking whether the session can still be used
+SessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Index for listing and revoking a user's sessions
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Let MongoDB remove sessions once the refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
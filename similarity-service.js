@@ -0,0 +1,293 @@
+/**
+ * Similarity service
+ * Fingerprints text assignment submissions (word shingles reduced by
+ * winnowing) and compares each one with other learners' submissions to the
+ * same assignment, from this cohort and earlier ones. Runs offline on a schedule
+ */
+const AssignmentSubmission = require('../models/AssignmentSubmission');
+
+// Words per shingle and shingles per winnowing window
+const SHINGLE_SIZE = 5;
+const WINDOW_SIZE = 4;
+
+// Matches below this share of a submission's fingerprint are not reported
+const MIN_REPORTED_SIMILARITY = 0.15;
+const MAX_MATCHES = 10;
+const MAX_PASSAGES = 5;
+const MAX_PASSAGE_LENGTH = 300;
+
+const HTML_ENTITIES = { '&nbsp;': ' ', '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Reduce submitted HTML to its visible text
+ * @param {string} html - Submission text as stored
+ * @returns {string}
+ */
+const toPlainText = (html) => (html || '')
+  .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&(nbsp|amp|lt|gt|quot|#39);/g, entity => HTML_ENTITIES[entity])
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Split text into lowercase words, keeping where each one sits in the text
+ * @param {string} text - Plain text
+ * @returns {Array} - { word, start, end }
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+
+  return tokens;
+};
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} value
+ * @returns {number}
+ */
+const hash = (value) => {
+  let result = 0x811c9dc5;
+
+  for (let i = 0; i < value.length; i++) {
+    result ^= value.charCodeAt(i);
+    result = Math.imul(result, 0x01000193) >>> 0;
+  }
+
+  return result;
+};
+
+/**
+ * Fingerprint a text: hash every run of SHINGLE_SIZE words and keep the
+ * smallest hash of each window of WINDOW_SIZE shingles (winnowing), which
+ * guarantees any shared passage of SHINGLE_SIZE + WINDOW_SIZE - 1 words is found
+ * @param {string} html - Submission text as stored
+ * @returns {Object} - Plain text, its tokens and the selected { hash, position } prints
+ */
+const fingerprint = (html) => {
+  const text = toPlainText(html);
+  const tokens = tokenize(text);
+  const shingles = [];
+
+  for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+    shingles.push(hash(tokens.slice(i, i + SHINGLE_SIZE).map(token => token.word).join(' ')));
+  }
+
+  const prints = [];
+  let lastPosition = -1;
+
+  for (let start = 0; start < shingles.length; start += 1) {
+    const end = Math.min(start + WINDOW_SIZE, shingles.length);
+    let position = start;
+
+    // Rightmost minimum, so a window sharing it with the previous one adds nothing
+    for (let i = start; i < end; i++) {
+      if (shingles[i] <= shingles[position]) position = i;
+    }
+
+    if (position !== lastPosition) {
+      prints.push({ hash: shingles[position], position });
+      lastPosition = position;
+    }
+
+    if (end === shingles.length) break;
+  }
+
+  return { text, tokens, prints };
+};
+
+/**
+ * Find the passages of one text that also appear in another
+ * @param {Object} source - Fingerprint of the submission being checked
+ * @param {Object} other - Fingerprint of the submission it matched
+ * @returns {Array} - { text, matchedText }, longest first
+ */
+const findPassages = (source, other) => {
+  const otherPositions = new Map();
+  other.prints.forEach(print => {
+    if (!otherPositions.has(print.hash)) otherPositions.set(print.hash, print.position);
+  });
+
+  const spans = [];
+
+  source.prints
+    .filter(print => otherPositions.has(print.hash))
+    .forEach(print => {
+      const otherPosition = otherPositions.get(print.hash);
+      const last = spans[spans.length - 1];
+
+      // Overlapping or adjacent shingles belong to the same passage
+      if (last && print.position <= last.end + 1) {
+        last.end = Math.max(last.end, print.position + SHINGLE_SIZE - 1);
+        last.otherEnd = Math.max(last.otherEnd, otherPosition + SHINGLE_SIZE - 1);
+      } else {
+        spans.push({
+          start: print.position,
+          end: print.position + SHINGLE_SIZE - 1,
+          otherStart: otherPosition,
+          otherEnd: otherPosition + SHINGLE_SIZE - 1
+        });
+      }
+    });
+
+  // Winnowing only samples the shared shingles, so grow each passage word by
+  // word while both texts keep agreeing
+  spans.forEach(span => {
+    while (span.start > 0 && span.otherStart > 0 &&
+      source.tokens[span.start - 1].word === other.tokens[span.otherStart - 1].word) {
+      span.start -= 1;
+      span.otherStart -= 1;
+    }
+    while (span.end + 1 < source.tokens.length && span.otherEnd + 1 < other.tokens.length &&
+      source.tokens[span.end + 1].word === other.tokens[span.otherEnd + 1].word) {
+      span.end += 1;
+      span.otherEnd += 1;
+    }
+  });
+
+  const excerpt = (fp, start, end) => fp.text
+    .slice(fp.tokens[start].start, fp.tokens[Math.min(end, fp.tokens.length - 1)].end)
+    .slice(0, MAX_PASSAGE_LENGTH);
+
+  return spans
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+    .slice(0, MAX_PASSAGES)
+    .map(span => ({
+      text: excerpt(source, span.start, span.end),
+      matchedText: excerpt(other, span.otherStart, span.otherEnd)
+    }));
+};
+
+/**
+ * Put a match on a submission's report, replacing any earlier one with the
+ * same submission, and keep the strongest matches
+ * @param {Object} report - Current similarity report
+ * @param {Object} match - New match
+ * @returns {Object} - Updated report fields
+ */
+const mergeMatch = (report, match) => {
+  const matches = ((report && report.matches) || [])
+    .filter(item => toId(item.submission) !== toId(match.submission))
+    .concat(match)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_MATCHES);
+
+  return { matches, score: matches.length > 0 ? matches[0].score : 0 };
+};
+
+/**
+ * Check a text submission against other learners' submissions to the same
+ * assignment and record the similarity report on it. Submissions it matches
+ * that were checked earlier get the reverse match added to their report
+ * @param {Object} submission - AssignmentSubmission
+ * @returns {Object} - Similarity report
+ */
+const checkSubmission = async (submission) => {
+  const own = fingerprint(submission.submissionText);
+  const hashes = [...new Set(own.prints.map(print => print.hash))];
+  const matches = [];
+
+  if (hashes.length > 0) {
+    const candidates = await AssignmentSubmission.find({
+      _id: { $ne: submission._id },
+      content: submission.content,
+      user: { $ne: submission.user },
+      status: { $ne: 'Superseded' },
+      fingerprint: { $in: hashes }
+    }).select('+fingerprint user courseVersion submissionText similarity');
+
+    const ownHashes = new Set(hashes);
+
+    for (const candidate of candidates) {
+      const shared = candidate.fingerprint.filter(value => ownHashes.has(value)).length;
+      const score = shared / hashes.length;
+      const reverseScore = shared / candidate.fingerprint.length;
+
+      if (score < MIN_REPORTED_SIMILARITY && reverseScore < MIN_REPORTED_SIMILARITY) continue;
+
+      const other = fingerprint(candidate.submissionText);
+      const priorCohort = Boolean(submission.courseVersion && candidate.courseVersion) &&
+        toId(submission.courseVersion) !== toId(candidate.courseVersion);
+
+      if (score >= MIN_REPORTED_SIMILARITY) {
+        matches.push({
+          submission: candidate._id,
+          user: candidate.user,
+          priorCohort,
+          score: round(score * 100),
+          passages: findPassages(own, other)
+        });
+      }
+
+      if (reverseScore >= MIN_REPORTED_SIMILARITY && candidate.similarity && candidate.similarity.checkedOn) {
+        const report = mergeMatch(candidate.toObject().similarity, {
+          submission: submission._id,
+          user: submission.user,
+          priorCohort,
+          score: round(reverseScore * 100),
+          passages: findPassages(other, own)
+        });
+
+        await AssignmentSubmission.updateOne(
+          { _id: candidate._id },
+          { 'similarity.matches': report.matches, 'similarity.score': report.score }
+        );
+      }
+    }
+  }
+
+  matches.sort((a, b) => b.score - a.score);
+
+  const similarity = {
+    score: matches.length > 0 ? matches[0].score : 0,
+    checkedOn: new Date(),
+    matches: matches.slice(0, MAX_MATCHES)
+  };
+
+  await AssignmentSubmission.updateOne(
+    { _id: submission._id },
+    { fingerprint: hashes, similarity }
+  );
+
+  return similarity;
+};
+
+/**
+ * Check text submissions that have not been checked yet, oldest first
+ * @param {number} limit - Most submissions to check in one run
+ * @returns {number} - Submissions checked
+ */
+const checkPendingSubmissions = async (limit = 50) => {
+  const submissions = await AssignmentSubmission.find({
+    submissionText: { $nin: [null, ''] },
+    status: { $ne: 'Superseded' },
+    'similarity.checkedOn': { $exists: false }
+  })
+    .select('content user courseVersion submissionText')
+    .sort({ submittedOn: 1 })
+    .limit(limit);
+
+  for (const submission of submissions) {
+    await checkSubmission(submission);
+  }
+
+  return submissions.length;
+};
+
+module.exports = {
+  toPlainText,
+  fingerprint,
+  findPassages,
+  checkSubmission,
+  checkPendingSubmissions
+};
@@ -0,0 +1,69 @@
+// SSO (SAML 2.0 / OpenID Connect) configuration
+require('dotenv').config();
+
+const baseUrl = process.env.BASE_URL || 'http://localhost:5000';
+
+// Parse "idpValue:lmsValue,idpValue:lmsValue" into an object
+const parseMapping = (value) => {
+  if (!value) return {};
+
+  return value.split(',').reduce((mapping, pair) => {
+    const [from, to] = pair.split(':').map(part => part && part.trim());
+    if (from && to) {
+      mapping[from] = to;
+    }
+    return mapping;
+  }, {});
+};
+
+const ssoConfig = {
+  // Frontend page that exchanges the one-time login code for tokens
+  successRedirect: process.env.SSO_SUCCESS_REDIRECT || '/sso/callback',
+  failureRedirect: process.env.SSO_FAILURE_REDIRECT || '/login?sso=failed',
+
+  // Create LMS users on first login when no account matches
+  jitProvisioning: process.env.SSO_JIT_PROVISIONING !== 'false',
+  defaultRole: process.env.SSO_DEFAULT_ROLE || 'employee',
+
+  // How IdP claims/attributes map onto LMS user fields
+  claims: {
+    email: process.env.SSO_CLAIM_EMAIL || 'email',
+    name: process.env.SSO_CLAIM_NAME || 'name',
+    department: process.env.SSO_CLAIM_DEPARTMENT || 'department',
+    groups: process.env.SSO_CLAIM_GROUPS || 'groups'
+  },
+
+  // IdP group to LMS role, e.g. "lms-admins:admin,lms-instructors:instructor"
+  // First matching group in this order wins
+  roleMapping: parseMapping(process.env.SSO_ROLE_MAPPING),
+
+  oidc: {
+    enabled: Boolean(process.env.OIDC_ISSUER),
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI || `${baseUrl}/api/auth/sso/oidc/callback`,
+    scope: process.env.OIDC_SCOPE || 'openid email profile'
+  },
+
+  saml: {
+    enabled: Boolean(process.env.SAML_ENTRY_POINT),
+    entryPoint: process.env.SAML_ENTRY_POINT,
+    issuer: process.env.SAML_ISSUER || `${baseUrl}/api/auth/sso/saml/metadata`,
+    callbackUrl: process.env.SAML_CALLBACK_URL || `${baseUrl}/api/auth/sso/saml/callback`,
+    idpCert: process.env.SAML_IDP_CERT,
+    privateKey: process.env.SAML_SP_PRIVATE_KEY,
+    publicCert: process.env.SAML_SP_CERT
+  },
+
+  // Local mock IdP for development and tests, never mounted in production
+  mockIdp: {
+    enabled: process.env.SSO_MOCK_IDP === 'true' && process.env.NODE_ENV !== 'production',
+    path: '/mock-idp'
+  },
+
+  // Login state and one-time codes expire quickly
+  stateTtlSeconds: 300
+};
+
+module.exports = ssoConfig;
@@ -0,0 +1,129 @@
+const asyncHandler = require('express-async-handler');
+const ssoService = require('../services/ssoService');
+const ssoConfig = require('../config/sso');
+
+// Collect client metadata stored on the session
+const getRequestMeta = (req) => ({
+  userAgent: req.headers['user-agent'],
+  ipAddress: req.ip
+});
+
+// Send the browser back to the login page with a reason it can display
+const redirectToFailure = (res, error) => {
+  const code = error instanceof ssoService.SsoError ? error.code : 'SSO_FAILED';
+  const separator = ssoConfig.failureRedirect.includes('?') ? '&' : '?';
+
+  console.error(`SSO login failed (${code}):`, error.message);
+  res.redirect(`${ssoConfig.failureRedirect}${separator}reason=${code}`);
+};
+
+// @desc    List SSO providers available for login
+// @route   GET /api/auth/sso/providers
+// @access  Public
+const getProviders = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: ssoService.getAvailableProviders()
+  });
+});
+
+// @desc    Redirect to the OIDC provider to log in
+// @route   GET /api/auth/sso/oidc/login
+// @access  Public
+const startOidcLogin = asyncHandler(async (req, res) => {
+  try {
+    const url = await ssoService.getOidcLoginUrl({
+      returnTo: req.query.returnTo,
+      loginHint: req.query.loginHint
+    });
+    res.redirect(url);
+  } catch (error) {
+    redirectToFailure(res, error);
+  }
+});
+
+// @desc    Complete an OIDC login
+// @route   GET /api/auth/sso/oidc/callback
+// @access  Public
+const oidcCallback = asyncHandler(async (req, res) => {
+  try {
+    const { user, returnTo } = await ssoService.handleOidcCallback(req);
+    res.redirect(await ssoService.issueLoginCode(user, getRequestMeta(req), returnTo));
+  } catch (error) {
+    redirectToFailure(res, error);
+  }
+});
+
+// @desc    Redirect to the SAML IdP to log in
+// @route   GET /api/auth/sso/saml/login
+// @access  Public
+const startSamlLogin = asyncHandler(async (req, res) => {
+  try {
+    const url = await ssoService.getSamlLoginUrl({ returnTo: req.query.returnTo });
+    res.redirect(url);
+  } catch (error) {
+    redirectToFailure(res, error);
+  }
+});
+
+// @desc    Complete a SAML login (assertion consumer service)
+// @route   POST /api/auth/sso/saml/callback
+// @access  Public
+const samlCallback = asyncHandler(async (req, res) => {
+  try {
+    const { user, returnTo } = await ssoService.handleSamlCallback(req.body);
+    res.redirect(await ssoService.issueLoginCode(user, getRequestMeta(req), returnTo));
+  } catch (error) {
+    redirectToFailure(res, error);
+  }
+});
+
+// @desc    Get SAML service provider metadata
+// @route   GET /api/auth/sso/saml/metadata
+// @access  Public
+const getSamlMetadata = asyncHandler(async (req, res) => {
+  try {
+    res.type('application/xml').send(ssoService.getSamlMetadata());
+  } catch (error) {
+    if (error instanceof ssoService.SsoError) {
+      res.status(404);
+    }
+    throw error;
+  }
+});
+
+// @desc    Exchange a one-time SSO login code for session tokens
+// @route   POST /api/auth/sso/exchange
+// @access  Public (requires a valid login code)
+const exchangeLoginCode = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    res.status(400);
+    throw new Error('Login code is required');
+  }
+
+  try {
+    const tokens = await ssoService.exchangeLoginCode(code);
+
+    res.status(200).json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    if (error instanceof ssoService.SsoError) {
+      res.status(401);
+    }
+    throw error;
+  }
+});
+
+module.exports = {
+  getProviders,
+  startOidcLogin,
+  oidcCallback,
+  startSamlLogin,
+  samlCallback,
+  getSamlMetadata,
+  exchangeLoginCode
+};
@@ -0,0 +1,278 @@
+/**
+ * Mock identity provider
+ * Minimal local OpenID Connect and SAML 2.0 IdP for development and tests.
+ * It signs in a configured test user without prompting, so SSO flows can be
+ * exercised end to end without a real IdP. Never mount it in production.
+ */
+const crypto = require('crypto');
+const zlib = require('zlib');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const selfsigned = require('selfsigned');
+const { SignedXml } = require('xml-crypto');
+
+// Test users handed out by the mock IdP; pick one with ?login_hint=<email>
+const defaultUsers = [
+  {
+    sub: 'mock-employee-1',
+    email: 'employee@example.com',
+    name: 'Mock Employee',
+    department: 'Engineering',
+    groups: ['lms-users']
+  },
+  {
+    sub: 'mock-admin-1',
+    email: 'admin@example.com',
+    name: 'Mock Admin',
+    department: 'People',
+    groups: ['lms-users', 'lms-admins']
+  }
+];
+
+// Keys are generated once per process
+let keys = null;
+
+const getKeys = () => {
+  if (!keys) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const samlPems = selfsigned.generate(
+      [{ name: 'commonName', value: 'LMS Mock IdP' }],
+      { days: 365, keySize: 2048, algorithm: 'sha256' }
+    );
+
+    keys = {
+      oidcPrivateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      oidcJwk: { ...publicKey.export({ format: 'jwk' }), kid: 'mock-idp-key', use: 'sig', alg: 'RS256' },
+      samlPrivateKey: samlPems.private,
+      samlCert: samlPems.cert
+    };
+  }
+
+  return keys;
+};
+
+/**
+ * Get the SAML signing certificate (PEM) for configuring the service provider
+ * @returns {string}
+ */
+const getSamlCertificate = () => getKeys().samlCert;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Decode a redirect-binding AuthnRequest and pull out the fields we need
+const parseAuthnRequest = (samlRequest) => {
+  const xml = zlib.inflateRawSync(Buffer.from(samlRequest, 'base64')).toString('utf8');
+
+  return {
+    id: (xml.match(/\sID="([^"]+)"/) || [])[1],
+    acsUrl: (xml.match(/AssertionConsumerServiceURL="([^"]+)"/) || [])[1],
+    spIssuer: (xml.match(/<(?:saml:|saml2:)?Issuer[^>]*>([^<]+)</) || [])[1]
+  };
+};
+
+// Build and sign a SAML Response carrying the user's attributes
+const buildSamlResponse = ({ issuer, user, request }) => {
+  const now = new Date();
+  const notOnOrAfter = new Date(now.getTime() + 5 * 60 * 1000).toISOString();
+  const responseId = `_${crypto.randomBytes(16).toString('hex')}`;
+  const assertionId = `_${crypto.randomBytes(16).toString('hex')}`;
+
+  const attributes = ['email', 'name', 'department', 'groups']
+    .map(name => {
+      const values = [].concat(user[name] || [])
+        .map(value => `<saml:AttributeValue>${escapeXml(value)}</saml:AttributeValue>`)
+        .join('');
+      return `<saml:Attribute Name="${name}">${values}</saml:Attribute>`;
+    })
+    .join('');
+
+  const assertion =
+    `<saml:Assertion xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="${assertionId}" Version="2.0" IssueInstant="${now.toISOString()}">` +
+      `<saml:Issuer>${escapeXml(issuer)}</saml:Issuer>` +
+      '<saml:Subject>' +
+        `<saml:NameID Format="urn:oasis:names:tc:SAML:2.0:nameid-format:persistent">${escapeXml(user.sub)}</saml:NameID>` +
+        '<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer">' +
+          `<saml:SubjectConfirmationData InResponseTo="${escapeXml(request.id)}" NotOnOrAfter="${notOnOrAfter}" Recipient="${escapeXml(request.acsUrl)}"/>` +
+        '</saml:SubjectConfirmation>' +
+      '</saml:Subject>' +
+      `<saml:Conditions NotBefore="${now.toISOString()}" NotOnOrAfter="${notOnOrAfter}">` +
+        `<saml:AudienceRestriction><saml:Audience>${escapeXml(request.spIssuer)}</saml:Audience></saml:AudienceRestriction>` +
+      '</saml:Conditions>' +
+      `<saml:AuthnStatement AuthnInstant="${now.toISOString()}" SessionIndex="${assertionId}">` +
+        '<saml:AuthnContext><saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport</saml:AuthnContextClassRef></saml:AuthnContext>' +
+      '</saml:AuthnStatement>' +
+      `<saml:AttributeStatement>${attributes}</saml:AttributeStatement>` +
+    '</saml:Assertion>';
+
+  const { samlPrivateKey, samlCert } = getKeys();
+
+  const signer = new SignedXml({
+    privateKey: samlPrivateKey,
+    publicCert: samlCert,
+    canonicalizationAlgorithm: 'http://www.w3.org/2001/10/xml-exc-c14n#',
+    signatureAlgorithm: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256'
+  });
+
+  signer.addReference({
+    xpath: "//*[local-name(.)='Assertion']",
+    transforms: [
+      'http://www.w3.org/2000/09/xmldsig#enveloped-signature',
+      'http://www.w3.org/2001/10/xml-exc-c14n#'
+    ],
+    digestAlgorithm: 'http://www.w3.org/2001/04/xmlenc#sha256'
+  });
+
+  signer.computeSignature(assertion, {
+    location: { reference: "//*[local-name(.)='Issuer']", action: 'after' }
+  });
+
+  return (
+    `<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="${responseId}" Version="2.0" IssueInstant="${now.toISOString()}" Destination="${escapeXml(request.acsUrl)}" InResponseTo="${escapeXml(request.id)}">` +
+      `<saml:Issuer>${escapeXml(issuer)}</saml:Issuer>` +
+      '<samlp:Status><samlp:StatusCode Value="urn:oasis:names:tc:SAML:2.0:status:Success"/></samlp:Status>' +
+      signer.getSignedXml() +
+    '</samlp:Response>'
+  );
+};
+
+/**
+ * Create an Express router serving the mock IdP
+ * @param {Object} options - Options
+ * @param {string} options.issuer - Public URL the router is mounted at
+ * @param {Array} options.users - Test users (defaults to a mock employee and admin)
+ * @returns {Object} - Express router
+ */
+const createMockIdp = ({ issuer, users = defaultUsers }) => {
+  const router = express.Router();
+  const authorizationCodes = new Map();
+
+  const findUser = (hint) => users.find(user => user.email === hint) || users[0];
+
+  router.use(express.urlencoded({ extended: false }));
+
+  // OpenID Connect discovery
+  router.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post']
+    });
+  });
+
+  router.get('/jwks', (req, res) => {
+    res.json({ keys: [getKeys().oidcJwk] });
+  });
+
+  // Signs the user in immediately and redirects back with a code
+  router.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, login_hint } = req.query;
+    const code = crypto.randomBytes(16).toString('hex');
+
+    authorizationCodes.set(code, {
+      user: findUser(login_hint),
+      clientId: client_id,
+      redirectUri: redirect_uri,
+      nonce,
+      codeChallenge: code_challenge
+    });
+
+    const redirect = new URL(redirect_uri);
+    redirect.searchParams.set('code', code);
+    if (state) redirect.searchParams.set('state', state);
+
+    res.redirect(redirect.toString());
+  });
+
+  router.post('/token', (req, res) => {
+    const { code, code_verifier, redirect_uri } = req.body;
+    const grant = authorizationCodes.get(code);
+    authorizationCodes.delete(code);
+
+    if (!grant || grant.redirectUri !== redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    if (grant.codeChallenge) {
+      const challenge = crypto.createHash('sha256')
+        .update(code_verifier || '')
+        .digest('base64url');
+
+      if (challenge !== grant.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE check failed' });
+      }
+    }
+
+    // Client ID comes from basic auth or the form body
+    let clientId = req.body.client_id;
+    const basicAuth = req.headers.authorization;
+    if (!clientId && basicAuth && basicAuth.startsWith('Basic ')) {
+      clientId = decodeURIComponent(
+        Buffer.from(basicAuth.slice(6), 'base64').toString().split(':')[0]
+      );
+    }
+
+    const { sub, email, name, department, groups } = grant.user;
+    const idToken = jwt.sign(
+      { sub, email, email_verified: true, name, department, groups, nonce: grant.nonce },
+      getKeys().oidcPrivateKey,
+      {
+        algorithm: 'RS256',
+        keyid: 'mock-idp-key',
+        issuer,
+        audience: clientId || grant.clientId,
+        expiresIn: '5m'
+      }
+    );
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  // SAML redirect binding: answers with an auto-submitting POST to the ACS URL
+  router.get('/saml/sso', (req, res) => {
+    const { SAMLRequest, RelayState, login_hint } = req.query;
+
+    let request;
+    try {
+      request = parseAuthnRequest(SAMLRequest);
+    } catch (error) {
+      return res.status(400).send('Invalid SAMLRequest');
+    }
+
+    const samlResponse = Buffer.from(
+      buildSamlResponse({ issuer, user: findUser(login_hint), request })
+    ).toString('base64');
+
+    res.send(
+      '<!DOCTYPE html><html><body onload="document.forms[0].submit()">' +
+        `<form method="POST" action="${escapeXml(request.acsUrl)}">` +
+          `<input type="hidden" name="SAMLResponse" value="${samlResponse}"/>` +
+          (RelayState ? `<input type="hidden" name="RelayState" value="${escapeXml(RelayState)}"/>` : '') +
+          '<noscript><button type="submit">Continue</button></noscript>' +
+        '</form>' +
+      '</body></html>'
+    );
+  });
+
+  return router;
+};
+
+module.exports = {
+  createMockIdp,
+  getSamlCertificate,
+  defaultUsers
+};
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getProviders,
+  startOidcLogin,
+  oidcCallback,
+  startSamlLogin,
+  samlCallback,
+  getSamlMetadata,
+  exchangeLoginCode
+} = require('../controllers/ssoController');
+
+// All SSO routes are public; the IdP response or login code authenticates
+router.get('/providers', getProviders);
+
+// OpenID Connect
+router.get('/oidc/login', startOidcLogin);
+router.get('/oidc/callback', oidcCallback);
+
+// SAML 2.0
+router.get('/saml/login', startSamlLogin);
+router.post('/saml/callback', samlCallback);
+router.get('/saml/metadata', getSamlMetadata);
+
+// Frontend collects the session tokens with the one-time code
+router.post('/exchange', exchangeLoginCode);
+
+module.exports = router;
@@ -0,0 +1,446 @@
+/**
+ * SSO service
+ * Handles SAML 2.0 and OpenID Connect logins: talks to the IdP, maps claims
+ * onto LMS users (linking or just-in-time provisioning) and hands out LMS
+ * sessions through a one-time login code
+ */
+const crypto = require('crypto');
+const { Issuer, generators } = require('openid-client');
+const { SAML } = require('@node-saml/node-saml');
+const User = require('../models/User');
+const UserIdentity = require('../models/UserIdentity');
+const SsoState = require('../models/SsoState');
+const tokenService = require('./tokenService');
+const ssoConfig = require('../config/sso');
+const mockIdp = require('../utils/ssoMockIdp');
+
+const baseUrl = process.env.BASE_URL || 'http://localhost:5000';
+
+/**
+ * Error thrown when an SSO login cannot be completed
+ * Controllers send the user back to the login page with the code
+ */
+class SsoError extends Error {
+  constructor(message, code = 'SSO_FAILED') {
+    super(message);
+    this.name = 'SsoError';
+    this.code = code;
+  }
+}
+
+const hashKey = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const getExpiry = () => new Date(Date.now() + ssoConfig.stateTtlSeconds * 1000);
+
+// Only allow relative frontend paths as a post-login destination
+const sanitizeReturnTo = (returnTo) => (
+  typeof returnTo === 'string' && returnTo.startsWith('/') && !returnTo.startsWith('//')
+    ? returnTo
+    : undefined
+);
+
+/**
+ * Resolve provider settings, falling back to the mock IdP when it is enabled
+ * and the real provider is not configured
+ * @param {string} provider - 'oidc' or 'saml'
+ * @returns {Object|null} - Provider settings or null when unavailable
+ */
+const getProviderConfig = (provider) => {
+  const config = ssoConfig[provider];
+
+  if (config.enabled) return config;
+  if (!ssoConfig.mockIdp.enabled) return null;
+
+  const mockIssuer = `${baseUrl}${ssoConfig.mockIdp.path}`;
+
+  if (provider === 'oidc') {
+    return {
+      ...config,
+      issuer: mockIssuer,
+      clientId: config.clientId || 'lms-mock-client',
+      clientSecret: config.clientSecret || 'lms-mock-secret'
+    };
+  }
+
+  return {
+    ...config,
+    entryPoint: `${mockIssuer}/saml/sso`,
+    idpCert: mockIdp.getSamlCertificate()
+  };
+};
+
+/**
+ * List the SSO providers available for login
+ * @returns {Array} - Provider keys
+ */
+const getAvailableProviders = () => ['oidc', 'saml'].filter(provider => getProviderConfig(provider));
+
+const requireProvider = (provider) => {
+  const config = getProviderConfig(provider);
+
+  if (!config) {
+    throw new SsoError(`${provider.toUpperCase()} login is not configured`, 'SSO_NOT_CONFIGURED');
+  }
+
+  return config;
+};
+
+/**
+ * Read a claim, accepting a single value or the first of a list
+ * @param {Object} claims - IdP claims or SAML attributes
+ * @param {string} name - Claim name
+ * @returns {*}
+ */
+const readClaim = (claims, name) => {
+  const value = claims[name];
+  return Array.isArray(value) ? value[0] : value;
+};
+
+/**
+ * Map IdP claims onto LMS user fields
+ * @param {Object} claims - IdP claims or SAML attributes
+ * @returns {Object} - Email, name, department and mapped role (if any)
+ */
+const mapClaims = (claims) => {
+  const email = readClaim(claims, ssoConfig.claims.email);
+  const groups = [].concat(claims[ssoConfig.claims.groups] || []);
+
+  // Mapping order decides precedence when a user is in several groups
+  const matchedGroup = Object.keys(ssoConfig.roleMapping).find(group => groups.includes(group));
+
+  return {
+    email: email ? String(email).toLowerCase().trim() : undefined,
+    name: readClaim(claims, ssoConfig.claims.name),
+    department: readClaim(claims, ssoConfig.claims.department),
+    role: matchedGroup ? ssoConfig.roleMapping[matchedGroup] : undefined
+  };
+};
+
+/**
+ * Find, link or create the LMS user for an IdP account
+ * @param {Object} identity - Provider, issuer, subject, raw claims and
+ *   emailVerified (whether the IdP vouches for the email address)
+ * @returns {Object} - LMS user
+ */
+const provisionUser = async ({ provider, issuer, subject, claims, emailVerified }) => {
+  if (!subject) {
+    throw new SsoError('Identity provider did not return a subject', 'SSO_INVALID_RESPONSE');
+  }
+
+  const profile = mapClaims(claims);
+  const linkedIdentity = await UserIdentity.findOne({ provider, issuer, subject });
+
+  let user = linkedIdentity ? await User.findById(linkedIdentity.user) : null;
+
+  // Link to an existing account with the same email, but only when the IdP
+  // has verified the address and the account has no other login there
+  if (!user && profile.email) {
+    if (!emailVerified) {
+      throw new SsoError('Identity provider has not verified this email address', 'SSO_EMAIL_UNVERIFIED');
+    }
+
+    user = await User.findOne({ email: profile.email });
+
+    if (user && await UserIdentity.exists({ user: user._id, provider })) {
+      throw new SsoError(`This LMS account is already linked to another ${provider.toUpperCase()} login`, 'SSO_ACCOUNT_LINKED');
+    }
+  }
+
+  if (!user) {
+    if (!ssoConfig.jitProvisioning) {
+      throw new SsoError('No LMS account exists for this user', 'SSO_NO_ACCOUNT');
+    }
+
+    if (!profile.email) {
+      throw new SsoError('Identity provider did not return an email address', 'SSO_INVALID_RESPONSE');
+    }
+
+    user = await User.create({
+      name: profile.name || profile.email,
+      email: profile.email,
+      department: profile.department,
+      role: profile.role || ssoConfig.defaultRole,
+      isActive: true
+    });
+  } else {
+    if (user.isActive === false) {
+      throw new SsoError('User account is no longer active', 'SSO_ACCOUNT_INACTIVE');
+    }
+
+    // The IdP is the source of truth for department and mapped role
+    const previousRole = user.role;
+    if (profile.department) user.department = profile.department;
+    if (profile.role) user.role = profile.role;
+
+    if (user.isModified()) {
+      await user.save();
+
+      // Existing tokens carry the old role claim
+      if (user.role !== previousRole) {
+        await tokenService.revokeAllSessions(user._id, 'Role Changed');
+      }
+    }
+  }
+
+  await UserIdentity.findOneAndUpdate(
+    { provider, issuer, subject },
+    {
+      user: user._id,
+      email: profile.email,
+      lastClaims: claims,
+      lastLoginOn: new Date()
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return user;
+};
+
+// Cache discovered OIDC clients per issuer
+const oidcClients = new Map();
+
+const getOidcClient = async (config) => {
+  if (!oidcClients.has(config.issuer)) {
+    const clientPromise = Issuer.discover(config.issuer).then(issuer => new issuer.Client({
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      redirect_uris: [config.redirectUri],
+      response_types: ['code']
+    }));
+
+    // Let a failed discovery be retried on the next login
+    clientPromise.catch(() => oidcClients.delete(config.issuer));
+    oidcClients.set(config.issuer, clientPromise);
+  }
+
+  return oidcClients.get(config.issuer);
+};
+
+/**
+ * Start an OIDC login
+ * @param {Object} options - Options
+ * @param {string} options.returnTo - Frontend path to return to
+ * @param {string} options.loginHint - Optional login hint passed to the IdP
+ * @returns {string} - IdP authorization URL
+ */
+const getOidcLoginUrl = async ({ returnTo, loginHint } = {}) => {
+  const config = requireProvider('oidc');
+  const client = await getOidcClient(config);
+
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+
+  await SsoState.create({
+    key: hashKey(state),
+    type: 'oidc_login',
+    nonce,
+    codeVerifier,
+    returnTo: sanitizeReturnTo(returnTo),
+    expiresAt: getExpiry()
+  });
+
+  return client.authorizationUrl({
+    scope: config.scope,
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256',
+    ...(loginHint && { login_hint: loginHint })
+  });
+};
+
+/**
+ * Complete an OIDC login from the IdP callback
+ * @param {Object} req - Express request for the callback
+ * @returns {Object} - LMS user and the stored returnTo path
+ */
+const handleOidcCallback = async (req) => {
+  const config = requireProvider('oidc');
+  const client = await getOidcClient(config);
+  const params = client.callbackParams(req);
+
+  if (params.error) {
+    throw new SsoError(params.error_description || params.error, 'SSO_IDP_ERROR');
+  }
+
+  const loginState = params.state && await SsoState.findOneAndDelete({
+    key: hashKey(params.state),
+    type: 'oidc_login',
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!loginState) {
+    throw new SsoError('SSO login expired or was already used', 'SSO_STATE_INVALID');
+  }
+
+  let claims;
+  try {
+    const tokenSet = await client.callback(config.redirectUri, params, {
+      state: params.state,
+      nonce: loginState.nonce,
+      code_verifier: loginState.codeVerifier
+    });
+    claims = tokenSet.claims();
+  } catch (error) {
+    throw new SsoError(`OIDC response rejected: ${error.message}`, 'SSO_INVALID_RESPONSE');
+  }
+
+  const user = await provisionUser({
+    provider: 'oidc',
+    issuer: claims.iss,
+    subject: claims.sub,
+    claims,
+    emailVerified: claims.email_verified === true
+  });
+
+  return { user, returnTo: loginState.returnTo };
+};
+
+// SAML client, rebuilt if the resolved settings change
+let samlClient = null;
+let samlClientConfig = null;
+
+const getSamlClient = (config) => {
+  if (!samlClient || samlClientConfig !== JSON.stringify(config)) {
+    samlClient = new SAML({
+      entryPoint: config.entryPoint,
+      issuer: config.issuer,
+      callbackUrl: config.callbackUrl,
+      idpCert: config.idpCert,
+      privateKey: config.privateKey,
+      publicCert: config.publicCert,
+      wantAssertionsSigned: true,
+      // AuthnRequest IDs are remembered by node-saml's cache provider
+      validateInResponseTo: 'always',
+      requestIdExpirationPeriodMs: ssoConfig.stateTtlSeconds * 1000
+    });
+    samlClientConfig = JSON.stringify(config);
+  }
+
+  return samlClient;
+};
+
+/**
+ * Start a SAML login
+ * @param {Object} options - Options
+ * @param {string} options.returnTo - Frontend path to return to
+ * @returns {string} - IdP redirect URL carrying the AuthnRequest
+ */
+const getSamlLoginUrl = async ({ returnTo } = {}) => {
+  const config = requireProvider('saml');
+  const relayState = crypto.randomBytes(24).toString('hex');
+
+  await SsoState.create({
+    key: hashKey(relayState),
+    type: 'saml_login',
+    returnTo: sanitizeReturnTo(returnTo),
+    expiresAt: getExpiry()
+  });
+
+  return getSamlClient(config).getAuthorizeUrlAsync(relayState, undefined, {});
+};
+
+/**
+ * Complete a SAML login from the ACS (POST binding)
+ * @param {Object} body - Posted form with SAMLResponse and RelayState
+ * @returns {Object} - LMS user and the stored returnTo path
+ */
+const handleSamlCallback = async (body) => {
+  const config = requireProvider('saml');
+
+  let profile;
+  try {
+    ({ profile } = await getSamlClient(config).validatePostResponseAsync(body));
+  } catch (error) {
+    throw new SsoError(`SAML response rejected: ${error.message}`, 'SSO_INVALID_RESPONSE');
+  }
+
+  const loginState = body.RelayState && await SsoState.findOneAndDelete({
+    key: hashKey(body.RelayState),
+    type: 'saml_login',
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!loginState) {
+    throw new SsoError('SSO login expired or was already used', 'SSO_STATE_INVALID');
+  }
+
+  const user = await provisionUser({
+    provider: 'saml',
+    issuer: profile.issuer,
+    subject: profile.nameID,
+    claims: profile.attributes || profile,
+    // SAML has no standard verification attribute; the signed assertion
+    // from the configured IdP vouches for the address
+    emailVerified: true
+  });
+
+  return { user, returnTo: loginState.returnTo };
+};
+
+/**
+ * Generate SAML service provider metadata
+ * @returns {string} - Metadata XML
+ */
+const getSamlMetadata = () => {
+  const config = requireProvider('saml');
+  return getSamlClient(config).generateServiceProviderMetadata(null, config.publicCert || null);
+};
+
+/**
+ * Create an LMS session and park the tokens behind a one-time code,
+ * keeping them out of redirect URLs and browser history
+ * @param {Object} user - LMS user
+ * @param {Object} meta - Client user agent and IP address
+ * @param {string} returnTo - Frontend path to return to
+ * @returns {string} - Frontend redirect URL carrying the code
+ */
+const issueLoginCode = async (user, meta, returnTo) => {
+  const tokens = await tokenService.createSession(user, meta);
+  const code = crypto.randomBytes(32).toString('hex');
+
+  await SsoState.create({
+    key: hashKey(code),
+    type: 'login_code',
+    tokens,
+    returnTo,
+    expiresAt: getExpiry()
+  });
+
+  const separator = ssoConfig.successRedirect.includes('?') ? '&' : '?';
+  return `${ssoConfig.successRedirect}${separator}code=${code}`;
+};
+
+/**
+ * Exchange a one-time login code for the session tokens
+ * @param {string} code - Login code from the redirect
+ * @returns {Object} - Session tokens and returnTo path
+ */
+const exchangeLoginCode = async (code) => {
+  const entry = code && await SsoState.findOneAndDelete({
+    key: hashKey(code),
+    type: 'login_code',
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!entry) {
+    throw new SsoError('Login code is invalid or has expired', 'SSO_CODE_INVALID');
+  }
+
+  return { ...entry.tokens, returnTo: entry.returnTo };
+};
+
+module.exports = {
+  SsoError,
+  getAvailableProviders,
+  mapClaims,
+  provisionUser,
+  getOidcLoginUrl,
+  handleOidcCallback,
+  getSamlLoginUrl,
+  handleSamlCallback,
+  getSamlMetadata,
+  issueLoginCode,
+  exchangeLoginCode
+};
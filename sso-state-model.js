@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Short-lived SSO state: pending IdP logins and one-time login codes
+const SsoStateSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    type: {
+      type: String,
+      enum: ['oidc_login', 'saml_login', 'login_code'],
+      required: true
+    },
+    // OIDC nonce and PKCE verifier
+    nonce: {
+      type: String
+    },
+    codeVerifier: {
+      type: String
+    },
+    // Frontend path to return to after login
+    returnTo: {
+      type: String
+    },
+    // Tokens waiting to be collected with a login code
+    tokens: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Let MongoDB remove expired state
+SsoStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SsoState', SsoStateSchema);
@@ -0,0 +1,76 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const policyService = require('../services/policyService');
+const streakService = require('../services/streakService');
+
+const ERROR_STATUS = {
+  INVALID_SETTINGS: 400
+};
+
+// Set the response status for a streak error before rethrowing it
+const rethrow = (res, error) => {
+  if (error instanceof streakService.StreakError) {
+    res.status(ERROR_STATUS[error.code] || 400);
+  }
+  throw error;
+};
+
+// @desc    Get a user's learning streak and goal progress
+// @route   GET /api/gamification/streak
+// @access  Private
+const getStreak = asyncHandler(async (req, res) => {
+  const { userId } = req.query;
+
+  if (userId && userId !== req.user.id) {
+    const targetUser = mongoose.isValidObjectId(userId) && await User.findById(userId).select('department');
+
+    if (!targetUser) {
+      res.status(404);
+      throw new Error('User not found');
+    }
+
+    policyService.authorizeAction(req.user, 'streak:view', targetUser, "Not authorized to view this user's streak");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await streakService.getStreak(userId || req.user.id)
+  });
+});
+
+// @desc    Bring the signed-in user's streak up to date with their learning
+// @route   POST /api/gamification/streak/update
+// @access  Private
+const updateStreak = asyncHandler(async (req, res) => {
+  // Any dailyGoalMet sent by the client is ignored: the server decides from recorded activity
+  res.status(200).json({
+    success: true,
+    data: await streakService.refreshStreak(req.user.id)
+  });
+});
+
+// @desc    Set the signed-in user's timezone and learning goal
+// @route   PUT /api/gamification/streak/settings
+// @access  Private
+const updateStreakSettings = asyncHandler(async (req, res) => {
+  const { timezone, goalPeriod, goalMinutes } = req.body;
+
+  let streak;
+  try {
+    streak = await streakService.updateSettings(req.user.id, { timezone, goalPeriod, goalMinutes });
+  } catch (error) {
+    rethrow(res, error);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: streak
+  });
+});
+
+module.exports = {
+  getStreak,
+  updateStreak,
+  updateStreakSettings
+};
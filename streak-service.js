@@ -0,0 +1,489 @@
+/**
+ * Streak service
+ * Records the time learners spend on content, quizzes and webinars in daily
+ * totals (in each learner's timezone) and keeps their streaks: a day or week
+ * counts when they reach their goal in it, and a freeze token saves the
+ * streak when they miss one
+ */
+const mongoose = require('mongoose');
+const LearningActivity = require('../models/LearningActivity');
+const LearningStreak = require('../models/LearningStreak');
+const notificationService = require('./notificationService');
+const badgeRuleService = require('./badgeRuleService');
+const challengeService = require('./challengeService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Learners hold at most this many freeze tokens, and earn one each time
+// their streak reaches a multiple of these periods
+const MAX_FREEZE_TOKENS = 2;
+const FREEZE_EARNED_EVERY = { daily: 7, weekly: 4 };
+
+// Streak lengths the learner is congratulated on
+const MILESTONES = [3, 7, 14, 30, 60, 100, 180, 365];
+
+// Local hour from which a learner who hasn't met their goal is warned
+const AT_RISK_HOUR = 20;
+
+// Periods returned in a streak's history, and frozen periods kept on it
+const HISTORY_PERIODS = { daily: 30, weekly: 12 };
+const MAX_FROZEN_PERIODS = 60;
+
+// Writes that lose a race with another update to the same streak are retried this often
+const MAX_RETRIES = 3;
+
+const ACTIVITY_SOURCES = ['content', 'quiz', 'webinar'];
+
+// Most time a single content progress report can credit
+const MAX_REPORTED_SECONDS = 4 * 60 * 60;
+
+/**
+ * Error raised for streak requests that cannot be carried out
+ * @param {string} message - Error message
+ * @param {string} code - Machine readable error code
+ */
+class StreakError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'StreakError';
+    this.code = code;
+  }
+}
+
+const toObjectId = (value) => new mongoose.Types.ObjectId((value && value._id ? value._id : value).toString());
+
+/**
+ * Get the local date and hour of a moment in a timezone
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - day (YYYY-MM-DD) and hour (0-23)
+ */
+const localTime = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23'
+  })
+    .formatToParts(date)
+    .reduce((result, { type, value }) => ({ ...result, [type]: value }), {});
+
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour)
+  };
+};
+
+const dayToDate = (day) => new Date(`${day}T00:00:00Z`);
+
+const shiftDay = (day, days) => new Date(dayToDate(day).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+const periodLength = (period) => (period === 'weekly' ? 7 : 1);
+
+/**
+ * Get the period a day falls in: the day itself, or the Monday of its week
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} period - 'daily' or 'weekly'
+ * @returns {string} - First day of the period
+ */
+const periodOf = (day, period) => (
+  period === 'weekly' ? shiftDay(day, -((dayToDate(day).getUTCDay() + 6) % 7)) : day
+);
+
+const shiftPeriod = (key, period, count) => shiftDay(key, count * periodLength(period));
+
+/**
+ * Get the seconds a user spent learning in a period
+ * @param {string} userId - User ID
+ * @param {string} key - First day of the period
+ * @param {string} period - 'daily' or 'weekly'
+ * @returns {number}
+ */
+const periodSeconds = async (userId, key, period) => {
+  const [total] = await LearningActivity.aggregate([
+    { $match: { user: toObjectId(userId), day: { $gte: key, $lt: shiftPeriod(key, period, 1) } } },
+    { $group: { _id: null, seconds: { $sum: '$seconds' } } }
+  ]);
+
+  return total ? total.seconds : 0;
+};
+
+/**
+ * Get a user's streak, starting one if they have none
+ * @param {string} userId - User ID
+ * @returns {Object} - LearningStreak
+ */
+const getOrCreateStreak = (userId) => LearningStreak.findOneAndUpdate(
+  { user: userId },
+  { $setOnInsert: { user: userId } },
+  { new: true, upsert: true, setDefaultsOnInsert: true }
+);
+
+/**
+ * Apply an update to a streak only if nobody changed it since it was read
+ * @param {Object} streak - LearningStreak as read
+ * @param {Object} update - Update to apply
+ * @returns {Object|null} - Updated LearningStreak, or null when it had changed
+ */
+const updateIfUnchanged = (streak, update) => LearningStreak.findOneAndUpdate(
+  {
+    _id: streak._id,
+    current: streak.current,
+    lastQualifiedPeriod: streak.lastQualifiedPeriod || null
+  },
+  update,
+  { new: true, runValidators: true }
+);
+
+/**
+ * Settle the periods a learner missed since their streak last counted:
+ * spend freeze tokens to cover them, or end the streak when there are too few
+ * @param {Object} streak - LearningStreak
+ * @param {Date} now - Current time
+ * @returns {Object} - LearningStreak
+ */
+const settle = async (streak, now = new Date()) => {
+  for (let attempt = 1; ; attempt++) {
+    if (!streak.current || !streak.lastQualifiedPeriod) return streak;
+
+    const { period } = streak.goal;
+    const currentKey = periodOf(localTime(now, streak.timezone).day, period);
+    const previousKey = shiftPeriod(currentKey, period, -1);
+
+    // The period in progress can still be met, so only closed periods are missed
+    if (streak.lastQualifiedPeriod >= previousKey) return streak;
+
+    const missedCount = Math.round(
+      (dayToDate(currentKey) - dayToDate(streak.lastQualifiedPeriod)) / (periodLength(period) * DAY_MS)
+    ) - 1;
+
+    let update;
+    if (missedCount <= streak.freezeTokens) {
+      const missed = Array.from({ length: missedCount }, (_, index) => (
+        shiftPeriod(streak.lastQualifiedPeriod, period, index + 1)
+      ));
+
+      update = {
+        lastQualifiedPeriod: previousKey,
+        $inc: { freezeTokens: -missedCount },
+        $push: { frozenPeriods: { $each: missed, $slice: -MAX_FROZEN_PERIODS } }
+      };
+    } else {
+      update = { current: 0 };
+    }
+
+    const settled = await updateIfUnchanged(streak, update);
+    if (settled) return settled;
+
+    streak = await LearningStreak.findById(streak._id);
+    if (attempt >= MAX_RETRIES) return streak;
+  }
+};
+
+/**
+ * Count a period towards the streak if the learner met their goal in it
+ * @param {Object} streak - LearningStreak
+ * @param {string} key - First day of the period
+ * @returns {Object} - LearningStreak
+ */
+const qualify = async (streak, key) => {
+  for (let attempt = 1; ; attempt++) {
+    const { period, minutes } = streak.goal;
+
+    if (streak.lastQualifiedPeriod && key <= streak.lastQualifiedPeriod) return streak;
+
+    if (await periodSeconds(streak.user, key, period) < minutes * 60) return streak;
+
+    const continues = streak.current > 0 && streak.lastQualifiedPeriod === shiftPeriod(key, period, -1);
+    const current = continues ? streak.current + 1 : 1;
+    const earnsFreeze = current % FREEZE_EARNED_EVERY[period] === 0 && streak.freezeTokens < MAX_FREEZE_TOKENS;
+
+    const qualified = await updateIfUnchanged(streak, {
+      current,
+      longest: Math.max(streak.longest, current),
+      lastQualifiedPeriod: key,
+      ...(earnsFreeze && { $inc: { freezeTokens: 1 } })
+    });
+    if (qualified) return qualified;
+
+    streak = await LearningStreak.findById(streak._id);
+    if (attempt >= MAX_RETRIES) return streak;
+  }
+};
+
+/**
+ * Bound the time a client reports for content to what could really have
+ * been spent: no more than has passed since progress was last reported,
+ * nor MAX_REPORTED_SECONDS
+ * @param {*} seconds - Reported seconds
+ * @param {Date} lastReportedAt - When progress was last reported (optional)
+ * @param {Date} now - Current time
+ * @returns {number} - Whole seconds to credit
+ */
+const creditableSeconds = (seconds, lastReportedAt, now = new Date()) => {
+  const reported = Number(seconds);
+  if (!Number.isFinite(reported) || reported <= 0) return 0;
+
+  const elapsed = lastReportedAt
+    ? Math.max(0, (now - new Date(lastReportedAt)) / 1000)
+    : MAX_REPORTED_SECONDS;
+
+  return Math.floor(Math.min(reported, elapsed, MAX_REPORTED_SECONDS));
+};
+
+/**
+ * Record time a learner spent learning, score it towards their challenges
+ * and update their streak. Failures are logged rather than thrown, so they
+ * never fail the learning itself
+ * @param {string} userId - User ID
+ * @param {Object} activity - source ('content', 'quiz' or 'webinar'), seconds
+ *   and at (when it happened, defaults to now)
+ * @returns {Object|null} - LearningStreak, or null when nothing was recorded
+ */
+const recordActivity = async (userId, { source, seconds, at = new Date() }) => {
+  if (!userId || !ACTIVITY_SOURCES.includes(source) || !Number.isFinite(seconds) || seconds <= 0) return null;
+
+  try {
+    let streak = await settle(await getOrCreateStreak(userId));
+    const { day } = localTime(at, streak.timezone);
+
+    await LearningActivity.updateOne(
+      { user: userId, day },
+      { $inc: { seconds, [`sources.${source}`]: seconds } },
+      { upsert: true }
+    );
+    await LearningStreak.updateOne({ _id: streak._id }, { $max: { lastActive: at } });
+    await challengeService.recordProgress(userId, 'learning_hours', { amount: seconds, at });
+
+    const { longest } = streak;
+    streak = await qualify(streak, periodOf(day, streak.goal.period));
+
+    if (streak.longest > longest) {
+      await badgeRuleService.handleEvent(userId, 'streak_updated');
+    }
+
+    return streak;
+  } catch (error) {
+    console.error(`Error recording ${source} learning activity:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Describe a streak for the learner: its length, this period's progress
+ * towards the goal and the recent history
+ * @param {Object} streak - Settled LearningStreak
+ * @param {Date} now - Current time
+ * @returns {Object}
+ */
+const describeStreak = async (streak, now) => {
+  const { period, minutes } = streak.goal;
+  const currentKey = periodOf(localTime(now, streak.timezone).day, period);
+  const firstKey = shiftPeriod(currentKey, period, 1 - HISTORY_PERIODS[period]);
+
+  const days = await LearningActivity.find({
+    user: streak.user,
+    day: { $gte: firstKey, $lt: shiftPeriod(currentKey, period, 1) }
+  })
+    .select('day seconds')
+    .lean();
+
+  const secondsIn = (key) => days
+    .filter(({ day }) => periodOf(day, period) === key)
+    .reduce((sum, { seconds }) => sum + seconds, 0);
+
+  const history = Array.from({ length: HISTORY_PERIODS[period] }, (_, index) => {
+    const key = shiftPeriod(firstKey, period, index);
+    const periodMinutes = Math.floor(secondsIn(key) / 60);
+
+    return {
+      date: key,
+      minutes: periodMinutes,
+      goalMet: periodMinutes >= minutes,
+      frozen: streak.frozenPeriods.includes(key)
+    };
+  });
+
+  const progressMinutes = history[history.length - 1].minutes;
+  const goalMet = streak.lastQualifiedPeriod === currentKey;
+
+  return {
+    current: streak.current,
+    longest: streak.longest,
+    lastActive: streak.lastActive || null,
+    // Named for the daily goal the dashboard shows; for weekly goals it is this week's
+    dailyGoalMet: goalMet,
+    goal: { period, minutes },
+    progressMinutes,
+    periodStartsOn: currentKey,
+    timezone: streak.timezone,
+    freezeTokens: streak.freezeTokens,
+    atRisk: streak.current > 0 && !goalMet,
+    history
+  };
+};
+
+/**
+ * Get a user's streak
+ * @param {string} userId - User ID
+ * @param {Date} now - Current time
+ * @returns {Object}
+ */
+const getStreak = async (userId, now = new Date()) => {
+  const streak = await settle(await getOrCreateStreak(userId), now);
+
+  return describeStreak(streak, now);
+};
+
+/**
+ * Bring a user's streak up to date with their recorded activity. The streak
+ * is only ever worked out on the server, whatever the client believes
+ * @param {string} userId - User ID
+ * @param {Date} now - Current time
+ * @returns {Object} - Streak, with milestoneReached when this period took it to a milestone
+ */
+const refreshStreak = async (userId, now = new Date()) => {
+  let streak = await settle(await getOrCreateStreak(userId), now);
+  const currentKey = periodOf(localTime(now, streak.timezone).day, streak.goal.period);
+  const { longest } = streak;
+
+  streak = await qualify(streak, currentKey);
+
+  if (streak.longest > longest) {
+    await badgeRuleService.handleEvent(userId, 'streak_updated');
+  }
+
+  return {
+    ...await describeStreak(streak, now),
+    milestoneReached: streak.lastQualifiedPeriod === currentKey && MILESTONES.includes(streak.current)
+  };
+};
+
+/**
+ * Change a user's timezone or goal. Switching between daily and weekly goals
+ * starts a new streak, as the two count different periods
+ * @param {string} userId - User ID
+ * @param {Object} settings - timezone, goalPeriod and goalMinutes (all optional)
+ * @param {Date} now - Current time
+ * @returns {Object} - Streak
+ */
+const updateSettings = async (userId, { timezone, goalPeriod, goalMinutes }, now = new Date()) => {
+  const streak = await settle(await getOrCreateStreak(userId), now);
+  const update = {};
+
+  if (timezone !== undefined) {
+    update.timezone = timezone;
+  }
+
+  if (goalPeriod !== undefined && goalPeriod !== streak.goal.period) {
+    update['goal.period'] = goalPeriod;
+    update.current = 0;
+    update.lastQualifiedPeriod = null;
+    update.frozenPeriods = [];
+  }
+
+  if (goalMinutes !== undefined) {
+    update['goal.minutes'] = goalMinutes;
+  }
+
+  let updated;
+  try {
+    updated = await LearningStreak.findByIdAndUpdate(streak._id, update, { new: true, runValidators: true });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+      throw new StreakError(error.message, 'INVALID_SETTINGS');
+    }
+    throw error;
+  }
+
+  // A lower goal may already be met by today's learning
+  const currentKey = periodOf(localTime(now, updated.timezone).day, updated.goal.period);
+
+  return describeStreak(await qualify(updated, currentKey), now);
+};
+
+/**
+ * Settle every running streak and warn learners late in the last day of a
+ * period they haven't met their goal in (run on a schedule, e.g. hourly)
+ * @param {Date} now - Current time
+ * @returns {Object} - { ended, frozen, notified }
+ */
+const processStreaks = async (now = new Date()) => {
+  const summary = { ended: 0, frozen: 0, notified: 0 };
+  const streaks = await LearningStreak.find({ current: { $gt: 0 } });
+
+  for (const running of streaks) {
+    try {
+      const streak = await settle(running, now);
+
+      if (streak.current === 0) {
+        summary.ended++;
+        continue;
+      }
+
+      if (streak.freezeTokens < running.freezeTokens) {
+        summary.frozen++;
+      }
+
+      const { period, minutes } = streak.goal;
+      const { day, hour } = localTime(now, streak.timezone);
+      const currentKey = periodOf(day, period);
+      const isLastDay = shiftPeriod(currentKey, period, 1) === shiftDay(day, 1);
+
+      if (
+        !isLastDay ||
+        hour < AT_RISK_HOUR ||
+        streak.lastQualifiedPeriod === currentKey ||
+        streak.atRiskNotifiedFor === currentKey
+      ) {
+        continue;
+      }
+
+      // Claim the warning first so overlapping runs don't send it twice
+      const claimed = await LearningStreak.findOneAndUpdate(
+        { _id: streak._id, atRiskNotifiedFor: { $ne: currentKey } },
+        { atRiskNotifiedFor: currentKey }
+      );
+      if (!claimed) continue;
+
+      const remaining = Math.max(Math.ceil(minutes - (await periodSeconds(streak.user, currentKey, period)) / 60), 1);
+      const fallback = streak.freezeTokens > 0
+        ? ' A freeze token will cover it if you miss it.'
+        : '';
+
+      await notificationService.sendNotification(
+        streak.user,
+        'Your Streak Is At Risk',
+        `Learn for ${remaining} more minute${remaining === 1 ? '' : 's'} ${period === 'weekly' ? 'this week' : 'today'} to keep your ${streak.current} ${period === 'weekly' ? 'week' : 'day'} streak.${fallback}`,
+        {
+          type: 'streak_at_risk',
+          metadata: {
+            current: streak.current,
+            remainingMinutes: remaining,
+            freezeTokens: streak.freezeTokens
+          }
+        }
+      );
+      summary.notified++;
+    } catch (error) {
+      console.error(`Error processing learning streak ${running._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  StreakError,
+  MILESTONES,
+  localTime,
+  periodOf,
+  creditableSeconds,
+  recordActivity,
+  getStreak,
+  refreshStreak,
+  updateSettings,
+  processStreaks
+};
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Revocation list entry: every access token issued to the user before
+// `revokedBefore` is rejected by `protect`, whether or not it belongs to a session
+const TokenRevocationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true
+    },
+    revokedBefore: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: ['Logout Everywhere', 'Offboarded', 'Role Changed', 'Admin'],
+      required: true
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+module.exports = mongoose.model('TokenRevocation', TokenRevocationSchema);
@@ -0,0 +1,286 @@
+/**
+ * Token service
+ * Issues short-lived access tokens and rotating refresh tokens backed by
+ * server-side sessions, and handles session revocation
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const TokenRevocation = require('../models/TokenRevocation');
+const User = require('../models/User');
+require('dotenv').config();
+
+// Token settings
+const tokenConfig = {
+  accessTokenExpiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+  // Rotated-out hashes remembered per session for reuse detection
+  maxPreviousTokenHashes: 20
+};
+
+/**
+ * Error thrown when a refresh token cannot be used
+ * Controllers map it to a 401 response
+ */
+class SessionError extends Error {
+  constructor(message, code = 'SESSION_INVALID') {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Raw refresh token secret
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Build a refresh token of the form `<sessionId>.<secret>`
+ * @param {string} sessionId - Session ID
+ * @returns {Object} - Raw token and the hash of its secret
+ */
+const generateRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  return {
+    token: `${sessionId}.${secret}`,
+    hash: hashToken(secret)
+  };
+};
+
+/**
+ * Split a refresh token into its session ID and secret
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Object} - Session ID and secret
+ */
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+    throw new SessionError('Malformed refresh token');
+  }
+
+  return { sessionId, secret };
+};
+
+/**
+ * Sign an access token for a user and session
+ * @param {Object} user - User document (or object with _id, role, department)
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {string} - Signed JWT
+ */
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      id: user._id.toString(),
+      role: user.role,
+      department: user.department,
+      sid: sessionId.toString()
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: tokenConfig.accessTokenExpiresIn }
+  );
+};
+
+/**
+ * Start a new session for a user and issue its first token pair
+ * @param {Object} user - User document
+ * @param {Object} meta - Request metadata
+ * @param {string} meta.userAgent - Client user agent
+ * @param {string} meta.ipAddress - Client IP address
+ * @returns {Object} - Access token, refresh token and session info
+ */
+const createSession = async (user, { userAgent, ipAddress } = {}) => {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + tokenConfig.refreshTokenTtlDays);
+
+  const session = new Session({
+    user: user._id,
+    userAgent,
+    ipAddress,
+    expiresAt,
+    // Replaced below once the session ID is known
+    refreshTokenHash: 'pending'
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = refreshToken.hash;
+  await session.save();
+
+  return {
+    accessToken: signAccessToken(user, session._id),
+    refreshToken: refreshToken.token,
+    expiresIn: tokenConfig.accessTokenExpiresIn,
+    sessionId: session._id,
+    refreshTokenExpiresAt: expiresAt
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * The presented refresh token is invalidated; presenting it again revokes the session
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} meta - Request metadata
+ * @returns {Object} - New access token and refresh token
+ */
+const rotateRefreshToken = async (refreshToken, { userAgent, ipAddress } = {}) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const presentedHash = hashToken(secret);
+  const nextToken = generateRefreshToken(sessionId);
+  const now = new Date();
+
+  // Swap the token in one update, so of two concurrent refreshes with the
+  // same token only one succeeds
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: nextToken.hash,
+        lastUsedOn: now,
+        ...(userAgent && { userAgent }),
+        ...(ipAddress && { ipAddress })
+      },
+      $push: {
+        previousTokenHashes: { $each: [presentedHash], $slice: -tokenConfig.maxPreviousTokenHashes }
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(sessionId);
+
+    if (!existing || !existing.isActive) {
+      throw new SessionError('Session has expired or been revoked', 'SESSION_REVOKED');
+    }
+
+    // A rotated-out token is being replayed: assume it was stolen and kill the session
+    if (existing.previousTokenHashes.includes(presentedHash)) {
+      await revokeSession(existing._id, 'Token Reuse');
+
+      throw new SessionError('Refresh token reuse detected, session revoked', 'TOKEN_REUSE');
+    }
+
+    throw new SessionError('Invalid refresh token');
+  }
+
+  // Re-read the user so role and department changes reach the new access token
+  const user = await User.findById(session.user).select('role department isActive');
+
+  if (!user || user.isActive === false) {
+    await revokeSession(session._id, 'Offboarded');
+
+    throw new SessionError('User account is no longer active', 'USER_INACTIVE');
+  }
+
+  return {
+    accessToken: signAccessToken(user, session._id),
+    refreshToken: nextToken.token,
+    expiresIn: tokenConfig.accessTokenExpiresIn,
+    sessionId: session._id,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+};
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ * @param {string} userId - Restrict to sessions owned by this user (optional)
+ * @returns {boolean} - Whether an active session was revoked
+ */
+const revokeSession = async (sessionId, reason = 'Logout', userId = null) => {
+  const query = { _id: sessionId, revokedAt: null };
+
+  if (userId) {
+    query.user = userId;
+  }
+
+  const result = await Session.updateOne(query, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every session of a user and add the user to the revocation list,
+ * so access tokens issued outside a session are rejected as well
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {string} revokedBy - ID of the user performing the revocation (optional)
+ * @returns {number} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason = 'Logout Everywhere', revokedBy = null) => {
+  const now = new Date();
+
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: now, revokedReason: reason }
+  );
+
+  await TokenRevocation.findOneAndUpdate(
+    { user: userId },
+    { revokedBefore: now, reason, revokedBy },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Check whether a decoded access token is still valid server-side
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {boolean} - Whether the token may be used
+ */
+const isAccessTokenActive = async (decoded) => {
+  // Session-bound tokens live exactly as long as their session
+  if (decoded.sid) {
+    const session = await Session.findById(decoded.sid)
+      .select('user revokedAt expiresAt')
+      .lean();
+
+    return Boolean(
+      session &&
+      !session.revokedAt &&
+      session.expiresAt > new Date() &&
+      session.user.toString() === decoded.id
+    );
+  }
+
+  // Tokens issued outside a session are checked against the revocation list
+  const revocation = await TokenRevocation.findOne({ user: decoded.id })
+    .select('revokedBefore')
+    .lean();
+
+  return !revocation || decoded.iat * 1000 >= revocation.revokedBefore.getTime();
+};
+
+/**
+ * List a user's active sessions
+ * @param {string} userId - User ID
+ * @returns {Array} - Active sessions, most recently used first
+ */
+const getActiveSessions = async (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('userAgent ipAddress lastUsedOn expiresAt createdAt')
+    .sort({ lastUsedOn: -1 })
+    .lean();
+};
+
+module.exports = {
+  SessionError,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isAccessTokenActive,
+  getActiveSessions
+};
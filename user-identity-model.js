@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Links an LMS user to an account at an external identity provider
+const UserIdentitySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    provider: {
+      type: String,
+      enum: ['saml', 'oidc'],
+      required: true
+    },
+    // IdP entity ID (SAML) or issuer URL (OIDC)
+    issuer: {
+      type: String,
+      required: true
+    },
+    // NameID (SAML) or `sub` claim (OIDC)
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    // Claims from the most recent login, kept for troubleshooting mappings
+    lastClaims: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    lastLoginOn: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One LMS link per IdP account
+UserIdentitySchema.index({ provider: 1, issuer: 1, subject: 1 }, { unique: true });
+UserIdentitySchema.index({ user: 1 });
+
+module.exports = mongoose.model('UserIdentity', UserIdentitySchema);
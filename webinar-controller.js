@@ -3,6 +3,10 @@ const User = require('../models/User');
 const asyncHandler = require('express-async-handler');
 const zoomService = require('../services/zoomService');
 const notificationService = require('../services/notificationService');
+const pointsService = require('../services/pointsService');
+const streakService = require('../services/streakService');
+const badgeRuleService = require('../services/badgeRuleService');
+const xapiService = require('../services/xapiService');
 
 // @desc    Get all webinars
 // @route   GET /api/webinars
@@ -555,6 +559,7 @@ const markAttendance = asyncHandler(async (req, res) => {
   
   // Mark attendance for each attendee
   let attendanceCount = 0;
+  const newAttendees = [];
   
   for (const userId of attendees) {
     const registrationIndex = webinar.registrations.findIndex(
@@ -562,6 +567,9 @@ const markAttendance = asyncHandler(async (req, res) => {
     );
     
     if (registrationIndex !== -1) {
+      if (!webinar.registrations[registrationIndex].attended) {
+        newAttendees.push(userId);
+      }
       webinar.registrations[registrationIndex].attended = true;
       attendanceCount++;
     }
@@ -569,6 +577,32 @@ const markAttendance = asyncHandler(async (req, res) => {
   
   await webinar.save();
   
+  // Report attendance to the LRS
+  const activity = xapiService.webinarActivity(webinar);
+  
+  for (const userId of newAttendees) {
+    await xapiService.recordStatement(userId, 'attended', activity, {
+      timestamp: webinar.startDate
+    });
+    
+    await pointsService.awardPoints({
+      userId,
+      points: webinar.attendancePoints,
+      source: 'Webinar',
+      sourceId: webinar._id,
+      reason: `Attended ${webinar.title}`,
+      reference: `webinar:${webinar._id}:${userId}`
+    });
+    
+    await streakService.recordActivity(userId, {
+      source: 'webinar',
+      seconds: webinar.duration * 60,
+      at: webinar.startDate
+    });
+    
+    await badgeRuleService.handleEvent(userId, 'webinar_attended');
+  }
+  
   res.status(200).json({
     success: true,
     data: {
@@ -80,6 +80,12 @@ const WebinarSchema = new mongoose.Schema(
       type: String,
       default: 'default-webinar.jpg'
     },
+    // Points credited to each registrant marked as attending
+    attendancePoints: {
+      type: Number,
+      default: 25,
+      min: [0, 'Attendance points cannot be negative']
+    },
     capacity: {
       type: Number,
       default: 100
@@ -13,7 +13,7 @@ const {
   syncWithZoom,
   getWebinarCategories
 } = require('../controllers/webinarController');
-const { protect, authorize } = require('../config/middleware');
+const { protect, requirePermission } = require('../config/middleware');
 
 // Public routes
 router.get('/', getWebinars);
@@ -26,10 +26,10 @@ router.delete('/:id/register', protect, cancelRegistration);
 router.post('/:id/feedback', protect, submitFeedback);
 
 // Admin routes
-router.post('/', protect, authorize(['admin']), createWebinar);
-router.put('/:id', protect, authorize(['admin']), updateWebinar);
-router.delete('/:id', protect, authorize(['admin']), deleteWebinar);
-router.put('/:id/attendance', protect, authorize(['admin']), markAttendance);
-router.post('/:id/sync-zoom', protect, authorize(['admin']), syncWithZoom);
+router.post('/', protect, requirePermission('webinar:manage'), createWebinar);
+router.put('/:id', protect, requirePermission('webinar:manage'), updateWebinar);
+router.delete('/:id', protect, requirePermission('webinar:manage'), deleteWebinar);
+router.put('/:id/attendance', protect, requirePermission('webinar:manage'), markAttendance);
+router.post('/:id/sync-zoom', protect, requirePermission('webinar:manage'), syncWithZoom);
 
 module.exports = router;
@@ -0,0 +1,125 @@
+const asyncHandler = require('express-async-handler');
+const policyService = require('../services/policyService');
+const xapiService = require('../services/xapiService');
+
+const ERROR_STATUS = {
+  INVALID_STATEMENT: 400,
+  INVALID_QUERY: 400,
+  FORBIDDEN: 403,
+  CONFLICT: 409,
+  NOT_FOUND: 404
+};
+
+// Set the response status for an LRS error before rethrowing it
+const rethrow = (res, error) => {
+  if (error instanceof xapiService.XapiError) {
+    res.status(ERROR_STATUS[error.code] || 400);
+  }
+  throw error;
+};
+
+// Learners only read and record statements about themselves
+const getOwnUserId = (req, action) => (
+  policyService.hasPermission(req.user, action, 'any') ? null : req.user.id
+);
+
+// Check learners only record statements about themselves
+const checkActors = (req, res, statements) => {
+  const ownUserId = getOwnUserId(req, 'statement:record');
+
+  if (ownUserId && statements.some(statement => (
+    !statement || xapiService.toUserId(statement.actor) !== ownUserId.toString()
+  ))) {
+    res.status(403);
+    throw new Error('Not authorized to record statements about other learners');
+  }
+};
+
+// @desc    Get a statement by ID, or query statements
+// @route   GET /api/xapi/statements
+// @access  Private
+const getStatements = asyncHandler(async (req, res) => {
+  const userId = getOwnUserId(req, 'statement:view');
+  
+  try {
+    if (req.query.statementId || req.query.voidedStatementId) {
+      if (req.query.statementId && req.query.voidedStatementId) {
+        res.status(400);
+        throw new Error('Use statementId or voidedStatementId, not both');
+      }
+      
+      const statement = await xapiService.getStatement(req.query, { userId });
+      return res.status(200).json(statement);
+    }
+    
+    const result = await xapiService.queryStatements(req.query, { userId });
+    res.status(200).json(result);
+  } catch (error) {
+    rethrow(res, error);
+  }
+});
+
+// @desc    Store one statement or a batch of statements
+// @route   POST /api/xapi/statements
+// @access  Private
+const postStatements = asyncHandler(async (req, res) => {
+  const statements = Array.isArray(req.body) ? req.body : [req.body];
+  
+  checkActors(req, res, statements);
+  
+  try {
+    // Statements recorded by a user carry them as the authority
+    const ids = await xapiService.storeStatements(statements, {
+      authority: xapiService.toActor(req.user),
+      ownUserId: getOwnUserId(req, 'statement:record')
+    });
+    res.status(200).json(ids);
+  } catch (error) {
+    rethrow(res, error);
+  }
+});
+
+// @desc    Store a statement under the ID given in the query
+// @route   PUT /api/xapi/statements?statementId=
+// @access  Private
+const putStatement = asyncHandler(async (req, res) => {
+  const { statementId } = req.query;
+  
+  if (!statementId) {
+    res.status(400);
+    throw new Error('statementId is required');
+  }
+  
+  if (req.body.id && req.body.id.toLowerCase() !== statementId.toLowerCase()) {
+    res.status(400);
+    throw new Error('Statement id does not match statementId');
+  }
+  
+  checkActors(req, res, [req.body]);
+  
+  try {
+    await xapiService.storeStatements(
+      [{ ...req.body, id: statementId }],
+      { authority: xapiService.toActor(req.user), ownUserId: getOwnUserId(req, 'statement:record') }
+    );
+    res.status(204).end();
+  } catch (error) {
+    rethrow(res, error);
+  }
+});
+
+// @desc    Get the xAPI versions the LRS supports
+// @route   GET /api/xapi/about
+// @access  Public
+const getAbout = (req, res) => {
+  res.status(200).json({
+    version: [xapiService.XAPI_VERSION]
+  });
+};
+
+module.exports = {
+  getStatements,
+  postStatements,
+  putStatement,
+  getAbout
+};
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getStatements,
+  postStatements,
+  putStatement,
+  getAbout
+} = require('../controllers/xapiController');
+const { protect, requirePermission } = require('../config/middleware');
+const { XAPI_VERSION } = require('../services/xapiService');
+
+// Responses follow the xAPI specification rather than the { success, data } envelope
+router.use((req, res, next) => {
+  res.set('X-Experience-API-Version', XAPI_VERSION);
+  next();
+});
+
+router.get('/about', getAbout);
+
+// Statement resource
+router.get('/statements', protect, requirePermission('statement:view'), getStatements);
+router.post('/statements', protect, requirePermission('statement:record'), postStatements);
+router.put('/statements', protect, requirePermission('statement:record'), putStatement);
+
+module.exports = router;
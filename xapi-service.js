@@ -0,0 +1,751 @@
+/**
+ * xAPI service
+ * Emits xAPI (Tin Can) statements for learning activity, stores them in the
+ * built-in Learning Record Store, answers /statements queries and forwards
+ * statements to an external LRS when one is configured
+ */
+const axios = require('axios');
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
+const XapiStatement = require('../models/XapiStatement');
+
+const XAPI_VERSION = '1.0.3';
+
+// Our learners are identified by account on this home page
+const HOME_PAGE = process.env.XAPI_HOME_PAGE || process.env.FRONTEND_URL || 'http://localhost:3000';
+const ACTIVITY_BASE = process.env.XAPI_ACTIVITY_BASE || `${HOME_PAGE.replace(/\/$/, '')}/xapi/activities`;
+
+// Statements are copied to this LRS (e.g. https://lrs.example.com/xapi) when set
+const FORWARD_ENDPOINT = process.env.XAPI_FORWARD_ENDPOINT;
+const FORWARD_BATCH_SIZE = 100;
+const MAX_FORWARD_ATTEMPTS = 5;
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 500;
+
+// Registrations are UUIDs derived from enrollment IDs in this namespace
+const REGISTRATION_NAMESPACE = '6f1c2a4e-8d3b-5f7a-9c1e-2b4d6f8a0c3e';
+
+const VERBS = {
+  launched: 'http://adlnet.gov/expapi/verbs/launched',
+  progressed: 'http://adlnet.gov/expapi/verbs/progressed',
+  answered: 'http://adlnet.gov/expapi/verbs/answered',
+  completed: 'http://adlnet.gov/expapi/verbs/completed',
+  passed: 'http://adlnet.gov/expapi/verbs/passed',
+  failed: 'http://adlnet.gov/expapi/verbs/failed',
+  attended: 'http://adlnet.gov/expapi/verbs/attended',
+  voided: 'http://adlnet.gov/expapi/verbs/voided'
+};
+
+const ACTIVITY_TYPES = {
+  course: 'http://adlnet.gov/expapi/activities/course',
+  module: 'http://adlnet.gov/expapi/activities/module',
+  meeting: 'http://adlnet.gov/expapi/activities/meeting',
+  interaction: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+  Video: 'https://w3id.org/xapi/video/activity-type/video',
+  Document: 'http://id.tincanapi.com/activitytype/document',
+  Presentation: 'http://id.tincanapi.com/activitytype/slide-deck',
+  Quiz: 'http://adlnet.gov/expapi/activities/assessment',
+  Assignment: 'http://adlnet.gov/expapi/activities/assessment',
+  Link: 'http://adlnet.gov/expapi/activities/link',
+  SCORM: 'http://adlnet.gov/expapi/activities/lesson'
+};
+
+const INTERACTION_TYPES = {
+  'Multiple Choice': 'choice',
+  'Multiple Select': 'choice',
+  'True/False': 'true-false',
+  'Short Answer': 'fill-in',
+  'Fill in the Blank': 'fill-in',
+  Numeric: 'numeric',
+  Matching: 'matching',
+  Ordering: 'sequencing'
+};
+
+// cmi5 result extension for progress towards completion, 0-100
+const PROGRESS_EXTENSION = 'https://w3id.org/xapi/cmi5/result/extensions/progress';
+
+// Authority of the statements the LMS emits itself
+const LMS_AUTHORITY = {
+  objectType: 'Agent',
+  name: 'LMS',
+  account: { homePage: HOME_PAGE, name: 'lms' }
+};
+
+/**
+ * Error raised for statements and queries the LRS rejects
+ * @param {string} message - Error message
+ * @param {string} code - Machine readable error code
+ */
+class XapiError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'XapiError';
+    this.code = code;
+  }
+}
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+const isIri = (value) => typeof value === 'string' && /^[a-z][a-z0-9+.-]*:\S+$/i.test(value);
+
+const isUuid = (value) => typeof value === 'string' &&
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+
+const isLanguageMap = (value) => value === undefined ||
+  (value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(item => typeof item === 'string'));
+
+/**
+ * Identify an agent or identified group by its inverse functional identifier
+ * @param {Object} agent - xAPI Agent or Group
+ * @returns {string|null} - e.g. "mbox:mailto:jo@example.com", or null when it has none
+ */
+const agentKey = (agent) => {
+  if (!agent || typeof agent !== 'object') return null;
+  if (agent.mbox) return `mbox:${agent.mbox.toLowerCase()}`;
+  if (agent.mbox_sha1sum) return `mbox_sha1sum:${agent.mbox_sha1sum.toLowerCase()}`;
+  if (agent.openid) return `openid:${agent.openid}`;
+  if (agent.account && agent.account.homePage && agent.account.name) {
+    return `account:${agent.account.homePage}|${agent.account.name}`;
+  }
+  return null;
+};
+
+/**
+ * The xAPI Agent for one of our users, identified by account
+ * @param {Object|string} user - User document, authenticated request user or user ID
+ * @returns {Object}
+ */
+const toActor = (user) => {
+  const actor = {
+    objectType: 'Agent',
+    account: { homePage: HOME_PAGE, name: toId(user && user.id && !user._id ? user.id : user) }
+  };
+
+  const name = user && (user.name || [user.firstName, user.lastName].filter(Boolean).join(' '));
+  if (name) actor.name = name;
+
+  return actor;
+};
+
+/**
+ * Our user ID for an agent identified by an account on our home page
+ * @param {Object} agent - xAPI Agent
+ * @returns {string|null}
+ */
+const toUserId = (agent) => (
+  agent && agent.account && agent.account.homePage === HOME_PAGE && /^[0-9a-f]{24}$/i.test(agent.account.name)
+    ? agent.account.name
+    : null
+);
+
+/**
+ * Registration UUID for an enrollment, so statements from one enrollment group together
+ * @param {Object|string} enrollment - Enrollment or its ID
+ * @returns {string}
+ */
+const toRegistration = (enrollment) => uuidv5(toId(enrollment), REGISTRATION_NAMESPACE);
+
+const courseActivity = (course) => ({
+  objectType: 'Activity',
+  id: `${ACTIVITY_BASE}/courses/${toId(course)}`,
+  definition: {
+    type: ACTIVITY_TYPES.course,
+    ...(course.title && { name: { 'en-US': course.title } })
+  }
+});
+
+const moduleActivity = (courseId, module) => ({
+  objectType: 'Activity',
+  id: `${ACTIVITY_BASE}/courses/${toId(courseId)}/modules/${toId(module)}`,
+  definition: {
+    type: ACTIVITY_TYPES.module,
+    ...(module.title && { name: { 'en-US': module.title } })
+  }
+});
+
+const contentActivity = (courseId, moduleId, content) => ({
+  objectType: 'Activity',
+  id: `${ACTIVITY_BASE}/courses/${toId(courseId)}/modules/${toId(moduleId)}/content/${toId(content)}`,
+  definition: {
+    type: ACTIVITY_TYPES[content.contentType] || 'http://adlnet.gov/expapi/activities/media',
+    ...(content.title && { name: { 'en-US': content.title } })
+  }
+});
+
+const webinarActivity = (webinar) => ({
+  objectType: 'Activity',
+  id: `${ACTIVITY_BASE}/webinars/${toId(webinar)}`,
+  definition: {
+    type: ACTIVITY_TYPES.meeting,
+    ...(webinar.title && { name: { 'en-US': webinar.title } })
+  }
+});
+
+/**
+ * Context for a learning statement: the enrollment as registration and, for
+ * content, the module and course it sits in
+ * @param {Object} params - Course ID, module ID (for content) and enrollment (optional)
+ * @returns {Object} - xAPI Context
+ */
+const learningContext = ({ courseId, moduleId, enrollment }) => ({
+  ...(enrollment && { registration: toRegistration(enrollment) }),
+  platform: 'LMS-HRM',
+  ...(moduleId && {
+    contextActivities: {
+      parent: [moduleActivity(courseId, { _id: moduleId })],
+      grouping: [courseActivity({ _id: courseId })]
+    }
+  })
+});
+
+/**
+ * Check a statement against the xAPI statement requirements the LRS relies on
+ * @param {Object} statement - Statement as received
+ */
+const validateStatement = (statement) => {
+  const invalid = (message) => new XapiError(message, 'INVALID_STATEMENT');
+
+  if (!statement || typeof statement !== 'object' || Array.isArray(statement)) {
+    throw invalid('A statement must be an object');
+  }
+
+  if (statement.id !== undefined && !isUuid(statement.id)) {
+    throw invalid('Statement id must be a UUID');
+  }
+
+  if (!agentKey(statement.actor)) {
+    throw invalid('Statement actor needs an mbox, mbox_sha1sum, openid or account');
+  }
+
+  if (!statement.verb || !isIri(statement.verb.id) || !isLanguageMap(statement.verb.display)) {
+    throw invalid('Statement verb needs an IRI id');
+  }
+
+  const { object } = statement;
+  const objectType = (object && object.objectType) || 'Activity';
+
+  if (!object) {
+    throw invalid('Statement object is required');
+  }
+
+  if (objectType === 'Activity') {
+    if (!isIri(object.id)) {
+      throw invalid('Activity id must be an IRI');
+    }
+    if (object.definition && (!isLanguageMap(object.definition.name) || !isLanguageMap(object.definition.description))) {
+      throw invalid('Activity name and description must be language maps');
+    }
+  } else if (objectType === 'Agent' || objectType === 'Group') {
+    if (!agentKey(object)) {
+      throw invalid('Agent objects need an mbox, mbox_sha1sum, openid or account');
+    }
+  } else if (objectType === 'StatementRef') {
+    if (!isUuid(object.id)) {
+      throw invalid('StatementRef id must be a UUID');
+    }
+  } else if (objectType !== 'SubStatement') {
+    throw invalid(`Unknown object type ${objectType}`);
+  }
+
+  if (statement.verb.id === VERBS.voided && objectType !== 'StatementRef') {
+    throw invalid('Voiding statements must reference a statement');
+  }
+
+  const score = statement.result && statement.result.score;
+  if (score) {
+    if (score.scaled !== undefined && (typeof score.scaled !== 'number' || score.scaled < -1 || score.scaled > 1)) {
+      throw invalid('Scaled score must be between -1 and 1');
+    }
+    if (score.min !== undefined && score.max !== undefined && score.min > score.max) {
+      throw invalid('Score min cannot be above max');
+    }
+  }
+
+  if (statement.context && statement.context.registration !== undefined && !isUuid(statement.context.registration)) {
+    throw invalid('Context registration must be a UUID');
+  }
+
+  if (statement.timestamp !== undefined && Number.isNaN(Date.parse(statement.timestamp))) {
+    throw invalid('Statement timestamp must be an ISO 8601 date');
+  }
+
+  if (statement.version !== undefined && !/^1\.0(\.\d+)?$/.test(statement.version)) {
+    throw invalid(`Statement version ${statement.version} is not supported`);
+  }
+};
+
+/**
+ * Every agent a statement mentions
+ * @param {Object} statement - Stored statement
+ * @returns {Array} - Agent keys
+ */
+const collectAgents = (statement) => {
+  const { context = {} } = statement;
+  const agents = [statement.actor, statement.authority, context.instructor, context.team];
+
+  if (statement.object && ['Agent', 'Group'].includes(statement.object.objectType)) {
+    agents.push(statement.object);
+  }
+
+  // Group members count as well
+  agents.filter(Boolean).forEach(agent => agents.push(...(agent.member || [])));
+
+  return [...new Set(agents.map(agentKey).filter(Boolean))];
+};
+
+/**
+ * The object activity and all context activities of a statement
+ * @param {Object} statement - Stored statement
+ * @returns {Array} - Activity IDs
+ */
+const collectActivities = (statement) => {
+  const { object, context = {} } = statement;
+  const ids = [];
+
+  if (object && (object.objectType || 'Activity') === 'Activity') {
+    ids.push(object.id);
+  }
+
+  Object.values(context.contextActivities || {}).forEach(activities => {
+    [].concat(activities).forEach(activity => activity && ids.push(activity.id));
+  });
+
+  return [...new Set(ids.filter(Boolean))];
+};
+
+// JSON with sorted keys, for comparing statements
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Statements are the same when they differ only in what the LRS sets
+const withoutLrsFields = ({ stored, authority, version, ...statement }) => statement;
+
+/**
+ * Store statements in the LRS
+ * A statement whose ID is already stored is accepted when identical and
+ * rejected otherwise. Voiding statements void the statement they reference
+ * @param {Array} statements - Statements as received
+ * @param {Object} options - authority to record them under (the LMS by
+ *   default) and ownUserId (set for learners, who may only void statements
+ *   they recorded about themselves)
+ * @returns {Array} - Statement IDs, in the order received
+ */
+const storeStatements = async (statements, { authority = LMS_AUTHORITY, ownUserId = null } = {}) => {
+  statements.forEach(validateStatement);
+
+  const stored = new Date();
+  const prepared = statements.map(statement => ({
+    ...statement,
+    id: statement.id || uuidv4(),
+    timestamp: statement.timestamp || stored.toISOString(),
+    stored: stored.toISOString(),
+    authority,
+    version: statement.version || XAPI_VERSION
+  }));
+
+  const ids = prepared.map(statement => statement.id.toLowerCase());
+  if (new Set(ids).size !== ids.length) {
+    throw new XapiError('A batch cannot contain the same statement ID twice', 'INVALID_STATEMENT');
+  }
+
+  const existing = await XapiStatement.find({ statementId: { $in: ids } }).lean();
+  const existingById = new Map(existing.map(item => [item.statementId, JSON.parse(item.statement)]));
+
+  prepared.forEach(statement => {
+    const match = existingById.get(statement.id.toLowerCase());
+    if (match && canonicalJson(withoutLrsFields(match)) !== canonicalJson(withoutLrsFields(statement))) {
+      throw new XapiError(`A different statement with ID ${statement.id} is already stored`, 'CONFLICT');
+    }
+  });
+
+  const fresh = prepared.filter(statement => !existingById.has(statement.id.toLowerCase()));
+
+  // Voided statements stay stored but drop out of queries
+  const voidedIds = fresh
+    .filter(statement => statement.verb.id === VERBS.voided)
+    .map(statement => statement.object.id.toLowerCase());
+
+  if (voidedIds.length > 0) {
+    const targets = await XapiStatement.find({ statementId: { $in: voidedIds } }).select('verb user statement').lean();
+
+    if (targets.some(target => target.verb === VERBS.voided)) {
+      throw new XapiError('Voiding statements cannot be voided', 'INVALID_STATEMENT');
+    }
+
+    // Statements the LMS recorded, such as results, are not the learner's to void
+    if (ownUserId && targets.some(target => (
+      !target.user || target.user.toString() !== ownUserId.toString() ||
+      toUserId(JSON.parse(target.statement).authority) !== ownUserId.toString()
+    ))) {
+      throw new XapiError('Learners can only void statements they recorded about themselves', 'FORBIDDEN');
+    }
+  }
+
+  if (fresh.length > 0) {
+    await XapiStatement.insertMany(fresh.map(statement => ({
+      statementId: statement.id.toLowerCase(),
+      statement: JSON.stringify(statement),
+      user: toUserId(statement.actor),
+      agent: agentKey(statement.actor),
+      relatedAgents: collectAgents(statement),
+      verb: statement.verb.id,
+      activity: (statement.object.objectType || 'Activity') === 'Activity' ? statement.object.id : undefined,
+      relatedActivities: collectActivities(statement),
+      registration: statement.context && statement.context.registration,
+      timestamp: new Date(statement.timestamp),
+      stored,
+      ...(FORWARD_ENDPOINT && { forwarding: { status: 'Pending' } })
+    })));
+  }
+
+  if (voidedIds.length > 0) {
+    await XapiStatement.updateMany({ statementId: { $in: voidedIds } }, { voided: true });
+  }
+
+  return prepared.map(statement => statement.id);
+};
+
+/**
+ * Record a statement about one of our users. Statements are a record of
+ * activity, so failing to store one never fails the activity itself
+ * @param {Object|string} user - User document or ID
+ * @param {string} verb - Key of VERBS
+ * @param {Object} object - xAPI Activity
+ * @param {Object} details - Optional result, context and timestamp
+ */
+const recordStatement = async (user, verb, object, { result, context, timestamp } = {}) => {
+  try {
+    await storeStatements([{
+      actor: toActor(user),
+      verb: { id: VERBS[verb], display: { 'en-US': verb } },
+      object,
+      ...(result && { result }),
+      ...(context && { context }),
+      ...(timestamp && { timestamp: new Date(timestamp).toISOString() })
+    }]);
+  } catch (error) {
+    console.error(`Error recording xAPI "${verb}" statement:`, error.message);
+  }
+};
+
+/**
+ * Record a submitted quiz attempt: each question answered, then the quiz
+ * passed or failed
+ * @param {Object} attempt - Submitted QuizAttempt
+ */
+const recordQuizAttempt = async (attempt) => {
+  if (!attempt.content) return;
+
+  const quiz = contentActivity(attempt.course, attempt.module, { _id: attempt.content, contentType: 'Quiz' });
+  const context = learningContext({ courseId: attempt.course, moduleId: attempt.module });
+  const statements = [];
+
+  attempt.answers.forEach(answer => {
+    const question = attempt.questions.find(item => toId(item) === toId(answer.questionId));
+    if (!question) return;
+
+    statements.push({
+      actor: toActor(attempt.user),
+      verb: { id: VERBS.answered, display: { 'en-US': 'answered' } },
+      object: {
+        objectType: 'Activity',
+        id: `${quiz.id}/questions/${toId(question)}`,
+        definition: {
+          type: ACTIVITY_TYPES.interaction,
+          interactionType: INTERACTION_TYPES[question.type] || 'other',
+          ...(question.text && { description: { 'en-US': question.text } })
+        }
+      },
+      result: {
+        success: Boolean(answer.isCorrect),
+        score: { raw: answer.earnedPoints || 0, min: 0, max: answer.totalPoints || 0 },
+        ...(answer.response !== undefined && answer.response !== null && {
+          response: typeof answer.response === 'string' ? answer.response : JSON.stringify(answer.response)
+        })
+      },
+      context: {
+        ...context,
+        contextActivities: { ...context.contextActivities, parent: [quiz] }
+      },
+      timestamp: new Date(attempt.submittedAt || Date.now()).toISOString()
+    });
+  });
+
+  statements.push({
+    actor: toActor(attempt.user),
+    verb: {
+      id: attempt.passed ? VERBS.passed : VERBS.failed,
+      display: { 'en-US': attempt.passed ? 'passed' : 'failed' }
+    },
+    object: quiz,
+    result: {
+      success: Boolean(attempt.passed),
+      completion: true,
+      score: {
+        scaled: Math.max(-1, Math.min(1, (attempt.score || 0) / 100)),
+        raw: attempt.earnedPoints || 0,
+        min: 0,
+        max: attempt.totalPoints || 0
+      },
+      ...(attempt.timeSpent !== undefined && { duration: `PT${attempt.timeSpent}S` })
+    },
+    context,
+    timestamp: new Date(attempt.submittedAt || Date.now()).toISOString()
+  });
+
+  try {
+    await storeStatements(statements);
+  } catch (error) {
+    console.error('Error recording xAPI quiz attempt statements:', error.message);
+  }
+};
+
+/**
+ * Parse the `agent` query parameter
+ * @param {string} value - JSON encoded Agent or Group
+ * @returns {string} - Agent key
+ */
+const parseAgentParameter = (value) => {
+  let agent;
+  try {
+    agent = JSON.parse(value);
+  } catch (error) {
+    throw new XapiError('agent must be a JSON encoded Agent', 'INVALID_QUERY');
+  }
+
+  const key = agentKey(agent);
+  if (!key) {
+    throw new XapiError('agent needs an mbox, mbox_sha1sum, openid or account', 'INVALID_QUERY');
+  }
+  return key;
+};
+
+/**
+ * Reduce a statement to identifiers only, for format=ids
+ * @param {Object} statement - Stored statement
+ * @returns {Object}
+ */
+const toIdsFormat = (statement) => {
+  const idsOnly = (agent) => {
+    if (!agent) return agent;
+    const { name, member, ...identified } = agent;
+    return agent.objectType === 'Group' && !agentKey(agent)
+      ? { objectType: 'Group', member: (member || []).map(idsOnly) }
+      : identified;
+  };
+  const { object } = statement;
+
+  return {
+    ...statement,
+    actor: idsOnly(statement.actor),
+    verb: { id: statement.verb.id },
+    object: ['Agent', 'Group'].includes(object.objectType)
+      ? idsOnly(object)
+      : (object.objectType || 'Activity') === 'Activity' ? { objectType: 'Activity', id: object.id } : object
+  };
+};
+
+const encodeCursor = (item) => Buffer.from(JSON.stringify({
+  stored: item.stored.toISOString(),
+  id: item.statementId
+})).toString('base64url');
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return { stored: new Date(cursor.stored), id: cursor.id };
+  } catch (error) {
+    throw new XapiError('Invalid cursor', 'INVALID_QUERY');
+  }
+};
+
+/**
+ * Get one statement by ID, or a voided statement by voidedStatementId
+ * @param {Object} query - statementId or voidedStatementId, and format
+ * @param {Object} options - Restrict to one user's statements (userId)
+ * @returns {Object} - Statement
+ */
+const getStatement = async (query, { userId } = {}) => {
+  const voided = query.voidedStatementId !== undefined;
+  const statementId = (voided ? query.voidedStatementId : query.statementId).toLowerCase();
+
+  const item = await XapiStatement.findOne({
+    statementId,
+    voided,
+    ...(userId && { user: userId })
+  }).lean();
+
+  if (!item) {
+    throw new XapiError('Statement not found', 'NOT_FOUND');
+  }
+
+  const statement = JSON.parse(item.statement);
+  return query.format === 'ids' ? toIdsFormat(statement) : statement;
+};
+
+/**
+ * Query stored statements with the standard /statements parameters:
+ * agent, verb, activity, registration, related_activities, related_agents,
+ * since, until, limit, ascending and format, plus the cursor of a `more` link
+ * @param {Object} query - Query parameters
+ * @param {Object} options - Restrict to one user's statements (userId)
+ * @returns {Object} - StatementResult { statements, more }
+ */
+const queryStatements = async (query, { userId } = {}) => {
+  const filter = { voided: false };
+
+  if (userId) filter.user = userId;
+
+  if (query.agent) {
+    const key = parseAgentParameter(query.agent);
+    if (query.related_agents === 'true') filter.relatedAgents = key;
+    else filter.agent = key;
+  }
+
+  if (query.verb) filter.verb = query.verb;
+
+  if (query.activity) {
+    if (query.related_activities === 'true') filter.relatedActivities = query.activity;
+    else filter.activity = query.activity;
+  }
+
+  if (query.registration) filter.registration = query.registration.toLowerCase();
+
+  ['since', 'until'].forEach(param => {
+    if (query[param] !== undefined && Number.isNaN(Date.parse(query[param]))) {
+      throw new XapiError(`${param} must be an ISO 8601 date`, 'INVALID_QUERY');
+    }
+  });
+
+  if (query.since || query.until) {
+    filter.stored = {
+      ...(query.since && { $gt: new Date(query.since) }),
+      ...(query.until && { $lte: new Date(query.until) })
+    };
+  }
+
+  const ascending = query.ascending === 'true';
+  const direction = ascending ? 1 : -1;
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    const after = ascending ? '$gt' : '$lt';
+    filter.$or = [
+      { stored: { [after]: cursor.stored } },
+      { stored: cursor.stored, statementId: { [after]: cursor.id } }
+    ];
+  }
+
+  // A limit of 0 asks for as many as the LRS returns per page
+  const requestedLimit = parseInt(query.limit, 10);
+  let limit = DEFAULT_QUERY_LIMIT;
+  if (requestedLimit === 0) limit = MAX_QUERY_LIMIT;
+  else if (requestedLimit > 0) limit = Math.min(requestedLimit, MAX_QUERY_LIMIT);
+
+  const items = await XapiStatement.find(filter)
+    .sort({ stored: direction, statementId: direction })
+    .limit(limit + 1)
+    .lean();
+
+  const page = items.slice(0, limit);
+  const statements = page.map(item => {
+    const statement = JSON.parse(item.statement);
+    return query.format === 'ids' ? toIdsFormat(statement) : statement;
+  });
+
+  let more = '';
+  if (items.length > limit) {
+    const params = new URLSearchParams(
+      Object.entries(query).filter(([key, value]) => key !== 'cursor' && value !== undefined)
+    );
+    params.set('cursor', encodeCursor(page[page.length - 1]));
+    more = `/api/xapi/statements?${params.toString()}`;
+  }
+
+  return { statements, more };
+};
+
+/**
+ * Send pending statements to the external LRS (run on a schedule)
+ * Statements that keep failing are given up on after MAX_FORWARD_ATTEMPTS
+ * @returns {number} - Statements forwarded
+ */
+const forwardPendingStatements = async () => {
+  if (!FORWARD_ENDPOINT) return 0;
+
+  const pending = await XapiStatement.find({ 'forwarding.status': 'Pending' })
+    .sort({ stored: 1 })
+    .limit(FORWARD_BATCH_SIZE)
+    .select('statement forwarding')
+    .lean();
+
+  if (pending.length === 0) return 0;
+
+  const ids = pending.map(item => item._id);
+
+  try {
+    await axios.post(
+      `${FORWARD_ENDPOINT.replace(/\/$/, '')}/statements`,
+      pending.map(item => JSON.parse(item.statement)),
+      {
+        headers: { 'X-Experience-API-Version': XAPI_VERSION },
+        ...(process.env.XAPI_FORWARD_USERNAME && {
+          auth: {
+            username: process.env.XAPI_FORWARD_USERNAME,
+            password: process.env.XAPI_FORWARD_PASSWORD
+          }
+        }),
+        timeout: 30000
+      }
+    );
+  } catch (error) {
+    const message = error.response
+      ? `${error.response.status} ${JSON.stringify(error.response.data).slice(0, 500)}`
+      : error.message;
+
+    await XapiStatement.updateMany(
+      { _id: { $in: ids } },
+      { $inc: { 'forwarding.attempts': 1 }, 'forwarding.lastError': message }
+    );
+    await XapiStatement.updateMany(
+      { _id: { $in: ids }, 'forwarding.attempts': { $gte: MAX_FORWARD_ATTEMPTS } },
+      { 'forwarding.status': 'Failed' }
+    );
+
+    throw new Error(`External LRS rejected ${pending.length} statement(s): ${message}`);
+  }
+
+  await XapiStatement.updateMany(
+    { _id: { $in: ids } },
+    { 'forwarding.status': 'Sent', 'forwarding.sentOn': new Date(), $unset: { 'forwarding.lastError': 1 } }
+  );
+
+  return pending.length;
+};
+
+module.exports = {
+  XAPI_VERSION,
+  VERBS,
+  PROGRESS_EXTENSION,
+  XapiError,
+  agentKey,
+  toActor,
+  toUserId,
+  courseActivity,
+  contentActivity,
+  webinarActivity,
+  learningContext,
+  validateStatement,
+  storeStatements,
+  recordStatement,
+  recordQuizAttempt,
+  getStatement,
+  queryStatements,
+  forwardPendingStatements
+};
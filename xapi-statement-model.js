@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// An xAPI statement held in the built-in Learning Record Store. The statement
+// is kept exactly as stored; the other fields index it for /statements queries
+const XapiStatementSchema = new mongoose.Schema(
+  {
+    statementId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // Stored as JSON, since extension keys are IRIs and contain dots
+    statement: {
+      type: String,
+      required: true
+    },
+    // Learner the statement is about, when the actor is one of our users
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Inverse functional identifier of the actor, e.g. "mbox:mailto:jo@example.com"
+    agent: {
+      type: String,
+      required: true
+    },
+    // Every agent the statement mentions (actor, object, instructor, team, authority)
+    relatedAgents: [String],
+    verb: {
+      type: String,
+      required: true
+    },
+    // Object ID when the object is an Activity
+    activity: String,
+    // The object and all context activities
+    relatedActivities: [String],
+    registration: String,
+    timestamp: {
+      type: Date,
+      required: true
+    },
+    stored: {
+      type: Date,
+      default: Date.now
+    },
+    voided: {
+      type: Boolean,
+      default: false
+    },
+    // Copy to the external LRS, when one is configured
+    forwarding: {
+      status: {
+        type: String,
+        enum: ['Pending', 'Sent', 'Failed']
+      },
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      lastError: String,
+      sentOn: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+XapiStatementSchema.index({ stored: -1, statementId: -1 });
+XapiStatementSchema.index({ agent: 1, stored: -1 });
+XapiStatementSchema.index({ user: 1, stored: -1 });
+XapiStatementSchema.index({ verb: 1, stored: -1 });
+XapiStatementSchema.index({ relatedActivities: 1, stored: -1 });
+XapiStatementSchema.index({ 'forwarding.status': 1, stored: 1 });
+
+module.exports = mongoose.model('XapiStatement', XapiStatementSchema);
@@ -0,0 +1,238 @@
+/**
+ * Zip archives
+ * Reads and writes the zip files SCORM packages and course archives travel
+ * in. Stored and deflated entries are supported; ZIP64 and encryption are not
+ */
+const path = require('path');
+const zlib = require('zlib');
+
+/**
+ * Error raised for archives that cannot be read
+ * @param {string} message - Error message
+ * @param {string} code - INVALID_ARCHIVE or ARCHIVE_TOO_LARGE
+ */
+class ZipError extends Error {
+  constructor(message, code = 'INVALID_ARCHIVE') {
+    super(message);
+    this.name = 'ZipError';
+    this.code = code;
+  }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * List the files in a zip archive. Entries are inflated only when read
+ * @param {Buffer} buffer - Zip archive
+ * @param {Object} limits - maxFiles and maxSize (unpacked bytes)
+ * @returns {Array} - { name, size, isDirectory, read() }
+ */
+const readZip = (buffer, { maxFiles = Infinity, maxSize = Infinity } = {}) => {
+  // The end of central directory record sits within the last 64KB + 22 bytes
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+
+  if (end === -1) {
+    throw new ZipError('The file is not a zip archive');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  if (offset === 0xffffffff || count === 0xffff) {
+    throw new ZipError('ZIP64 archives are not supported');
+  }
+
+  // File data sits between the start of the archive and the central directory
+  const centralStart = offset;
+
+  if (count > maxFiles) {
+    throw new ZipError(`Archives may contain at most ${maxFiles} files`, 'ARCHIVE_TOO_LARGE');
+  }
+
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > end || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new ZipError('The zip archive is corrupt');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+
+    if (offset + 46 + nameLength + extraLength + commentLength > end) {
+      throw new ZipError('The zip archive is corrupt');
+    }
+
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength).replace(/\\/g, '/');
+
+    if (flags & 0x1) {
+      throw new ZipError('Encrypted archives are not supported');
+    }
+
+    // The local header repeats the name and may carry a different extra field
+    if (headerOffset + 30 > centralStart || buffer.readUInt32LE(headerOffset) !== 0x04034b50) {
+      throw new ZipError(`The zip archive is corrupt at ${name}`);
+    }
+
+    const dataStart = headerOffset + 30 +
+      buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+
+    if (dataStart + compressedSize > centralStart) {
+      throw new ZipError(`The zip archive is truncated at ${name}`);
+    }
+
+    entries.push({
+      name,
+      size,
+      isDirectory: name.endsWith('/'),
+      read: () => {
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        let content;
+
+        if (method === 0) {
+          content = data;
+        } else if (method === 8) {
+          try {
+            content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+          } catch (error) {
+            throw new ZipError(`${name} cannot be unpacked`);
+          }
+        } else {
+          throw new ZipError(`${name} uses an unsupported compression method`);
+        }
+
+        if (content.length !== size || crc32(content) !== crc) {
+          throw new ZipError(`${name} is damaged`);
+        }
+
+        return content;
+      }
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  if (entries.reduce((sum, entry) => sum + entry.size, 0) > maxSize) {
+    throw new ZipError('The archive is too large once unpacked', 'ARCHIVE_TOO_LARGE');
+  }
+
+  return entries;
+};
+
+/**
+ * Build a zip archive. Files are deflated unless that does not make them smaller
+ * @param {Array} files - { name, data (Buffer or string) }
+ * @returns {Buffer}
+ */
+const writeZip = (files) => {
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const method = deflated.length < data.length ? 8 : 0;
+    const stored = method === 8 ? deflated : data;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, stored);
+    centralParts.push(central, name);
+    offset += local.length + name.length + stored.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+  if (files.length >= 0xffff || offset + centralSize >= 0xffffffff) {
+    throw new ZipError('The archive is too large for the zip format', 'ARCHIVE_TOO_LARGE');
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+};
+
+/**
+ * Normalize a path inside an archive, refusing any that would leave it
+ * @param {string} name - Path as written in the archive
+ * @returns {string|null} - Relative path, or null when unsafe
+ */
+const toArchivePath = (name) => {
+  const normalized = path.posix.normalize(name.replace(/\\/g, '/'));
+
+  if (normalized.startsWith('/') || normalized === '..' || normalized.startsWith('../') || /^[a-z]:/i.test(normalized)) {
+    return null;
+  }
+
+  return normalized.replace(/^\.\//, '');
+};
+
+module.exports = {
+  ZipError,
+  readZip,
+  writeZip,
+  toArchivePath
+};